@@ -0,0 +1,381 @@
+/**
+ * The accessibility support of the Line, Bar and Pie charts. It gives the chart a title and description, adds ARIA roles and labels to the series groups and to all points, bars and slices and makes the values navigable with the keyboard. Only one value is in the tab order at a time, the arrow keys move between the values of a series and across series, while Home and End jump to the first and last value of a series.
+ *
+ * @module Accessibility
+ */
+import Chartist from './core';
+
+// Used to generate unique ids for the title and description elements that the SVG is labelled with
+let uniqueId = 0;
+
+// The names of the chart types derived from the types of the drawn values
+let chartTypeNames = {
+  point: 'Line',
+  bar: 'Bar',
+  slice: 'Pie'
+};
+
+let formatValue = (value) => {
+  return Chartist.isMultiValue(value) ? [value.x, value.y].filter((v) => v !== undefined).join(', ') : value;
+};
+
+let numericValue = (value) => {
+  return Chartist.isMultiValue(value) ? (value.y !== undefined ? value.y : value.x) : value;
+};
+
+/**
+ * The default title of a chart, which is the name of the chart type.
+ *
+ * @memberof Accessibility
+ * @param {Object} summary The summary of the chart data
+ * @return {String} The title of the chart
+ */
+let defaultTitle = (summary) => {
+  return summary.type + ' chart';
+};
+
+/**
+ * The default description of a chart that summarizes the number and the range of the values.
+ *
+ * @memberof Accessibility
+ * @param {Object} summary The summary of the chart data with type, seriesCount, valueCount, min, max and total
+ * @return {String} The description of the chart
+ */
+let defaultDescription = (summary) => {
+  if (summary.type === 'Pie') {
+    return summary.valueCount + ' slices with a total of ' + summary.total + '.';
+  }
+
+  return summary.seriesCount + ' series with ' + summary.valueCount + ' values, ranging from ' +
+    summary.min + ' to ' + summary.max + '.';
+};
+
+/**
+ * The default label of a point, bar or slice that consists of the series name, the label and the value.
+ *
+ * @memberof Accessibility
+ * @param {Object} context The value context with value, meta, seriesName, label, index and seriesIndex
+ * @return {String} The label of the value
+ */
+let defaultLabel = (context) => {
+  return [context.seriesName, context.label, formatValue(context.value)].filter((part) => {
+    return part !== undefined && part !== null && part !== '';
+  }).join(', ');
+};
+
+let defaultSeriesLabel = (series, seriesIndex) => {
+  return series && series.name !== undefined ? '' + series.name : 'Series ' + (seriesIndex + 1);
+};
+
+class Accessibility {
+
+  /**
+   * Default options of the accessibility support. The accessibility option of a chart can be set to true to use these defaults or to an object that overrides some of them.
+   *
+   * @memberof Accessibility
+   */
+  static defaultOptions = {
+    // The title of the chart as a string or a function that receives a summary of the chart data with `type`, `seriesCount`, `valueCount`, `min`, `max` and `total`
+    title: defaultTitle,
+    // The description of the chart as a string or a function that receives the same summary as the title
+    description: defaultDescription,
+    // A function that receives a context object with `value`, `meta`, `seriesName`, `label`, `index` and `seriesIndex` and returns the label of a point, bar or slice
+    label: defaultLabel,
+    // A function that receives the series and the series index and returns the label of the series group
+    seriesLabel: defaultSeriesLabel,
+    // If false, the values can't be navigated with the keyboard and are not focusable
+    keyboard: true
+  };
+
+  chart;
+  options;
+  entries = [];
+  pendingEntries = [];
+  groups = [];
+  activeEntry;
+  titleElement;
+  descriptionElement;
+  listeners = {};
+
+  /**
+   * Creates the accessibility support of a chart. It stays inactive until the chart is drawn with the accessibility option enabled.
+   *
+   * @memberof Accessibility
+   * @param {Object} chart The chart the accessibility support belongs to
+   * @constructor
+   */
+  constructor(chart) {
+    this.chart = chart;
+
+    chart.internalEmitter.addEventHandler('draw', (data) => {
+      if (data.state !== 'removed' && ['point', 'bar', 'slice'].indexOf(data.type) !== -1) {
+        this.pendingEntries.push({
+          data: data,
+          // Slices are the values of a single series of pie charts
+          seriesIndex: data.type === 'slice' ? 0 : data.seriesIndex,
+          index: data.index
+        });
+      }
+    });
+    chart.internalEmitter.addEventHandler('created', (data) => {
+      this.update(data);
+    });
+  }
+
+  /**
+   * Applies the ARIA attributes, the title and the description after the chart has been drawn.
+   *
+   * @memberof Accessibility
+   * @param {Object} data The created event data
+   */
+  update(data) {
+    let previousActive = this.activeEntry;
+    this.removeAttributes();
+    this.entries = this.pendingEntries.sort((a, b) => a.seriesIndex - b.seriesIndex || a.index - b.index);
+    this.pendingEntries = [];
+
+    if (!data.options.accessibility) {
+      this.destroy();
+      return;
+    }
+
+    this.options = Chartist.extend({}, Accessibility.defaultOptions,
+      data.options.accessibility === true ? {} : data.options.accessibility);
+
+    // The value that was active before the update stays in the tab order
+    this.activeEntry = (previousActive && this.find(previousActive.seriesIndex, previousActive.index)) || this.entries[0];
+
+    this.describe();
+    this.entries.forEach((entry) => this.label(entry));
+
+    if (!this.chart.headless && this.chart.container && this.options.keyboard) {
+      this.attach();
+    } else {
+      this.removeListeners();
+    }
+  }
+
+  /**
+   * Creates a summary of the drawn values that is passed to the title and description functions.
+   *
+   * @memberof Accessibility
+   * @return {Object} The summary with type, seriesCount, valueCount, min, max and total
+   */
+  summary() {
+    let values = this.entries.map((entry) => numericValue(entry.data.value)).filter(Chartist.isNumeric);
+    let series = this.entries.reduce((series, entry) => {
+      series[entry.data.seriesIndex !== undefined ? entry.data.seriesIndex : 0] = true;
+      return series;
+    }, {});
+
+    return {
+      type: this.entries.length ? chartTypeNames[this.entries[0].data.type] : 'Empty',
+      seriesCount: Object.keys(series).length,
+      valueCount: this.entries.length,
+      min: values.length ? Math.min.apply(null, values) : undefined,
+      max: values.length ? Math.max.apply(null, values) : undefined,
+      total: values.reduce((sum, value) => sum + value, 0)
+    };
+  }
+
+  describe() {
+    let summary = this.summary();
+    let text = (option) => typeof option === 'function' ? option(summary) : option;
+    let title = text(this.options.title);
+    let description = text(this.options.description);
+
+    this.removeDescription();
+    uniqueId++;
+
+    // The description is inserted first, so the title ends up being the first child of the SVG element
+    if (description) {
+      this.descriptionElement = this.chart.svg.elem('desc', {
+        id: 'ct-desc-' + uniqueId
+      }, undefined, true).text(description);
+    }
+    if (title) {
+      this.titleElement = this.chart.svg.elem('title', {
+        id: 'ct-title-' + uniqueId
+      }, undefined, true).text(title);
+    }
+
+    this.chart.svg.attr({
+      role: 'graphics-document document',
+      'aria-roledescription': summary.type.toLowerCase() + ' chart',
+      'aria-labelledby': title ? 'ct-title-' + uniqueId : undefined,
+      'aria-describedby': description ? 'ct-desc-' + uniqueId : undefined
+    });
+  }
+
+  label(entry) {
+    let data = entry.data;
+    let series = data.series;
+    let seriesIndex = data.type === 'slice' ? data.index : data.seriesIndex;
+    let value = data.value;
+    // Single values of multi value data are labelled as plain numbers
+    if (Chartist.isMultiValue(value) && (value.x === undefined || value.y === undefined)) {
+      value = value.x === undefined ? value.y : value.x;
+    }
+
+    if (data.group && this.groups.indexOf(data.group) === -1) {
+      data.group.attr({
+        role: 'group',
+        'aria-label': this.options.seriesLabel(series, seriesIndex),
+        tabindex: -1
+      });
+      this.groups.push(data.group);
+    }
+
+    data.element.attr({
+      role: 'img',
+      'aria-roledescription': data.type === 'point' ? 'data point' : data.type,
+      'aria-label': this.options.label({
+        value: value,
+        meta: data.meta,
+        seriesName: series && series.name,
+        label: this.chart.data.labels[data.index],
+        index: data.index,
+        seriesIndex: seriesIndex
+      }),
+      tabindex: this.options.keyboard ? (entry === this.activeEntry ? 0 : -1) : undefined
+    });
+  }
+
+  removeAttributes() {
+    this.entries.concat(this.groups.map((group) => ({group: group}))).forEach((entry) => {
+      let element = entry.group || entry.data.element;
+      ['role', 'aria-roledescription', 'aria-label', 'tabindex'].forEach((attribute) => {
+        element._node.removeAttribute(attribute);
+      });
+    });
+    this.groups = [];
+  }
+
+  removeDescription() {
+    [this.titleElement, this.descriptionElement].forEach((element) => {
+      if (element && element._node.parentNode) {
+        element.remove();
+      }
+    });
+    this.titleElement = this.descriptionElement = undefined;
+  }
+
+  attach() {
+    let listeners = {
+      keydown: (event) => {
+        let entry = this.entryOf(event.target);
+        let next = entry && this.navigate(entry, event.key);
+        if (next) {
+          event.preventDefault();
+          next.data.element._node.focus();
+        }
+      },
+      focusin: (event) => {
+        let entry = this.entryOf(event.target);
+        if (entry) {
+          this.activate(entry);
+          // The focus event carries the same data as the draw event of the focused value
+          this.chart.eventEmitter.emit('focus', entry.data);
+        }
+      }
+    };
+
+    this.removeListeners();
+    Object.keys(listeners).forEach((event) => {
+      this.chart.container.addEventListener(event, listeners[event]);
+    });
+    this.listeners = listeners;
+  }
+
+  removeListeners() {
+    Object.keys(this.listeners).forEach((event) => {
+      this.chart.container.removeEventListener(event, this.listeners[event]);
+    });
+    this.listeners = {};
+  }
+
+  /**
+   * Removes the title, the description and all listeners of the accessibility support.
+   *
+   * @memberof Accessibility
+   */
+  destroy() {
+    this.removeListeners();
+    this.removeDescription();
+    this.activeEntry = undefined;
+  }
+
+  entryOf(node) {
+    return this.entries.find((entry) => entry.data.element._node === node);
+  }
+
+  find(seriesIndex, index) {
+    return this.entries.find((entry) => entry.seriesIndex === seriesIndex && entry.index === index);
+  }
+
+  /**
+   * Moves the value that is in the tab order.
+   *
+   * @memberof Accessibility
+   * @param {Object} entry The entry of the value that becomes active
+   */
+  activate(entry) {
+    if (this.activeEntry && this.activeEntry !== entry) {
+      this.activeEntry.data.element.attr({
+        tabindex: -1
+      });
+    }
+    entry.data.element.attr({
+      tabindex: 0
+    });
+    this.activeEntry = entry;
+  }
+
+  /**
+   * Finds the value a key press navigates to. The left and right arrow keys move to the previous and next value of the series, the up and down arrow keys move to the value with the nearest index in the previous and next series, and Home and End move to the first and last value of the series.
+   *
+   * @memberof Accessibility
+   * @param {Object} entry The entry of the focused value
+   * @param {String} key The key of the keyboard event
+   * @return {Object|undefined} The entry of the value to focus or undefined if the key doesn't navigate
+   */
+  navigate(entry, key) {
+    let series = this.entries.filter((other) => other.seriesIndex === entry.seriesIndex);
+    let position = series.indexOf(entry);
+    let seriesIndices = this.entries.reduce((indices, other) => {
+      if (indices.indexOf(other.seriesIndex) === -1) {
+        indices.push(other.seriesIndex);
+      }
+      return indices;
+    }, []);
+
+    let nearestIn = (seriesIndex) => {
+      return this.entries.filter((other) => other.seriesIndex === seriesIndex).reduce((nearest, other) => {
+        return !nearest || Math.abs(other.index - entry.index) < Math.abs(nearest.index - entry.index) ? other : nearest;
+      }, undefined);
+    };
+
+    switch (key) {
+      case 'ArrowRight':
+      case 'Right':
+        return series[position + 1];
+      case 'ArrowLeft':
+      case 'Left':
+        return series[position - 1];
+      case 'ArrowDown':
+      case 'Down':
+        return nearestIn(seriesIndices[seriesIndices.indexOf(entry.seriesIndex) + 1]);
+      case 'ArrowUp':
+      case 'Up':
+        return nearestIn(seriesIndices[seriesIndices.indexOf(entry.seriesIndex) - 1]);
+      case 'Home':
+        return series[0];
+      case 'End':
+        return series[series.length - 1];
+      default:
+        return undefined;
+    }
+  }
+}
+
+export default Accessibility;
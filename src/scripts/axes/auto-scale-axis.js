@@ -13,7 +13,9 @@
  *   // Can be set to true or false. If set to true, the scale will be generated with whole numbers only.
  *   onlyInteger: true,
  *   // The reference value can be used to make sure that this value will always be on the chart. This is especially useful on bipolar charts where the bipolar center always needs to be part of the chart.
- *   referenceValue: 5
+ *   referenceValue: 5,
+ *   // If set to true, the axis shows exactly the range from low to high instead of extending it to the next ticks, which is used for zoomed axes
+ *   strictBounds: false
  * };
  * ```
  *
@@ -30,6 +32,15 @@ class AutoScaleAxis extends Axis {
     // Usually we calculate highLow based on the data but this can be overridden by a highLow object in the options
     let highLow = options.highLow || Chartist.getHighLow(data, options, axisUnit.pos);
     this.bounds = Chartist.getBounds(chartRect[axisUnit.rectEnd] - chartRect[axisUnit.rectStart], highLow, options.scaleMinSpace || 20, options.onlyInteger);
+    if (options.strictBounds && highLow.high > highLow.low) {
+      // Only the ticks of the bounds within the range are kept
+      this.bounds = Chartist.extend({}, this.bounds, {
+        min: highLow.low,
+        max: highLow.high,
+        range: highLow.high - highLow.low,
+        values: this.bounds.values.filter((value) => value >= highLow.low && value <= highLow.high)
+      });
+    }
     this.range = {
       min: this.bounds.min,
       max: this.bounds.max
@@ -54,6 +65,17 @@ class AutoScaleAxis extends Axis {
     return this.axisLength * (+Chartist.getMultiValue(value, this.units.pos) - this.bounds.min) / this.bounds.range;
   }
 
+  /**
+   * Converts a position on the axis back to a value.
+   *
+   * @memberof Chartist.AutoScaleAxis
+   * @param {Number} pixel The distance from the start of the axis
+   * @return {Number} The value at the position
+   */
+  invertValue(pixel) {
+    return this.bounds.min + pixel / this.axisLength * this.bounds.range;
+  }
+
   // AutoScaleAxis = Chartist.Axis.extend({
   //   constructor: AutoScaleAxis,
   //   projectValue: projectValue
@@ -1,7 +1,27 @@
 import Chartist from '../core';
 
+// Label texts can't be measured in environments without layout, so their size is estimated from the number of characters
+let estimatedCharacterWidth = 6;
+let estimatedLineHeight = 14;
+
 class Axis {
 
+  /**
+   * Default options of the automatic fitting of the labels with the `autoFit` axis option. The autoFit option of an axis can be set to true to use these defaults or to an object that overrides some of them.
+   *
+   * @memberof Chartist.Axis
+   */
+  static autoFitOptions = {
+    // The rotations in degrees that are tried in order if the labels of a horizontal axis don't fit next to each other. If no rotation fits, the last one is used and only every n-th label is shown.
+    rotations: [45, 90],
+    // The largest offset in pixels the axis may grow to. Labels that don't fit into it are truncated with the ellipsis.
+    maxOffset: 100,
+    // The minimum space in pixels between two labels
+    gap: 4,
+    // The text that is appended to truncated labels
+    ellipsis: '\u2026'
+  };
+
   static axisUnits = {
     x: {
       pos: 'x',
@@ -21,6 +41,7 @@ class Axis {
     }
   };
 
+  id;
   units;
   counterUnits;
   chartRect;
@@ -28,8 +49,11 @@ class Axis {
   gridOffset;
   ticks;
   options;
+  labelFit;
 
   constructor(units, chartRect, ticks, options) {
+    // The id of the axis names its options in the chart options, like `axisY2` for the secondary Y axis 'y2'
+    this.id = options && options.id || units.pos;
     this.units = units;
     this.counterUnits = units === Axis.axisUnits.x ? Axis.axisUnits.y : Axis.axisUnits.x;
     this.chartRect = chartRect;
@@ -39,10 +63,13 @@ class Axis {
     this.options = options;
   }
 
-  createGridAndLabels(gridGroup, labelGroup, useForeignObject, chartOptions, eventEmitter) {
-    let axisOptions = chartOptions['axis' + this.units.pos.toUpperCase()];
+  createGridAndLabels(gridGroup, labelGroup, useForeignObject, chartOptions, eventEmitter, reconciler) {
+    chartOptions = this.labelOptions(chartOptions);
+    let axisOptions = chartOptions['axis' + this.id.toUpperCase()];
+    let labelFit = this.labelFit;
     let projectedValues = this.ticks.map(this.projectValue.bind(this));
-    let labelValues = this.ticks.map(axisOptions.labelInterpolationFnc.bind(this));
+    let labelValues = labelFit ? labelFit.labels : this.ticks.map(axisOptions.labelInterpolationFnc.bind(this));
+    let rotation = labelFit && this.units.pos === 'x' ? labelFit.rotation : 0;
 
     projectedValues.forEach((projectedValue, index) => {
       let labelOffset = {
@@ -72,25 +99,30 @@ class Axis {
       // We also need to set the label offset for the createLabel function
       if (this.units.pos === 'x') {
         projectedValue = this.chartRect.x1 + projectedValue;
-        labelOffset.x = chartOptions.axisX.labelOffset.x;
+        labelOffset.x = axisOptions.labelOffset.x;
 
         // If the labels should be positioned in start position (top side for vertical axis) we need to set a
         // different offset as for positioned with end (bottom)
-        if (chartOptions.axisX.position === 'start') {
-          labelOffset.y = this.chartRect.padding.top + chartOptions.axisX.labelOffset.y + (useForeignObject ? 5 : 20);
+        if (rotation) {
+          // Rotated labels are anchored next to the chart area at their tick
+          labelOffset.y = axisOptions.position === 'start' ?
+            this.chartRect.y2 - 10 + axisOptions.labelOffset.y :
+            this.chartRect.y1 + 10 + axisOptions.labelOffset.y;
+        } else if (axisOptions.position === 'start') {
+          labelOffset.y = this.chartRect.padding.top + axisOptions.labelOffset.y + (useForeignObject ? 5 : 20);
         } else {
-          labelOffset.y = this.chartRect.y1 + chartOptions.axisX.labelOffset.y + (useForeignObject ? 5 : 20);
+          labelOffset.y = this.chartRect.y1 + axisOptions.labelOffset.y + (useForeignObject ? 5 : 20);
         }
       } else {
         projectedValue = this.chartRect.y1 - projectedValue;
-        labelOffset.y = chartOptions.axisY.labelOffset.y - (useForeignObject ? labelLength : 0);
+        labelOffset.y = axisOptions.labelOffset.y - (useForeignObject ? labelLength : 0);
 
         // If the labels should be positioned in start position (left side for horizontal axis) we need to set a
         // different offset as for positioned with end (right side)
-        if (chartOptions.axisY.position === 'start') {
-          labelOffset.x = useForeignObject ? this.chartRect.padding.left + chartOptions.axisY.labelOffset.x : this.chartRect.x1 - 10;
+        if (axisOptions.position === 'start') {
+          labelOffset.x = useForeignObject ? this.chartRect.padding.left + axisOptions.labelOffset.x : this.chartRect.x1 - 10;
         } else {
-          labelOffset.x = this.chartRect.x2 + chartOptions.axisY.labelOffset.x + 10;
+          labelOffset.x = this.chartRect.x2 + axisOptions.labelOffset.x + 10;
         }
       }
 
@@ -98,19 +130,133 @@ class Axis {
         Chartist.createGrid(projectedValue, index, this, this.gridOffset, this.chartRect[this.counterUnits.len](), gridGroup, [
           chartOptions.classNames.grid,
           chartOptions.classNames[this.units.dir]
-        ], eventEmitter);
+        ], eventEmitter, reconciler);
       }
 
-      if (axisOptions.showLabel) {
-        Chartist.createLabel(projectedValue, labelLength, index, labelValues, this, axisOptions.offset, labelOffset, labelGroup, [
+      // Labels that have been thinned out by the automatic fitting keep their grid line
+      if (axisOptions.showLabel && (!labelFit || index % labelFit.every === 0)) {
+        // Rotated labels are drawn as text elements, as foreignObjects can't be rotated reliably
+        let labelElement = Chartist.createLabel(projectedValue, labelLength, index, labelValues, this, axisOptions.offset, labelOffset, labelGroup, [
           chartOptions.classNames.label,
           chartOptions.classNames[this.units.dir],
           (axisOptions.position === 'start' ? chartOptions.classNames[axisOptions.position] : chartOptions.classNames['end'])
-        ], useForeignObject, eventEmitter);
+        ], useForeignObject && !rotation, eventEmitter, reconciler);
+
+        if (rotation) {
+          let x = projectedValue + labelOffset.x;
+          // The anchor is set as style, as the label styles would override an attribute
+          labelElement.attr({
+            transform: 'rotate(' + (-rotation) + ', ' + x + ', ' + labelOffset.y + ')',
+            style: 'text-anchor: ' + (axisOptions.position === 'start' ? 'start' : 'end') + '; dominant-baseline: central'
+          });
+        } else if (labelFit) {
+          // Re-used labels may have been rotated before
+          labelElement._node.removeAttribute('transform');
+          labelElement._node.removeAttribute('style');
+        }
       }
     });
   }
 
+  /**
+   * Returns the chart options the labels of the axis are created with. Axes that derive their labels from their ticks in a special way override this to replace the label interpolation of their axis options.
+   *
+   * @memberof Chartist.Axis
+   * @param {Object} chartOptions The options of the chart
+   * @return {Object} The chart options with the label interpolation of the axis
+   */
+  labelOptions(chartOptions) {
+    return chartOptions;
+  }
+
+  /**
+   * Measures the labels of the axis and chooses how they are drawn with the `autoFit` option, so that they don't overlap. Labels of a horizontal axis that don't fit next to each other are rotated, and if even the steepest rotation doesn't fit, only every n-th label is shown. Labels of a vertical axis that are closer than their height are thinned out the same way. Labels that would need a larger offset than the maxOffset of the fitting options are truncated. The result is used when the grid and labels are created.
+   *
+   * @memberof Chartist.Axis
+   * @param {Svg} svg The SVG element of the chart, which is used to measure the labels
+   * @param {Object} chartOptions The options of the chart
+   * @return {Number} The offset the axis needs for its labels
+   */
+  fitLabels(svg, chartOptions) {
+    chartOptions = this.labelOptions(chartOptions);
+    let axisOptions = chartOptions['axis' + this.id.toUpperCase()];
+    let fitOptions = Chartist.extend({}, Axis.autoFitOptions, axisOptions.autoFit === true ? {} : axisOptions.autoFit);
+    let labels = this.ticks.map(axisOptions.labelInterpolationFnc.bind(this));
+    let projectedValues = this.ticks.map(this.projectValue.bind(this));
+    let lineHeight = estimatedLineHeight;
+
+    let widths = labels.map((label) => {
+      if (Chartist.isFalseyButZero(label)) {
+        return 0;
+      }
+
+      let element = svg.elem('text', {x: 0, y: 0}, [
+        chartOptions.classNames.label,
+        chartOptions.classNames[this.units.dir]
+      ].join(' ')).text('' + label);
+      let width = element.width() || ('' + label).length * estimatedCharacterWidth;
+      element.remove();
+      return width;
+    });
+    let maxWidth = Math.max.apply(null, widths.concat(0));
+
+    // The smallest distance between two labels that are drawn
+    let positions = projectedValues.filter((value, index) => !Chartist.isFalseyButZero(labels[index]));
+    let spacing = positions.length > 1 ? Math.min.apply(null, positions.slice(1).map((position, index) => {
+      return Math.abs(position - positions[index]);
+    })) : this.axisLength;
+    // Only every n-th label is shown if labels that need the given space don't fit next to each other
+    let every = (space) => Math.max(1, Math.ceil((space + fitOptions.gap) / Math.max(spacing, 1)));
+
+    let rotation = 0;
+    let thinning = 1;
+    // The space the labels need perpendicular to the axis and the largest width that fits into the maximum offset
+    let extent = (width) => width;
+    let maxLabelWidth = fitOptions.maxOffset - 10;
+
+    if (this.units.pos === 'x') {
+      extent = () => lineHeight;
+
+      if (maxWidth + fitOptions.gap > spacing) {
+        // The distance along the axis between two rotated labels is determined by their height
+        let footprint = (angle) => angle ? lineHeight / Math.sin(angle * Math.PI / 180) : maxWidth;
+        let rotations = [].concat(fitOptions.rotations);
+        rotation = rotations.find((angle) => footprint(angle) + fitOptions.gap <= spacing);
+
+        if (rotation === undefined) {
+          rotation = rotations.length ? rotations[rotations.length - 1] : 0;
+          thinning = every(footprint(rotation));
+        }
+      }
+
+      if (rotation) {
+        let radians = rotation * Math.PI / 180;
+        extent = (width) => width * Math.sin(radians) + lineHeight * Math.cos(radians);
+        maxLabelWidth = (fitOptions.maxOffset - 10 - lineHeight * Math.cos(radians)) / Math.sin(radians);
+      } else {
+        // Labels that aren't rotated are not limited by the offset
+        maxLabelWidth = Infinity;
+      }
+    } else if (lineHeight + fitOptions.gap > spacing) {
+      thinning = every(lineHeight);
+    }
+
+    this.labelFit = {
+      rotation: rotation,
+      every: thinning,
+      labels: labels.map((label, index) => {
+        if (widths[index] <= maxLabelWidth) {
+          return label;
+        }
+
+        let text = '' + label;
+        return text.slice(0, Math.max(0, Math.floor(text.length * maxLabelWidth / widths[index]) - 1)) + fitOptions.ellipsis;
+      })
+    };
+
+    return Math.max(axisOptions.offset, Math.min(fitOptions.maxOffset, Math.ceil(extent(Math.min(maxWidth, maxLabelWidth)) + 10)));
+  }
+
   /**
    *
    * @param value {number}
@@ -122,6 +268,27 @@ class Axis {
     throw new Error('Base axis can\'t be instantiated!');
   }
 
+  /**
+   * Converts a position on the axis back to a value, which is the inverse of `projectValue`. Like the projected values, the position is the distance in pixel from the start of the axis, which is the left end of a horizontal axis and the bottom end of a vertical axis.
+   *
+   * @memberof Chartist.Axis
+   * @param {Number} pixel The distance from the start of the axis
+   * @return {Number} The value at the position
+   */
+  invertValue(pixel) {
+    throw new Error('Base axis can\'t be instantiated!');
+  }
+
+  /**
+   * Checks if a value can be projected on the axis. Values that can't be projected are not drawn, like holes in the data. All values can be projected on the default axes.
+   *
+   * @param value {number|Object}
+   * @return {boolean}
+   */
+  isProjectable(value) {
+    return true;
+  }
+
   // Axis = Chartist.Class.extend({
   //   constructor: Axis,
   //   createGridAndLabels: createGridAndLabels,
@@ -0,0 +1,85 @@
+/**
+ * The band axis divides the axis into equally sized bands, one for every tick, which are separated by an inner padding and surrounded by an outer padding. Like the step axis it projects values by their index, but it also knows the width of every band, so that bar charts can size and place their bars to fill the band of their label. The paddings are given as a fraction of the step between two bands, which makes the layout independent of the container size.
+ * **Options**
+ * The following options are used by this axis in addition to the default axis options outlined in the axis configuration of the chart default settings.
+ * ```javascript
+ * var options = {
+ *   // Ticks to be used for the bands. As this axis type relies on the index of the value rather than the value, arbitrary data that can be converted to a string can be used as ticks. In bar charts the labels are used if no ticks are specified.
+ *   ticks: ['One', 'Two', 'Three'],
+ *   // The space between two bands as a fraction of the step between them, from 0 to 1
+ *   paddingInner: 0.2,
+ *   // The space before the first and after the last band as a fraction of the step between two bands
+ *   paddingOuter: 0.1
+ * };
+ * ```
+ *
+ * @module Chartist.BandAxis
+ */
+import Chartist from '../core';
+import Axis from './axis';
+
+class BandAxis extends Axis {
+
+  /**
+   * The default paddings of the bands
+   *
+   * @memberof Chartist.BandAxis
+   */
+  static defaultOptions = {
+    paddingInner: 0.2,
+    paddingOuter: 0.1
+  };
+
+  step;
+  bandWidth;
+  paddingInner;
+  paddingOuter;
+
+  constructor(axisUnit, data, chartRect, options) {
+    options = Chartist.extend({}, BandAxis.defaultOptions, options);
+    super(axisUnit, chartRect, options.ticks || [], options);
+
+    this.paddingInner = Math.min(Math.max(+options.paddingInner, 0), 1);
+    this.paddingOuter = Math.max(+options.paddingOuter, 0);
+
+    // The bands and the inner paddings between them plus the outer paddings make up the whole axis
+    this.step = this.axisLength / Math.max(1, this.ticks.length - this.paddingInner + 2 * this.paddingOuter);
+    this.bandWidth = this.step * (1 - this.paddingInner);
+  }
+
+  /**
+   * Returns the distance of the start of a band to the start of the axis.
+   *
+   * @memberof Chartist.BandAxis
+   * @param {Number} index The index of the band
+   * @return {Number} The start of the band in pixel
+   */
+  bandStart(index) {
+    return this.step * this.paddingOuter + this.step * index;
+  }
+
+  /**
+   * Projects a value to the start of the band of its index, which is where the grid line and the label of the band are placed.
+   *
+   * @param value {number}
+   * @param index {number}
+   * @param data {Object}
+   * @return {number}
+   */
+  projectValue(value, index, data) {
+    return this.bandStart(index);
+  }
+
+  /**
+   * Converts a position on the axis back to the index of the band with the nearest center.
+   *
+   * @memberof Chartist.BandAxis
+   * @param {Number} pixel The distance from the start of the axis
+   * @return {Number} The index of the band
+   */
+  invertValue(pixel) {
+    return Math.max(0, Math.min(Math.round((pixel - this.bandStart(0) - this.bandWidth / 2) / this.step), this.ticks.length - 1));
+  }
+}
+
+export default BandAxis;
@@ -11,7 +11,9 @@
  *   // If specified then the value range determined from minimum to maximum (or low and high) will be divided by this number and ticks will be generated at those division points. The default divisor is 1.
  *   divisor: 4,
  *   // If ticks is explicitly set, then the axis will not compute the ticks with the divisor, but directly use the data in ticks to determine at what points on the axis a tick need to be generated.
- *   ticks: [1, 10, 20, 30]
+ *   ticks: [1, 10, 20, 30],
+ *   // If set to true, explicit ticks outside of the range from low to high are left out, which is used for zoomed axes
+ *   strictBounds: false
  * };
  * ```
  *
@@ -33,6 +35,9 @@ class FixedScaleAxis extends Axis {
     this.ticks.sort(function (a, b) {
       return a - b;
     });
+    if (options.strictBounds) {
+      this.ticks = this.ticks.filter((tick) => tick >= highLow.low && tick <= highLow.high);
+    }
     this.range = {
       min: highLow.low,
       max: highLow.high
@@ -52,6 +57,17 @@ class FixedScaleAxis extends Axis {
     return this.axisLength * (+Chartist.getMultiValue(value, this.units.pos) - this.range.min) / (this.range.max - this.range.min);
   }
 
+  /**
+   * Converts a position on the axis back to a value.
+   *
+   * @memberof Chartist.FixedScaleAxis
+   * @param {Number} pixel The distance from the start of the axis
+   * @return {Number} The value at the position
+   */
+  invertValue(pixel) {
+    return this.range.min + pixel / this.axisLength * (this.range.max - this.range.min);
+  }
+
 }
 
 export default FixedScaleAxis;
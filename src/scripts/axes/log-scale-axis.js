@@ -0,0 +1,231 @@
+/**
+ * The log scale axis projects values logarithmically along an axis, which makes data that spans several orders of magnitude readable. Ticks are generated at the powers of the base and optionally at the multiples 2 to base - 1 of each power in between. Logarithms are only defined for positive values, so zero and negative values are either dropped and treated like holes in the data, or projected with a symmetric log scale that is linear around zero.
+ * **Options**
+ * The following options are used by this axis in addition to the default axis options outlined in the axis configuration of the chart default settings.
+ * ```javascript
+ * var options = {
+ *   // The base of the logarithm
+ *   base: 10,
+ *   // If high is specified then the axis will display values explicitly up to this value and the computed maximum from the data is ignored
+ *   high: 1000000,
+ *   // If low is specified then the axis will display values explicitly down to this value and the computed minimum from the data is ignored
+ *   low: 1,
+ *   // If true, minor ticks are generated at the multiples 2 to base - 1 of each power of the base. Minor ticks have grid lines but no labels.
+ *   minorTicks: false,
+ *   // How zero and negative values are handled. With 'drop' they are not drawn, with 'symlog' the axis is linear around zero and logarithmic further away from it.
+ *   nonPositive: 'drop',
+ *   // The range around zero where a symlog axis is approximately linear
+ *   linearThreshold: 1,
+ *   // The minimum space in pixel between two major ticks. If the powers are too close to each other, only every n-th power gets a tick.
+ *   scaleMinSpace: 20
+ * };
+ * ```
+ *
+ * @module Chartist.LogScaleAxis
+ */
+import Chartist from '../core';
+import Axis from './axis';
+
+class LogScaleAxis extends Axis {
+
+  base;
+  symlog;
+  linearThreshold;
+  range;
+  minorTicks = [];
+
+  constructor(axisUnit, data, chartRect, options) {
+    super(axisUnit, chartRect, null, options);
+
+    this.base = options.base || 10;
+    this.symlog = options.nonPositive === 'symlog';
+    this.linearThreshold = options.linearThreshold || 1;
+
+    let highLow = options.highLow || Chartist.getHighLow(data, options, axisUnit.pos);
+    let low = highLow.low;
+    let high = highLow.high;
+
+    if (!this.symlog && low <= 0) {
+      // Non-positive values are dropped, so the smallest positive value determines the lower bound
+      let positive = [];
+      let collect = (value) => {
+        if (value instanceof Array) {
+          value.forEach(collect);
+        } else {
+          let number = Chartist.getMultiValue(value, axisUnit.pos);
+          if (number > 0) {
+            positive.push(number);
+          }
+        }
+      };
+      collect(data);
+
+      low = positive.length ? Math.min.apply(null, positive) : 1;
+      high = Math.max(high, low);
+    }
+
+    this.createTicks(low, high, options.scaleMinSpace || 20, options.minorTicks);
+  }
+
+  /**
+   * Generates the ticks at the powers of the base that enclose the given range and sets the range of the axis to the outermost ticks.
+   *
+   * @memberof Chartist.LogScaleAxis
+   * @param {Number} low The lowest value that should be visible
+   * @param {Number} high The highest value that should be visible
+   * @param {Number} scaleMinSpace The minimum space in pixel between two major ticks
+   * @param {Boolean} minorTicks If true, minor ticks are generated between the powers
+   */
+  createTicks(low, high, scaleMinSpace, minorTicks) {
+    let exponent = (value) => Math.log(value) / Math.log(this.base);
+    let power = (value) => Chartist.roundWithPrecision(Math.pow(this.base, value), 10);
+
+    let majorValues = [];
+
+    if (this.symlog) {
+      // Symlog axes have ticks at zero and at the powers on both sides of it, starting at the linear threshold
+      let minExponent = Math.floor(exponent(this.linearThreshold));
+      let maxExponent = Math.ceil(exponent(Math.max(Math.abs(high), Math.abs(low), this.linearThreshold)));
+      majorValues.push(0);
+
+      Chartist.times(maxExponent - minExponent + 1).forEach((value, index) => {
+        let magnitude = power(minExponent + index);
+        let previous = power(minExponent + index - 1);
+        if (high > 0 && (index === 0 || previous < high)) {
+          majorValues.push(magnitude);
+        }
+        if (low < 0 && (index === 0 || -previous > low)) {
+          majorValues.push(-magnitude);
+        }
+      });
+    } else {
+      let minExponent = Math.floor(exponent(low));
+      let maxExponent = Math.max(Math.ceil(exponent(high)), minExponent + 1);
+      majorValues = Chartist.times(maxExponent - minExponent + 1).map((value, index) => power(minExponent + index));
+    }
+
+    majorValues.sort((a, b) => a - b);
+
+    this.range = {
+      min: majorValues[0],
+      max: majorValues[majorValues.length - 1]
+    };
+
+    // Only every n-th power gets a tick if the powers are too close to each other
+    let every = 1;
+    while (this.axisLength / (majorValues.length - 1) * every < scaleMinSpace && every < majorValues.length) {
+      every++;
+    }
+
+    this.ticks = majorValues.filter((value, index) => index % every === 0);
+    this.minorTicks = [];
+
+    if (minorTicks && every === 1) {
+      majorValues.forEach((value) => {
+        for (let multiple = 2; multiple < this.base; multiple++) {
+          let minor = Chartist.roundWithPrecision(value * multiple, 10);
+          if (value !== 0 && minor > this.range.min && minor < this.range.max) {
+            this.minorTicks.push(minor);
+          }
+        }
+      });
+      this.ticks = this.ticks.concat(this.minorTicks).sort((a, b) => a - b);
+    }
+  }
+
+  /**
+   * Applies the logarithmic transformation of the axis. Symlog axes use sign(v) * log(1 + |v| / linearThreshold), which is linear around zero.
+   *
+   * @memberof Chartist.LogScaleAxis
+   * @param {Number} value The value
+   * @return {Number} The transformed value
+   */
+  transform(value) {
+    if (this.symlog) {
+      return (value < 0 ? -1 : 1) * Math.log(1 + Math.abs(value) / this.linearThreshold) / Math.log(this.base);
+    }
+
+    // Dropped values are placed at the start of the axis, which is where bars start
+    return Math.log(Math.max(value, this.range.min)) / Math.log(this.base);
+  }
+
+  /**
+   * Converts a transformed value back to the value, which is the inverse of `transform`.
+   *
+   * @memberof Chartist.LogScaleAxis
+   * @param {Number} transformed The transformed value
+   * @return {Number} The value
+   */
+  untransform(transformed) {
+    if (this.symlog) {
+      return (transformed < 0 ? -1 : 1) * (Math.pow(this.base, Math.abs(transformed)) - 1) * this.linearThreshold;
+    }
+
+    return Math.pow(this.base, transformed);
+  }
+
+  /**
+   * Checks if a value can be projected on the axis. Unless the axis is a symlog axis, zero and negative values are dropped.
+   *
+   * @memberof Chartist.LogScaleAxis
+   * @param {Number|Object} value The value
+   * @return {Boolean} True if the value can be projected
+   */
+  isProjectable(value) {
+    let number = Chartist.getMultiValue(value, this.units.pos);
+    return number === undefined || this.symlog || number > 0;
+  }
+
+  /**
+   * Gives the minor ticks of the axis an empty label, so they only get a grid line.
+   *
+   * @memberof Chartist.LogScaleAxis
+   * @param {Object} chartOptions The options of the chart
+   * @return {Object} The chart options with the label interpolation of the axis
+   */
+  labelOptions(chartOptions) {
+    let axisName = 'axis' + this.id.toUpperCase();
+    let labelInterpolationFnc = chartOptions[axisName].labelInterpolationFnc;
+
+    if (this.minorTicks.length) {
+      // Minor ticks get a grid line but an empty label
+      let axisOptions = {};
+      axisOptions[axisName] = {
+        labelInterpolationFnc: (value, index) => {
+          return this.minorTicks.indexOf(value) !== -1 ? '' : labelInterpolationFnc.call(this, value, index);
+        }
+      };
+      chartOptions = Chartist.extend({}, chartOptions, axisOptions);
+    }
+
+    return chartOptions;
+  }
+
+  /**
+   *
+   * @param value {number}
+   * @param index {number}
+   * @param data {Object}
+   * @return {number}
+   */
+  projectValue(value, index, data) {
+    let min = this.transform(this.range.min);
+    let max = this.transform(this.range.max);
+    return this.axisLength * (this.transform(+Chartist.getMultiValue(value, this.units.pos)) - min) / (max - min);
+  }
+
+  /**
+   * Converts a position on the axis back to a value.
+   *
+   * @memberof Chartist.LogScaleAxis
+   * @param {Number} pixel The distance from the start of the axis
+   * @return {Number} The value at the position
+   */
+  invertValue(pixel) {
+    let min = this.transform(this.range.min);
+    let max = this.transform(this.range.max);
+    return this.untransform(min + pixel / this.axisLength * (max - min));
+  }
+}
+
+export default LogScaleAxis;
@@ -42,6 +42,17 @@ class StepAxis extends Axis {
     return this.stepLength * index;
   }
 
+  /**
+   * Converts a position on the axis back to the index of the nearest step.
+   *
+   * @memberof Chartist.StepAxis
+   * @param {Number} pixel The distance from the start of the axis
+   * @return {Number} The index of the nearest step
+   */
+  invertValue(pixel) {
+    return Math.max(0, Math.min(Math.round(pixel / this.stepLength), this.ticks.length - 1));
+  }
+
   // StepAxis = Chartist.Axis.extend({
   //   constructor: StepAxis,
   //   projectValue: projectValue
@@ -0,0 +1,347 @@
+/**
+ * The time axis projects timestamps linearly along an axis and generates ticks at human-friendly intervals that are aligned to calendar boundaries, like full hours, the first day of a month or the start of a year. The interval is chosen based on the available space, so that the ticks are not closer to each other than the scaleMinSpace option allows. Values can be given as timestamps in milliseconds, Date objects or ISO 8601 date strings.
+ * **Options**
+ * The following options are used by this axis in addition to the default axis options outlined in the axis configuration of the chart default settings.
+ * ```javascript
+ * var options = {
+ *   // If high is specified then the axis will display values explicitly up to this date and the computed maximum from the data is ignored
+ *   high: new Date(2017, 11, 31),
+ *   // If low is specified then the axis will display values explicitly down to this date and the computed minimum from the data is ignored
+ *   low: '2017-01-01',
+ *   // The minimum space in pixel between two ticks. The smallest interval that doesn't violate this space is chosen.
+ *   scaleMinSpace: 40,
+ *   // The timezone the ticks are aligned and the labels are formatted in, either 'local' or 'utc'
+ *   timezone: 'utc',
+ *   // Restricts the ticks to a fixed interval instead of choosing one, like {unit: 'month', step: 3}
+ *   interval: undefined,
+ *   // The day weeks start with, where 0 is Sunday and 1 is Monday
+ *   weekStart: 1,
+ *   // Overrides the default label formats of the interval units, see Chartist.TimeAxis.labelFormats
+ *   labelFormats: {day: 'D.M.'}
+ * };
+ * ```
+ * If no custom labelInterpolationFnc is set on the axis, the labels are formatted with the format of the chosen interval unit.
+ *
+ * @module Chartist.TimeAxis
+ */
+import Chartist from '../core';
+import Axis from './axis';
+
+let monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October',
+  'November', 'December'];
+
+let pad = (number, length) => {
+  return ('000' + number).slice(-length);
+};
+
+class TimeAxis extends Axis {
+
+  /**
+   * Time axes accept Date objects and ISO 8601 date strings as values, which are converted to timestamps when the data of a chart is normalized.
+   *
+   * @memberof Chartist.TimeAxis
+   */
+  static acceptsDates = true;
+
+  /**
+   * The approximate durations of the interval units in milliseconds, which are used to choose the interval
+   *
+   * @memberof Chartist.TimeAxis
+   */
+  static unitDurations = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30.44 * 24 * 60 * 60 * 1000,
+    quarter: 3 * 30.44 * 24 * 60 * 60 * 1000,
+    year: 365.25 * 24 * 60 * 60 * 1000
+  };
+
+  /**
+   * The intervals the axis chooses from, from the smallest to the largest. Larger intervals are multiples of 10 years.
+   *
+   * @memberof Chartist.TimeAxis
+   */
+  static intervals = [
+    {unit: 'second', step: 1},
+    {unit: 'second', step: 5},
+    {unit: 'second', step: 15},
+    {unit: 'second', step: 30},
+    {unit: 'minute', step: 1},
+    {unit: 'minute', step: 5},
+    {unit: 'minute', step: 15},
+    {unit: 'minute', step: 30},
+    {unit: 'hour', step: 1},
+    {unit: 'hour', step: 3},
+    {unit: 'hour', step: 6},
+    {unit: 'hour', step: 12},
+    {unit: 'day', step: 1},
+    {unit: 'day', step: 2},
+    {unit: 'week', step: 1},
+    {unit: 'month', step: 1},
+    {unit: 'quarter', step: 1},
+    {unit: 'year', step: 1},
+    {unit: 'year', step: 2},
+    {unit: 'year', step: 5},
+    {unit: 'year', step: 10}
+  ];
+
+  /**
+   * The default label formats of the interval units. The tokens `YYYY`, `YY`, `Q`, `MMMM`, `MMM`, `MM`, `M`, `DD`, `D`, `HH`, `H`, `mm` and `ss` are replaced with the parts of the date, text in square brackets is kept as it is.
+   *
+   * @memberof Chartist.TimeAxis
+   */
+  static labelFormats = {
+    second: 'HH:mm:ss',
+    minute: 'HH:mm',
+    hour: 'HH:mm',
+    day: 'MMM D',
+    week: 'MMM D',
+    month: 'MMM YYYY',
+    quarter: '[Q]Q YYYY',
+    year: 'YYYY'
+  };
+
+  interval;
+  range;
+  utc;
+  weekStart;
+
+  constructor(axisUnit, data, chartRect, options) {
+    super(axisUnit, chartRect, null, options);
+
+    this.utc = options.timezone === 'utc';
+    this.weekStart = options.weekStart === undefined ? 1 : options.weekStart;
+
+    let highLow = options.highLow || Chartist.getHighLow(data, Chartist.extend({}, options, {
+      high: Chartist.dateToTimestamp(options.high),
+      low: Chartist.dateToTimestamp(options.low)
+    }), axisUnit.pos);
+
+    this.range = {
+      min: highLow.low,
+      max: highLow.high
+    };
+
+    this.interval = options.interval || this.chooseInterval(options.scaleMinSpace || 40);
+    this.ticks = this.createTicks();
+  }
+
+  /**
+   * Chooses the smallest interval where the ticks are at least the given space apart.
+   *
+   * @memberof Chartist.TimeAxis
+   * @param {Number} scaleMinSpace The minimum space in pixel between two ticks
+   * @return {Object} The interval with a unit and a step
+   */
+  chooseInterval(scaleMinSpace) {
+    let span = this.range.max - this.range.min;
+    let fits = (interval) => {
+      return this.axisLength / (span / (TimeAxis.unitDurations[interval.unit] * interval.step)) >= scaleMinSpace;
+    };
+
+    let interval = TimeAxis.intervals.find(fits);
+    if (interval) {
+      return interval;
+    }
+
+    // Very long ranges use multiples of ten years
+    let step = 10;
+    while (!fits({unit: 'year', step: step}) && TimeAxis.unitDurations.year * step < span) {
+      step *= 10;
+    }
+
+    return {
+      unit: 'year',
+      step: step
+    };
+  }
+
+  /**
+   * Generates the ticks between the minimum and maximum of the range. The first tick is the first calendar boundary of the interval within the range.
+   *
+   * @memberof Chartist.TimeAxis
+   * @return {Array} The timestamps of the ticks
+   */
+  createTicks() {
+    let ticks = [];
+    let index = 0;
+    let start = this.floor(this.range.min);
+    let tick = start;
+
+    while (tick <= this.range.max) {
+      if (tick >= this.range.min) {
+        ticks.push(tick);
+      }
+      // Ticks are always computed from the start, so that a shorter month doesn't shift all following ticks
+      tick = this.add(start, ++index * this.interval.step);
+    }
+
+    return ticks;
+  }
+
+  /**
+   * Returns the parts of a date in the timezone of the axis.
+   *
+   * @memberof Chartist.TimeAxis
+   * @param {Number} timestamp The timestamp in milliseconds
+   * @return {Object} The year, month (0-11), date, day of the week, hours, minutes and seconds
+   */
+  parts(timestamp) {
+    let date = new Date(timestamp);
+    let get = (name) => date[(this.utc ? 'getUTC' : 'get') + name]();
+
+    return {
+      year: get('FullYear'),
+      month: get('Month'),
+      date: get('Date'),
+      day: get('Day'),
+      hours: get('Hours'),
+      minutes: get('Minutes'),
+      seconds: get('Seconds')
+    };
+  }
+
+  toTimestamp(year, month, date, hours, minutes, seconds) {
+    return this.utc ?
+      Date.UTC(year, month, date, hours, minutes, seconds) :
+      new Date(year, month, date, hours, minutes, seconds).getTime();
+  }
+
+  /**
+   * Rounds a timestamp down to the previous calendar boundary of the interval.
+   *
+   * @memberof Chartist.TimeAxis
+   * @param {Number} timestamp The timestamp in milliseconds
+   * @return {Number} The timestamp of the boundary
+   */
+  floor(timestamp) {
+    let p = this.parts(timestamp);
+    let step = this.interval.step;
+    let down = (value, offset) => Math.floor((value - (offset || 0)) / step) * step + (offset || 0);
+
+    switch (this.interval.unit) {
+      case 'second':
+        return this.toTimestamp(p.year, p.month, p.date, p.hours, p.minutes, down(p.seconds));
+      case 'minute':
+        return this.toTimestamp(p.year, p.month, p.date, p.hours, down(p.minutes), 0);
+      case 'hour':
+        return this.toTimestamp(p.year, p.month, p.date, down(p.hours), 0, 0);
+      case 'day':
+        return this.toTimestamp(p.year, p.month, down(p.date, 1), 0, 0, 0);
+      case 'week':
+        return this.toTimestamp(p.year, p.month, p.date - (p.day - this.weekStart + 7) % 7, 0, 0, 0);
+      case 'month':
+        return this.toTimestamp(p.year, down(p.month), 1, 0, 0, 0);
+      case 'quarter':
+        return this.toTimestamp(p.year, Math.floor(p.month / (3 * step)) * 3 * step, 1, 0, 0, 0);
+      default:
+        return this.toTimestamp(down(p.year), 0, 1, 0, 0, 0);
+    }
+  }
+
+  /**
+   * Adds a number of interval units to a timestamp, where the calendar takes care of months and years with different lengths.
+   *
+   * @memberof Chartist.TimeAxis
+   * @param {Number} timestamp The timestamp in milliseconds
+   * @param {Number} count The number of interval units to add
+   * @return {Number} The resulting timestamp
+   */
+  add(timestamp, count) {
+    let p = this.parts(timestamp);
+    let amounts = {
+      second: [0, 0, 0, 0, 0, count],
+      minute: [0, 0, 0, 0, count, 0],
+      hour: [0, 0, 0, count, 0, 0],
+      day: [0, 0, count, 0, 0, 0],
+      week: [0, 0, count * 7, 0, 0, 0],
+      month: [0, count, 0, 0, 0, 0],
+      quarter: [0, count * 3, 0, 0, 0, 0],
+      year: [count, 0, 0, 0, 0, 0]
+    }[this.interval.unit];
+
+    return this.toTimestamp(p.year + amounts[0], p.month + amounts[1], p.date + amounts[2],
+      p.hours + amounts[3], p.minutes + amounts[4], p.seconds + amounts[5]);
+  }
+
+  /**
+   * Formats a timestamp in the timezone of the axis. Without a format, the label format of the interval unit is used.
+   *
+   * @memberof Chartist.TimeAxis
+   * @param {Number} timestamp The timestamp in milliseconds
+   * @param {String} [format] The format with the tokens described in Chartist.TimeAxis.labelFormats
+   * @return {String} The formatted date
+   */
+  format(timestamp, format) {
+    let p = this.parts(timestamp);
+    let tokens = {
+      YYYY: p.year,
+      YY: pad(p.year % 100, 2),
+      Q: Math.floor(p.month / 3) + 1,
+      MMMM: monthNames[p.month],
+      MMM: monthNames[p.month].substring(0, 3),
+      MM: pad(p.month + 1, 2),
+      M: p.month + 1,
+      DD: pad(p.date, 2),
+      D: p.date,
+      HH: pad(p.hours, 2),
+      H: p.hours,
+      mm: pad(p.minutes, 2),
+      ss: pad(p.seconds, 2)
+    };
+
+    format = format || Chartist.extend({}, TimeAxis.labelFormats, this.options.labelFormats)[this.interval.unit];
+    return format.replace(/\[([^\]]*)]|YYYY|YY|Q|MMMM|MMM|MM|M|DD|D|HH|H|mm|ss/g, (token, literal) => {
+      return literal !== undefined ? literal : '' + tokens[token];
+    });
+  }
+
+  /**
+   * Formats the ticks with the format of the interval unit, unless the axis has a custom label interpolation.
+   *
+   * @memberof Chartist.TimeAxis
+   * @param {Object} chartOptions The options of the chart
+   * @return {Object} The chart options with the label interpolation of the axis
+   */
+  labelOptions(chartOptions) {
+    let axisName = 'axis' + this.id.toUpperCase();
+
+    // Without a custom label interpolation the ticks are formatted with the format of the interval unit
+    if (chartOptions[axisName].labelInterpolationFnc === Chartist.noop) {
+      let axisOptions = {};
+      axisOptions[axisName] = {
+        labelInterpolationFnc: (value) => this.format(value)
+      };
+      chartOptions = Chartist.extend({}, chartOptions, axisOptions);
+    }
+
+    return chartOptions;
+  }
+
+  /**
+   *
+   * @param value {number}
+   * @param index {number}
+   * @param data {Object}
+   * @return {number}
+   */
+  projectValue(value, index, data) {
+    return this.axisLength * (+Chartist.getMultiValue(value, this.units.pos) - this.range.min) / (this.range.max - this.range.min);
+  }
+
+  /**
+   * Converts a position on the axis back to a timestamp.
+   *
+   * @memberof Chartist.TimeAxis
+   * @param {Number} pixel The distance from the start of the axis
+   * @return {Number} The timestamp in milliseconds at the position
+   */
+  invertValue(pixel) {
+    return this.range.min + pixel / this.axisLength * (this.range.max - this.range.min);
+  }
+}
+
+export default TimeAxis;
@@ -8,6 +8,23 @@ import Class from './class';
 import Chartist from './core';
 import Event from "./event";
 import Svg from "./svg";
+import Reconciler from "./reconciler";
+import Transition from "./transition";
+import * as Export from "./export";
+import DrawnValues from "./drawn-values";
+import Tooltip from "./tooltip";
+import Accessibility from "./accessibility";
+import Legend from "./legend";
+import ValueLabels from "./value-labels";
+import Zoom from "./zoom";
+import Crosshair from "./crosshair";
+import Brush from "./brush";
+import CanvasRenderer from "./canvas-renderer";
+import StepAxis from "./axes/step-axis";
+import BandAxis from "./axes/band-axis";
+
+// Every chart needs its own clip path, as the ids of all charts share the document
+let clipPathCount = 0;
 
 // noinspection JSUnusedGlobalSymbols,JSUnresolvedVariable
 class Base extends Class {
@@ -19,7 +36,7 @@ class Base extends Class {
   // Update: can be done using the above method tested here: http://codepen.io/gionkunz/pen/KDvLj
   // The problem is with the label offsets that can't be converted into percentage and affecting the chart container
   /**
-   * Updates the chart which currently does a full reconstruction of the SVG DOM
+   * Updates the chart. By default this does a full reconstruction of the SVG DOM. If the `reconcile` option is enabled, the existing SVG elements are re-used and only their changed attributes are patched. If the `transition` option is enabled, the elements are additionally animated from their previous to their new state.
    *
    * @param {Object} [data] Optional data you'd like to set for the chart before it will update. If not specified the update method will use the data that is already configured with the chart.
    * @param {Object} [options] Optional options you'd like to add to the previous options for the chart before it will update. If not specified the update method will use the options that have been already configured with the chart.
@@ -66,6 +83,22 @@ class Base extends Class {
   detach() {
     // Only detach if initialization already occurred on this chart. If this chart still hasn't initialized (therefore
     // the initializationTimeoutId is still a valid timeout reference, we will clear the timeout
+    if (this.headless) {
+      // Headless charts don't register any listeners, so there is nothing to detach
+      return this;
+    }
+
+    this.tooltip.destroy();
+    this.accessibility.destroy();
+    this.legend.destroy();
+    this.zoom.destroy();
+    this.crosshair.destroy();
+    this.brush.destroy();
+    if (this.renderer) {
+      this.renderer.destroy();
+      this.renderer = undefined;
+    }
+
     if (!this.initializeTimeoutId) {
       window.removeEventListener('resize', this.resizeListener);
       this.optionsProvider.removeMediaQueryListeners();
@@ -101,13 +134,287 @@ class Base extends Class {
     return this;
   }
 
+  /**
+   * Exports the chart into a standalone SVG document that looks right outside the page. Labels that are drawn with foreignObjects are converted into text elements and, unless the `inlineStyles` option is set to false, the computed styles of all Chartist elements are inlined.
+   *
+   * @memberof Base
+   * @param {Object} [options] Export options, see the default options of the export module
+   * @return {String} The SVG document
+   */
+  exportSvg(options) {
+    return Export.exportSvg(this, options);
+  }
+
+  /**
+   * Exports the chart into a PNG or JPEG image. The options `type` (`png` or `jpeg`), `scale`, `quality` and `background` control the created image.
+   *
+   * @memberof Base
+   * @param {Object} [options] Export options, see the default options of the export module
+   * @return {Promise} A promise that resolves with the data URL of the image
+   */
+  exportImage(options) {
+    return Export.exportImage(this, options);
+  }
+
+  /**
+   * Creates the SVG element of the chart. If the `reconcile` or `transition` option is enabled and the chart has already been drawn, the existing SVG element is re-used instead, so that the chart elements can be reconciled with the ones drawn previously. If the `renderer` option is set to `'canvas'`, the SVG element is created in the virtual document of the canvas renderer, which paints it onto a canvas.
+   *
+   * @memberof Base
+   * @param {Object} options The current chart options
+   * @param {String} className The class name of the SVG element
+   * @return {Svg} The SVG element of the chart
+   */
+  prepareSvg(options, className) {
+    // Transitions are only possible between two drawings of the same SVG element, so there is none on the first drawing
+    this.transition = undefined;
+
+    let container = this.container;
+    let size = {
+      width: options.width,
+      height: options.height
+    };
+    if (options.renderer === 'canvas' && !this.headless) {
+      this.renderer = this.renderer || new CanvasRenderer(this);
+      size = this.renderer.prepare(options);
+      container = this.renderer.container;
+    } else if (this.renderer) {
+      this.renderer.destroy();
+      this.renderer = undefined;
+    }
+    // Labels and animations of a virtual document can't be painted onto a canvas
+    this.supportsForeignObject = !this.renderer && !this.headless && Svg.isSupported('Extensibility');
+    this.supportsAnimations = !this.renderer && !this.headless && Svg.isSupported('AnimationEventsAttribute');
+
+    if ((options.reconcile || options.transition) && this.svg && this.svg._node.parentNode === container) {
+      this.transition = Transition.resolveOptions(options.transition);
+
+      let width = size.width || '100%';
+      let height = size.height || '100%';
+
+      this.svg.attr({
+        width: width,
+        height: height
+      });
+      this.svg._node.style.width = width;
+      this.svg._node.style.height = height;
+      this.svg.removeAllClasses().addClass(className);
+    } else {
+      this.reconciler.reset();
+      this.svg = Chartist.createSvg(container, size.width, size.height, className);
+    }
+
+    if (this.renderer) {
+      this.renderer.attach(this.svg);
+    }
+
+    // Without the reconcile option, elements are never re-used, not even if two of them have the same key
+    this.reconciler.begin(this.transition ? (element, remove) => {
+      Transition.attributes(element, {opacity: element.attr('opacity') || 1}, {opacity: 0}, this.transition,
+        this.eventEmitter, {state: 'removed'}, remove);
+    } : undefined, !!(options.reconcile || options.transition));
+    return this.svg;
+  }
+
+  /**
+   * Replaces the normalized values of the series that have been hidden with the legend, so they are neither drawn nor taken into account for the axis bounds. The data of the chart itself is not modified.
+   *
+   * @memberof Base
+   * @param {Object} data The normalized data object returned by `Chartist.normalizeData`
+   * @param {*} hiddenValue The value that replaces the values of a hidden series
+   * @return {Object} The normalized data object
+   */
+  hideSeries(data, hiddenValue) {
+    data.normalized.series = data.normalized.series.map((series, index) => {
+      return this.legend.isHidden(data.raw.series[index], index) ? hiddenValue : series;
+    });
+    return data;
+  }
+
+  /**
+   * Fits the labels of the axes that have the `autoFit` option enabled. If the labels of an axis need a larger offset than configured, options with the grown offsets are returned, so the chart can be laid out again with them.
+   *
+   * @memberof Base
+   * @param {Object} options The current chart options
+   * @param {Array} axes The axes of the chart, where missing axes are left out
+   * @return {Object|undefined} The options with the grown axis offsets or undefined if all labels fit into their offsets
+   */
+  fitAxes(options, axes) {
+    let grown = {};
+
+    axes.filter((axis) => axis && options['axis' + axis.id.toUpperCase()].autoFit).forEach((axis) => {
+      let axisName = 'axis' + axis.id.toUpperCase();
+      let offset = axis.fitLabels(this.svg, options);
+
+      if (offset > options[axisName].offset) {
+        grown[axisName] = {
+          offset: offset
+        };
+      }
+    });
+
+    return Object.keys(grown).length ? Chartist.extend({}, options, grown) : undefined;
+  }
+
+  /**
+   * Clips an element to the chart area, so values outside of axes with strict bounds, like the axes of a zoomed chart, are not drawn across the labels.
+   *
+   * @memberof Base
+   * @param {Svg} element The element that should be clipped, usually the group of the series
+   * @param {Object} chartRect The chart rectangle
+   * @param {Boolean} clip If false, a previous clipping of the element is removed
+   */
+  clipToChartArea(element, chartRect, clip) {
+    if (!clip) {
+      element._node.removeAttribute('clip-path');
+      return;
+    }
+
+    let clipPath = this.reconciler.elem(this.svg, 'clip-path', 'clipPath', {
+      id: this.clipId
+    });
+    this.reconciler.elem(clipPath, 'clip-path:rect', 'rect', {
+      x: chartRect.x1,
+      y: chartRect.y2,
+      width: chartRect.width(),
+      height: chartRect.height()
+    });
+    element.attr({
+      'clip-path': 'url(#' + this.clipId + ')'
+    });
+  }
+
+  /**
+   * Returns the chart element a pointer event is targeted at. Charts that are painted on a canvas find the element by hit-testing the painted shapes, as the canvas itself is the target of all their pointer events.
+   *
+   * @memberof Base
+   * @param {Event} event The mouse or touch event
+   * @return {Node} The element below the pointer
+   */
+  eventTarget(event) {
+    let pointer = event.touches && event.touches.length ? event.touches[0] : event;
+    if (this.renderer && pointer.clientX !== undefined) {
+      return this.renderer.elementAt(pointer.clientX, pointer.clientY) || event.target;
+    }
+    return event.target;
+  }
+
+  /**
+   * Converts a pointer position to the data coordinates of the chart, for example to handle clicks or drags in plugins. The position is converted with the axes of the last drawing, where step and band axes return the index of the nearest label. The value drawn nearest to the position is returned with its series and value index. With the `reverseData` option, the indices refer to the data before it was reversed.
+   *
+   * @memberof Base
+   * @param {Number} clientX The horizontal pointer position in the viewport
+   * @param {Number} clientY The vertical pointer position in the viewport
+   * @return {Object|undefined} An object with the values x, y and y2 (if the chart has a secondary Y axis) on the axes, and seriesIndex, index and value of the nearest drawn value. Undefined if the chart has no axes or the position is outside of the chart area.
+   */
+  valueAt(clientX, clientY) {
+    let layout = this.layout;
+    if (!layout || !layout.axisX || !layout.axisY) {
+      return undefined;
+    }
+
+    let chartRect = layout.chartRect;
+    let svgRect = this.svg.getNode().getBoundingClientRect();
+    let x = clientX - svgRect.left;
+    let y = clientY - svgRect.top;
+
+    if (x < chartRect.x1 || x > chartRect.x2 || y < chartRect.y2 || y > chartRect.y1) {
+      return undefined;
+    }
+
+    let data = Chartist.normalizeData(this.data, false, true);
+    // Indices of reversed data count from the end of the original data
+    let original = (index, count) => layout.options.reverseData ? count - 1 - index : index;
+    // Step and band axes return the index of a label
+    let invert = (axis, pixel) => {
+      let value = axis.invertValue(pixel);
+      return axis instanceof StepAxis || axis instanceof BandAxis ? original(value, data.normalized.labels.length) : value;
+    };
+    let result = {
+      x: invert(layout.axisX, x - chartRect.x1),
+      y: invert(layout.axisY, chartRect.y1 - y)
+    };
+    if (layout.axisY2) {
+      result.y2 = invert(layout.axisY2, chartRect.y1 - y);
+    }
+
+    let nearest = this.drawnValues.nearest(x, y);
+
+    if (nearest) {
+      let seriesCount = data.normalized.series.length;
+      let seriesIndex = original(nearest.seriesIndex, seriesCount);
+      result.seriesIndex = seriesIndex;
+      result.index = original(nearest.index, (data.normalized.series[seriesIndex] || []).length);
+      result.value = nearest.value;
+    }
+
+    return result;
+  }
+
+  /**
+   * Animates an element that has been drawn with the reconciler, if transitions are enabled. Updated elements are animated from their previous to their new attribute values, where numeric attributes and paths are interpolated. Created elements fade in, unless their parent element has just been created as well, and can optionally start from custom enter attributes.
+   *
+   * @memberof Base
+   * @param {Svg} element The element that should be animated
+   * @param {String} key The reconciler key of the element
+   * @param {Object} [enter] Attribute values a created element should be animated from
+   * @return {Svg} The element wrapper
+   */
+  transitionElement(element, key, enter) {
+    if (!this.transition) {
+      return element;
+    }
+
+    let from = {};
+    let to = {};
+
+    if (this.reconciler.state(key) === 'created') {
+      Object.keys(enter || {}).forEach((attribute) => {
+        from[attribute] = enter[attribute];
+        to[attribute] = element.attr(attribute);
+      });
+
+      if (this.reconciler.stateOf(element.parent()) !== 'created') {
+        from.opacity = 0;
+        to.opacity = 1;
+      }
+    } else {
+      let changes = this.reconciler.changes(key);
+      Object.keys(changes).filter((attribute) => {
+        let change = changes[attribute];
+        // Only numeric attributes and path descriptions can be interpolated
+        return attribute.indexOf(':') === -1 && change.from !== null && change.to !== undefined &&
+          (attribute === 'd' || (!isNaN(parseFloat(change.from)) && !isNaN(parseFloat(change.to))));
+      }).forEach((attribute) => {
+        from[attribute] = changes[attribute].from;
+        to[attribute] = changes[attribute].to;
+      });
+    }
+
+    if (Object.keys(to).length) {
+      Transition.attributes(element, from, to, this.transition, this.eventEmitter, {
+        state: this.reconciler.state(key)
+      }, () => {
+        // The fade in is only a transition effect, the element itself should not keep an opacity attribute
+        if (to.opacity !== undefined && element._node.getAttribute('opacity') !== null) {
+          element._node.removeAttribute('opacity');
+        }
+      });
+    }
+
+    return element;
+  }
+
   initialize() {
-    // Add window resize listener that re-creates the chart
-    window.addEventListener('resize', this.resizeListener);
+    // Add window resize listener that re-creates the chart, unless there is no window to listen to
+    if (!this.headless) {
+      window.addEventListener('resize', this.resizeListener);
+    }
 
     // Obtain current options based on matching media queries (if responsive options are given)
-    // This will also register a listener that is re-creating the chart based on media changes
-    this.optionsProvider = Chartist.optionsProvider(this.options, this.responsiveOptions, this.eventEmitter);
+    // This will also register a listener that is re-creating the chart based on media changes. Without a window there
+    // are no media queries, so headless charts ignore the responsive options.
+    this.optionsProvider = Chartist.optionsProvider(this.options, this.headless ? undefined : this.responsiveOptions,
+      this.eventEmitter);
     // Register options change listener that will trigger a chart update
     this.eventEmitter.addEventHandler('optionsChanged', () => {
       this.update();
@@ -140,11 +447,27 @@ class Base extends Class {
   }
 
   container;
+  svg;
   data;
   defaultOptions;
   options;
   responsiveOptions;
   eventEmitter;
+  internalEmitter;
+  reconciler;
+  drawnValues;
+  tooltip;
+  accessibility;
+  legend;
+  valueLabels;
+  zoom;
+  crosshair;
+  brush;
+  renderer;
+  layout;
+  clipId;
+  transition;
+  headless;
   supportsForeignObject;
   supportsAnimations;
   resizeListener;
@@ -159,9 +482,27 @@ class Base extends Class {
     this.defaultOptions = defaultOptions;
     this.options = options;
     this.responsiveOptions = responsiveOptions;
-    this.eventEmitter = Event.EventEmitter();
-    this.supportsForeignObject = Svg.isSupported('Extensibility');
-    this.supportsAnimations = Svg.isSupported('AnimationEventsAttribute');
+    // The modules of the chart listen to its events on an internal emitter, which is not affected by the on and off methods
+    this.internalEmitter = Event.EventEmitter();
+    this.eventEmitter = Event.EventEmitter(this.internalEmitter);
+    this.reconciler = new Reconciler(this.eventEmitter, this.internalEmitter);
+    this.drawnValues = new DrawnValues(this);
+    this.tooltip = new Tooltip(this);
+    this.accessibility = new Accessibility(this);
+    this.legend = new Legend(this);
+    this.valueLabels = new ValueLabels(this);
+    this.zoom = new Zoom(this);
+    this.crosshair = new Crosshair(this);
+    this.brush = new Brush(this);
+    this.clipId = 'ct-clip-' + (++clipPathCount);
+    // The layout of the last drawing is needed to convert pointer positions to values
+    this.internalEmitter.addEventHandler('created', (data) => {
+      this.layout = data;
+    });
+    // Charts in a document without a window (like the virtual document used by Chartist.renderToString) are headless
+    this.headless = !!this.container && !this.container.ownerDocument.defaultView;
+    this.supportsForeignObject = !this.headless && Svg.isSupported('Extensibility');
+    this.supportsAnimations = !this.headless && Svg.isSupported('AnimationEventsAttribute');
     this.resizeListener = () => {
       this.update();
     };
@@ -176,10 +517,12 @@ class Base extends Class {
     }
 
     // Using event loop for first draw to make it possible to register event listeners in the same call stack where
-    // the chart was created.
-    this.initializeTimeoutId = setTimeout(() => {
-      this.initialize()
-    }, 0);
+    // the chart was created. Headless charts are rendered synchronously, so their initialization is left to the caller.
+    if (!this.headless) {
+      this.initializeTimeoutId = setTimeout(() => {
+        this.initialize()
+      }, 0);
+    }
   }
 
   createChart() {
@@ -0,0 +1,413 @@
+/**
+ * The brush of the Line charts is a selection window on the X axis that can be drawn, moved and resized with the mouse or a touch. It is used by the overview of a `Chartist.Navigator` to choose the range of long time series that detail charts show. The selected range is applied to the `low` and `high` options of the X axis of the detail charts, so the X axis of the detail charts needs a continuous scale like the `AutoScaleAxis`, the `FixedScaleAxis` or the `TimeAxis`.
+ *
+ * @module Brush
+ */
+import Chartist from './core';
+
+class Brush {
+
+  /**
+   * Default options of the brush. The brush option of a chart can be set to true to use these defaults or to an object that overrides some of them.
+   *
+   * @memberof Brush
+   */
+  static defaultOptions = {
+    // The detail charts whose X axis shows the selected range, given as a selector or as an array of selectors, container elements or charts. Charts need to be given in an array, so they are not copied with the options.
+    detail: undefined,
+    // The range that is selected when the chart is drawn for the first time as an object with min and max, like a range that has been restored from the URL
+    range: undefined,
+    // The smallest range that can be selected
+    minRange: 0,
+    // The width of the handles at the edges of the selection in pixels
+    handleWidth: 8
+  };
+
+  chart;
+  options;
+  classNames;
+  selection;
+  initialized = false;
+  chartRect;
+  axisX;
+  group;
+  gesture;
+  listeners = {};
+  documentListeners = {};
+  pendingDetails = false;
+
+  /**
+   * Creates the brush of a chart. The brush stays inactive until the chart is drawn with the brush option enabled.
+   *
+   * @memberof Brush
+   * @param {Object} chart The chart the brush belongs to
+   * @constructor
+   */
+  constructor(chart) {
+    this.chart = chart;
+  }
+
+  /**
+   * Activates the brush for the drawn chart and draws the selection. The initial range of the options is selected when the brush is drawn for the first time.
+   *
+   * @memberof Brush
+   * @param {Object} options The options of the chart
+   * @param {Object} chartRect The chart rectangle
+   * @param {Axis} axisX The X axis of the chart, which needs a range
+   */
+  draw(options, chartRect, axisX) {
+    if (!options.brush || !axisX.range) {
+      this.destroy();
+      return;
+    }
+
+    this.options = Chartist.extend({}, Brush.defaultOptions, options.brush === true ? {} : options.brush);
+    this.classNames = options.classNames;
+    this.chartRect = chartRect;
+    this.axisX = axisX;
+
+    // The initial range is only selected if no range has been selected before the first drawing
+    let initialRange = !this.initialized && this.selection === undefined ? this.options.range : undefined;
+    this.initialized = true;
+    this.selection = this.limit(initialRange || this.selection);
+    if (initialRange) {
+      this.updateDetails();
+    }
+
+    if (!this.chart.headless && this.chart.container) {
+      this.render();
+      this.attach();
+    }
+  }
+
+  /**
+   * Selects a range, for example to restore a selection from the URL, and shows it in the detail charts. Unlike a selection by the user, this doesn't emit a `rangeChange` event.
+   *
+   * @memberof Brush
+   * @param {Object} [range] The range with min and max or undefined to clear the selection
+   */
+  select(range) {
+    this.selection = this.axisX ? this.limit(range) : range;
+    if (this.group) {
+      this.render();
+    }
+    this.updateDetails();
+  }
+
+  /**
+   * Returns the selected range.
+   *
+   * @memberof Brush
+   * @return {Object|undefined} The selected range with min and max or undefined if nothing is selected
+   */
+  selectedRange() {
+    return this.selection ? {
+      min: this.selection.min,
+      max: this.selection.max
+    } : undefined;
+  }
+
+  /**
+   * Applies a range that has been selected by the user. The `rangeChange` event is emitted with the selected range before the detail charts are updated. If nothing is selected, the event contains the whole range of the axis. The detail charts are updated with the next animation frame, so they are drawn at most once per frame while the user drags.
+   *
+   * @memberof Brush
+   * @param {Object} [range] The selected range with min and max or undefined to clear the selection
+   */
+  apply(range) {
+    this.selection = this.limit(range);
+    this.render();
+
+    let selected = this.selection || this.axisX.range;
+    this.chart.eventEmitter.emit('rangeChange', {
+      min: selected.min,
+      max: selected.max,
+      selected: !!this.selection
+    });
+    this.scheduleDetails();
+  }
+
+  /**
+   * Updates the detail charts with the next animation frame, unless an update is already pending.
+   *
+   * @memberof Brush
+   */
+  scheduleDetails() {
+    if (this.pendingDetails) {
+      return;
+    }
+
+    this.pendingDetails = true;
+    let view = this.chart.container && this.chart.container.ownerDocument.defaultView;
+    let callback = () => {
+      // The detail charts are looked up when the update runs, so it's dropped if the navigator has been taken out of the document in the meantime
+      let container = this.chart.container;
+      if (this.pendingDetails && (!container || container.ownerDocument.documentElement.contains(container))) {
+        this.updateDetails();
+      } else {
+        this.pendingDetails = false;
+      }
+    };
+    if (view && view.requestAnimationFrame) {
+      view.requestAnimationFrame(callback);
+    } else {
+      setTimeout(callback, 16);
+    }
+  }
+
+  /**
+   * Shows the selected range in the detail charts by updating the low and high options of their X axis. Without a selection the detail charts show their whole range again.
+   *
+   * @memberof Brush
+   */
+  updateDetails() {
+    this.pendingDetails = false;
+    let detail = this.options ? this.options.detail : this.chart.options.brush && this.chart.options.brush.detail;
+    let axisX = this.selection ? {
+      low: this.selection.min,
+      high: this.selection.max,
+      strictBounds: true
+    } : {
+      low: undefined,
+      high: undefined,
+      strictBounds: false
+    };
+
+    [].concat(detail || []).map((chart) => {
+      return typeof chart.update === 'function' ? chart : (Chartist.querySelector(chart) || {}).__chartist__;
+    }).filter((chart) => chart).forEach((chart) => {
+      chart.update(null, {
+        axisX: axisX
+      }, true);
+    });
+  }
+
+  /**
+   * Limits a range to the range of the X axis and to the minimum range.
+   *
+   * @memberof Brush
+   * @param {Object} [range] The range with min and max
+   * @return {Object|undefined} The limited range or undefined if the range is empty
+   */
+  limit(range) {
+    if (!range) {
+      return undefined;
+    }
+
+    let full = this.axisX.range;
+    let min = Math.max(Math.min(range.min, range.max), full.min);
+    let max = Math.min(Math.max(range.min, range.max), full.max);
+    let span = Math.min(Math.max(max - min, this.options.minRange), full.max - full.min);
+    if (!(span > 0)) {
+      return undefined;
+    }
+
+    // A range that is smaller than the minimum range grows around its center
+    min = Math.min(Math.max(min - (span - (max - min)) / 2, full.min), full.max - span);
+    return {
+      min: min,
+      max: min + span
+    };
+  }
+
+  /**
+   * Converts a horizontal position in the chart to a value of the X axis, where positions outside of the chart area are moved to its edges.
+   *
+   * @memberof Brush
+   * @param {Number} x The horizontal position in the chart
+   * @return {Number} The value at the position
+   */
+  valueAt(x) {
+    return this.axisX.invertValue(Math.min(Math.max(x, this.chartRect.x1), this.chartRect.x2) - this.chartRect.x1);
+  }
+
+  /**
+   * Returns the horizontal positions of the edges of the selection in the chart.
+   *
+   * @memberof Brush
+   * @return {Object} The positions of the edges as start and end
+   */
+  edges() {
+    return {
+      start: this.chartRect.x1 + this.axisX.projectValue(this.selection.min),
+      end: this.chartRect.x1 + this.axisX.projectValue(this.selection.max)
+    };
+  }
+
+  /**
+   * Draws the selection with its handles and the masks that cover the chart area outside of it.
+   *
+   * @memberof Brush
+   */
+  render() {
+    let group = this.createGroup();
+    group.empty();
+    if (!this.selection) {
+      return;
+    }
+
+    let chartRect = this.chartRect;
+    let edges = this.edges();
+    let rect = (x, width, className) => {
+      group.elem('rect', {
+        x: x,
+        y: chartRect.y2,
+        width: Math.max(width, 0),
+        height: chartRect.height()
+      }, className);
+    };
+
+    rect(chartRect.x1, edges.start - chartRect.x1, this.classNames.brushMask);
+    rect(edges.end, chartRect.x2 - edges.end, this.classNames.brushMask);
+    rect(edges.start, edges.end - edges.start, this.classNames.brushSelection);
+    rect(edges.start - this.options.handleWidth / 2, this.options.handleWidth, this.classNames.brushHandle);
+    rect(edges.end - this.options.handleWidth / 2, this.options.handleWidth, this.classNames.brushHandle);
+  }
+
+  attach() {
+    let positionOf = (clientX, clientY) => {
+      let svgRect = this.chart.svg.getNode().getBoundingClientRect();
+      return {
+        x: clientX - svgRect.left,
+        y: clientY - svgRect.top
+      };
+    };
+    // Dragging a handle resizes the selection, dragging the selection moves it and dragging elsewhere selects a new range
+    let start = (clientX, clientY) => {
+      let position = positionOf(clientX, clientY);
+      let tolerance = this.options.handleWidth / 2;
+      if (position.x < this.chartRect.x1 - tolerance || position.x > this.chartRect.x2 + tolerance ||
+        position.y < this.chartRect.y2 || position.y > this.chartRect.y1) {
+        this.gesture = undefined;
+        return false;
+      }
+
+      let edges = this.selection ? this.edges() : undefined;
+      this.gesture = {
+        x: position.x,
+        selection: this.selection
+      };
+
+      if (edges && Math.abs(position.x - edges.start) <= tolerance) {
+        this.gesture.fixed = this.selection.max;
+      } else if (edges && Math.abs(position.x - edges.end) <= tolerance) {
+        this.gesture.fixed = this.selection.min;
+      } else if (edges && position.x > edges.start && position.x < edges.end) {
+        this.gesture.move = true;
+      } else {
+        this.gesture.fixed = this.valueAt(position.x);
+      }
+      return true;
+    };
+    let track = (clientX, clientY) => {
+      let position = positionOf(clientX, clientY);
+      let gesture = this.gesture;
+
+      if (gesture.move) {
+        let full = this.axisX.range;
+        let shift = (position.x - gesture.x) / this.chartRect.width() * (full.max - full.min);
+        shift = Math.min(Math.max(shift, full.min - gesture.selection.min), full.max - gesture.selection.max);
+        this.apply({
+          min: gesture.selection.min + shift,
+          max: gesture.selection.max + shift
+        });
+      } else {
+        this.apply({
+          min: gesture.fixed,
+          max: this.valueAt(position.x)
+        });
+      }
+    };
+
+    // Mouse gestures are tracked on the document, so they go on when the pointer leaves the chart until the button is released
+    let documentListeners = {
+      mousemove: (event) => {
+        if (this.gesture) {
+          track(event.clientX, event.clientY);
+        }
+      },
+      mouseup: () => {
+        this.gesture = undefined;
+        this.removeDocumentListeners();
+      }
+    };
+
+    let listeners = {
+      mousedown: (event) => {
+        if (event.button === 0 && start(event.clientX, event.clientY)) {
+          event.preventDefault();
+          this.removeDocumentListeners();
+          Object.keys(documentListeners).forEach((type) => {
+            this.chart.container.ownerDocument.addEventListener(type, documentListeners[type]);
+          });
+          this.documentListeners = documentListeners;
+        }
+      },
+      touchstart: (event) => {
+        if (event.touches.length !== 1 || !start(event.touches[0].clientX, event.touches[0].clientY)) {
+          this.gesture = undefined;
+        }
+      },
+      touchmove: (event) => {
+        if (this.gesture) {
+          event.preventDefault();
+          track(event.touches[0].clientX, event.touches[0].clientY);
+        }
+      }
+    };
+    // Touches keep targeting the element they started on, even if they leave it
+    listeners.touchend = listeners.touchcancel = () => {
+      this.gesture = undefined;
+    };
+
+    this.removeListeners();
+    Object.keys(listeners).forEach((event) => {
+      // Touch listeners need to prevent scrolling of the page
+      this.chart.container.addEventListener(event, listeners[event], {passive: false});
+    });
+    this.listeners = listeners;
+  }
+
+  removeListeners() {
+    Object.keys(this.listeners).forEach((event) => {
+      this.chart.container.removeEventListener(event, this.listeners[event], {passive: false});
+    });
+    this.listeners = {};
+  }
+
+  removeDocumentListeners() {
+    Object.keys(this.documentListeners).forEach((event) => {
+      this.chart.container.ownerDocument.removeEventListener(event, this.documentListeners[event]);
+    });
+    this.documentListeners = {};
+  }
+
+  createGroup() {
+    let svg = this.chart.svg;
+    if (!this.group || this.group._node.parentNode !== svg._node) {
+      this.group = svg.elem('g', null, this.classNames.brush);
+    }
+    return this.group;
+  }
+
+  removeGroup() {
+    if (this.group && this.group._node.parentNode) {
+      this.group.remove();
+    }
+    this.group = undefined;
+  }
+
+  /**
+   * Removes the selection and the listeners of the brush. The selected range is kept, so it is shown again when the brush is drawn again.
+   *
+   * @memberof Brush
+   */
+  destroy() {
+    this.removeListeners();
+    this.removeDocumentListeners();
+    this.removeGroup();
+    this.gesture = undefined;
+    this.pendingDetails = false;
+  }
+}
+
+export default Brush;
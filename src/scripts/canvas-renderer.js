@@ -0,0 +1,838 @@
+/**
+ * The canvas renderer draws charts onto a canvas element instead of adding SVG elements to the page, which is faster for charts with a large number of elements. Charts still draw their elements with `Chartist.Svg`, but into a virtual document that is painted onto the canvas whenever it changes, so draw events, the reconciler and transitions work like with SVG charts. As style sheets don't apply to a canvas, the elements are styled by a theme object that mirrors the default Chartist styles. Pointer events are targeted at the canvas, so the renderer finds the chart element below the pointer by hit-testing the painted shapes, which lets tooltips, the legend and the zoom work as usual. Keyboard navigation of the accessibility module is not available on a canvas.
+ *
+ * @module CanvasRenderer
+ */
+import Chartist from './core';
+import Path from './svg-path';
+import {VirtualDocument, VirtualElement} from './virtual-dom';
+
+// The style properties of the theme, which are inherited like the CSS properties they are named after, except opacity
+let inheritedProperties = ['color', 'fill', 'fillOpacity', 'stroke', 'strokeOpacity', 'strokeWidth', 'strokeDasharray',
+  'strokeLinecap', 'fontSize', 'fontFamily', 'textAnchor', 'dominantBaseline', 'pointerEvents'];
+let properties = inheritedProperties.concat(['opacity']);
+
+// The style of the root element, which are the initial values of the SVG properties
+let initialStyle = {
+  color: '#000',
+  fill: '#000',
+  fillOpacity: 1,
+  stroke: 'none',
+  strokeOpacity: 1,
+  strokeWidth: 1,
+  strokeDasharray: 'none',
+  strokeLinecap: 'butt',
+  fontSize: '16px',
+  fontFamily: 'sans-serif',
+  textAnchor: 'start',
+  dominantBaseline: 'auto',
+  pointerEvents: 'auto',
+  opacity: 1
+};
+
+// Elements that are not painted, like the definitions of clip paths
+let hiddenElements = ['defs', 'clipPath', 'linearGradient', 'foreignObject', 'title', 'desc', 'animate'];
+
+let hyphenate = (property) => property.replace(/[A-Z]/g, (letter) => '-' + letter.toLowerCase());
+
+let camelize = (property) => property.trim().replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Converts a length like `4px` or `0.75rem` into pixels.
+ *
+ * @memberof CanvasRenderer
+ * @param {String|Number} length The length
+ * @return {Number} The length in pixels
+ */
+let pixels = (length) => {
+  let value = parseFloat(length);
+  return /r?em$/.test(length) ? value * 16 : value || 0;
+};
+
+/**
+ * Parses a transform attribute into a matrix. Matrices are arrays `[a, b, c, d, e, f]` like the ones of `CanvasRenderingContext2D.setTransform`.
+ *
+ * @memberof CanvasRenderer
+ * @param {String} transform The transform attribute
+ * @return {Array} The matrix
+ */
+let parseTransform = (transform) => {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  (transform || '').replace(/(\w+)\s*\(([^)]*)\)/g, (match, name, args) => {
+    let values = args.split(/[\s,]+/).filter((value) => value !== '').map(Number);
+    let next;
+
+    if (name === 'translate') {
+      next = [1, 0, 0, 1, values[0], values[1] || 0];
+    } else if (name === 'scale') {
+      next = [values[0], 0, 0, values.length > 1 ? values[1] : values[0], 0, 0];
+    } else if (name === 'rotate') {
+      let angle = values[0] * Math.PI / 180;
+      let cx = values[1] || 0;
+      let cy = values[2] || 0;
+      let cos = Math.cos(angle);
+      let sin = Math.sin(angle);
+      next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+    } else if (name === 'matrix') {
+      next = values;
+    }
+
+    if (next) {
+      matrix = multiply(matrix, next);
+    }
+  });
+
+  return matrix;
+};
+
+let multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5]
+];
+
+let invert = (m, x, y) => {
+  let determinant = m[0] * m[3] - m[1] * m[2];
+  return {
+    x: (m[3] * (x - m[4]) - m[2] * (y - m[5])) / determinant,
+    y: (m[0] * (y - m[5]) - m[1] * (x - m[4])) / determinant
+  };
+};
+
+/**
+ * Converts the elements of a shape into path elements with absolute coordinates, split into subpaths. Paths are parsed with `Chartist.Svg.Path`, while lines, rectangles and circles are converted into paths.
+ *
+ * @memberof CanvasRenderer
+ * @param {VirtualElement} node The element of the shape
+ * @return {Array} The subpaths with their path elements and whether they are closed
+ */
+let subpathsOf = (node) => {
+  let number = (name) => +node.getAttribute(name) || 0;
+
+  if (node.nodeName === 'line') {
+    return [{
+      elements: [
+        {command: 'M', x: number('x1'), y: number('y1')},
+        {command: 'L', x: number('x2'), y: number('y2')}
+      ]
+    }];
+  } else if (node.nodeName === 'rect') {
+    let x = number('x');
+    let y = number('y');
+    return [{
+      closed: true,
+      elements: [
+        {command: 'M', x: x, y: y},
+        {command: 'L', x: x + number('width'), y: y},
+        {command: 'L', x: x + number('width'), y: y + number('height')},
+        {command: 'L', x: x, y: y + number('height')}
+      ]
+    }];
+  } else if (node.nodeName === 'circle') {
+    let r = number('r');
+    let arc = (x) => ({command: 'A', rx: r, ry: r, xAr: 0, lAf: 1, sf: 1, x: x, y: number('cy')});
+    return [{
+      closed: true,
+      elements: [{command: 'M', x: number('cx') + r, y: number('cy')}, arc(number('cx') - r), arc(number('cx') + r)]
+    }];
+  }
+
+  // Closed paths, like the ones of donut slices, may consist of several subpaths
+  let d = node.getAttribute('d') || '';
+  let parts = d.split(/[Zz]/);
+  return parts.map((part, index) => ({
+    part: part.trim(),
+    closed: index < parts.length - 1
+  })).filter((subpath) => subpath.part).map((subpath) => ({
+    closed: subpath.closed,
+    elements: new Path().parse(subpath.part).pathElements
+  }));
+};
+
+/**
+ * Traces subpaths on a canvas context or on anything else that implements its path methods. Arcs are converted from the endpoint parameters of SVG into the center parameters of the canvas.
+ *
+ * @memberof CanvasRenderer
+ * @param {Object} target The canvas context
+ * @param {Array} subpaths The subpaths returned by subpathsOf
+ */
+let trace = (target, subpaths) => {
+  subpaths.forEach((subpath) => {
+    let x = 0;
+    let y = 0;
+
+    subpath.elements.forEach((element) => {
+      if (element.command === 'M') {
+        target.moveTo(element.x, element.y);
+      } else if (element.command === 'L') {
+        target.lineTo(element.x, element.y);
+      } else if (element.command === 'C') {
+        target.bezierCurveTo(element.x1, element.y1, element.x2, element.y2, element.x, element.y);
+      } else if (element.command === 'A') {
+        traceArc(target, x, y, element);
+      }
+      x = element.x;
+      y = element.y;
+    });
+
+    if (subpath.closed) {
+      target.closePath();
+    }
+  });
+};
+
+let traceArc = (target, x1, y1, arc) => {
+  let rx = Math.abs(arc.rx);
+  let ry = Math.abs(arc.ry);
+  if (!rx || !ry || (x1 === arc.x && y1 === arc.y)) {
+    target.lineTo(arc.x, arc.y);
+    return;
+  }
+
+  // See the conversion from endpoint to center parameterization in the SVG specification
+  let phi = arc.xAr * Math.PI / 180;
+  let cos = Math.cos(phi);
+  let sin = Math.sin(phi);
+  let dx = (x1 - arc.x) / 2;
+  let dy = (y1 - arc.y) / 2;
+  let x = cos * dx + sin * dy;
+  let y = -sin * dx + cos * dy;
+
+  let lambda = x * x / (rx * rx) + y * y / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  let sign = !!arc.lAf === !!arc.sf ? -1 : 1;
+  let factor = sign * Math.sqrt(Math.max(0, (rx * rx * ry * ry - rx * rx * y * y - ry * ry * x * x) /
+    (rx * rx * y * y + ry * ry * x * x)));
+  let cx = factor * rx * y / ry;
+  let cy = -factor * ry * x / rx;
+
+  let angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  let start = angle(1, 0, (x - cx) / rx, (y - cy) / ry);
+  let sweep = angle((x - cx) / rx, (y - cy) / ry, (-x - cx) / rx, (-y - cy) / ry);
+  if (!arc.sf && sweep > 0) {
+    sweep -= 2 * Math.PI;
+  } else if (arc.sf && sweep < 0) {
+    sweep += 2 * Math.PI;
+  }
+
+  target.ellipse(cos * cx - sin * cy + (x1 + arc.x) / 2, sin * cx + cos * cy + (y1 + arc.y) / 2, rx, ry, phi,
+    start, start + sweep, sweep < 0);
+};
+
+/**
+ * Collects the outline of traced subpaths as polygons, where curves and arcs are approximated with line segments, so the shapes can be hit-tested.
+ *
+ * @memberof CanvasRenderer
+ */
+class Outline {
+
+  polygons = [];
+
+  moveTo(x, y) {
+    this.polygons.push({points: [{x: x, y: y}]});
+  }
+
+  lineTo(x, y) {
+    if (!this.polygons.length) {
+      this.moveTo(x, y);
+    }
+    this.polygons[this.polygons.length - 1].points.push({x: x, y: y});
+  }
+
+  bezierCurveTo(x1, y1, x2, y2, x, y) {
+    let points = this.polygons[this.polygons.length - 1].points;
+    let start = points[points.length - 1];
+    for (let step = 1; step <= 16; step++) {
+      let t = step / 16;
+      let u = 1 - t;
+      this.lineTo(u * u * u * start.x + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x,
+        u * u * u * start.y + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y);
+    }
+  }
+
+  ellipse(cx, cy, rx, ry, rotation, start, end) {
+    let steps = Math.max(Math.ceil(Math.abs(end - start) / (Math.PI / 32)), 1);
+    for (let step = 0; step <= steps; step++) {
+      let angle = start + (end - start) * step / steps;
+      let x = rx * Math.cos(angle);
+      let y = ry * Math.sin(angle);
+      this.lineTo(cx + x * Math.cos(rotation) - y * Math.sin(rotation), cy + x * Math.sin(rotation) + y * Math.cos(rotation));
+    }
+  }
+
+  closePath() {
+    let polygon = this.polygons[this.polygons.length - 1];
+    polygon.closed = true;
+    // Like on a canvas, the next subpath starts at the start of the closed one
+    this.moveTo(polygon.points[0].x, polygon.points[0].y);
+  }
+
+  contains(x, y) {
+    // Even-odd rule over all polygons
+    let inside = false;
+    this.polygons.forEach((polygon) => {
+      let points = polygon.points;
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        if ((points[i].y > y) !== (points[j].y > y) &&
+          x < (points[j].x - points[i].x) * (y - points[i].y) / (points[j].y - points[i].y) + points[i].x) {
+          inside = !inside;
+        }
+      }
+    });
+    return inside;
+  }
+
+  distance(x, y) {
+    let distance = Infinity;
+    this.polygons.forEach((polygon) => {
+      let points = polygon.closed ? polygon.points.concat(polygon.points[0]) : polygon.points;
+      points.forEach((point, index) => {
+        let from = points[Math.max(index - 1, 0)];
+        let length = Math.pow(point.x - from.x, 2) + Math.pow(point.y - from.y, 2);
+        let t = length ? Math.min(Math.max(((x - from.x) * (point.x - from.x) + (y - from.y) * (point.y - from.y)) / length, 0), 1) : 0;
+        distance = Math.min(distance, Math.sqrt(Math.pow(from.x + t * (point.x - from.x) - x, 2) +
+          Math.pow(from.y + t * (point.y - from.y) - y, 2)));
+      });
+    });
+    return distance;
+  }
+}
+
+// noinspection JSUnusedGlobalSymbols
+class CanvasRenderer {
+
+  /**
+   * The default theme, which styles the chart elements like the default Chartist style sheet. The keys of the theme are selectors that support class, type and id selectors, compounds of them and descendant combinators. The values are style objects with the camel cased names of the SVG style properties `color`, `fill`, `fillOpacity`, `stroke`, `strokeOpacity`, `strokeWidth`, `strokeDasharray`, `strokeLinecap`, `opacity`, `fontSize`, `fontFamily`, `textAnchor`, `dominantBaseline` and `pointerEvents`. Like in a style sheet, later rules override earlier ones. The `theme` option of a chart is merged into this theme.
+   *
+   * @memberof CanvasRenderer
+   */
+  static defaultTheme = {
+    '.ct-label': {
+      fill: 'rgba(0, 0, 0, 0.4)',
+      fontSize: '0.75rem'
+    },
+    '.ct-label.ct-vertical.ct-start': {
+      textAnchor: 'end'
+    },
+    '.ct-chart-bar.ct-horizontal-bars .ct-label.ct-vertical': {
+      textAnchor: 'end'
+    },
+    '.ct-value-label': {
+      fill: 'rgba(0, 0, 0, 0.4)',
+      fontSize: '0.75rem'
+    },
+    '.ct-label-leader': {
+      fill: 'none',
+      stroke: 'rgba(0, 0, 0, 0.4)',
+      strokeWidth: '1px'
+    },
+    '.ct-grid': {
+      stroke: 'rgba(0, 0, 0, 0.2)',
+      strokeWidth: '1px',
+      strokeDasharray: '2px'
+    },
+    '.ct-grid-background': {
+      fill: 'none'
+    },
+    '.ct-point': {
+      stroke: 'currentColor',
+      strokeWidth: '10px',
+      strokeLinecap: 'round'
+    },
+    '.ct-line': {
+      fill: 'none',
+      stroke: 'currentColor',
+      strokeWidth: '4px'
+    },
+    '.ct-area': {
+      fill: 'currentColor',
+      stroke: 'none',
+      fillOpacity: 0.1
+    },
+    '.ct-bar': {
+      fill: 'none',
+      stroke: 'currentColor',
+      strokeWidth: '10px'
+    },
+    '.ct-bubble': {
+      fill: 'currentColor',
+      stroke: 'currentColor',
+      strokeWidth: '1px',
+      fillOpacity: 0.6
+    },
+    '.ct-slice-pie': {
+      fill: 'currentColor'
+    },
+    '.ct-slice-donut': {
+      fill: 'none',
+      stroke: 'currentColor',
+      strokeWidth: '60px'
+    },
+    '.ct-slice-donut-solid': {
+      fill: 'currentColor'
+    },
+    '.ct-legend-swatch': {
+      fill: 'currentColor'
+    },
+    '.ct-legend-label': {
+      fill: 'rgba(0, 0, 0, 0.4)',
+      fontSize: '0.75rem'
+    },
+    '.ct-legend-inactive': {
+      opacity: 0.3
+    },
+    '.ct-zoom-reset': {
+      fill: 'rgba(0, 0, 0, 0.7)',
+      fontSize: '0.75rem'
+    },
+    '.ct-crosshair': {
+      pointerEvents: 'none'
+    },
+    '.ct-crosshair-line': {
+      stroke: 'rgba(0, 0, 0, 0.5)',
+      strokeWidth: '1px',
+      strokeDasharray: '3px'
+    },
+    '.ct-crosshair-point': {
+      strokeWidth: '14px'
+    },
+    '.ct-brush-mask': {
+      fill: 'rgba(255, 255, 255, 0.6)'
+    },
+    '.ct-brush-selection': {
+      fill: 'transparent',
+      stroke: 'rgba(0, 0, 0, 0.5)',
+      strokeWidth: '1px'
+    },
+    '.ct-brush-handle': {
+      fill: 'rgba(0, 0, 0, 0.3)'
+    },
+    '.ct-series-a': {color: '#d70206'},
+    '.ct-series-b': {color: '#f05b4f'},
+    '.ct-series-c': {color: '#f4c63d'},
+    '.ct-series-d': {color: '#d17905'},
+    '.ct-series-e': {color: '#453d3f'},
+    '.ct-series-f': {color: '#59922b'},
+    '.ct-series-g': {color: '#0544d3'},
+    '.ct-series-h': {color: '#6b0392'},
+    '.ct-series-i': {color: '#f05b4f'},
+    '.ct-series-j': {color: '#dda458'},
+    '.ct-series-k': {color: '#eacf7d'},
+    '.ct-series-l': {color: '#86797d'},
+    '.ct-series-m': {color: '#b2c326'},
+    '.ct-series-n': {color: '#6188e2'},
+    '.ct-series-o': {color: '#a748ca'}
+  };
+
+  chart;
+  document;
+  container;
+  canvas;
+  svg;
+  width;
+  height;
+  rules = [];
+  shapes = [];
+  pending = false;
+  createdListener;
+
+  /**
+   * Creates the canvas renderer of a chart. The chart creates its renderer when it is drawn with the `renderer` option set to `'canvas'`.
+   *
+   * @memberof CanvasRenderer
+   * @param {Object} chart The chart the renderer belongs to
+   * @constructor
+   */
+  constructor(chart) {
+    this.chart = chart;
+    this.document = new VirtualDocument();
+    this.container = this.document.createElement('div');
+
+    // The chart is painted as soon as it has been drawn, later changes like transitions are painted in the next frame
+    this.createdListener = () => {
+      this.paint();
+    };
+    chart.internalEmitter.addEventHandler('created', this.createdListener);
+  }
+
+  /**
+   * Prepares the canvas for a drawing of the chart. The canvas replaces an SVG element that has been drawn into the container before and is measured, so the chart can be drawn with the size of the canvas.
+   *
+   * @memberof CanvasRenderer
+   * @param {Object} options The current chart options
+   * @return {Object} The size of the canvas in pixels as width and height
+   */
+  prepare(options) {
+    let chartContainer = this.chart.container;
+    if (!this.canvas || this.canvas.parentNode !== chartContainer) {
+      this.canvas = chartContainer.ownerDocument.createElement('canvas');
+      chartContainer.insertBefore(this.canvas, chartContainer.firstChild);
+    }
+
+    Array.prototype.slice.call(chartContainer.querySelectorAll('svg')).filter((svg) => {
+      return svg.getAttributeNS(Chartist.namespaces.xmlns, 'ct');
+    }).forEach((svg) => {
+      svg.parentNode.removeChild(svg);
+    });
+
+    this.canvas.style.display = 'block';
+    this.canvas.style.width = options.width || '100%';
+    this.canvas.style.height = options.height || '100%';
+    let theme = this.theme(options);
+    this.rules = Object.keys(theme).map((selector) => ({
+      selectors: selector.split(',').map((compound) => compound.trim().split(/\s+/).map(VirtualElement.parseSelector)),
+      style: theme[selector]
+    }));
+
+    // Without a layout, like in tests, the size is taken from pixel values of the options
+    let size = (option, measured) => {
+      let quantity = Chartist.quantity(option);
+      return measured || (option !== undefined && (!quantity.unit || quantity.unit === 'px') ? quantity.value : 0);
+    };
+    let rect = this.canvas.getBoundingClientRect();
+    this.width = size(options.width, rect.width);
+    this.height = size(options.height, rect.height);
+
+    return {
+      width: this.width,
+      height: this.height
+    };
+  }
+
+  /**
+   * Returns the theme of the chart, which is the default theme with the rules of the `theme` option.
+   *
+   * @memberof CanvasRenderer
+   * @param {Object} options The current chart options
+   * @return {Object} The theme
+   */
+  theme(options) {
+    return Chartist.extend({}, CanvasRenderer.defaultTheme, options.theme);
+  }
+
+  /**
+   * Connects the virtual SVG element of the chart with the canvas. The SVG element is laid out at the position of the canvas, so pointer positions can be converted into chart coordinates, and every change of the virtual document schedules a paint.
+   *
+   * @memberof CanvasRenderer
+   * @param {Svg} svg The SVG element of the chart
+   */
+  attach(svg) {
+    this.svg = svg;
+    svg._node.layoutNode = this.canvas;
+    this.document.onChange = () => {
+      this.schedule();
+    };
+  }
+
+  schedule() {
+    if (this.pending) {
+      return;
+    }
+
+    this.pending = true;
+    let view = this.chart.container.ownerDocument.defaultView;
+    let callback = () => {
+      if (this.pending && this.canvas) {
+        this.paint();
+      }
+    };
+    if (view && view.requestAnimationFrame) {
+      view.requestAnimationFrame(callback);
+    } else {
+      setTimeout(callback, 16);
+    }
+  }
+
+  /**
+   * Paints the chart onto the canvas. The chart is painted automatically when it has been drawn or changed, so this is only needed to paint changes immediately.
+   *
+   * @memberof CanvasRenderer
+   */
+  paint() {
+    this.pending = false;
+    this.shapes = [];
+
+    let context = this.canvas && this.svg && this.canvas.getContext('2d');
+    if (!context) {
+      return;
+    }
+
+    let view = this.chart.container.ownerDocument.defaultView;
+    let ratio = view && view.devicePixelRatio || 1;
+    this.canvas.width = Math.round(this.width * ratio);
+    this.canvas.height = Math.round(this.height * ratio);
+
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, this.width, this.height);
+    this.paintNode(context, this.svg._node, initialStyle, [1, 0, 0, 1, 0, 0], [], ratio);
+  }
+
+  paintNode(context, node, parentStyle, parentMatrix, clips, ratio) {
+    if (node.nodeType !== 1 || hiddenElements.indexOf(node.nodeName) !== -1) {
+      return;
+    }
+
+    let style = this.styleOf(node, parentStyle);
+    let matrix = node.hasAttribute('transform') ? multiply(parentMatrix, parseTransform(node.getAttribute('transform'))) : parentMatrix;
+    let clip = this.clipOf(node);
+    if (clip) {
+      clips = clips.concat({rect: clip, matrix: matrix});
+    }
+
+    if (node.nodeName === 'g' || node.nodeName === 'svg') {
+      node.childNodes.forEach((child) => this.paintNode(context, child, style, matrix, clips, ratio));
+      return;
+    }
+
+    let color = (paint) => paint === 'currentColor' ? style.color : paint;
+    let fill = color(style.fill);
+    let stroke = color(style.stroke);
+    let strokeWidth = pixels(style.strokeWidth);
+    let shape = {
+      node: node,
+      matrix: matrix,
+      clips: clips,
+      fill: fill !== 'none',
+      stroke: stroke !== 'none' && strokeWidth > 0,
+      strokeWidth: strokeWidth
+    };
+
+    context.save();
+    clips.forEach((clip) => {
+      context.setTransform.apply(context, multiply([ratio, 0, 0, ratio, 0, 0], clip.matrix));
+      context.beginPath();
+      context.rect(clip.rect.x, clip.rect.y, clip.rect.width, clip.rect.height);
+      context.clip();
+    });
+    context.setTransform.apply(context, multiply([ratio, 0, 0, ratio, 0, 0], matrix));
+
+    if (node.nodeName === 'text') {
+      this.paintText(context, node, style, fill, shape);
+    } else if (['path', 'line', 'rect', 'circle'].indexOf(node.nodeName) !== -1) {
+      let subpaths = subpathsOf(node);
+      context.beginPath();
+      trace(context, subpaths);
+      if (shape.fill) {
+        context.globalAlpha = style.opacity * style.fillOpacity;
+        context.fillStyle = this.paintOf(context, fill, subpaths);
+        context.fill();
+      }
+      if (shape.stroke) {
+        context.globalAlpha = style.opacity * style.strokeOpacity;
+        context.strokeStyle = stroke;
+        context.lineWidth = strokeWidth;
+        context.lineCap = style.strokeLinecap;
+        context.setLineDash(style.strokeDasharray === 'none' ? [] : ('' + style.strokeDasharray).split(/[\s,]+/).map(pixels));
+        context.stroke();
+      }
+
+      shape.outline = new Outline();
+      trace(shape.outline, subpaths);
+    }
+    context.restore();
+
+    if (style.pointerEvents !== 'none' && (shape.outline || shape.box)) {
+      this.shapes.push(shape);
+    }
+  }
+
+  paintText(context, node, style, fill, shape) {
+    let text = node.textContent;
+    let fontSize = pixels(style.fontSize);
+    let x = +node.getAttribute('x') || 0;
+    let y = +node.getAttribute('y') || 0;
+
+    context.font = fontSize + 'px ' + style.fontFamily;
+    context.textAlign = {middle: 'center', end: 'end'}[style.textAnchor] || 'start';
+    context.textBaseline = {hanging: 'hanging', central: 'middle', middle: 'middle'}[style.dominantBaseline] || 'alphabetic';
+    if (shape.fill) {
+      context.globalAlpha = style.opacity * style.fillOpacity;
+      context.fillStyle = fill;
+      context.fillText(text, x, y);
+    }
+
+    let metrics = context.measureText && context.measureText(text);
+    let width = metrics && metrics.width || text.length * fontSize * 0.6;
+    let left = x - (context.textAlign === 'center' ? width / 2 : context.textAlign === 'end' ? width : 0);
+    let top = y - (context.textBaseline === 'hanging' ? 0 : context.textBaseline === 'middle' ? fontSize / 2 : fontSize * 0.8);
+    shape.box = {
+      x: left,
+      y: top,
+      width: width,
+      height: fontSize
+    };
+  }
+
+  /**
+   * Resolves the style of an element. Inherited properties are taken from the parent element and overridden by presentation attributes, the rules of the theme and the inline styles of the element, in this order.
+   *
+   * @memberof CanvasRenderer
+   * @param {VirtualElement} node The element
+   * @param {Object} parentStyle The style of the parent element
+   * @return {Object} The style of the element
+   */
+  styleOf(node, parentStyle) {
+    let own = {};
+    properties.forEach((property) => {
+      let value = node.getAttribute(hyphenate(property));
+      if (value !== null) {
+        own[property] = value;
+      }
+    });
+
+    this.rules.filter((rule) => rule.selectors.some((selector) => node.matchesSelector(selector))).forEach((rule) => {
+      Object.keys(rule.style).forEach((property) => {
+        own[property] = rule.style[property];
+      });
+    });
+
+    (node.getAttribute('style') || '').split(';').forEach((declaration) => {
+      let parts = declaration.split(':');
+      if (parts.length === 2) {
+        own[camelize(parts[0])] = parts[1].trim();
+      }
+    });
+    Object.keys(node.style).filter((property) => node.style[property] !== undefined && node.style[property] !== '')
+      .forEach((property) => {
+        own[property] = node.style[property];
+      });
+
+    let style = {
+      opacity: parentStyle.opacity
+    };
+    inheritedProperties.forEach((property) => {
+      style[property] = parentStyle[property];
+    });
+    Object.keys(own).filter((property) => properties.indexOf(property) !== -1 && own[property] !== 'inherit')
+      .forEach((property) => {
+        style[property] = property === 'opacity' ? parentStyle.opacity * parseFloat(own[property]) : own[property];
+      });
+
+    return style;
+  }
+
+  /**
+   * Resolves a fill that references a linear gradient, like the scale of the heatmap color legend, to a canvas gradient. The gradient is laid out on the bounding box of the shape, as SVG does for gradients in object bounding box units.
+   *
+   * @memberof CanvasRenderer
+   * @param {CanvasRenderingContext2D} context The context that paints the shape
+   * @param {String} paint The fill of the shape
+   * @param {Array} subpaths The subpaths of the shape
+   * @return {String|CanvasGradient} The fill style of the context
+   */
+  paintOf(context, paint, subpaths) {
+    let match = /url\(#([^)]+)\)/.exec(paint);
+    let gradient = match && this.svg._node.querySelector('#' + match[1]);
+    if (!match) {
+      return paint;
+    } else if (!gradient || gradient.nodeName !== 'linearGradient') {
+      return 'transparent';
+    }
+
+    let points = [].concat.apply([], subpaths.map((subpath) => subpath.elements));
+    let xs = points.map((point) => point.x);
+    let ys = points.map((point) => point.y);
+    let box = {
+      x: Math.min.apply(null, xs),
+      y: Math.min.apply(null, ys),
+      width: Math.max.apply(null, xs) - Math.min.apply(null, xs),
+      height: Math.max.apply(null, ys) - Math.min.apply(null, ys)
+    };
+    // Coordinates and offsets are fractions or percentages of the bounding box
+    let fraction = (value, fallback) => {
+      value = value === null ? fallback : value;
+      return /%$/.test(value) ? parseFloat(value) / 100 : parseFloat(value);
+    };
+    let attribute = (name, fallback) => fraction(gradient.getAttribute(name), fallback);
+
+    let result = context.createLinearGradient(
+      box.x + box.width * attribute('x1', '0'),
+      box.y + box.height * attribute('y1', '0'),
+      box.x + box.width * attribute('x2', '1'),
+      box.y + box.height * attribute('y2', '0')
+    );
+    gradient.querySelectorAll('stop').forEach((stop) => {
+      result.addColorStop(Math.min(Math.max(fraction(stop.getAttribute('offset'), '0'), 0), 1), stop.getAttribute('stop-color') || '#000');
+    });
+
+    return result;
+  }
+
+  clipOf(node) {
+    let match = /url\(#([^)]+)\)/.exec(node.getAttribute('clip-path') || '');
+    let clipPath = match && this.svg._node.querySelector('#' + match[1]);
+    let rect = clipPath && clipPath.querySelector('rect');
+    return rect ? {
+      x: +rect.getAttribute('x') || 0,
+      y: +rect.getAttribute('y') || 0,
+      width: +rect.getAttribute('width') || 0,
+      height: +rect.getAttribute('height') || 0
+    } : undefined;
+  }
+
+  /**
+   * Finds the chart element that has been painted at a pointer position. Lines and stroked paths are hit within their stroke width, filled shapes within their area and texts within their bounding box.
+   *
+   * @memberof CanvasRenderer
+   * @param {Number} clientX The horizontal pointer position in the viewport
+   * @param {Number} clientY The vertical pointer position in the viewport
+   * @return {VirtualElement|undefined} The topmost element at the position or undefined if there is none
+   */
+  elementAt(clientX, clientY) {
+    if (!this.canvas) {
+      return undefined;
+    }
+
+    let canvasRect = this.canvas.getBoundingClientRect();
+    let x = clientX - canvasRect.left;
+    let y = clientY - canvasRect.top;
+
+    for (let i = this.shapes.length - 1; i >= 0; i--) {
+      let shape = this.shapes[i];
+      let clipped = shape.clips.some((clip) => {
+        let point = invert(clip.matrix, x, y);
+        return point.x < clip.rect.x || point.x > clip.rect.x + clip.rect.width ||
+          point.y < clip.rect.y || point.y > clip.rect.y + clip.rect.height;
+      });
+      if (clipped) {
+        continue;
+      }
+
+      let point = invert(shape.matrix, x, y);
+      let hit = shape.box ?
+        point.x >= shape.box.x && point.x <= shape.box.x + shape.box.width && point.y >= shape.box.y && point.y <= shape.box.y + shape.box.height :
+        shape.fill && shape.outline.contains(point.x, point.y) ||
+        shape.stroke && shape.outline.distance(point.x, point.y) <= shape.strokeWidth / 2;
+      if (hit) {
+        return shape.node;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Removes the canvas and stops painting the chart.
+   *
+   * @memberof CanvasRenderer
+   */
+  destroy() {
+    this.chart.internalEmitter.removeEventHandler('created', this.createdListener);
+    this.document.onChange = null;
+    if (this.canvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+    this.canvas = undefined;
+    this.shapes = [];
+    this.pending = false;
+  }
+}
+
+export default CanvasRenderer;
@@ -6,8 +6,10 @@
 import Chartist from '../core';
 import AutoScaleAxis from "../axes/auto-scale-axis";
 import StepAxis from "../axes/step-axis";
+import BandAxis from "../axes/band-axis";
 import Axis from "../axes/axis";
 import Base from "../base";
+import Reconciler from "../reconciler";
 
 class Bar extends Base {
 
@@ -37,7 +39,9 @@ class Bar extends Base {
       // This value specifies the minimum width in pixel of the scale steps
       scaleMinSpace: 30,
       // Use only integer values (whole numbers) for the scale steps
-      onlyInteger: false
+      onlyInteger: false,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
     },
     // Options for Y-Axis
     axisY: {
@@ -59,7 +63,33 @@ class Bar extends Base {
       // This value specifies the minimum height in pixel of the scale steps
       scaleMinSpace: 20,
       // Use only integer values (whole numbers) for the scale steps
-      onlyInteger: false
+      onlyInteger: false,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
+    },
+    // Options for the secondary Y-Axis, which is used for the series with `axis: 'y2'` in vertical bar charts. Its bounds are computed from these series only and space for it is only reserved if there are such series.
+    axisY2: {
+      // The offset of the chart drawing area to the border of the container
+      offset: 40,
+      // Position where labels are placed. Can be set to `start` or `end` where `start` is equivalent to left or top on vertical axis and `end` is equivalent to right or bottom on horizontal axis.
+      position: 'end',
+      // Allows you to correct label positioning on this axis by positive or negative x and y offset.
+      labelOffset: {
+        x: 0,
+        y: 0
+      },
+      // If labels should be shown or not
+      showLabel: true,
+      // If the axis grid should be drawn or not
+      showGrid: false,
+      // Interpolation function that allows you to intercept the value from the axis label
+      labelInterpolationFnc: Chartist.noop,
+      // This value specifies the minimum height in pixel of the scale steps
+      scaleMinSpace: 20,
+      // Use only integer values (whole numbers) for the scale steps
+      onlyInteger: false,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
     },
     // Specify a fixed width for the chart as a string (i.e. '100px' or '50%')
     width: undefined,
@@ -78,12 +108,14 @@ class Bar extends Base {
       bottom: 5,
       left: 10
     },
-    // Specify the distance in pixel of bars in a group
+    // Specify the distance in pixel of bars in a group. If the label axis is a Chartist.BandAxis, the bars of a group are sized and placed to fill the band of their label instead.
     seriesBarDistance: 15,
     // If set to true this property will cause the series bars to be stacked. Check the `stackMode` option for further stacking options.
     stackBars: false,
     // If set to 'overlap' this property will force the stacked bars to draw from the zero line.
     // If set to 'accumulate' this property will form a total for each series point. This will also influence the y-axis and the overall bounds of the chart. In stacked mode the seriesBarDistance property will have no effect.
+    // If set to 'diverging' the positive values are stacked up and the negative values are stacked down from the zero line separately, so that values of different signs don't cancel each other out.
+    // If set to 'percent' the stacks diverge like with 'diverging' and every stack is normalized to 100%, so that each bar shows the share of its absolute value in the total of the stack.
     stackMode: 'accumulate',
     // Inverts the axes of the bar chart in order to draw a horizontal bar chart. Be aware that you also need to invert your axis settings as the Y Axis will now display the labels and the X Axis the values.
     horizontalBars: false,
@@ -93,6 +125,33 @@ class Bar extends Base {
     reverseData: false,
     // If the bar chart should add a background fill to the .ct-grids group.
     showGridBackground: false,
+    // If set to true, updates will re-use the existing SVG elements and only patch the attributes that changed, instead of re-creating the whole chart. Draw events will contain a `state` property that is either `created`, `updated` or `removed`.
+    reconcile: false,
+    // If set to true or an object with a duration in milliseconds and an easing (a name of an easing curve in Chartist.Svg.Easing or an array of Bézier control points), updates re-use the existing SVG elements like with the reconcile option and animate them from their previous to their new state. New bars grow out of their base. The events `animationBegin` and `animationEnd` are emitted for every animated element.
+    transition: false,
+    // If set to 'canvas', the chart is painted onto a canvas element instead of being added to the page as SVG. Draw events are emitted as usual and tooltips, the legend and the zoom keep working, but the chart is styled with the theme option instead of style sheets.
+    renderer: 'svg',
+    // Rules that are merged into the default theme of the canvas renderer, like {'.ct-series-a': {color: '#333'}}. See the default theme of Chartist.CanvasRenderer.
+    theme: undefined,
+    // If true, the chart gets a title and description, the series and bars get ARIA roles and labels and the bars can be navigated with the arrow keys, Home and End. A `focus` event with the draw event data is emitted when a value is focused. Can also be an object with accessibility options, see the default options of Chartist.Accessibility.
+    accessibility: false,
+    // If true, the bars get labels with their values. Can also be an object with the position of the labels, a formatter function and how overlapping labels are handled, see the default options of Chartist.ValueLabels.
+    valueLabels: false,
+    // Options for the legend
+    legend: {
+      // If true, a legend with the names of the series is drawn. Clicking an entry hides or shows its series and emits a `legendToggle` event.
+      showLegend: false,
+      // The position of the legend, which can be 'top', 'bottom', 'left' or 'right'
+      position: 'top',
+      // The space in pixels that is reserved for the legend, which is its height at the top or bottom and its width at the left or right
+      offset: 30,
+      // The size of the color swatches in pixels
+      swatchSize: 10,
+      // The space in pixels between two entries of a legend at the top or bottom
+      spacing: 15
+    },
+    // If true, a tooltip with the value is shown when a point or bar is hovered, touched or focused. Can also be an object with tooltip options, see the default options of Chartist.Tooltip.
+    tooltip: false,
     // Override the class names that get used to generate the SVG structure of the chart
     classNames: {
       chart: 'ct-chart-bar',
@@ -107,7 +166,15 @@ class Bar extends Base {
       vertical: 'ct-vertical',
       horizontal: 'ct-horizontal',
       start: 'ct-start',
-      end: 'ct-end'
+      end: 'ct-end',
+      tooltip: 'ct-tooltip',
+      valueLabels: 'ct-value-labels',
+      valueLabel: 'ct-value-label',
+      legend: 'ct-legend',
+      legendItem: 'ct-legend-item',
+      legendSwatch: 'ct-legend-swatch',
+      legendLabel: 'ct-legend-label',
+      legendInactive: 'ct-legend-inactive'
     }
   };
 
@@ -119,60 +186,120 @@ class Bar extends Base {
     let data;
     let highLow;
 
+    // Plain values are normalized into the value dimension, so every bar has an x and a y value
     if (options.distributeSeries) {
-      data = Chartist.normalizeData(this.data, options.reverseData, options.horizontalBars);
+      data = Chartist.normalizeData(this.data, options.reverseData, options.horizontalBars ? 'x' : 'y', Chartist.dateDimensions(options));
       data.normalized.series = data.normalized.series.map(function (value) {
         return [value];
       });
     } else {
-      data = Chartist.normalizeData(this.data, options.reverseData, options.horizontalBars);
+      data = Chartist.normalizeData(this.data, options.reverseData, options.horizontalBars ? 'x' : 'y', Chartist.dateDimensions(options));
     }
 
-    // Create new svg element
-    this.svg = Chartist.createSvg(
-      this.container,
-      options.width,
-      options.height,
+    // Series that have been hidden with the legend are left out
+    this.hideSeries(data, []);
+    let visibleSeriesIndices = Chartist.times(data.raw.series.length).map((value, seriesIndex) => seriesIndex).filter((seriesIndex) => {
+      return !this.legend.isHidden(data.raw.series[seriesIndex], seriesIndex);
+    });
+
+    // Create new svg element or re-use the existing one if we reconcile
+    this.prepareSvg(
+      options,
       options.classNames.chart + (options.horizontalBars ? ' ' + options.classNames.horizontalBars : '')
     );
 
     // Drawing groups in correct order
-    let gridGroup = this.svg.elem('g').addClass(options.classNames.gridGroup);
-    let seriesGroup = this.svg.elem('g');
-    let labelGroup = this.svg.elem('g').addClass(options.classNames.labelGroup);
-
-    if (options.stackBars && (options.stackMode === 'accumulate' || !options.stackMode) && data.normalized.series.length !== 0) {
-
-      // If stacked bars we need to calculate the high low from stacked values from each series
-      let serialSums = Chartist.serialMap(data.normalized.series, function serialSums() {
-        return Array.prototype.slice.call(arguments).map(function (value) {
-          return value;
-        }).reduce(function (prev, curr) {
-          return {
-            x: prev.x + (curr && curr.x) || 0,
-            y: prev.y + (curr && curr.y) || 0
-          };
-        }, {x: 0, y: 0});
+    let gridGroup = this.reconciler.elem(this.svg, 'grid-group', 'g', null, options.classNames.gridGroup);
+    let seriesGroup = this.reconciler.elem(this.svg, 'series-group', 'g');
+    let labelGroup = this.reconciler.elem(this.svg, 'label-group', 'g', null, options.classNames.labelGroup);
+
+    // Series with `axis: 'y2'` are projected on the secondary Y axis of vertical bar charts and the bounds of each
+    // value axis only include its own series
+    let secondaryAxis = !options.horizontalBars && data.raw.series.some((series) => Chartist.getSeriesAxis(series) === 'y2');
+    let seriesOnAxis = (id) => data.normalized.series.map((series, seriesIndex) => {
+      return !secondaryAxis || Chartist.getSeriesAxis(data.raw.series[seriesIndex]) === id ? series : [];
+    });
+
+    // The dimension of the values that is projected on the value axis
+    let valueDimension = options.horizontalBars ? 'x' : 'y';
+    let divergingStacks = options.stackBars && (options.stackMode === 'diverging' || options.stackMode === 'percent');
+
+    // The totals of the absolute values of every stack, which the values are divided by in percent mode
+    let getStackTotals = (series) => {
+      if (!options.stackBars || options.stackMode !== 'percent' || series.length === 0) {
+        return undefined;
+      }
+
+      return Chartist.serialMap(series, function stackTotals() {
+        return Array.prototype.slice.call(arguments).reduce(function (total, value) {
+          return total + Math.abs(value && value[valueDimension] || 0);
+        }, 0);
       });
+    };
+
+    let getValueHighLow = (series, highLowOptions) => {
+      if (divergingStacks && series.length !== 0) {
+
+        // If the stacks diverge, the high low is calculated from the sums of the positive and the negative values
+        let stackTotals = getStackTotals(series);
+        let serialSums = Chartist.serialMap(series, function serialSums() {
+          return Array.prototype.slice.call(arguments).reduce(function (sums, value) {
+            let number = value && value[valueDimension] || 0;
+            sums[number < 0 ? 'negative' : 'positive'] += number;
+            return sums;
+          }, {positive: 0, negative: 0});
+        });
 
-      highLow = Chartist.getHighLow([serialSums], options, options.horizontalBars ? 'x' : 'y');
+        let stackValues = [];
+        serialSums.forEach((sums, index) => {
+          let scale = stackTotals ? (stackTotals[index] ? 100 / stackTotals[index] : 0) : 1;
+          ['positive', 'negative'].forEach((sign) => {
+            let value = {};
+            value[valueDimension] = sums[sign] * scale;
+            stackValues.push(value);
+          });
+        });
 
-    } else {
+        return Chartist.getHighLow([stackValues], highLowOptions, valueDimension);
 
-      highLow = Chartist.getHighLow(data.normalized.series, options, options.horizontalBars ? 'x' : 'y');
-    }
+      } else if (options.stackBars && (options.stackMode === 'accumulate' || !options.stackMode) && series.length !== 0) {
+
+        // If stacked bars we need to calculate the high low from stacked values from each series
+        let serialSums = Chartist.serialMap(series, function serialSums() {
+          return Array.prototype.slice.call(arguments).map(function (value) {
+            return value;
+          }).reduce(function (prev, curr) {
+            return {
+              x: prev.x + (curr && curr.x) || 0,
+              y: prev.y + (curr && curr.y) || 0
+            };
+          }, {x: 0, y: 0});
+        });
+
+        return Chartist.getHighLow([serialSums], highLowOptions, options.horizontalBars ? 'x' : 'y');
+
+      } else {
+
+        return Chartist.getHighLow(series, highLowOptions, options.horizontalBars ? 'x' : 'y');
+      }
+    };
+
+    highLow = getValueHighLow(seriesOnAxis('y'), options);
 
     // Overrides of high / low from settings
     highLow.high = +options.high || (options.high === 0 ? 0 : highLow.high);
     highLow.low = +options.low || (options.low === 0 ? 0 : highLow.low);
 
-    let chartRect = Chartist.createChartRect(this.svg, options, this.defaultOptions.padding);
+    let chartRect = Chartist.createChartRect(this.svg, options, this.defaultOptions.padding, secondaryAxis, (x1, x2) => {
+      return this.legend.arrange(data.raw.series, options, x1, x2).rows;
+    });
 
     let valueAxis,
       labelAxisTicks,
       labelAxis,
       axisX,
-      axisY;
+      axisY,
+      axisY2;
 
     // We need to set step count based on some options combinations
     if (options.distributeSeries && options.stackBars) {
@@ -186,6 +313,12 @@ class Bar extends Base {
       labelAxisTicks = data.normalized.labels;
     }
 
+    // Band axes use the label axis ticks as their bands unless ticks are specified in the axis options
+    let labelAxisOptions = (axisOptions) => {
+      return axisOptions.type === BandAxis || axisOptions.type.prototype instanceof BandAxis ?
+        Chartist.extend({ticks: labelAxisTicks}, axisOptions) : axisOptions;
+    };
+
     // Set labelAxis and valueAxis based on the horizontalBars setting. This setting will flip the axes if necessary.
     if (options.horizontalBars) {
       if (options.axisX.type === undefined) {
@@ -194,7 +327,7 @@ class Bar extends Base {
           referenceValue: 0
         }));
       } else {
-        valueAxis = axisX = options.axisX.type.call(Chartist, Axis.axisUnits.x, data.normalized.series, chartRect, Chartist.extend({}, options.axisX, {
+        valueAxis = axisX = new options.axisX.type(Axis.axisUnits.x, data.normalized.series, chartRect, Chartist.extend({}, options.axisX, {
           highLow: highLow,
           referenceValue: 0
         }));
@@ -205,7 +338,7 @@ class Bar extends Base {
           ticks: labelAxisTicks
         });
       } else {
-        labelAxis = axisY = options.axisY.type.call(Chartist, Axis.axisUnits.y, data.normalized.series, chartRect, options.axisY);
+        labelAxis = axisY = new options.axisY.type(Axis.axisUnits.y, data.normalized.series, chartRect, labelAxisOptions(options.axisY));
       }
     } else {
       if (options.axisX.type === undefined) {
@@ -213,7 +346,7 @@ class Bar extends Base {
           ticks: labelAxisTicks
         });
       } else {
-        labelAxis = axisX = options.axisX.type.call(Chartist, Axis.axisUnits.x, data.normalized.series, chartRect, options.axisX);
+        labelAxis = axisX = new options.axisX.type(Axis.axisUnits.x, data.normalized.series, chartRect, labelAxisOptions(options.axisX));
       }
 
       if (options.axisY.type === undefined) {
@@ -222,33 +355,78 @@ class Bar extends Base {
           referenceValue: 0
         }));
       } else {
-        valueAxis = axisY = options.axisY.type.call(Chartist, Axis.axisUnits.y, data.normalized.series, chartRect, Chartist.extend({}, options.axisY, {
+        valueAxis = axisY = new options.axisY.type(Axis.axisUnits.y, data.normalized.series, chartRect, Chartist.extend({}, options.axisY, {
           highLow: highLow,
           referenceValue: 0
         }));
       }
     }
 
-    // Projected 0 point
-    let zeroPoint = options.horizontalBars ? (chartRect.x1 + valueAxis.projectValue(0, undefined, undefined)) : (chartRect.y1 - valueAxis.projectValue(0, undefined, undefined));
-    // Used to track the screen coordinates of stacked bars
-    let stackedBarValues = [];
+    if (secondaryAxis) {
+      // The high and low of the secondary axis are only overridden by its own axis options
+      let axisY2Type = options.axisY2.type || AutoScaleAxis;
+      axisY2 = new axisY2Type(Axis.axisUnits.y, seriesOnAxis('y2'), chartRect, Chartist.extend({}, options.axisY2, {
+        id: 'y2',
+        highLow: getValueHighLow(seriesOnAxis('y2'), {
+          high: options.axisY2.high,
+          low: options.axisY2.low,
+          referenceValue: options.referenceValue
+        }),
+        referenceValue: 0
+      }));
+    }
 
-    labelAxis.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter);
-    valueAxis.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter);
+    // Axes with the autoFit option may need larger offsets for their labels, which changes the layout of the chart
+    let fittedOptions = this.fitAxes(options, [axisX, axisY, axisY2]);
+    if (fittedOptions) {
+      return this.createChart(fittedOptions);
+    }
+
+    // Projected 0 point
+    let projectZero = (axis) => {
+      return options.horizontalBars ? (chartRect.x1 + axis.projectValue(0, undefined, undefined)) : (chartRect.y1 - axis.projectValue(0, undefined, undefined));
+    };
+    // Used to track the screen coordinates of stacked bars for each value axis
+    let stackedBarValues = {
+      y: [],
+      y2: []
+    };
+    // Diverging stacks track the screen coordinates of their negative bars separately
+    let negativeStackedBarValues = {
+      y: [],
+      y2: []
+    };
+    let stackTotals = {
+      y: getStackTotals(seriesOnAxis('y')),
+      y2: getStackTotals(seriesOnAxis('y2'))
+    };
+
+    labelAxis.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+    valueAxis.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+    if (axisY2) {
+      axisY2.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+    }
 
     if (options.showGridBackground) {
-      Chartist.createGridBackground(gridGroup, chartRect, options.classNames.gridBackground, this.eventEmitter);
+      Chartist.createGridBackground(gridGroup, chartRect, options.classNames.gridBackground, this.eventEmitter, this.reconciler);
     }
 
     // Draw the series
     data.raw.series.forEach((series, seriesIndex) => {
-      // Calculating bipolar value of index for seriesOffset. For i = 0..4 biPol will be -1.5, -0.5, 0.5, 1.5 etc.
-      let biPol = seriesIndex - (data.raw.series.length - 1) / 2;
+      if (this.legend.isHidden(series, seriesIndex)) {
+        return;
+      }
+
       // Half of the period width between vertical grid lines used to position bars
       let periodHalfLength;
       // Current series SVG element
       let seriesElement;
+      // Key used to reconcile the series elements
+      let seriesKey = Reconciler.seriesKey(series, seriesIndex, this.data.series);
+      // The Y axis of the series and the axis its values are projected on
+      let seriesAxisId = secondaryAxis ? Chartist.getSeriesAxis(series) : 'y';
+      let seriesAxisY = seriesAxisId === 'y2' ? axisY2 : axisY;
+      let seriesValueAxis = options.horizontalBars ? valueAxis : seriesAxisY;
 
       // We need to set periodHalfLength based on some options combinations
       if (options.distributeSeries && !options.stackBars) {
@@ -265,130 +443,209 @@ class Bar extends Base {
       }
 
       // Adding the series group to the series element
-      seriesElement = seriesGroup.elem('g');
-
       // Write attributes to series group element. If series name or meta is undefined the attributes will not be written
-      seriesElement.attr({
+      // Use series class from series data or if not set generate one
+      seriesElement = this.reconciler.elem(seriesGroup, seriesKey, 'g', {
         'ct:series-name': series.name,
         'ct:meta': Chartist.serialize(series.meta)
-      });
-
-      // Use series class from series data or if not set generate one
-      seriesElement.addClass([
+      }, [
         options.classNames.series,
         (series.className || options.classNames.series + '-' + Chartist.alphaNumerate(seriesIndex))
       ].join(' '));
+      this.transitionElement(seriesElement, seriesKey);
+
+      this.drawBarSeries(series, seriesIndex, data.normalized.series[seriesIndex], seriesElement, {
+        options: options,
+        chartRect: chartRect,
+        axisX: axisX,
+        axisY: seriesAxisY,
+        labelAxis: labelAxis,
+        valueAxis: seriesValueAxis,
+        zeroPoint: projectZero(seriesValueAxis),
+        stackedBarValues: stackedBarValues[seriesAxisId],
+        negativeStackedBarValues: negativeStackedBarValues[seriesAxisId],
+        stackTotals: stackTotals[seriesAxisId],
+        periodHalfLength: periodHalfLength,
+        // Only the visible series are arranged next to each other
+        groupIndex: visibleSeriesIndices.indexOf(seriesIndex),
+        groupSize: visibleSeriesIndices.length
+      });
+    });
 
-      data.normalized.series[seriesIndex].forEach((value, valueIndex) => {
-        let projected,
-          bar,
-          previousStack,
-          labelAxisValueIndex;
-
-        // We need to set labelAxisValueIndex based on some options combinations
-        if (options.distributeSeries && !options.stackBars) {
-          // If distributed series are enabled but stacked bars aren't, we can use the seriesIndex for later projection
-          // on the step axis for label positioning
-          labelAxisValueIndex = seriesIndex;
-        } else if (options.distributeSeries && options.stackBars) {
-          // If distributed series and stacked bars are enabled, we will only get one bar and therefore always use
-          // 0 for projection on the label step axis
-          labelAxisValueIndex = 0;
-        } else {
-          // On regular bar charts we just use the value index to project on the label step axis
-          labelAxisValueIndex = valueIndex;
-        }
+    this.valueLabels.draw(options);
+    this.legend.draw(data.raw.series, options, chartRect);
 
-        // We need to transform coordinates differently based on the chart layout
-        if (options.horizontalBars) {
-          projected = {
-            x: chartRect.x1 + valueAxis.projectValue(value && value.x ? value.x : 0, valueIndex, data.normalized.series[seriesIndex]),
-            y: chartRect.y1 - labelAxis.projectValue(value && value.y ? value.y : 0, labelAxisValueIndex, data.normalized.series[seriesIndex])
-          };
-        } else {
-          projected = {
-            x: chartRect.x1 + labelAxis.projectValue(value && value.x ? value.x : 0, labelAxisValueIndex, data.normalized.series[seriesIndex]),
-            y: chartRect.y1 - valueAxis.projectValue(value && value.y ? value.y : 0, valueIndex, data.normalized.series[seriesIndex])
-          }
-        }
+    // Remove all elements that have not been drawn again
+    this.reconciler.end();
 
-        // If the label axis is a step based axis we will offset the bar into the middle of between two steps using
-        // the periodHalfLength value. Also, we do arrange the different series so that they align up to each other using
-        // the seriesBarDistance. If we don't have a step axis, the bar positions can be chosen freely, so we should not
-        // add any automated positioning.
-        if (labelAxis instanceof StepAxis) {
-          // Offset to center bar between grid lines, but only if the step axis is not stretched
-          if (!labelAxis.options.stretch) {
-            projected[labelAxis.units.pos] += periodHalfLength * (options.horizontalBars ? -1 : 1);
-          }
-          // Using bipolar offset for multiple series if no stacked bars or series distribution is used
-          projected[labelAxis.units.pos] += (options.stackBars || options.distributeSeries) ? 0 : biPol * options.seriesBarDistance * (options.horizontalBars ? -1 : 1);
-        }
+    this.eventEmitter.emit('created', {
+      bounds: valueAxis.bounds,
+      chartRect: chartRect,
+      axisX: axisX,
+      axisY: axisY,
+      axisY2: axisY2,
+      svg: this.svg,
+      options: options
+    });
+  }
 
-        // Enter value in stacked bar values used to remember previous screen value for stacking up bars
-        previousStack = stackedBarValues[valueIndex] || zeroPoint;
-        stackedBarValues[valueIndex] = previousStack - (zeroPoint - projected[labelAxis.counterUnits.pos]);
+  /**
+   * Draws the bars of a series. The combined chart draws its bar series with this method as well.
+   *
+   * @memberof Bar
+   * @param {Object|Array} series The series of the chart data
+   * @param {Number} seriesIndex The index of the series
+   * @param {Array} values The normalized values of the series
+   * @param {Object} seriesElement The group element of the series
+   * @param {Object} context The chart options, the chart rectangle, the axes, the projected zero point and the stacked bar values of the value axis, the half length of a period on the label axis and the index of the series within a group of `groupSize` bars. Diverging stacks also need the stacked bar values of the negative bars as `negativeStackedBarValues` and percent stacks the totals of the stacks as `stackTotals`.
+   */
+  drawBarSeries(series, seriesIndex, values, seriesElement, context) {
+    let options = context.options;
+    let chartRect = context.chartRect;
+    let axisX = context.axisX;
+    let axisY = context.axisY;
+    let labelAxis = context.labelAxis;
+    let valueAxis = context.valueAxis;
+    let zeroPoint = context.zeroPoint;
+    let stackedBarValues = context.stackedBarValues;
+    let negativeStackedBarValues = context.negativeStackedBarValues;
+    let stackTotals = context.stackTotals;
+    let periodHalfLength = context.periodHalfLength;
+    let groupIndex = context.groupIndex;
+    let groupSize = context.groupSize;
+    let seriesKey = Reconciler.seriesKey(series, seriesIndex, this.data.series);
+    // Calculating bipolar value of index for seriesOffset. For i = 0..4 biPol will be -1.5, -0.5, 0.5, 1.5 etc.
+    let biPol = groupIndex - (groupSize - 1) / 2;
+    // The dimension of the values that is projected on the value axis
+    let valueDimension = options.horizontalBars ? 'x' : 'y';
+    let stacked = options.stackBars && (!options.stackMode || ['accumulate', 'diverging', 'percent'].indexOf(options.stackMode) !== -1);
+    let diverging = stacked && (options.stackMode === 'diverging' || options.stackMode === 'percent');
+
+    values.forEach((value, valueIndex) => {
+      let projected,
+        bar,
+        barWidth,
+        previousStack,
+        stack,
+        labelAxisValueIndex,
+        projectedValue = value;
+
+      // In percent mode the bars show the share of their value in the total of the stack
+      if (stackTotals && value !== undefined) {
+        projectedValue = Chartist.extend({}, value);
+        projectedValue[valueDimension] = stackTotals[valueIndex] ? value[valueDimension] / stackTotals[valueIndex] * 100 : 0;
+      }
 
-        // Skip if value is undefined
-        if (value === undefined) {
-          return;
-        }
+      // We need to set labelAxisValueIndex based on some options combinations
+      if (options.distributeSeries && !options.stackBars) {
+        // If distributed series are enabled but stacked bars aren't, we can use the seriesIndex for later projection
+        // on the step axis for label positioning
+        labelAxisValueIndex = seriesIndex;
+      } else if (options.distributeSeries && options.stackBars) {
+        // If distributed series and stacked bars are enabled, we will only get one bar and therefore always use
+        // 0 for projection on the label step axis
+        labelAxisValueIndex = 0;
+      } else {
+        // On regular bar charts we just use the value index to project on the label step axis
+        labelAxisValueIndex = valueIndex;
+      }
 
-        let positions = {};
-        positions[labelAxis.units.pos + '1'] = projected[labelAxis.units.pos];
-        positions[labelAxis.units.pos + '2'] = projected[labelAxis.units.pos];
-
-        if (options.stackBars && (options.stackMode === 'accumulate' || !options.stackMode)) {
-          // Stack mode: accumulate (default)
-          // If bars are stacked we use the stackedBarValues reference and otherwise base all bars off the zero line
-          // We want backwards compatibility, so the expected fallback without the 'stackMode' option
-          // to be the original behaviour (accumulate)
-          positions[labelAxis.counterUnits.pos + '1'] = previousStack;
-          positions[labelAxis.counterUnits.pos + '2'] = stackedBarValues[valueIndex];
-        } else {
-          // Draw from the zero line normally
-          // This is also the same code for Stack mode: overlap
-          positions[labelAxis.counterUnits.pos + '1'] = zeroPoint;
-          positions[labelAxis.counterUnits.pos + '2'] = projected[labelAxis.counterUnits.pos];
+      // We need to transform coordinates differently based on the chart layout
+      if (options.horizontalBars) {
+        projected = {
+          x: chartRect.x1 + valueAxis.projectValue(projectedValue && projectedValue.x ? projectedValue.x : 0, valueIndex, values),
+          y: chartRect.y1 - labelAxis.projectValue(projectedValue && projectedValue.y ? projectedValue.y : 0, labelAxisValueIndex, values)
+        };
+      } else {
+        projected = {
+          x: chartRect.x1 + labelAxis.projectValue(projectedValue && projectedValue.x ? projectedValue.x : 0, labelAxisValueIndex, values),
+          y: chartRect.y1 - valueAxis.projectValue(projectedValue && projectedValue.y ? projectedValue.y : 0, valueIndex, values)
         }
+      }
 
-        // Limit x and y so that they are within the chart rect
-        positions.x1 = Math.min(Math.max(positions.x1, chartRect.x1), chartRect.x2);
-        positions.x2 = Math.min(Math.max(positions.x2, chartRect.x1), chartRect.x2);
-        positions.y1 = Math.min(Math.max(positions.y1, chartRect.y2), chartRect.y1);
-        positions.y2 = Math.min(Math.max(positions.y2, chartRect.y2), chartRect.y1);
+      // If the label axis is a step based axis we will offset the bar into the middle of between two steps using
+      // the periodHalfLength value. Also, we do arrange the different series so that they align up to each other using
+      // the seriesBarDistance. If we don't have a step axis, the bar positions can be chosen freely, so we should not
+      // add any automated positioning.
+      if (labelAxis instanceof StepAxis) {
+        // Offset to center bar between grid lines, but only if the step axis is not stretched
+        if (!labelAxis.options.stretch) {
+          projected[labelAxis.units.pos] += periodHalfLength * (options.horizontalBars ? -1 : 1);
+        }
+        // Using bipolar offset for multiple series if no stacked bars or series distribution is used
+        projected[labelAxis.units.pos] += (options.stackBars || options.distributeSeries) ? 0 : biPol * options.seriesBarDistance * (options.horizontalBars ? -1 : 1);
+      } else if (labelAxis instanceof BandAxis) {
+        // The bars of a group share the band of their label, while stacked and distributed bars fill the whole band
+        let grouped = !options.stackBars && !options.distributeSeries;
+        barWidth = labelAxis.bandWidth / (grouped ? groupSize : 1);
+        let barOffset = grouped ? groupIndex * barWidth : 0;
+        projected[labelAxis.units.pos] += (barOffset + barWidth / 2) * (options.horizontalBars ? -1 : 1);
+      }
 
-        let metaData = Chartist.getMetaData(series, valueIndex);
+      // Enter value in stacked bar values used to remember previous screen value for stacking up bars
+      // Negative values of diverging stacks are stacked down from the zero line on their own
+      stack = diverging && value && value[valueDimension] < 0 ? negativeStackedBarValues : stackedBarValues;
+      previousStack = stack[valueIndex] || zeroPoint;
+      stack[valueIndex] = previousStack - (zeroPoint - projected[labelAxis.counterUnits.pos]);
 
-        // Create bar element
-        bar = seriesElement.elem('line', positions, options.classNames.bar).attr({
-          'ct:value': [value.x, value.y].filter(Chartist.isNumeric).join(','),
-          'ct:meta': Chartist.serialize(metaData)
-        });
+      // Skip if value is undefined or can't be projected on the value axis
+      if (value === undefined || !valueAxis.isProjectable(value)) {
+        return;
+      }
 
-        this.eventEmitter.emit('draw', Chartist.extend({
-          type: 'bar',
-          value: value,
-          index: valueIndex,
-          meta: metaData,
-          series: series,
-          seriesIndex: seriesIndex,
-          axisX: axisX,
-          axisY: axisY,
-          chartRect: chartRect,
-          group: seriesElement,
-          element: bar
-        }, positions));
-      });
-    });
+      let positions = {};
+      positions[labelAxis.units.pos + '1'] = projected[labelAxis.units.pos];
+      positions[labelAxis.units.pos + '2'] = projected[labelAxis.units.pos];
+
+      if (stacked) {
+        // Stack mode: accumulate (default), diverging and percent
+        // If bars are stacked we use the stackedBarValues reference and otherwise base all bars off the zero line
+        // We want backwards compatibility, so the expected fallback without the 'stackMode' option
+        // to be the original behaviour (accumulate)
+        positions[labelAxis.counterUnits.pos + '1'] = previousStack;
+        positions[labelAxis.counterUnits.pos + '2'] = stack[valueIndex];
+      } else {
+        // Draw from the zero line normally
+        // This is also the same code for Stack mode: overlap
+        positions[labelAxis.counterUnits.pos + '1'] = zeroPoint;
+        positions[labelAxis.counterUnits.pos + '2'] = projected[labelAxis.counterUnits.pos];
+      }
 
-    this.eventEmitter.emit('created', {
-      bounds: valueAxis.bounds,
-      chartRect: chartRect,
-      axisX: axisX,
-      axisY: axisY,
-      svg: this.svg,
-      options: options
+      // Limit x and y so that they are within the chart rect
+      positions.x1 = Math.min(Math.max(positions.x1, chartRect.x1), chartRect.x2);
+      positions.x2 = Math.min(Math.max(positions.x2, chartRect.x1), chartRect.x2);
+      positions.y1 = Math.min(Math.max(positions.y1, chartRect.y2), chartRect.y1);
+      positions.y2 = Math.min(Math.max(positions.y2, chartRect.y2), chartRect.y1);
+
+      let metaData = Chartist.getMetaData(series, valueIndex);
+
+      // Create bar element
+      let barKey = seriesKey + ':bar:' + valueIndex;
+      bar = this.reconciler.elem(seriesElement, barKey, 'line', Chartist.extend({}, positions, {
+        'ct:value': [value.x, value.y].filter(Chartist.isNumeric).join(','),
+        'ct:meta': Chartist.serialize(metaData),
+        style: barWidth !== undefined ? 'stroke-width: ' + barWidth + 'px' : undefined
+      }), options.classNames.bar);
+
+      this.eventEmitter.emit('draw', Chartist.extend({
+        type: 'bar',
+        value: value,
+        index: valueIndex,
+        meta: metaData,
+        series: series,
+        seriesIndex: seriesIndex,
+        barWidth: barWidth,
+        axisX: axisX,
+        axisY: axisY,
+        chartRect: chartRect,
+        group: seriesElement,
+        element: bar
+      }, positions));
+
+      // New bars grow out of their base
+      let enter = {};
+      enter[labelAxis.counterUnits.pos + '2'] = positions[labelAxis.counterUnits.pos + '1'];
+      this.transitionElement(bar, barKey, enter);
     });
   }
 
@@ -428,6 +685,15 @@ class Bar extends Base {
    *   high: 10
    * });
    *
+   * @example
+   * // This example creates a grouped bar chart where the bars of a group fill the band of their label
+   * new Chartist.Bar('.ct-chart', data, {
+   *   axisX: {
+   *     type: Chartist.BandAxis,
+   *     paddingInner: 0.3
+   *   }
+   * });
+   *
    */
   constructor(query, data, options, responsiveOptions) {
     super(query, data, Bar.defaultOptions, Chartist.extend({}, Bar.defaultOptions, options), responsiveOptions);
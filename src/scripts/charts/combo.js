@@ -0,0 +1,305 @@
+/**
+ * The combined chart of Chartist draws bars, lines and areas on shared axes. Every series declares how it is drawn with its `type` property, which is either `'bar'`, `'line'` or `'area'`, where series without a type are drawn as lines. All series share one chart rectangle, one grid, a step axis for the labels and an auto scale axis for the values. The bar series are arranged next to each other using the `seriesBarDistance` option like in bar charts, and the points of the line and area series are placed at the centre of the bands between the grid lines of the label axis, so that they line up with the bars.
+ *
+ * @module Chartist.Combo
+ */
+import Chartist from '../core';
+import Base from '../base';
+import Axis from '../axes/axis';
+import StepAxis from '../axes/step-axis';
+import AutoScaleAxis from '../axes/auto-scale-axis';
+import Reconciler from '../reconciler';
+import Line from './line';
+import Bar from './bar';
+
+class Combo extends Base {
+  /**
+   * Default options in combined charts. Expand the code view to see a detailed list of options with comments.
+   *
+   * @memberof Chartist.Combo
+   */
+  static defaultOptions = {
+    // Options for X-Axis
+    axisX: {
+      // The offset of the chart drawing area to the border of the container
+      offset: 30,
+      // Position where labels are placed. Can be set to `start` or `end` where `start` is equivalent to left or top on vertical axis and `end` is equivalent to right or bottom on horizontal axis.
+      position: 'end',
+      // Allows you to correct label positioning on this axis by positive or negative x and y offset.
+      labelOffset: {
+        x: 0,
+        y: 0
+      },
+      // If labels should be shown or not
+      showLabel: true,
+      // If the axis grid should be drawn or not
+      showGrid: true,
+      // Interpolation function that allows you to intercept the value from the axis label
+      labelInterpolationFnc: Chartist.noop,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
+    },
+    // Options for Y-Axis
+    axisY: {
+      // The offset of the chart drawing area to the border of the container
+      offset: 40,
+      // Position where labels are placed. Can be set to `start` or `end` where `start` is equivalent to left or top on vertical axis and `end` is equivalent to right or bottom on horizontal axis.
+      position: 'start',
+      // Allows you to correct label positioning on this axis by positive or negative x and y offset.
+      labelOffset: {
+        x: 0,
+        y: 0
+      },
+      // If labels should be shown or not
+      showLabel: true,
+      // If the axis grid should be drawn or not
+      showGrid: true,
+      // Interpolation function that allows you to intercept the value from the axis label
+      labelInterpolationFnc: Chartist.noop,
+      // This value specifies the minimum height in pixel of the scale steps
+      scaleMinSpace: 20,
+      // Use only integer values (whole numbers) for the scale steps
+      onlyInteger: false,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
+    },
+    // Specify a fixed width for the chart as a string (i.e. '100px' or '50%')
+    width: undefined,
+    // Specify a fixed height for the chart as a string (i.e. '100px' or '50%')
+    height: undefined,
+    // Overriding the natural high of the chart allows you to zoom in or limit the charts the highest displayed value
+    high: undefined,
+    // Overriding the natural low of the chart allows you to zoom in or limit the charts the lowest displayed value
+    low: undefined,
+    // Padding of the chart drawing area to the container element and labels as a number or padding object {top: 5, right: 5, bottom: 5, left: 5}
+    chartPadding: {
+      top: 15,
+      right: 15,
+      bottom: 5,
+      left: 10
+    },
+    // Specify the distance in pixel of the bars of the bar series in a group
+    seriesBarDistance: 15,
+    // If the lines of the line and area series should be drawn or not
+    showLine: true,
+    // If dots should be drawn for the line and area series or not
+    showPoint: true,
+    // The base for the area series that will be used to close the area shape (is normally 0)
+    areaBase: 0,
+    // Specify if the lines should be smoothed, see the lineSmooth option of the line chart
+    lineSmooth: true,
+    // If the combined chart should add a background fill to the .ct-grids group.
+    showGridBackground: false,
+    // If true the whole data is reversed including labels, the series order as well as the whole series data arrays.
+    reverseData: false,
+    // If set to true, updates will re-use the existing SVG elements and only patch the attributes that changed, instead of re-creating the whole chart. Draw events will contain a `state` property that is either `created`, `updated` or `removed`.
+    reconcile: false,
+    // If set to true or an object with a duration in milliseconds and an easing (a name of an easing curve in Chartist.Svg.Easing or an array of Bézier control points), updates re-use the existing SVG elements like with the reconcile option and animate them from their previous to their new state. The events `animationBegin` and `animationEnd` are emitted for every animated element.
+    transition: false,
+    // If true, the chart gets a title and description, the series, points and bars get ARIA roles and labels and the values can be navigated with the arrow keys, Home and End. A `focus` event with the draw event data is emitted when a value is focused. Can also be an object with accessibility options, see the default options of Chartist.Accessibility.
+    accessibility: false,
+    // If true, the points and bars get labels with their values. Can also be an object with the position of the labels, a formatter function and how overlapping labels are handled, see the default options of Chartist.ValueLabels.
+    valueLabels: false,
+    // Options for the legend
+    legend: {
+      // If true, a legend with the names of the series is drawn. Clicking an entry hides or shows its series and emits a `legendToggle` event.
+      showLegend: false,
+      // The position of the legend, which can be 'top', 'bottom', 'left' or 'right'
+      position: 'top',
+      // The space in pixels that is reserved for the legend, which is its height at the top or bottom and its width at the left or right
+      offset: 30,
+      // The size of the color swatches in pixels
+      swatchSize: 10,
+      // The space in pixels between two entries of a legend at the top or bottom
+      spacing: 15
+    },
+    // If true, a tooltip with the value is shown when a point or bar is hovered, touched or focused. Can also be an object with tooltip options, see the default options of Chartist.Tooltip.
+    tooltip: false,
+    // Override the class names that get used to generate the SVG structure of the chart
+    classNames: {
+      chart: 'ct-chart-combo',
+      label: 'ct-label',
+      labelGroup: 'ct-labels',
+      series: 'ct-series',
+      bar: 'ct-bar',
+      line: 'ct-line',
+      point: 'ct-point',
+      area: 'ct-area',
+      grid: 'ct-grid',
+      gridGroup: 'ct-grids',
+      gridBackground: 'ct-grid-background',
+      vertical: 'ct-vertical',
+      horizontal: 'ct-horizontal',
+      start: 'ct-start',
+      end: 'ct-end',
+      tooltip: 'ct-tooltip',
+      valueLabels: 'ct-value-labels',
+      valueLabel: 'ct-value-label',
+      legend: 'ct-legend',
+      legendItem: 'ct-legend-item',
+      legendSwatch: 'ct-legend-swatch',
+      legendLabel: 'ct-legend-label',
+      legendInactive: 'ct-legend-inactive'
+    }
+  };
+
+  /**
+   * Returns how a series is drawn, which is 'bar', 'line' or 'area'. Series without a valid type are drawn as lines.
+   *
+   * @memberof Chartist.Combo
+   * @param {Object|Array} series The series of the chart data
+   * @return {String} The type of the series
+   */
+  static seriesType(series) {
+    return series && (series.type === 'bar' || series.type === 'area') ? series.type : 'line';
+  }
+
+  /**
+   * Creates a new chart
+   *
+   */
+  createChart(options) {
+    // Series that have been hidden with the legend are left out
+    let data = this.hideSeries(Chartist.normalizeData(this.data, options.reverseData, true, Chartist.dateDimensions(options)), []);
+    // Only the visible bar series are arranged next to each other
+    let barSeriesIndices = Chartist.times(data.raw.series.length).map((value, seriesIndex) => seriesIndex).filter((seriesIndex) => {
+      let series = data.raw.series[seriesIndex];
+      return Combo.seriesType(series) === 'bar' && !this.legend.isHidden(series, seriesIndex);
+    });
+
+    // Create new svg object or re-use the existing one if we reconcile
+    this.prepareSvg(options, options.classNames.chart);
+    // Create groups for labels, grid and series
+    let gridGroup = this.reconciler.elem(this.svg, 'grid-group', 'g', null, options.classNames.gridGroup);
+    let seriesGroup = this.reconciler.elem(this.svg, 'series-group', 'g');
+    let labelGroup = this.reconciler.elem(this.svg, 'label-group', 'g', null, options.classNames.labelGroup);
+
+    let chartRect = Chartist.createChartRect(this.svg, options, this.defaultOptions.padding, false, (x1, x2) => {
+      return this.legend.arrange(data.raw.series, options, x1, x2).rows;
+    });
+
+    // The step axis isn't stretched, so that the labels describe the bands between the grid lines
+    let axisX = new StepAxis(Axis.axisUnits.x, data.normalized.series, chartRect, Chartist.extend({}, options.axisX, {
+      ticks: data.normalized.labels,
+      stretch: false
+    }));
+
+    // Bars grow out of the zero line, so it needs to be visible if there are bar series
+    let axisY = new AutoScaleAxis(Axis.axisUnits.y, data.normalized.series, chartRect, Chartist.extend({}, options.axisY, {
+      high: Chartist.isNumeric(options.high) ? options.high : options.axisY.high,
+      low: Chartist.isNumeric(options.low) ? options.low : options.axisY.low,
+      referenceValue: barSeriesIndices.length ? 0 : undefined
+    }));
+
+    // Axes with the autoFit option may need larger offsets for their labels, which changes the layout of the chart
+    let fittedOptions = this.fitAxes(options, [axisX, axisY]);
+    if (fittedOptions) {
+      return this.createChart(fittedOptions);
+    }
+
+    axisX.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+    axisY.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+
+    if (options.showGridBackground) {
+      Chartist.createGridBackground(gridGroup, chartRect, options.classNames.gridBackground, this.eventEmitter, this.reconciler);
+    }
+
+    // Bars and points are placed at the centre of the band of their label
+    let periodHalfLength = axisX.stepLength / 2;
+    let zeroPoint = chartRect.y1 - axisY.projectValue(0);
+    let stackedBarValues = [];
+
+    // Draw the series
+    data.raw.series.forEach((series, seriesIndex) => {
+      if (this.legend.isHidden(series, seriesIndex)) {
+        return;
+      }
+
+      let seriesKey = Reconciler.seriesKey(series, seriesIndex, this.data.series);
+      let seriesType = Combo.seriesType(series);
+      let values = data.normalized.series[seriesIndex];
+      // Write attributes to series group element. If series name or meta is undefined the attributes will not be written
+      // Use series class from series data or if not set generate one
+      let seriesElement = this.reconciler.elem(seriesGroup, seriesKey, 'g', {
+        'ct:series-name': series.name,
+        'ct:meta': Chartist.serialize(series.meta)
+      }, [
+        options.classNames.series,
+        (series.className || options.classNames.series + '-' + Chartist.alphaNumerate(seriesIndex))
+      ].join(' '));
+      this.transitionElement(seriesElement, seriesKey);
+
+      // The series are drawn with the drawing code of the bar and line charts
+      if (seriesType === 'bar') {
+        Bar.prototype.drawBarSeries.call(this, series, seriesIndex, values, seriesElement, {
+          options: options,
+          chartRect: chartRect,
+          axisX: axisX,
+          axisY: axisY,
+          labelAxis: axisX,
+          valueAxis: axisY,
+          zeroPoint: zeroPoint,
+          stackedBarValues: stackedBarValues,
+          periodHalfLength: periodHalfLength,
+          groupIndex: barSeriesIndices.indexOf(seriesIndex),
+          groupSize: barSeriesIndices.length
+        });
+      } else {
+        Line.prototype.drawLineSeries.call(this, series, seriesIndex, values, seriesElement, {
+          options: Chartist.extend({}, options, {
+            showArea: seriesType === 'area'
+          }),
+          chartRect: chartRect,
+          axisX: axisX,
+          axisY: axisY,
+          offsetX: periodHalfLength
+        });
+      }
+    });
+
+    this.valueLabels.draw(options);
+    this.legend.draw(data.raw.series, options, chartRect);
+
+    // Remove all elements that have not been drawn again
+    this.reconciler.end();
+
+    this.eventEmitter.emit('created', {
+      bounds: axisY.bounds,
+      chartRect: chartRect,
+      axisX: axisX,
+      axisY: axisY,
+      svg: this.svg,
+      options: options
+    });
+  }
+
+  /**
+   * This method creates a new combined chart.
+   *
+   * @memberof Chartist.Combo
+   * @param {String|Node} query A selector query string or directly a DOM element
+   * @param {Object} data The data object that needs to consist of a labels and a series array, where every series can declare its `type`
+   * @param {Object} [options] The options object with options that override the default options. Check the examples for a detailed list.
+   * @param {Array} [responsiveOptions] Specify an array of responsive option arrays which are a media query and options object pair => [[mediaQueryString, optionsObject],[more...]]
+   * @return {Object} An object which exposes the API for the created chart
+   *
+   * @example
+   * // Create a chart with revenue bars, a cost area and a target line
+   * new Chartist.Combo('.ct-chart', {
+   *   labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+   *   series: [
+   *     {name: 'revenue', type: 'bar', data: [5, 7, 6, 9]},
+   *     {name: 'costs', type: 'area', data: [3, 4, 4, 5]},
+   *     {name: 'target', type: 'line', data: [6, 6, 7, 8]}
+   *   ]
+   * }, {
+   *   lineSmooth: false
+   * });
+   *
+   */
+  constructor(query, data, options, responsiveOptions) {
+    super(query, data, Combo.defaultOptions, Chartist.extend({}, Combo.defaultOptions, options), responsiveOptions);
+  }
+}
+
+export default Combo;
@@ -0,0 +1,418 @@
+/**
+ * The Chartist heatmap draws a matrix of values as colored cells on two category axes. The columns are given with `labels.x`, the rows with `labels.y` and the values as one series per row, from the top to the bottom row. Values are mapped to the fill of their cell with a continuous or a quantized color scale, which is explained by a color legend next to the chart area.
+ *
+ * For examples on how to use the heatmap please check the examples of the `Chartist.Heatmap` method.
+ *
+ * @module Chartist.Heatmap
+ */
+import Chartist from '../core';
+import Base from '../base';
+import Axis from '../axes/axis';
+import BandAxis from '../axes/band-axis';
+
+let gradientCount = 0;
+
+class Heatmap extends Base {
+  /**
+   * Default options in heatmaps. Expand the code view to see a detailed list of options with comments.
+   *
+   * @memberof Chartist.Heatmap
+   */
+  static defaultOptions = {
+    // Options for X-Axis
+    axisX: {
+      // The axis type of the columns, which can be a Chartist.BandAxis or a Chartist.StepAxis. The ticks of the axis are the x labels.
+      type: BandAxis,
+      // The space between two columns as a fraction of the width of a column
+      paddingInner: 0.05,
+      // The space before the first and after the last column as a fraction of the width of a column
+      paddingOuter: 0,
+      // The offset of the labels to the chart area
+      offset: 30,
+      // Position where labels are placed. Can be set to `start` or `end` where `start` is equivalent to left or top on vertical axis and `end` is equivalent to right or bottom on horizontal axis.
+      position: 'end',
+      // Allows you to correct label positioning on this axis by positive or negative x and y offset.
+      labelOffset: {
+        x: 0,
+        y: 0
+      },
+      // If labels should be shown or not
+      showLabel: true,
+      // If the axis grid should be drawn or not
+      showGrid: false,
+      // Interpolation function that allows you to intercept the value from the axis label
+      labelInterpolationFnc: Chartist.noop,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
+    },
+    // Options for Y-Axis
+    axisY: {
+      // The axis type of the rows, which can be a Chartist.BandAxis or a Chartist.StepAxis. The ticks of the axis are the y labels, where the first label belongs to the top row.
+      type: BandAxis,
+      // The space between two rows as a fraction of the height of a row
+      paddingInner: 0.05,
+      // The space above the first and below the last row as a fraction of the height of a row
+      paddingOuter: 0,
+      // The offset of the labels to the chart area
+      offset: 40,
+      // Position where labels are placed. Can be set to `start` or `end` where `start` is equivalent to left or top on vertical axis and `end` is equivalent to right or bottom on horizontal axis.
+      position: 'start',
+      // Allows you to correct label positioning on this axis by positive or negative x and y offset.
+      labelOffset: {
+        x: 0,
+        y: 0
+      },
+      // If labels should be shown or not
+      showLabel: true,
+      // If the axis grid should be drawn or not
+      showGrid: false,
+      // Interpolation function that allows you to intercept the value from the axis label
+      labelInterpolationFnc: Chartist.noop,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
+    },
+    // Specify a fixed width for the chart as a string (i.e. '100px' or '50%')
+    width: undefined,
+    // Specify a fixed height for the chart as a string (i.e. '100px' or '50%')
+    height: undefined,
+    // Options of the scale that maps the values to the colors of their cells
+    colorScale: {
+      // With 'linear' the colors are interpolated continuously from the lowest to the highest value. With 'quantize' the range of the values is divided into as many equal classes as there are colors and every cell gets the color of its class.
+      type: 'linear',
+      // The hex colors of the scale from the lowest to the highest value
+      colors: ['#d70206', '#f4c63d', '#59922b'],
+      // The value of the first color. If not specified the lowest value of the data is used.
+      low: undefined,
+      // The value of the last color. If not specified the highest value of the data is used.
+      high: undefined
+    },
+    // Options for the color legend, which shows the color scale as a gradient with its lowest and highest value to the right of the chart area
+    colorLegend: {
+      // If the color legend should be drawn or not
+      showLegend: true,
+      // The space in pixels that is reserved for the color legend and its labels
+      offset: 50,
+      // The width of the gradient in pixels
+      width: 10,
+      // The distance in pixels between the chart area and the gradient
+      spacing: 10,
+      // Interpolation function that allows you to intercept the lowest and highest value of the labels
+      labelInterpolationFnc: Chartist.noop
+    },
+    // If the heatmap should add a background fill to the .ct-grids group.
+    showGridBackground: false,
+    // Padding of the chart drawing area to the container element and labels as a number or padding object {top: 5, right: 5, bottom: 5, left: 5}
+    chartPadding: {
+      top: 15,
+      right: 15,
+      bottom: 5,
+      left: 10
+    },
+    // If set to true, updates will re-use the existing SVG elements and only patch the attributes that changed, instead of re-creating the whole chart. Draw events will contain a `state` property that is either `created`, `updated` or `removed`.
+    reconcile: false,
+    // If set to true or an object with a duration in milliseconds and an easing (a name of an easing curve in Chartist.Svg.Easing or an array of Bézier control points), updates re-use the existing SVG elements like with the reconcile option and animate them from their previous to their new state. The events `animationBegin` and `animationEnd` are emitted for every animated element.
+    transition: false,
+    // If set to 'canvas', the chart is painted onto a canvas element instead of being added to the page as SVG. Draw events are emitted as usual and tooltips keep working, but the chart is styled with the theme option instead of style sheets.
+    renderer: 'svg',
+    // Rules that are merged into the default theme of the canvas renderer, like {'.ct-label': {color: '#333'}}. See the default theme of Chartist.CanvasRenderer.
+    theme: undefined,
+    // If true, a tooltip with the value is shown when a cell is hovered, touched or focused. Can also be an object with tooltip options, see the default options of Chartist.Tooltip.
+    tooltip: false,
+    // Override the class names that get used to generate the SVG structure of the chart
+    classNames: {
+      chart: 'ct-chart-heatmap',
+      label: 'ct-label',
+      labelGroup: 'ct-labels',
+      series: 'ct-series',
+      cell: 'ct-cell',
+      grid: 'ct-grid',
+      gridGroup: 'ct-grids',
+      gridBackground: 'ct-grid-background',
+      vertical: 'ct-vertical',
+      horizontal: 'ct-horizontal',
+      start: 'ct-start',
+      end: 'ct-end',
+      colorLegend: 'ct-color-legend',
+      colorLegendScale: 'ct-color-legend-scale',
+      colorLegendLabel: 'ct-color-legend-label',
+      tooltip: 'ct-tooltip'
+    }
+  };
+
+  /**
+   * The id of the gradient of the color legend, which is unique within the document
+   *
+   * @memberof Chartist.Heatmap
+   */
+  gradientId;
+
+  /**
+   * Creates a new chart
+   *
+   */
+  createChart(options) {
+    let rows = this.data.series.map((row) => row instanceof Array ? row : (row && row.data) || []);
+    let columnCount = Math.max.apply(null, [0].concat(rows.map((row) => row.length)));
+    let labels = {
+      x: this.data.labels.x || Chartist.times(columnCount).map(() => ''),
+      y: this.data.labels.y || this.data.series.map((row) => row && row.name !== undefined ? row.name : '')
+    };
+
+    // Values can be numbers or objects with a value and meta data, while holes leave their cell empty
+    let values = rows.map((row) => labels.x.map((label, column) => {
+      let value = row[column];
+      return Chartist.getNumberOrUndefined(Chartist.safeHasProperty(value, 'value') ? value.value : value);
+    }));
+    let scale = this.colorScale([].concat.apply([], values).filter(Chartist.isNumeric), options);
+
+    // Create new svg object or re-use the existing one if we reconcile
+    this.prepareSvg(options, options.classNames.chart);
+    // Create groups for labels, grid and cells
+    let gridGroup = this.reconciler.elem(this.svg, 'grid-group', 'g', null, options.classNames.gridGroup);
+    let seriesGroup = this.reconciler.elem(this.svg, 'series-group', 'g');
+    let labelGroup = this.reconciler.elem(this.svg, 'label-group', 'g', null, options.classNames.labelGroup);
+
+    // The space of the color legend is reserved on the right side of the chart area
+    let padding = Chartist.normalizePadding(options.chartPadding, this.defaultOptions.padding);
+    if (options.colorLegend.showLegend) {
+      padding.right += options.colorLegend.offset;
+    }
+    let chartRect = Chartist.createChartRect(this.svg, Chartist.extend({}, options, {
+      chartPadding: padding
+    }), this.defaultOptions.padding);
+
+    // The first row is drawn at the top, while the ticks of a vertical axis start at the bottom
+    let axisX = new options.axisX.type(Axis.axisUnits.x, [], chartRect, Chartist.extend({}, options.axisX, {
+      ticks: labels.x
+    }));
+    let axisY = new options.axisY.type(Axis.axisUnits.y, [], chartRect, Chartist.extend({}, options.axisY, {
+      ticks: labels.y.slice().reverse()
+    }));
+
+    // Axes with the autoFit option may need larger offsets for their labels, which changes the layout of the chart
+    let fittedOptions = this.fitAxes(options, [axisX, axisY]);
+    if (fittedOptions) {
+      return this.createChart(fittedOptions);
+    }
+
+    axisX.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+    axisY.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+
+    if (options.showGridBackground) {
+      Chartist.createGridBackground(gridGroup, chartRect, options.classNames.gridBackground, this.eventEmitter, this.reconciler);
+    }
+
+    // Band axes know the size of their bands, while the cells of a step axis fill the whole step
+    let bandSize = (axis) => axis.bandWidth !== undefined ? axis.bandWidth : axis.stepLength;
+    let width = bandSize(axisX);
+    let height = bandSize(axisY);
+
+    values.forEach((rowValues, row) => {
+      if (row >= labels.y.length) {
+        return;
+      }
+
+      // Rows without data are drawn as empty rows
+      let series = this.data.series[row] || {};
+      let rowKey = 'row:' + row;
+      let rowElement = this.reconciler.elem(seriesGroup, rowKey, 'g', {
+        'ct:series-name': series.name,
+        'ct:meta': Chartist.serialize(series.meta)
+      }, [options.classNames.series, series.className].join(' ').trim());
+
+      rowValues.forEach((value, column) => {
+        if (value === undefined) {
+          return;
+        }
+
+        let meta = Chartist.getMetaData(series, column);
+        let x = chartRect.x1 + axisX.projectValue(value, column);
+        let y = chartRect.y1 - axisY.projectValue(value, labels.y.length - 1 - row) - height;
+        let color = scale.color(value);
+        let cellKey = 'cell:' + row + ':' + column;
+
+        let cell = this.reconciler.elem(rowElement, cellKey, 'rect', {
+          x: x,
+          y: y,
+          width: width,
+          height: height,
+          style: 'fill: ' + color,
+          'ct:value': value,
+          'ct:meta': Chartist.serialize(meta)
+        }, options.classNames.cell);
+
+        this.eventEmitter.emit('draw', {
+          type: 'cell',
+          value: value,
+          meta: meta,
+          row: row,
+          column: column,
+          series: series,
+          // The row and column are also given as series and value index, so that cells work with tooltips
+          seriesIndex: row,
+          index: column,
+          axisX: axisX,
+          axisY: axisY,
+          group: rowElement,
+          element: cell,
+          x: x,
+          y: y,
+          width: width,
+          height: height,
+          color: color
+        });
+
+        // New cells fade in
+        this.transitionElement(cell, cellKey, {
+          opacity: 0
+        });
+      });
+    });
+
+    if (options.colorLegend.showLegend) {
+      this.drawColorLegend(scale, chartRect, options);
+    }
+
+    // Remove all elements that have not been drawn again
+    this.reconciler.end();
+
+    this.eventEmitter.emit('created', {
+      chartRect: chartRect,
+      axisX: axisX,
+      axisY: axisY,
+      colorScale: scale,
+      svg: this.svg,
+      options: options
+    });
+  }
+
+  /**
+   * Creates the color scale that maps the values of the cells to their colors.
+   *
+   * @memberof Chartist.Heatmap
+   * @param {Array} numbers All values of the matrix
+   * @param {Object} options The options of the chart
+   * @return {Object} The scale with its `low` and `high` value and a `color` function that returns the color of a value
+   */
+  colorScale(numbers, options) {
+    let scale = options.colorScale;
+    // Without any values the scale falls back to its low value or 0
+    let low = Chartist.isNumeric(scale.low) ? +scale.low : (numbers.length ? Math.min.apply(null, numbers) : 0);
+    let high = Chartist.isNumeric(scale.high) ? +scale.high : (numbers.length ? Math.max.apply(null, numbers) : low);
+    let ratio = (value) => high > low ? Math.min(Math.max((value - low) / (high - low), 0), 1) : 0;
+
+    return {
+      low: low,
+      high: high,
+      color: (value) => {
+        if (scale.type === 'quantize') {
+          return scale.colors[Math.min(Math.floor(ratio(value) * scale.colors.length), scale.colors.length - 1)];
+        }
+
+        return Chartist.interpolateColor(scale.colors, ratio(value));
+      }
+    };
+  }
+
+  /**
+   * Draws the color legend as a vertical gradient from the lowest value at the bottom to the highest value at the top. Quantized scales get a gradient with a hard stop between two classes.
+   *
+   * @memberof Chartist.Heatmap
+   * @param {Object} scale The color scale returned by colorScale
+   * @param {Object} chartRect The chart rectangle
+   * @param {Object} options The options of the chart
+   */
+  drawColorLegend(scale, chartRect, options) {
+    let legendOptions = options.colorLegend;
+    let colors = options.colorScale.colors;
+    let stops = options.colorScale.type === 'quantize' ?
+      [].concat.apply([], colors.map((color, index) => [
+        {offset: index / colors.length, color: color},
+        {offset: (index + 1) / colors.length, color: color}
+      ])) :
+      colors.map((color, index) => ({offset: colors.length > 1 ? index / (colors.length - 1) : 0, color: color}));
+
+    let gradient = this.reconciler.elem(this.svg, 'color-legend:gradient', 'linearGradient', {
+      id: this.gradientId,
+      x1: 0,
+      y1: 1,
+      x2: 0,
+      y2: 0
+    });
+    stops.forEach((stop, index) => {
+      this.reconciler.elem(gradient, 'color-legend:stop:' + index, 'stop', {
+        offset: stop.offset,
+        'stop-color': stop.color
+      });
+    });
+
+    let group = this.reconciler.elem(this.svg, 'color-legend', 'g', null, options.classNames.colorLegend);
+    let x = chartRect.x2 + legendOptions.spacing;
+    let element = this.reconciler.elem(group, 'color-legend:scale', 'rect', {
+      x: x,
+      y: chartRect.y2,
+      width: legendOptions.width,
+      height: chartRect.height(),
+      style: 'fill: url(#' + this.gradientId + ')'
+    }, options.classNames.colorLegendScale);
+
+    [{key: 'low', y: chartRect.y1}, {key: 'high', y: chartRect.y2}].forEach((label) => {
+      let text = legendOptions.labelInterpolationFnc(scale[label.key], label.key);
+      this.reconciler.text(this.reconciler.elem(group, 'color-legend:' + label.key, 'text', {
+        x: x + legendOptions.width + 5,
+        y: label.y,
+        'dominant-baseline': 'central'
+      }, [options.classNames.label, options.classNames.colorLegendLabel].join(' ')), Chartist.isFalseyButZero(text) ? '' : text);
+    });
+
+    this.eventEmitter.emit('draw', {
+      type: 'colorLegend',
+      low: scale.low,
+      high: scale.high,
+      stops: stops,
+      group: group,
+      element: element,
+      x: x,
+      y: chartRect.y2,
+      width: legendOptions.width,
+      height: chartRect.height()
+    });
+  }
+
+  /**
+   * This method creates a new heatmap.
+   *
+   * @memberof Chartist.Heatmap
+   * @param {String|Node} query A selector query string or directly a DOM element
+   * @param {Object} data The data object with the column labels as `labels.x`, the row labels as `labels.y` and one series per row with the values of its cells. Values can be numbers or `{value, meta}` objects.
+   * @param {Object} [options] The options object with options that override the default options. Check the examples for a detailed list.
+   * @param {Array} [responsiveOptions] Specify an array of responsive option arrays which are a media query and options object pair => [[mediaQueryString, optionsObject],[more...]]
+   * @return {Object} An object which exposes the API for the created chart
+   *
+   * @example
+   * // The number of commits per weekday and time of the day, colored in five classes
+   * new Chartist.Heatmap('.ct-chart', {
+   *   labels: {
+   *     x: ['0h', '6h', '12h', '18h'],
+   *     y: ['Mon', 'Tue', 'Wed']
+   *   },
+   *   series: [
+   *     [1, 12, 30, 8],
+   *     [0, 15, {value: 42, meta: 'Release'}, 5],
+   *     [2, 9, 25, 11]
+   *   ]
+   * }, {
+   *   colorScale: {
+   *     type: 'quantize',
+   *     colors: ['#eee', '#c6e48b', '#7bc96f', '#239a3b', '#196127']
+   *   }
+   * });
+   *
+   */
+  constructor(query, data, options, responsiveOptions) {
+    super(query, data, Heatmap.defaultOptions, Chartist.extend({}, Heatmap.defaultOptions, options), responsiveOptions);
+    this.gradientId = 'ct-color-scale-' + (++gradientCount);
+  }
+}
+
+export default Heatmap;
@@ -11,6 +11,27 @@ import Axis from "../axes/axis";
 import StepAxis from "../axes/step-axis";
 import AutoScaleAxis from "../axes/auto-scale-axis";
 import Interpolation from "../interpolation";
+import Downsampling from "../downsampling";
+import Reconciler from "../reconciler";
+import Path from "../svg-path";
+import Transition from "../transition";
+
+// The values of a series of the chart data, which is either an array of values or an object with a data array
+let valuesOf = (series) => series instanceof Array ? series : series.data;
+
+// The x value of a streamed value as a number, where dates and ISO date strings are converted to timestamps
+let streamX = (value) => Chartist.getMultiValue(value && Chartist.isMultiValue(value) ? Chartist.dateToTimestamp(value.x) : value);
+
+// A copy of a path where the value indices of the path elements are moved by the given delta
+let reindexPath = (path, delta) => {
+  let copy = path.clone();
+  copy.pathElements.forEach((pathElement) => {
+    pathElement.data = Chartist.extend({}, pathElement.data, {
+      valueIndex: pathElement.data.valueIndex + delta
+    });
+  });
+  return copy;
+};
 
 class Line extends Base {
   /**
@@ -37,7 +58,9 @@ class Line extends Base {
       // Interpolation function that allows you to intercept the value from the axis label
       labelInterpolationFnc: Chartist.noop,
       // Set the axis type to be used to project values on this axis. If not defined, Chartist.StepAxis will be used for the X-Axis, where the ticks option will be set to the labels in the data and the stretch option will be set to the global fullWidth option. This type can be changed to any axis constructor available (e.g. Chartist.FixedScaleAxis), where all axis options should be present here.
-      type: undefined
+      type: undefined,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
     },
     // Options for Y-Axis
     axisY: {
@@ -61,7 +84,35 @@ class Line extends Base {
       // This value specifies the minimum height in pixel of the scale steps
       scaleMinSpace: 20,
       // Use only integer values (whole numbers) for the scale steps
-      onlyInteger: false
+      onlyInteger: false,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
+    },
+    // Options for the secondary Y-Axis, which is used for the series with `axis: 'y2'`. Its bounds are computed from these series only and space for it is only reserved if there are such series.
+    axisY2: {
+      // The offset of the labels to the chart area
+      offset: 40,
+      // Position where labels are placed. Can be set to `start` or `end` where `start` is equivalent to left or top on vertical axis and `end` is equivalent to right or bottom on horizontal axis.
+      position: 'end',
+      // Allows you to correct label positioning on this axis by positive or negative x and y offset.
+      labelOffset: {
+        x: 0,
+        y: 0
+      },
+      // If labels should be shown or not
+      showLabel: true,
+      // If the axis grid should be drawn or not
+      showGrid: false,
+      // Interpolation function that allows you to intercept the value from the axis label
+      labelInterpolationFnc: Chartist.noop,
+      // Set the axis type to be used to project values on this axis. If not defined, Chartist.AutoScaleAxis will be used.
+      type: undefined,
+      // This value specifies the minimum height in pixel of the scale steps
+      scaleMinSpace: 20,
+      // Use only integer values (whole numbers) for the scale steps
+      onlyInteger: false,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
     },
     // Specify a fixed width for the chart as a string (i.e. '100px' or '50%')
     width: undefined,
@@ -75,8 +126,19 @@ class Line extends Base {
     showArea: false,
     // The base for the area chart that will be used to close the area shape (is normally 0)
     areaBase: 0,
+    // If set to true the series are stacked on top of each other, so that the line of each series shows the cumulative total of the series up to it and its area lies on the line of the previous series instead of on the areaBase. Series on the secondary Y axis form their own stack. Holes count as zero for the series above them. Check the `stackMode` option for further stacking options.
+    stackSeries: false,
+    // If set to 'accumulate' the stacked lines show the cumulative totals of the values.
+    // If set to 'normalize' the stacked lines show the cumulative totals as percent of the total of all series, so that the top series is always at 100.
+    stackMode: 'accumulate',
     // Specify if the lines should be smoothed. This value can be true or false where true will result in smoothing using the default smoothing interpolation function Chartist.Interpolation.cardinal and false results in Chartist.Interpolation.none. You can also choose other smoothing / interpolation functions available in the Chartist.Interpolation module, or write your own interpolation function. Check the examples for a brief description.
     lineSmooth: true,
+    // If true, series with more values than the chart area is wide are reduced with the Largest-Triangle-Three-Buckets downsampling of Chartist.Downsampling.lttb, so only about one value per pixel is projected and drawn. You can also choose the min-max downsampling Chartist.Downsampling.minMax, which keeps every peak, or write your own downsampling function. Draw events, tooltips and value labels still refer to the index of the values in the data.
+    downsample: false,
+    // The sliding window of data that is streamed into the chart with `chart.append`. Either the maximum number of values per series, where the oldest values and labels are removed from all series once the longest series exceeds it, or an object with a `span` that keeps the values whose x value is within the span of the latest x value, like `{span: 60000}` for the last minute of a time series.
+    window: undefined,
+    // If true or an object with a duration in milliseconds and an easing like the transition option, the series scroll smoothly by the distance the values moved when data is appended or shifted.
+    scroll: false,
     // If the line chart should add a background fill to the .ct-grids group.
     showGridBackground: false,
     // Overriding the natural low of the chart allows you to zoom in or limit the charts the lowest displayed value
@@ -94,6 +156,39 @@ class Line extends Base {
     fullWidth: false,
     // If true the whole data is reversed including labels, the series order as well as the whole series data arrays.
     reverseData: false,
+    // If set to true, updates will re-use the existing SVG elements and only patch the attributes that changed, instead of re-creating the whole chart. Draw events will contain a `state` property that is either `created`, `updated` or `removed`.
+    reconcile: false,
+    // If set to true or an object with a duration in milliseconds and an easing (a name of an easing curve in Chartist.Svg.Easing or an array of Bézier control points), updates re-use the existing SVG elements like with the reconcile option and animate them from their previous to their new state. The events `animationBegin` and `animationEnd` are emitted for every animated element.
+    transition: false,
+    // If set to 'canvas', the chart is painted onto a canvas element instead of being added to the page as SVG. Draw events are emitted as usual and tooltips, the legend and the zoom keep working, but the chart is styled with the theme option instead of style sheets.
+    renderer: 'svg',
+    // Rules that are merged into the default theme of the canvas renderer, like {'.ct-series-a': {color: '#333'}}. See the default theme of Chartist.CanvasRenderer.
+    theme: undefined,
+    // If true, the chart gets a title and description, the series and points get ARIA roles and labels and the points can be navigated with the arrow keys, Home and End. A `focus` event with the draw event data is emitted when a value is focused. Can also be an object with accessibility options, see the default options of Chartist.Accessibility.
+    accessibility: false,
+    // If true, the points get labels with their values. Can also be an object with the position of the labels, a formatter function and how overlapping labels are handled, see the default options of Chartist.ValueLabels.
+    valueLabels: false,
+    // Options for the legend
+    legend: {
+      // If true, a legend with the names of the series is drawn. Clicking an entry hides or shows its series and emits a `legendToggle` event.
+      showLegend: false,
+      // The position of the legend, which can be 'top', 'bottom', 'left' or 'right'
+      position: 'top',
+      // The space in pixels that is reserved for the legend, which is its height at the top or bottom and its width at the left or right
+      offset: 30,
+      // The size of the color swatches in pixels
+      swatchSize: 10,
+      // The space in pixels between two entries of a legend at the top or bottom
+      spacing: 15
+    },
+    // If true, a tooltip with the value is shown when a point or bar is hovered, touched or focused. Can also be an object with tooltip options, see the default options of Chartist.Tooltip.
+    tooltip: false,
+    // If true, the X axis can be zoomed with the mouse wheel or a pinch gesture and moved by dragging, if it is an AutoScaleAxis, FixedScaleAxis or TimeAxis. A `zoom` event with the visible range of the axes is emitted when the user zooms or pans. Can also be an object with zoom options like the axes that can be zoomed and limits of the visible range, see the default options of Chartist.Zoom.
+    zoom: false,
+    // If true, a vertical guide line follows the pointer and the point nearest to it is highlighted in every series. A `crosshair` event with the value of the X axis and the highlighted points is emitted when it moves. Can also be an object with crosshair options like the name of a sync group, so the crosshair is shown at the same X value in all charts of the group, see the default options of Chartist.Crosshair.
+    crosshair: false,
+    // If true, a selection window can be drawn, moved and resized on the X axis, like in the overview of a Chartist.Navigator. A `rangeChange` event with the selected range is emitted when the user changes it. Can also be an object with brush options like the detail charts whose X axis shows the selected range, see the default options of Chartist.Brush.
+    brush: false,
     // Override the class names that get used to generate the SVG structure of the chart
     classNames: {
       chart: 'ct-chart-line',
@@ -109,7 +204,23 @@ class Line extends Base {
       vertical: 'ct-vertical',
       horizontal: 'ct-horizontal',
       start: 'ct-start',
-      end: 'ct-end'
+      end: 'ct-end',
+      tooltip: 'ct-tooltip',
+      valueLabels: 'ct-value-labels',
+      valueLabel: 'ct-value-label',
+      legend: 'ct-legend',
+      legendItem: 'ct-legend-item',
+      legendSwatch: 'ct-legend-swatch',
+      legendLabel: 'ct-legend-label',
+      legendInactive: 'ct-legend-inactive',
+      zoomReset: 'ct-zoom-reset',
+      crosshair: 'ct-crosshair',
+      crosshairLine: 'ct-crosshair-line',
+      crosshairPoint: 'ct-crosshair-point',
+      brush: 'ct-brush',
+      brushSelection: 'ct-brush-selection',
+      brushHandle: 'ct-brush-handle',
+      brushMask: 'ct-brush-mask'
     }
   };
 
@@ -118,17 +229,29 @@ class Line extends Base {
    *
    */
   createChart(options) {
-    let data = Chartist.normalizeData(this.data, options.reverseData, true);
+    // Series that have been hidden with the legend are left out
+    let data = this.hideSeries(Chartist.normalizeData(this.data, options.reverseData, true, Chartist.dateDimensions(options)), []);
 
-    // Create new svg object
-    this.svg = Chartist.createSvg(this.container, options.width, options.height, options.classNames.chart);
+    // Create new svg object or re-use the existing one if we reconcile
+    this.prepareSvg(options, options.classNames.chart);
     // Create groups for labels, grid and series
-    let gridGroup = this.svg.elem('g').addClass(options.classNames.gridGroup);
-    let seriesGroup = this.svg.elem('g');
-    let labelGroup = this.svg.elem('g').addClass(options.classNames.labelGroup);
+    let gridGroup = this.reconciler.elem(this.svg, 'grid-group', 'g', null, options.classNames.gridGroup);
+    let seriesGroup = this.reconciler.elem(this.svg, 'series-group', 'g');
+    let labelGroup = this.reconciler.elem(this.svg, 'label-group', 'g', null, options.classNames.labelGroup);
+
+    // Series with `axis: 'y2'` are projected on the secondary Y axis and the bounds of each Y axis only include its own series
+    let secondaryAxis = data.raw.series.some((series) => Chartist.getSeriesAxis(series) === 'y2');
+    let chartRect = Chartist.createChartRect(this.svg, options, this.defaultOptions.padding, secondaryAxis, (x1, x2) => {
+      return this.legend.arrange(data.raw.series, options, x1, x2).rows;
+    });
+    data = this.prepareSeries(data, chartRect, options);
 
-    let chartRect = Chartist.createChartRect(this.svg, options, this.defaultOptions.padding);
-    let axisX, axisY;
+    // Stacked series are projected with their cumulative values, which also determine the bounds of the Y axes
+    let stack = options.stackSeries ? this.stackValues(data.normalized.series, data.raw.series, options.stackMode) : undefined;
+    let seriesOnAxis = (id) => (stack ? stack.values : data.normalized.series).map((series, seriesIndex) => {
+      return Chartist.getSeriesAxis(data.raw.series[seriesIndex]) === id ? series : [];
+    });
+    let axisX, axisY, axisY2;
 
     if (options.axisX.type === undefined) {
       axisX = new StepAxis(Axis.axisUnits.x, data.normalized.series, chartRect, Chartist.extend({}, options.axisX, {
@@ -136,188 +259,648 @@ class Line extends Base {
         stretch: options.fullWidth
       }));
     } else {
-      axisX = options.axisX.type.call(Chartist, Axis.axisUnits.x, data.normalized.series, chartRect, options.axisX);
+      axisX = new options.axisX.type(Axis.axisUnits.x, data.normalized.series, chartRect, this.zoom.axisOptions('x', options.axisX, options));
     }
 
     if (options.axisY.type === undefined) {
-      axisY = new AutoScaleAxis(Axis.axisUnits.y, data.normalized.series, chartRect, Chartist.extend({}, options.axisY, {
+      axisY = new AutoScaleAxis(Axis.axisUnits.y, seriesOnAxis('y'), chartRect, this.zoom.axisOptions('y', Chartist.extend({}, options.axisY, {
         high: Chartist.isNumeric(options.high) ? options.high : options.axisY.high,
         low: Chartist.isNumeric(options.low) ? options.low : options.axisY.low
-      }));
+      }), options));
     } else {
-      axisY = options.axisY.type.call(Chartist, Axis.axisUnits.y, data.normalized.series, chartRect, options.axisY);
+      axisY = new options.axisY.type(Axis.axisUnits.y, seriesOnAxis('y'), chartRect, this.zoom.axisOptions('y', options.axisY, options));
+    }
+
+    if (secondaryAxis) {
+      let axisY2Type = options.axisY2.type || AutoScaleAxis;
+      axisY2 = new axisY2Type(Axis.axisUnits.y, seriesOnAxis('y2'), chartRect, Chartist.extend({}, options.axisY2, {
+        id: 'y2'
+      }));
+    }
+
+    // Axes with the autoFit option may need larger offsets for their labels, which changes the layout of the chart
+    let fittedOptions = this.fitAxes(options, [axisX, axisY, axisY2]);
+    if (fittedOptions) {
+      return this.createChart(fittedOptions);
     }
 
-    axisX.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter);
-    axisY.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter);
+    axisX.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+    axisY.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+    if (axisY2) {
+      axisY2.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+    }
 
     if (options.showGridBackground) {
-      Chartist.createGridBackground(gridGroup, chartRect, options.classNames.gridBackground, this.eventEmitter);
+      Chartist.createGridBackground(gridGroup, chartRect, options.classNames.gridBackground, this.eventEmitter, this.reconciler);
     }
 
+    // Axes with strict bounds don't include all values, which are clipped at the chart area, and streamed values scroll in from outside of it
+    this.clipToChartArea(seriesGroup, chartRect, !!(axisX.options.strictBounds || axisY.options.strictBounds || this.streaming));
+
     // Draw the series
     data.raw.series.forEach((series, seriesIndex) => {
-      let seriesElement = seriesGroup.elem('g');
+      let seriesKey = Reconciler.seriesKey(series, seriesIndex, this.data.series);
+      let stream = this.streamOf(seriesKey);
 
+      if (this.legend.isHidden(series, seriesIndex)) {
+        // A hidden series is drawn anew once it's shown again
+        stream.drawn = undefined;
+        return;
+      }
+
+      // The Y axis the series is projected on
+      let seriesAxisY = Chartist.getSeriesAxis(series) === 'y2' ? axisY2 : axisY;
       // Write attributes to series group element. If series name or meta is undefined the attributes will not be written
-      seriesElement.attr({
+      // Use series class from series data or if not set generate one
+      let seriesElement = this.reconciler.elem(seriesGroup, seriesKey, 'g', {
         'ct:series-name': series.name,
         'ct:meta': Chartist.serialize(series.meta)
-      });
-
-      // Use series class from series data or if not set generate one
-      seriesElement.addClass([
+      }, [
         options.classNames.series,
         (series.className || options.classNames.series + '-' + Chartist.alphaNumerate(seriesIndex))
       ].join(' '));
+      this.transitionElement(seriesElement, seriesKey);
+
+      this.drawLineSeries(series, seriesIndex, data.normalized.series[seriesIndex], seriesElement, {
+        options: options,
+        chartRect: chartRect,
+        axisX: axisX,
+        axisY: seriesAxisY,
+        stackedValues: stack && stack.values[seriesIndex],
+        stackBase: stack && stack.bases[seriesIndex],
+        stream: stream,
+        streaming: this.streaming
+      });
+    });
+
+    this.zoom.draw(options, chartRect, {
+      x: axisX,
+      y: axisY
+    }, {
+      x: data.normalized.series,
+      y: seriesOnAxis('y')
+    });
+    this.brush.draw(options, chartRect, axisX);
+    this.valueLabels.draw(options);
+    this.legend.draw(data.raw.series, options, chartRect);
+
+    // Remove all elements that have not been drawn again
+    this.reconciler.end();
+
+    this.eventEmitter.emit('created', {
+      bounds: axisY.bounds,
+      chartRect: chartRect,
+      axisX: axisX,
+      axisY: axisY,
+      axisY2: axisY2,
+      svg: this.svg,
+      options: options
+    });
+  }
+
+  /**
+   * Prepares the normalized data before it is projected, once the size of the chart area is known. Line charts draw the data as it is, while chart types that are based on the line chart can transform the values here.
+   *
+   * @memberof Chartist.Line
+   * @param {Object} data The normalized data object returned by `Chartist.normalizeData`
+   * @param {Object} chartRect The chart rectangle
+   * @param {Object} options The current chart options
+   * @return {Object} The data object that should be drawn
+   */
+  prepareSeries(data, chartRect, options) {
+    return data;
+  }
 
-      let pathCoordinates = [],
-        pathData = [];
-
-      data.normalized.series[seriesIndex].forEach((value, valueIndex) => {
-        let p = {
-          x: chartRect.x1 + axisX.projectValue(value, valueIndex, data.normalized.series[seriesIndex]),
-          y: chartRect.y1 - axisY.projectValue(value, valueIndex, data.normalized.series[seriesIndex])
-        };
-        pathCoordinates.push(p.x, p.y);
-        pathData.push({
-          value: value,
-          valueIndex: valueIndex,
-          meta: Chartist.getMetaData(series, valueIndex)
+  /**
+   * Stacks the values of the series on top of each other. The cumulative sums are computed separately for the series on each Y axis, where holes count as zero for the series above them but stay holes in their own series.
+   *
+   * @memberof Chartist.Line
+   * @param {Array} normalizedSeries The normalized values of all series, where hidden series are empty
+   * @param {Array} rawSeries The series of the chart data
+   * @param {String} stackMode Either 'accumulate' for cumulative sums or 'normalize' for cumulative sums in percent of the total
+   * @return {Object} The cumulative values of every series as `values` and the cumulative values of the series below every series as `bases`, which are undefined for the lowest series of a stack
+   */
+  stackValues(normalizedSeries, rawSeries, stackMode) {
+    let values = normalizedSeries.map((series) => series);
+    let bases = normalizedSeries.map(() => undefined);
+
+    ['y', 'y2'].forEach((axisId) => {
+      let stackIndices = Chartist.times(normalizedSeries.length).map((value, index) => index).filter((seriesIndex) => {
+        return Chartist.getSeriesAxis(rawSeries[seriesIndex]) === axisId && normalizedSeries[seriesIndex].length !== 0;
+      });
+
+      if (stackIndices.length === 0) {
+        return;
+      }
+
+      // For every index the running totals of the series in the stack
+      let serialSums = Chartist.serialMap(stackIndices.map((seriesIndex) => normalizedSeries[seriesIndex]), function serialSums() {
+        let sum = 0;
+        return Array.prototype.slice.call(arguments).map((value) => {
+          return sum += value && value.y || 0;
         });
       });
 
-      let seriesOptions = {
-        lineSmooth: Chartist.getSeriesOption(series, options, 'lineSmooth'),
-        showPoint: Chartist.getSeriesOption(series, options, 'showPoint'),
-        showLine: Chartist.getSeriesOption(series, options, 'showLine'),
-        showArea: Chartist.getSeriesOption(series, options, 'showArea'),
-        areaBase: Chartist.getSeriesOption(series, options, 'areaBase')
+      let stackedValue = (sums, position) => {
+        let total = sums[sums.length - 1];
+        if (stackMode === 'normalize') {
+          return total ? sums[position] / total * 100 : 0;
+        }
+        return sums[position];
+      };
+
+      stackIndices.forEach((seriesIndex, position) => {
+        values[seriesIndex] = normalizedSeries[seriesIndex].map((value, valueIndex) => {
+          return value === undefined ? undefined : {x: value.x, y: stackedValue(serialSums[valueIndex], position)};
+        });
+
+        if (position > 0) {
+          bases[seriesIndex] = normalizedSeries[seriesIndex].map((value, valueIndex) => {
+            return value === undefined ? undefined : {x: value.x, y: stackedValue(serialSums[valueIndex], position - 1)};
+          });
+        }
+      });
+    });
+
+    return {
+      values: values,
+      bases: bases
+    };
+  }
+
+  /**
+   * Draws the line, the points and the areas of a series. The combined chart draws its line and area series with this method as well.
+   *
+   * @memberof Chartist.Line
+   * @param {Object|Array} series The series of the chart data
+   * @param {Number} seriesIndex The index of the series
+   * @param {Array} values The normalized values of the series
+   * @param {Object} seriesElement The group element of the series
+   * @param {Object} context The chart options, the chart rectangle, the X axis and the Y axis the series is projected on, an optional horizontal offset of the points in pixel as `offsetX`, for stacked series the cumulative values to project as `stackedValues` and the cumulative values of the series below as `stackBase`, and for series that values are streamed into the state of the series in the stream as `stream` and if the series is drawn after values have been streamed as `streaming`
+   */
+  drawLineSeries(series, seriesIndex, values, seriesElement, context) {
+    let options = context.options;
+    let chartRect = context.chartRect;
+    let axisX = context.axisX;
+    let axisY = context.axisY;
+    let offsetX = context.offsetX || 0;
+    let seriesKey = Reconciler.seriesKey(series, seriesIndex, this.data.series);
+
+    let pathCoordinates = [],
+      pathData = [];
+
+    // Downsampled series only project the values that are kept, but with the index they have in the series
+    let downsample = Chartist.getSeriesOption(series, options, 'downsample');
+    let valueIndices = downsample ? (typeof downsample === 'function' ? downsample : Downsampling.lttb())(values, chartRect.width()) :
+      values.map((value, valueIndex) => valueIndex);
+
+    valueIndices.forEach((valueIndex) => {
+      let value = values[valueIndex];
+      // Stacked series are drawn at their cumulative values, while the events keep the original values
+      let projected = context.stackedValues ? context.stackedValues[valueIndex] : value;
+
+      // Values that can't be projected on one of the axes, like zero on a logarithmic axis, are treated like holes
+      if (!axisX.isProjectable(projected) || !axisY.isProjectable(projected)) {
+        value = projected = undefined;
+      }
+
+      let p = {
+        x: chartRect.x1 + axisX.projectValue(projected, valueIndex, values) + offsetX,
+        y: chartRect.y1 - axisY.projectValue(projected, valueIndex, values)
       };
+      pathCoordinates.push(p.x, p.y);
+      pathData.push({
+        value: value,
+        valueIndex: valueIndex,
+        meta: Chartist.getMetaData(series, valueIndex)
+      });
+    });
+
+    let seriesOptions = {
+      lineSmooth: Chartist.getSeriesOption(series, options, 'lineSmooth'),
+      showPoint: Chartist.getSeriesOption(series, options, 'showPoint'),
+      showLine: Chartist.getSeriesOption(series, options, 'showLine'),
+      showArea: Chartist.getSeriesOption(series, options, 'showArea'),
+      areaBase: Chartist.getSeriesOption(series, options, 'areaBase')
+    };
 
-      let smoothing = typeof seriesOptions.lineSmooth === 'function' ?
-        seriesOptions.lineSmooth : (seriesOptions.lineSmooth ? Interpolation.monotoneCubic({}) : Interpolation.none({}));
-      // Interpolating path where pathData will be used to annotate each path element, so we can trace back the original
-      // index, value and metadata
-      let path = smoothing(pathCoordinates, pathData);
+    let smoothing = typeof seriesOptions.lineSmooth === 'function' ?
+      seriesOptions.lineSmooth : (seriesOptions.lineSmooth ? Interpolation.monotoneCubic({}) : Interpolation.none({}));
+    // Interpolating path where pathData will be used to annotate each path element, so we can trace back the original
+    // index, value and metadata
+    // Streamed values are keyed by their position in the stream, so the elements of a value are kept when values are removed from the start of the series
+    let stream = context.stream;
+    let offset = stream ? stream.offset : 0;
+    let streamable = !!stream && !downsample && !context.stackedValues;
+    let continued = streamable && context.streaming && stream.drawn ?
+      this.continueStream(stream.drawn, offset, pathCoordinates, pathData, smoothing) : undefined;
+    // The path and points of a continued series are drawn relative to the translation of the series
+    let translation = continued ? continued.translation : 0;
+    let path = continued ? continued.path : smoothing(pathCoordinates, pathData);
 
-      // If we should show points we need to create them now to avoid secondary loop
-      // Points are drawn from the pathElements returned by the interpolation function
-      // Small offset for Firefox to render squares correctly
-      if (seriesOptions.showPoint) {
+    if (stream) {
+      stream.element = seriesElement;
+      stream.scrolledFrom = continued ? stream.drawn.translation : undefined;
+      stream.drawn = streamable && path.pathElements.every((pathElement) => pathElement.data) ? {
+        translation: translation,
+        path: continued ? continued.streamPath : reindexPath(path, offset),
+        positions: pathData.reduce((positions, data, index) => {
+          if (Chartist.getMultiValue(data.value) !== undefined) {
+            positions[data.valueIndex + offset] = {
+              x: pathCoordinates[index * 2] - translation,
+              y: pathCoordinates[index * 2 + 1]
+            };
+          }
+          return positions;
+        }, {}),
+        end: offset + values.length
+      } : undefined;
+
+      // A scrolling series that is drawn anew stops scrolling
+      if (seriesElement._node.getAttribute('transform') !== null) {
+        Transition.cancel(seriesElement);
+      }
+      if (translation) {
+        seriesElement.attr({
+          transform: 'translate(' + translation + ', 0)'
+        });
+      } else {
+        seriesElement._node.removeAttribute('transform');
+      }
+    }
 
-        path.pathElements.forEach((pathElement) => {
-          let point = seriesElement.elem('line', {
+    // If we should show points we need to create them now to avoid secondary loop
+    // Points are drawn from the pathElements returned by the interpolation function
+    // Small offset for Firefox to render squares correctly
+    if (seriesOptions.showPoint) {
+
+      path.pathElements.forEach((pathElement) => {
+        let pointKey = seriesKey + ':point:' + (pathElement.data.valueIndex + offset);
+        // The points of values that have been drawn before are moved with the series
+        let point = (continued && pathElement.data.valueIndex + offset < continued.end && this.reconciler.retain(seriesElement, pointKey)) ||
+          this.reconciler.elem(seriesElement, pointKey, 'line', {
             x1: pathElement.x,
             y1: pathElement.y,
             x2: pathElement.x + 0.01,
-            y2: pathElement.y
-          }, options.classNames.point).attr({
+            y2: pathElement.y,
             'ct:value': [pathElement.data.value.x, pathElement.data.value.y].filter(Chartist.isNumeric).join(','),
             'ct:meta': Chartist.serialize(pathElement.data.meta)
-          });
+          }, options.classNames.point);
 
-          this.eventEmitter.emit('draw', {
-            type: 'point',
-            value: pathElement.data.value,
-            index: pathElement.data.valueIndex,
-            meta: pathElement.data.meta,
-            series: series,
-            seriesIndex: seriesIndex,
-            axisX: axisX,
-            axisY: axisY,
-            group: seriesElement,
-            element: point,
-            x: pathElement.x,
-            y: pathElement.y
-          });
+        this.eventEmitter.emit('draw', {
+          type: 'point',
+          value: pathElement.data.value,
+          index: pathElement.data.valueIndex,
+          meta: pathElement.data.meta,
+          series: series,
+          seriesIndex: seriesIndex,
+          axisX: axisX,
+          axisY: axisY,
+          group: seriesElement,
+          element: point,
+          x: pathElement.x + translation,
+          y: pathElement.y
         });
-      }
+        this.transitionElement(point, pointKey);
+      });
+    }
+
+    if (seriesOptions.showLine) {
+      let line = this.reconciler.elem(seriesElement, seriesKey + ':line', 'path', {
+        d: path.stringify()
+      }, options.classNames.line, true);
 
-      if (seriesOptions.showLine) {
-        let line = seriesElement.elem('path', {
-          d: path.stringify()
-        }, options.classNames.line, true);
+      this.eventEmitter.emit('draw', {
+        type: 'line',
+        values: values,
+        path: path.clone().translate(translation, 0),
+        chartRect: chartRect,
+        index: seriesIndex,
+        series: series,
+        seriesIndex: seriesIndex,
+        seriesMeta: series.meta,
+        axisX: axisX,
+        axisY: axisY,
+        group: seriesElement,
+        element: line
+      });
+      this.transitionElement(line, seriesKey + ':line');
+    }
+
+    // Area currently only works with axes that support a range!
+    if (seriesOptions.showArea && axisY.range) {
+      // If areaBase is outside the chart area (< min or > max) we need to set it respectively so that
+      // the area is not drawn outside the chart area.
+      let areaBase = Math.max(Math.min(seriesOptions.areaBase, axisY.range.max), axisY.range.min);
+
+      // We project the areaBase value into screen coordinates
+      let areaBaseProjected = chartRect.y1 - axisY.projectValue(areaBase);
+
+      // In order to form the area we'll first split the path by move commands, so we can chunk it up into segments
+      path.splitByCommand('M').filter(function onlySolidSegments(pathSegment) {
+        // We filter only "solid" segments that contain more than one point. Otherwise, there's no need for an area
+        return pathSegment.pathElements.length > 1;
+      }).map((solidPathSegments) => {
+        if (context.stackBase) {
+          // The area of a stacked series is closed along the line of the series below it, which is smoothed the same way
+          let baseCoordinates = [];
+          let baseData = [];
+          solidPathSegments.pathElements.forEach((pathElement) => {
+            let valueIndex = pathElement.data.valueIndex;
+            if (baseData.length && baseData[baseData.length - 1].valueIndex === valueIndex) {
+              return;
+            }
+
+            let base = context.stackBase[valueIndex];
+            baseCoordinates.push(
+              chartRect.x1 + axisX.projectValue(base, valueIndex, values) + offsetX,
+              chartRect.y1 - axisY.projectValue(base, valueIndex, values)
+            );
+            baseData.push(pathElement.data);
+          });
 
+          let basePath = smoothing(baseCoordinates, baseData).reverse();
+          // The reversed base continues the line of the series instead of starting a new shape
+          basePath.pathElements[0].command = 'L';
+          return Path.join([solidPathSegments, basePath], true, path.options);
+        }
+
+        // Receiving the filtered solid path segments we can now convert those segments into fill areas
+        let firstElement = solidPathSegments.pathElements[0];
+        let lastElement = solidPathSegments.pathElements[solidPathSegments.pathElements.length - 1];
+
+        // Cloning the solid path segment with closing option and removing the first move command from the clone
+        // We then insert a new move that should start at the area base and draw a straight line up or down
+        // at the end of the path we add extra straight line to the projected area base value
+        // As the closing option is set our path will be automatically closed
+        return solidPathSegments.clone(true)
+          .position(0)
+          .remove(1)
+          .move(firstElement.x, areaBaseProjected)
+          .line(firstElement.x, firstElement.y)
+          .position(solidPathSegments.pathElements.length + 1)
+          .line(lastElement.x, areaBaseProjected);
+
+      }).forEach((areaPath, areaIndex) => {
+        // For each of our newly created area paths, we'll now create path elements by stringifying our path objects
+        // and adding the created DOM elements to the correct series group
+        let areaKey = seriesKey + ':area:' + areaIndex;
+        let area = this.reconciler.elem(seriesElement, areaKey, 'path', {
+          d: areaPath.stringify()
+        }, options.classNames.area, true);
+
+        // Emit an event for each area that was drawn
         this.eventEmitter.emit('draw', {
-          type: 'line',
-          values: data.normalized.series[seriesIndex],
-          path: path.clone(),
-          chartRect: chartRect,
-          index: seriesIndex,
+          type: 'area',
+          values: values,
+          path: areaPath.clone().translate(translation, 0),
           series: series,
           seriesIndex: seriesIndex,
-          seriesMeta: series.meta,
           axisX: axisX,
           axisY: axisY,
+          chartRect: chartRect,
+          index: seriesIndex,
           group: seriesElement,
-          element: line
+          element: area
         });
+        this.transitionElement(area, areaKey);
+      });
+    }
+  }
+
+  /**
+   * Appends values to a series, like the latest measurements of a live dashboard. Values that leave the sliding window of the `window` option are removed from the start of the series. When the chart is drawn again, the existing path of a series is translated by the distance its values moved and only the segments of the new values are added, as long as the values that are still drawn only moved horizontally. Otherwise the series is drawn anew with the reconciler. If the `scroll` option is enabled, the series scroll smoothly by the distance the values moved. A `dataAppended` event is emitted with the appended values and the number of values that have been removed from every series.
+   *
+   * @memberof Chartist.Line
+   * @param {Number} seriesIndex The index of the series in the data
+   * @param {Array|*} values The values that are appended, or a single value
+   * @param {Array|String} [labels] Labels that are appended to the labels of the data, which are needed for step axes
+   * @return {Line} The chart to chain up calls
+   *
+   * @example
+   * let chart = new Chartist.Line('.ct-chart', {
+   *   series: [{name: 'cpu', data: []}]
+   * }, {
+   *   axisX: {
+   *     type: Chartist.TimeAxis
+   *   },
+   *   window: {
+   *     span: 60000
+   *   },
+   *   scroll: true
+   * });
+   *
+   * setInterval(function() {
+   *   chart.append(0, {x: Date.now(), y: readCpuLoad()});
+   * }, 1000);
+   */
+  append(seriesIndex, values, labels) {
+    if (!this.data.series[seriesIndex]) {
+      throw new Error('There is no series with the index ' + seriesIndex + ' to append values to!');
+    }
+
+    values = values instanceof Array ? values : [values];
+    Array.prototype.push.apply(valuesOf(this.data.series[seriesIndex]), values);
+    if (labels !== undefined) {
+      Array.prototype.push.apply(this.data.labels, [].concat(labels));
+    }
+
+    // Data can be appended before the first drawing, when the options provider hasn't been created yet
+    let removed = this.slideWindow(this.optionsProvider ? this.optionsProvider.getCurrentOptions() : this.options);
+    this.eventEmitter.emit('dataAppended', {
+      seriesIndex: seriesIndex,
+      values: values,
+      removed: removed
+    });
+    this.drawStream(removed);
+
+    return this;
+  }
+
+  /**
+   * Removes values from the start of every series and of the labels and draws the chart again like `append`.
+   *
+   * @memberof Chartist.Line
+   * @param {Number} [count] The number of values that are removed, which is 1 by default
+   * @return {Line} The chart to chain up calls
+   */
+  shift(count) {
+    count = count === undefined ? 1 : count;
+    this.data.labels.splice(0, count);
+    this.drawStream(this.data.series.map((series) => valuesOf(series).splice(0, count).length));
+
+    return this;
+  }
+
+  /**
+   * Removes the values that have left the sliding window of the `window` option from the start of the series.
+   *
+   * @memberof Chartist.Line
+   * @param {Object} options The current chart options
+   * @return {Array<Number>} The number of values that have been removed from every series
+   */
+  slideWindow(options) {
+    let slidingWindow = options.window;
+    let series = this.data.series.map(valuesOf);
+
+    if (Chartist.isNumeric(slidingWindow)) {
+      // Values of all series and the labels share their index, so the same number of values is removed from all of them
+      let count = Math.max(0, Math.max.apply(null, series.map((values) => values.length)) - slidingWindow);
+      this.data.labels.splice(0, count);
+      return series.map((values) => values.splice(0, count).length);
+    }
+
+    // The span only applies to values with x values, which can also be dates
+    let xs = [].concat.apply([], series).map(streamX).filter(Chartist.isNumeric);
+    if (slidingWindow && slidingWindow.span !== undefined && xs.length) {
+      let start = xs.reduce((latest, x) => Math.max(latest, x), -Infinity) - slidingWindow.span;
+      return series.map((values) => {
+        // Holes before the first value within the span are removed with the values before them
+        let count = 0;
+        while (count < values.length && !(streamX(values[count]) >= start)) {
+          count++;
+        }
+        return values.splice(0, count).length;
+      });
+    }
+
+    return series.map(() => 0);
+  }
+
+  /**
+   * Returns the state of a series in the stream of values, which holds the number of values that have been removed from its start as `offset` and what has been drawn of it.
+   *
+   * @memberof Chartist.Line
+   * @param {String} seriesKey The key of the series
+   * @return {Object} The state of the series
+   */
+  streamOf(seriesKey) {
+    this.streams = this.streams || {};
+    this.streams[seriesKey] = this.streams[seriesKey] || {
+      offset: 0
+    };
+    return this.streams[seriesKey];
+  }
+
+  /**
+   * Draws the chart after data has been streamed into it. The elements are reconciled, regardless of the `reconcile` option, and if the `scroll` option is enabled, every series that has been continued is moved from its previous translation to its new one.
+   *
+   * @memberof Chartist.Line
+   * @param {Array<Number>} removed The number of values that have been removed from the start of every series
+   */
+  drawStream(removed) {
+    this.data.series.forEach((series, seriesIndex) => {
+      this.streamOf(Reconciler.seriesKey(series, seriesIndex, this.data.series)).offset += removed[seriesIndex];
+    });
+
+    // A chart that hasn't been drawn yet draws the streamed data with its first drawing
+    if (this.initializeTimeoutId || !this.optionsProvider) {
+      return;
+    }
+
+    let options = this.optionsProvider.getCurrentOptions();
+    let scroll = Transition.resolveOptions(options.scroll);
+
+    this.streaming = true;
+    this.createChart(Chartist.extend({}, options, {
+      reconcile: true,
+      // Morphing the paths would counteract the scrolling
+      transition: scroll ? false : options.transition
+    }));
+    this.streaming = false;
+
+    if (!scroll) {
+      return;
+    }
+
+    this.data.series.forEach((series, seriesIndex) => {
+      let stream = this.streamOf(Reconciler.seriesKey(series, seriesIndex, this.data.series));
+      if (!stream.drawn || stream.scrolledFrom === undefined || stream.scrolledFrom === stream.drawn.translation) {
+        return;
       }
 
-      // Area currently only works with axes that support a range!
-      if (seriesOptions.showArea && axisY.range) {
-        // If areaBase is outside the chart area (< min or > max) we need to set it respectively so that
-        // the area is not drawn outside the chart area.
-        let areaBase = Math.max(Math.min(seriesOptions.areaBase, axisY.range.max), axisY.range.min);
-
-        // We project the areaBase value into screen coordinates
-        let areaBaseProjected = chartRect.y1 - axisY.projectValue(areaBase);
-
-        // In order to form the area we'll first split the path by move commands, so we can chunk it up into segments
-        path.splitByCommand('M').filter(function onlySolidSegments(pathSegment) {
-          // We filter only "solid" segments that contain more than one point. Otherwise, there's no need for an area
-          return pathSegment.pathElements.length > 1;
-        }).map(function convertToArea(solidPathSegments) {
-          // Receiving the filtered solid path segments we can now convert those segments into fill areas
-          let firstElement = solidPathSegments.pathElements[0];
-          let lastElement = solidPathSegments.pathElements[solidPathSegments.pathElements.length - 1];
-
-          // Cloning the solid path segment with closing option and removing the first move command from the clone
-          // We then insert a new move that should start at the area base and draw a straight line up or down
-          // at the end of the path we add extra straight line to the projected area base value
-          // As the closing option is set our path will be automatically closed
-          return solidPathSegments.clone(true)
-            .position(0)
-            .remove(1)
-            .move(firstElement.x, areaBaseProjected)
-            .line(firstElement.x, firstElement.y)
-            .position(solidPathSegments.pathElements.length + 1)
-            .line(lastElement.x, areaBaseProjected);
-
-        }).forEach((areaPath) => {
-          // For each of our newly created area paths, we'll now create path elements by stringifying our path objects
-          // and adding the created DOM elements to the correct series group
-          let area = seriesElement.elem('path', {
-            d: areaPath.stringify()
-          }, options.classNames.area, true);
-
-          // Emit an event for each area that was drawn
-          this.eventEmitter.emit('draw', {
-            type: 'area',
-            values: data.normalized.series[seriesIndex],
-            path: areaPath.clone(),
-            series: series,
-            seriesIndex: seriesIndex,
-            axisX: axisX,
-            axisY: axisY,
-            chartRect: chartRect,
-            index: seriesIndex,
-            group: seriesElement,
-            element: area
-          });
+      let element = stream.element;
+      let from = stream.scrolledFrom;
+      let to = stream.drawn.translation;
+      Transition.run(element, scroll, (progress) => {
+        element.attr({
+          transform: 'translate(' + (from + (to - from) * progress) + ', 0)'
         });
-      }
+      }, this.eventEmitter, {
+        state: 'updated'
+      }, () => {
+        element.attr({
+          transform: 'translate(' + to + ', 0)'
+        });
+      });
     });
+  }
 
-    this.eventEmitter.emit('created', {
-      bounds: axisY.bounds,
-      chartRect: chartRect,
-      axisX: axisX,
-      axisY: axisY,
-      svg: this.svg,
-      options: options
+  /**
+   * Continues the path of a series that has been drawn before values were streamed into it. If all values that are still drawn moved by the same horizontal distance and kept their vertical position, the drawn path is translated by this distance, the segments of the values that have been removed are cut off and the segments of the new values are added. The last segments that have been drawn before are replaced as well, so smoothing can take the new values into account.
+   *
+   * @memberof Chartist.Line
+   * @param {Object} drawn What has been drawn of the series: its translation, its path and the positions of its values relative to the translation, which are keyed by the position of the values in the stream, and the position in the stream after its last value as `end`
+   * @param {Number} offset The number of values that have been removed from the start of the series
+   * @param {Array} pathCoordinates The projected coordinates of the values of the series
+   * @param {Array} pathData The data of the values of the series
+   * @param {Function} smoothing The interpolation function of the series
+   * @return {Object|undefined} The new `translation`, the `path` relative to it, the same path with the positions in the stream as value indices as `streamPath` and the previous `end`, or undefined if the series needs to be drawn anew
+   */
+  continueStream(drawn, offset, pathCoordinates, pathData, smoothing) {
+    let translation;
+    let kept = 0;
+    let moved = pathData.every((data, index) => {
+      let position = drawn.positions[data.valueIndex + offset];
+      if (data.valueIndex + offset >= drawn.end) {
+        return true;
+      } else if (!position !== (Chartist.getMultiValue(data.value) === undefined)) {
+        return false;
+      } else if (!position) {
+        return true;
+      }
+
+      let distance = pathCoordinates[index * 2] - position.x;
+      translation = translation === undefined ? distance : translation;
+      kept++;
+      return Math.abs(distance - translation) < 0.01 && Math.abs(pathCoordinates[index * 2 + 1] - position.y) < 0.01;
     });
+
+    // Without two values that are still drawn, we can't tell if the scale of the X axis has changed
+    if (!moved || kept < 2) {
+      return undefined;
+    }
+
+    // The new segments are interpolated together with the last values that have been drawn before, where the segment that starts at the first of these values is left out, as the interpolation treats it as the start of a path
+    let tailStart = Math.max(offset, drawn.end - 4);
+    let replaceFrom = Math.max(tailStart + 2, drawn.end - 2);
+    let tail = reindexPath(smoothing(pathCoordinates.slice((tailStart - offset) * 2).map((coordinate, index) => {
+      return index % 2 ? coordinate : coordinate - translation;
+    }), pathData.slice(tailStart - offset)), offset);
+
+    let streamPath = new Path(false, drawn.path.options);
+    streamPath.pathElements = drawn.path.pathElements.filter((pathElement) => {
+      return pathElement.data.valueIndex >= offset && pathElement.data.valueIndex < replaceFrom;
+    }).concat(tail.pathElements.filter((pathElement) => pathElement.data.valueIndex >= replaceFrom));
+    streamPath.position(streamPath.pathElements.length);
+
+    // The path starts with a move to the first value that is still drawn
+    let first = streamPath.pathElements[0];
+    if (first && first.command !== 'M') {
+      streamPath.pathElements[0] = {
+        command: 'M',
+        x: first.x,
+        y: first.y,
+        data: first.data
+      };
+    }
+
+    return {
+      translation: translation,
+      path: reindexPath(streamPath, -offset),
+      streamPath: streamPath,
+      end: drawn.end
+    };
   }
 
   /**
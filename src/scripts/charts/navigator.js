@@ -0,0 +1,104 @@
+/**
+ * The Chartist navigator is a compact line chart that gives an overview of long time series and has a selection window, which can be moved and resized to choose the range that one or more detail charts show. The detail charts are given with the `brush.detail` option, usually as the selector of their container, and need a continuous X axis, because the selected range is applied to the `low` and `high` options of their X axis. Series with more values than the chart area is wide are reduced with the min-max downsampling by default, so the overview stays fast for large data.
+ *
+ * For examples on how to use the navigator please check the examples of the `Chartist.Navigator` method.
+ *
+ * @module Chartist.Navigator
+ */
+import Chartist from '../core';
+import Line from './line';
+import AutoScaleAxis from '../axes/auto-scale-axis';
+import Downsampling from '../downsampling';
+
+class Navigator extends Line {
+  /**
+   * Default options of the navigator, which are the options of the line chart with a compact layout and the brush enabled. Expand the code view to see the options that differ from the line chart.
+   *
+   * @memberof Chartist.Navigator
+   */
+  static defaultOptions = Chartist.extend({}, Line.defaultOptions, {
+    axisX: {
+      // The overview needs a continuous X axis. Values without an x value are placed at their index.
+      type: AutoScaleAxis,
+      offset: 20
+    },
+    axisY: {
+      offset: 0,
+      showLabel: false,
+      showGrid: false
+    },
+    // A compact height that fits below the detail chart
+    height: '100px',
+    showPoint: false,
+    showArea: true,
+    lineSmooth: false,
+    // Large series are reduced to the lowest and highest value of every pixel, so the overview stays fast and shows every peak
+    downsample: Downsampling.minMax(),
+    chartPadding: {
+      top: 5,
+      right: 15,
+      bottom: 0,
+      left: 15
+    },
+    // The options of the selection window, see the default options of Chartist.Brush. The detail charts are given with the detail option.
+    brush: {}
+  });
+
+  /**
+   * Places the values without an x value at their index, so they can be projected on the continuous X axis of the navigator.
+   *
+   * @memberof Chartist.Navigator
+   * @param {Object} data The normalized data object returned by `Chartist.normalizeData`
+   * @param {Object} chartRect The chart rectangle
+   * @param {Object} options The current chart options
+   * @return {Object} The data object with x values for all values
+   */
+  prepareSeries(data, chartRect, options) {
+    data.normalized.series = data.normalized.series.map((values) => values.map((value, index) => {
+      return value && value.x === undefined ? {x: index, y: value.y} : value;
+    }));
+
+    return data;
+  }
+
+  /**
+   * This method creates a new navigator chart.
+   *
+   * @memberof Chartist.Navigator
+   * @param {String|Node} query A selector query string or directly a DOM element
+   * @param {Object} data The data object that needs to consist of a series array with the same data as the detail charts
+   * @param {Object} [options] The options object with options that override the default options of the navigator
+   * @param {Array} [responsiveOptions] Specify an array of responsive option arrays which are a media query and options object pair => [[mediaQueryString, optionsObject],[more...]]
+   * @return {Object} An object which exposes the API for the created chart
+   *
+   * @example
+   * // A detail chart that shows the range that is selected in the navigator below it
+   * new Chartist.Line('.ct-detail', data, {
+   *   axisX: {
+   *     type: Chartist.TimeAxis
+   *   },
+   *   showPoint: false
+   * });
+   *
+   * let navigator = new Chartist.Navigator('.ct-navigator', data, {
+   *   axisX: {
+   *     type: Chartist.TimeAxis
+   *   },
+   *   brush: {
+   *     detail: '.ct-detail',
+   *     // The range can be restored from the URL, which is updated whenever the range changes
+   *     range: rangeFromUrl()
+   *   }
+   * });
+   *
+   * navigator.on('rangeChange', function(range) {
+   *   history.replaceState(null, '', '#' + range.min + '-' + range.max);
+   * });
+   */
+  constructor(query, data, options, responsiveOptions) {
+    super(query, data, Chartist.extend({}, Navigator.defaultOptions, options), responsiveOptions);
+    this.defaultOptions = Navigator.defaultOptions;
+  }
+}
+
+export default Navigator;
@@ -6,6 +6,13 @@
 import Chartist from '../core';
 import Base from '../base';
 import Path from '../svg-path';
+import Reconciler from '../reconciler';
+import Transition from '../transition';
+
+// Label texts can't be measured in environments without layout, so their height is estimated
+let estimatedLineHeight = 14;
+// The length of the horizontal part of the leader lines in pixels
+let leaderLineLength = 10;
 
 class Pie extends Base {
   /**
@@ -28,7 +35,14 @@ class Pie extends Base {
       slicePie: 'ct-slice-pie',
       sliceDonut: 'ct-slice-donut',
       sliceDonutSolid: 'ct-slice-donut-solid',
-      label: 'ct-label'
+      label: 'ct-label',
+      labelLeader: 'ct-label-leader',
+      tooltip: 'ct-tooltip',
+      legend: 'ct-legend',
+      legendItem: 'ct-legend-item',
+      legendSwatch: 'ct-legend-swatch',
+      legendLabel: 'ct-legend-label',
+      legendInactive: 'ct-legend-inactive'
     },
     // The start angle of the pie chart in degrees where 0 points north. A higher value offsets the start angle clockwise.
     startAngle: 0,
@@ -47,6 +61,8 @@ class Pie extends Base {
     labelOffset: 0,
     // This option can be set to 'inside', 'outside' or 'center'. Positioned with 'inside' the labels will be placed on half the distance of the radius to the border of the Pie by respecting the 'labelOffset'. The 'outside' option will place the labels at the border of the pie and 'center' will place the labels in the absolute center point of the chart. The 'center' option only makes sense in conjunction with the 'labelOffset' option.
     labelPosition: 'inside',
+    // If true, labels with the labelPosition 'outside' are placed in a column on each side of the pie and connected to their slice with a leader line. Labels of small slices that cluster together are moved apart vertically, so that they don't overlap. The labelOffset is the distance of the bend of the leader lines from the pie.
+    labelLeaderLines: false,
     // An interpolation function for the label value
     labelInterpolationFnc: Chartist.noop,
     // Label direction can be 'neutral', 'explode' or 'implode'. The labels anchor will be positioned based on those settings as well as the fact if the labels are on the right or left side of the center of the chart. Usually explode is useful when labels are positioned far away from the center.
@@ -54,9 +70,37 @@ class Pie extends Base {
     // If true the whole data is reversed including labels, the series order as well as the whole series data arrays.
     reverseData: false,
     // If true empty values will be ignored to avoid drawing unnecessary slices and labels
-    ignoreEmptyValues: false
+    ignoreEmptyValues: false,
+    // If set to true, updates will re-use the existing SVG elements and only patch the attributes that changed, instead of re-creating the whole chart. Draw events will contain a `state` property that is either `created`, `updated` or `removed`.
+    reconcile: false,
+    // If set to true or an object with a duration in milliseconds and an easing (a name of an easing curve in Chartist.Svg.Easing or an array of Bézier control points), updates re-use the existing SVG elements like with the reconcile option and animate them from their previous to their new state. Slices sweep from their previous to their new angles. The events `animationBegin` and `animationEnd` are emitted for every animated element.
+    transition: false,
+    // If set to 'canvas', the chart is painted onto a canvas element instead of being added to the page as SVG. Draw events are emitted as usual and tooltips, the legend and the zoom keep working, but the chart is styled with the theme option instead of style sheets.
+    renderer: 'svg',
+    // Rules that are merged into the default theme of the canvas renderer, like {'.ct-series-a': {color: '#333'}}. See the default theme of Chartist.CanvasRenderer.
+    theme: undefined,
+    // If true, the chart gets a title and description, the series and slices get ARIA roles and labels and the slices can be navigated with the arrow keys, Home and End. A `focus` event with the draw event data is emitted when a value is focused. Can also be an object with accessibility options, see the default options of Chartist.Accessibility.
+    accessibility: false,
+    // Options for the legend
+    legend: {
+      // If true, a legend with the names of the series is drawn. Clicking an entry hides or shows its series and emits a `legendToggle` event.
+      showLegend: false,
+      // The position of the legend, which can be 'top', 'bottom', 'left' or 'right'
+      position: 'top',
+      // The space in pixels that is reserved for the legend, which is its height at the top or bottom and its width at the left or right
+      offset: 30,
+      // The size of the color swatches in pixels
+      swatchSize: 10,
+      // The space in pixels between two entries of a legend at the top or bottom
+      spacing: 15
+    },
+    // If true, a tooltip with the value is shown when a slice is hovered, touched or focused. Can also be an object with tooltip options, see the default options of Chartist.Tooltip.
+    tooltip: false
   };
 
+  // The angles of the slices as they are currently displayed, used as starting point of slice transitions
+  sliceAngles = {};
+
   // noinspection JSUnusedGlobalSymbols
   /**
    * Determines SVG anchor position based on direction and center parameter
@@ -86,7 +130,8 @@ class Pie extends Base {
    * @param options
    */
   createChart(options) {
-    let data = Chartist.normalizeData(this.data);
+    // Series that have been hidden with the legend are left out
+    let data = this.hideSeries(Chartist.normalizeData(this.data), 0);
     let seriesGroups = [],
       labelsGroup,
       chartRect,
@@ -95,10 +140,12 @@ class Pie extends Base {
       totalDataSum,
       startAngle = options.startAngle;
 
-    // Create SVG.js draw
-    this.svg = Chartist.createSvg(this.container, options.width, options.height, options.donut ? options.classNames.chartDonut : options.classNames.chartPie);
+    // Create SVG.js draw or re-use the existing one if we reconcile
+    this.prepareSvg(options, options.donut ? options.classNames.chartDonut : options.classNames.chartPie);
     // Calculate charting rect
-    chartRect = Chartist.createChartRect(this.svg, options, this.defaultOptions.padding);
+    chartRect = Chartist.createChartRect(this.svg, options, this.defaultOptions.padding, false, (x1, x2) => {
+      return this.legend.arrange(data.raw.series, options, x1, x2, this.data.labels).rows;
+    });
     // Get the biggest circle radius possible within chartRect
     radius = Math.min(chartRect.width() / 2, chartRect.height() / 2);
     // Calculate total of all series to get reference value or use total reference from optional options
@@ -146,35 +193,47 @@ class Pie extends Base {
 
     // Creating the series groups
     data.raw.series.forEach((series, index) => {
-      seriesGroups[index] = this.svg.elem('g', null, null);
+      if (this.legend.isHidden(series, index)) {
+        return;
+      }
+
+      // If current value is zero, and we are ignoring empty values the series group stays empty
+      if (data.normalized.series[index] === 0 && options.ignoreEmptyValues) {
+        seriesGroups[index] = this.reconciler.elem(this.svg, Reconciler.seriesKey(series, index, this.data.series), 'g');
+        return;
+      }
+
+      // If the series is an object and contains a name or metadata we add a custom attribute
+      // Use series class from series data or if not set generate one
+      seriesGroups[index] = this.reconciler.elem(this.svg, Reconciler.seriesKey(series, index, this.data.series), 'g', {
+        'ct:series-name': series.name
+      }, [
+        options.classNames.series,
+        (series.className || options.classNames.series + '-' + Chartist.alphaNumerate(index))
+      ].join(' '));
+      this.transitionElement(seriesGroups[index], Reconciler.seriesKey(series, index, this.data.series));
     });
     //if we need to show labels we create the label group now
     if (options.showLabel) {
-      labelsGroup = this.svg.elem('g', null, null);
+      labelsGroup = this.reconciler.elem(this.svg, 'label-group', 'g');
     }
 
+    // Labels with leader lines are collected and drawn after all slices, as they are arranged together
+    let leaderLabels = options.showLabel && options.labelPosition === 'outside' && options.labelLeaderLines ? [] : undefined;
+
     // Draw the series
-    // initialize series groups
     data.raw.series.forEach((series, index) => {
       // If current value is zero, and we are ignoring empty values then skip to next value
-      if (data.normalized.series[index] === 0 && options.ignoreEmptyValues) return;
+      if (data.normalized.series[index] === 0 && options.ignoreEmptyValues || this.legend.isHidden(series, index)) return;
 
-      // If the series is an object and contains a name or metadata we add a custom attribute
-      seriesGroups[index].attr({
-        'ct:series-name': series.name
-      });
-
-      // Use series class from series data or if not set generate one
-      seriesGroups[index].addClass([
-        options.classNames.series,
-        (series.className || options.classNames.series + '-' + Chartist.alphaNumerate(index))
-      ].join(' '));
+      let seriesKey = Reconciler.seriesKey(series, index, this.data.series);
 
       // If the whole dataset is 0 endAngle should be zero. Can't divide by 0.
       let endAngle = (totalDataSum > 0 ? startAngle + data.normalized.series[index] / totalDataSum * 360 : 0);
 
       // Use slight offset so there are no transparent hairline issues
-      let overlappingStartAngle = Math.max(0, startAngle - (index === 0 || hasSingleValInSeries ? 0 : 0.2));
+      let overlap = index === 0 || hasSingleValInSeries ? 0 : 0.2;
+      let overlappingStartAngle = Math.max(0, startAngle - overlap);
 
       // If we need to draw the arc for all 360 degrees we need to add a hack where we close the circle
       // with Z and use 359.99 degrees
@@ -182,28 +241,7 @@ class Pie extends Base {
         endAngle = overlappingStartAngle + 359.99;
       }
 
-      let start = Chartist.polarToCartesian(center.x, center.y, radius, overlappingStartAngle),
-        end = Chartist.polarToCartesian(center.x, center.y, radius, endAngle);
-
-      let innerStart,
-        innerEnd,
-        donutSolidRadius;
-
-      // Create a new path element for the pie chart. If this isn't a donut chart we should close the path for a correct stroke
-      let path = new Path(!options.donut || options.donutSolid, undefined)
-        .move(end.x, end.y)
-        .arc(radius, radius, 0, endAngle - startAngle > 180, 0, start.x, start.y);
-
-      // If regular pie chart (no donut) we add a line to the center of the circle for completing the pie
-      if (!options.donut) {
-        path.line(center.x, center.y);
-      } else if (options.donutSolid) {
-        donutSolidRadius = radius - donutWidth.value;
-        innerStart = Chartist.polarToCartesian(center.x, center.y, donutSolidRadius, startAngle - (index === 0 || hasSingleValInSeries ? 0 : 0.2));
-        innerEnd = Chartist.polarToCartesian(center.x, center.y, donutSolidRadius, endAngle);
-        path.line(innerStart.x, innerStart.y);
-        path.arc(donutSolidRadius, donutSolidRadius, 0, endAngle - startAngle > 180, 1, innerEnd.x, innerEnd.y);
-      }
+      let path = this.createSlicePath(center, radius, donutWidth, startAngle, endAngle, overlap, options);
 
       // Create the SVG path
       // If this is a donut chart we add the donut class, otherwise just a regular slice
@@ -214,21 +252,20 @@ class Pie extends Base {
           pathClassName = options.classNames.sliceDonutSolid;
         }
       }
-      let pathElement = seriesGroups[index].elem('path', {
-        d: path.stringify()
-      }, pathClassName);
-
       // Adding the pie series value to the path
-      pathElement.attr({
+      let pathElement = this.reconciler.elem(seriesGroups[index], seriesKey + ':slice', 'path', {
+        d: path.stringify(),
         'ct:value': data.normalized.series[index],
         'ct:meta': Chartist.serialize(series.meta)
-      });
+      }, pathClassName);
 
       // If this is a donut, we add the stroke-width as style attribute
       if (options.donut && !options.donutSolid) {
         pathElement._node.style.strokeWidth = donutWidth.value + 'px';
       }
 
+      this.transitionSlice(pathElement, seriesKey, center, radius, donutWidth, startAngle, endAngle, overlap, options);
+
       // Fire off draw event
       this.eventEmitter.emit('draw', {
         type: 'slice',
@@ -274,12 +311,20 @@ class Pie extends Base {
 
         let interpolatedValue = options.labelInterpolationFnc(rawValue, index);
 
-        if (interpolatedValue || interpolatedValue === 0) {
-          let labelElement = labelsGroup.elem('text', {
+        if (leaderLabels && (interpolatedValue || interpolatedValue === 0)) {
+          leaderLabels.push({
+            index: index,
+            key: seriesKey,
+            text: '' + interpolatedValue,
+            angle: startAngle + (endAngle - startAngle) / 2
+          });
+        } else if (interpolatedValue || interpolatedValue === 0) {
+          let labelKey = seriesKey + ':label';
+          let labelElement = this.reconciler.text(this.reconciler.elem(labelsGroup, labelKey, 'text', {
             dx: labelPosition.x,
             dy: labelPosition.y,
             'text-anchor': this.determineAnchorPosition(center, labelPosition, options.labelDirection)
-          }, options.classNames.label).text('' + interpolatedValue);
+          }, options.classNames.label), '' + interpolatedValue);
 
           // Fire off draw event
           this.eventEmitter.emit('draw', {
@@ -291,6 +336,7 @@ class Pie extends Base {
             x: labelPosition.x,
             y: labelPosition.y
           });
+          this.transitionElement(labelElement, labelKey);
         }
       }
 
@@ -299,6 +345,17 @@ class Pie extends Base {
       startAngle = endAngle;
     });
 
+    if (leaderLabels) {
+      // Donut strokes are centered on the radius, so their outer edge is half the donut width further out
+      let outerRadius = radius + (options.donut && !options.donutSolid ? donutWidth.value / 2 : 0);
+      this.drawLeaderLabels(leaderLabels, center, outerRadius, labelsGroup, options);
+    }
+
+    this.legend.draw(data.raw.series, options, chartRect, this.data.labels);
+
+    // Remove all elements that have not been drawn again
+    this.reconciler.end();
+
     this.eventEmitter.emit('created', {
       chartRect: chartRect,
       svg: this.svg,
@@ -306,6 +363,161 @@ class Pie extends Base {
     });
   }
 
+  /**
+   * Draws the labels of the slices in a column on each side of the pie and connects them to their slices with leader lines. On each side the labels are sorted by the height of their slices and moved apart where they would overlap, first downwards and then back upwards, so that they stay close to their slices.
+   *
+   * @memberof Chartist.Pie
+   * @param {Array} labels The labels with the index, the reconciler key and the middle angle of their slice and their text
+   * @param {Object} center The center of the chart with x and y coordinates
+   * @param {Number} outerRadius The outer radius of the pie
+   * @param {Object} labelsGroup The group element of the labels
+   * @param {Object} options The options of the chart
+   */
+  drawLeaderLabels(labels, center, outerRadius, labelsGroup, options) {
+    let bendRadius = outerRadius + options.labelOffset;
+
+    labels.forEach((label) => {
+      label.anchor = Chartist.polarToCartesian(center.x, center.y, outerRadius, label.angle);
+      label.bend = Chartist.polarToCartesian(center.x, center.y, bendRadius, label.angle);
+      label.side = label.bend.x >= center.x ? 1 : -1;
+      label.y = label.bend.y;
+    });
+
+    [1, -1].forEach((side) => {
+      let column = labels.filter((label) => label.side === side).sort((a, b) => a.bend.y - b.bend.y);
+
+      // Labels that overlap the label above them are moved down
+      column.forEach((label, index) => {
+        if (index > 0) {
+          label.y = Math.max(label.y, column[index - 1].y + estimatedLineHeight);
+        }
+      });
+
+      // Labels that have been moved below the pie are moved back up, which moves the labels above them up as well
+      let next = center.y + bendRadius + estimatedLineHeight;
+      for (let index = column.length - 1; index >= 0; index--) {
+        column[index].y = Math.min(column[index].y, next - estimatedLineHeight);
+        next = column[index].y;
+      }
+    });
+
+    labels.forEach((label) => {
+      let labelX = center.x + label.side * (bendRadius + leaderLineLength);
+      let path = new Path()
+        .move(label.anchor.x, label.anchor.y)
+        .line(label.bend.x, label.y)
+        .line(labelX - label.side * 2, label.y);
+
+      let leaderKey = label.key + ':leader';
+      let leaderElement = this.reconciler.elem(labelsGroup, leaderKey, 'path', {
+        d: path.stringify()
+      }, options.classNames.labelLeader, true);
+
+      this.eventEmitter.emit('draw', {
+        type: 'leaderLine',
+        index: label.index,
+        group: labelsGroup,
+        element: leaderElement,
+        path: path.clone()
+      });
+      this.transitionElement(leaderElement, leaderKey);
+
+      let labelKey = label.key + ':label';
+      let labelElement = this.reconciler.text(this.reconciler.elem(labelsGroup, labelKey, 'text', {
+        dx: labelX,
+        dy: label.y,
+        'text-anchor': label.side > 0 ? 'start' : 'end',
+        'dominant-baseline': 'central'
+      }, options.classNames.label), label.text);
+
+      this.eventEmitter.emit('draw', {
+        type: 'label',
+        index: label.index,
+        group: labelsGroup,
+        element: labelElement,
+        text: label.text,
+        x: labelX,
+        y: label.y
+      });
+      this.transitionElement(labelElement, labelKey);
+    });
+  }
+
+  /**
+   * Creates the path of a pie slice or donut segment between two angles.
+   *
+   * @memberof Chartist.Pie
+   * @param {Object} center The center of the chart with x and y coordinates
+   * @param {Number} radius The radius of the pie
+   * @param {Object} donutWidth The donut width quantity
+   * @param {Number} startAngle The start angle of the slice in degrees
+   * @param {Number} endAngle The end angle of the slice in degrees
+   * @param {Number} overlap The angle in degrees the slice should overlap its preceding slice
+   * @param {Object} options The chart options
+   * @return {Path} The path of the slice
+   */
+  createSlicePath(center, radius, donutWidth, startAngle, endAngle, overlap, options) {
+    let overlappingStartAngle = Math.max(0, startAngle - overlap);
+    let start = Chartist.polarToCartesian(center.x, center.y, radius, overlappingStartAngle),
+      end = Chartist.polarToCartesian(center.x, center.y, radius, endAngle);
+
+    // Create a new path element for the pie chart. If this isn't a donut chart we should close the path for a correct stroke
+    let path = new Path(!options.donut || options.donutSolid, undefined)
+      .move(end.x, end.y)
+      .arc(radius, radius, 0, endAngle - startAngle > 180, 0, start.x, start.y);
+
+    // If regular pie chart (no donut) we add a line to the center of the circle for completing the pie
+    if (!options.donut) {
+      path.line(center.x, center.y);
+    } else if (options.donutSolid) {
+      let donutSolidRadius = radius - donutWidth.value;
+      let innerStart = Chartist.polarToCartesian(center.x, center.y, donutSolidRadius, startAngle - overlap);
+      let innerEnd = Chartist.polarToCartesian(center.x, center.y, donutSolidRadius, endAngle);
+      path.line(innerStart.x, innerStart.y);
+      path.arc(donutSolidRadius, donutSolidRadius, 0, endAngle - startAngle > 180, 1, innerEnd.x, innerEnd.y);
+    }
+
+    return path;
+  }
+
+  /**
+   * Animates a slice from the angles it is currently displayed with to its new angles, if transitions are enabled. New slices sweep open from their start angle.
+   *
+   * @memberof Chartist.Pie
+   */
+  transitionSlice(pathElement, seriesKey, center, radius, donutWidth, startAngle, endAngle, overlap, options) {
+    let from = this.sliceAngles[seriesKey];
+    let to = {
+      startAngle: startAngle,
+      endAngle: endAngle
+    };
+    this.sliceAngles[seriesKey] = to;
+
+    if (!this.transition) {
+      return;
+    }
+
+    if (this.reconciler.state(seriesKey + ':slice') === 'created' || !from) {
+      from = {
+        startAngle: startAngle,
+        endAngle: startAngle
+      };
+    }
+
+    Transition.run(pathElement, this.transition, (progress) => {
+      let angles = {
+        startAngle: from.startAngle + (to.startAngle - from.startAngle) * progress,
+        endAngle: from.endAngle + (to.endAngle - from.endAngle) * progress
+      };
+      this.sliceAngles[seriesKey] = angles;
+      pathElement.attr({
+        d: this.createSlicePath(center, radius, donutWidth, angles.startAngle, angles.endAngle, overlap, options).stringify()
+      });
+    }, this.eventEmitter, {
+      state: this.reconciler.state(seriesKey + ':slice')
+    });
+  }
+
   /**
    * This method creates a new pie chart and returns an object that can be used to redraw the chart.
    *
@@ -0,0 +1,397 @@
+/**
+ * The Chartist scatter chart draws the values of its series as circles on two value axes. Values are given as `{x, y, r, meta}` objects, where the optional `r` property is projected to the radius of the circle with a configurable scale, which turns the scatter chart into a bubble chart. With the `colorBy` option the circles can also be colored by a value instead of by their series.
+ *
+ * For examples on how to use the scatter chart please check the examples of the `Chartist.Scatter` method.
+ *
+ * @module Chartist.Scatter
+ */
+import Chartist from '../core';
+import Base from '../base';
+import Axis from '../axes/axis';
+import AutoScaleAxis from '../axes/auto-scale-axis';
+import Reconciler from '../reconciler';
+
+class Scatter extends Base {
+  /**
+   * Default options in scatter charts. Expand the code view to see a detailed list of options with comments.
+   *
+   * @memberof Chartist.Scatter
+   */
+  static defaultOptions = {
+    // Options for X-Axis
+    axisX: {
+      // The offset of the labels to the chart area
+      offset: 30,
+      // Position where labels are placed. Can be set to `start` or `end` where `start` is equivalent to left or top on vertical axis and `end` is equivalent to right or bottom on horizontal axis.
+      position: 'end',
+      // Allows you to correct label positioning on this axis by positive or negative x and y offset.
+      labelOffset: {
+        x: 0,
+        y: 0
+      },
+      // If labels should be shown or not
+      showLabel: true,
+      // If the axis grid should be drawn or not
+      showGrid: true,
+      // Interpolation function that allows you to intercept the value from the axis label
+      labelInterpolationFnc: Chartist.noop,
+      // If high is specified then the axis will display values explicitly up to this value and the computed maximum from the data is ignored
+      high: undefined,
+      // If low is specified then the axis will display values explicitly down to this value and the computed minimum from the data is ignored
+      low: undefined,
+      // This value specifies the minimum width in pixel of the scale steps
+      scaleMinSpace: 30,
+      // Use only integer values (whole numbers) for the scale steps
+      onlyInteger: false,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
+    },
+    // Options for Y-Axis
+    axisY: {
+      // The offset of the labels to the chart area
+      offset: 40,
+      // Position where labels are placed. Can be set to `start` or `end` where `start` is equivalent to left or top on vertical axis and `end` is equivalent to right or bottom on horizontal axis.
+      position: 'start',
+      // Allows you to correct label positioning on this axis by positive or negative x and y offset.
+      labelOffset: {
+        x: 0,
+        y: 0
+      },
+      // If labels should be shown or not
+      showLabel: true,
+      // If the axis grid should be drawn or not
+      showGrid: true,
+      // Interpolation function that allows you to intercept the value from the axis label
+      labelInterpolationFnc: Chartist.noop,
+      // If high is specified then the axis will display values explicitly up to this value and the computed maximum from the data is ignored
+      high: undefined,
+      // If low is specified then the axis will display values explicitly down to this value and the computed minimum from the data is ignored
+      low: undefined,
+      // This value specifies the minimum height in pixel of the scale steps
+      scaleMinSpace: 20,
+      // Use only integer values (whole numbers) for the scale steps
+      onlyInteger: false,
+      // If true, the labels are measured and, if they overlap, rotated, truncated with an ellipsis or thinned out to every n-th label, and the offset grows to fit rotated labels. Can also be an object with the options of the automatic fitting, see the autoFitOptions of Chartist.Axis.
+      autoFit: false
+    },
+    // Specify a fixed width for the chart as a string (i.e. '100px' or '50%')
+    width: undefined,
+    // Specify a fixed height for the chart as a string (i.e. '100px' or '50%')
+    height: undefined,
+    // The radius in pixel of the circles of values without an r property
+    pointRadius: 4,
+    // Options of the scale that projects the r property of the values to the radius of the circles
+    radiusScale: {
+      // With 'area' the area of the circles is proportional to r, so that a circle with twice the r looks twice as large. With 'linear' the radius grows linearly from the min to the max radius between the lowest and the highest r.
+      type: 'area',
+      // The smallest radius in pixel
+      min: 2,
+      // The radius in pixel of the highest r
+      max: 20,
+      // The lowest r of the scale. If not specified the lowest r of the data is used, which is only relevant for the linear scale.
+      low: undefined,
+      // The highest r of the scale. If not specified the highest r of the data is used.
+      high: undefined
+    },
+    // Colors the circles by a value instead of by their series. Can be the name of a value property like 'x', 'y' or 'r', or a function that receives the value and the meta data and returns a number. The numbers are mapped to colors with the colorScale option.
+    colorBy: undefined,
+    // Options of the scale that maps the colorBy numbers to colors
+    colorScale: {
+      // The hex colors that are interpolated from the lowest to the highest number
+      colors: ['#d70206', '#f4c63d', '#59922b'],
+      // The number of the first color. If not specified the lowest number of the data is used.
+      low: undefined,
+      // The number of the last color. If not specified the highest number of the data is used.
+      high: undefined
+    },
+    // If the scatter chart should add a background fill to the .ct-grids group.
+    showGridBackground: false,
+    // Padding of the chart drawing area to the container element and labels as a number or padding object {top: 5, right: 5, bottom: 5, left: 5}
+    chartPadding: {
+      top: 15,
+      right: 15,
+      bottom: 5,
+      left: 10
+    },
+    // If set to true, updates will re-use the existing SVG elements and only patch the attributes that changed, instead of re-creating the whole chart. Draw events will contain a `state` property that is either `created`, `updated` or `removed`.
+    reconcile: false,
+    // If set to true or an object with a duration in milliseconds and an easing (a name of an easing curve in Chartist.Svg.Easing or an array of Bézier control points), updates re-use the existing SVG elements like with the reconcile option and animate them from their previous to their new state. The events `animationBegin` and `animationEnd` are emitted for every animated element.
+    transition: false,
+    // If true, the chart gets a title and description, the series and circles get ARIA roles and labels and the circles can be navigated with the arrow keys, Home and End. A `focus` event with the draw event data is emitted when a value is focused. Can also be an object with accessibility options, see the default options of Chartist.Accessibility.
+    accessibility: false,
+    // Options for the legend
+    legend: {
+      // If true, a legend with the names of the series is drawn. Clicking an entry hides or shows its series and emits a `legendToggle` event.
+      showLegend: false,
+      // The position of the legend, which can be 'top', 'bottom', 'left' or 'right'
+      position: 'top',
+      // The space in pixels that is reserved for the legend, which is its height at the top or bottom and its width at the left or right
+      offset: 30,
+      // The size of the color swatches in pixels
+      swatchSize: 10,
+      // The space in pixels between two entries of a legend at the top or bottom
+      spacing: 15
+    },
+    // If true, a tooltip with the value is shown when a circle is hovered, touched or focused. Can also be an object with tooltip options, see the default options of Chartist.Tooltip.
+    tooltip: false,
+    // Override the class names that get used to generate the SVG structure of the chart
+    classNames: {
+      chart: 'ct-chart-scatter',
+      label: 'ct-label',
+      labelGroup: 'ct-labels',
+      series: 'ct-series',
+      bubble: 'ct-bubble',
+      grid: 'ct-grid',
+      gridGroup: 'ct-grids',
+      gridBackground: 'ct-grid-background',
+      vertical: 'ct-vertical',
+      horizontal: 'ct-horizontal',
+      start: 'ct-start',
+      end: 'ct-end',
+      tooltip: 'ct-tooltip',
+      legend: 'ct-legend',
+      legendItem: 'ct-legend-item',
+      legendSwatch: 'ct-legend-swatch',
+      legendLabel: 'ct-legend-label',
+      legendInactive: 'ct-legend-inactive'
+    }
+  };
+
+  /**
+   * Creates a new chart
+   *
+   */
+  createChart(options) {
+    // Series that have been hidden with the legend are left out
+    let data = this.hideSeries(Chartist.normalizeData(this.data, false, true, Chartist.dateDimensions(options)), []);
+
+    // The normalized values only contain x and y, so the r property and the meta data are read from the raw values
+    let values = data.normalized.series.map((series, seriesIndex) => {
+      let rawSeries = data.raw.series[seriesIndex];
+      return series.map((value, valueIndex) => {
+        if (value === undefined) {
+          return undefined;
+        }
+
+        let rawValue = rawSeries.data ? rawSeries.data[valueIndex] : rawSeries[valueIndex];
+        rawValue = Chartist.safeHasProperty(rawValue, 'value') ? rawValue.value : rawValue;
+
+        return Chartist.extend({}, value, {
+          r: rawValue !== null && typeof rawValue === 'object' ? Chartist.getNumberOrUndefined(rawValue.r) : undefined
+        });
+      });
+    });
+
+    // Values need both coordinates to be drawn
+    let isDrawn = (value) => value !== undefined && value.x !== undefined && value.y !== undefined;
+    let flatValues = [];
+    let flatMeta = [];
+    values.forEach((series, seriesIndex) => series.forEach((value, valueIndex) => {
+      if (isDrawn(value)) {
+        flatValues.push(value);
+        flatMeta.push(Chartist.getMetaData(data.raw.series[seriesIndex], valueIndex));
+      }
+    }));
+    let radius = this.radiusScale(flatValues, options);
+    let color = this.colorScale(flatValues, flatMeta, options);
+
+    // Create new svg object or re-use the existing one if we reconcile
+    this.prepareSvg(options, options.classNames.chart);
+    // Create groups for labels, grid and series
+    let gridGroup = this.reconciler.elem(this.svg, 'grid-group', 'g', null, options.classNames.gridGroup);
+    let seriesGroup = this.reconciler.elem(this.svg, 'series-group', 'g');
+    let labelGroup = this.reconciler.elem(this.svg, 'label-group', 'g', null, options.classNames.labelGroup);
+
+    let chartRect = Chartist.createChartRect(this.svg, options, this.defaultOptions.padding, false, (x1, x2) => {
+      return this.legend.arrange(data.raw.series, options, x1, x2).rows;
+    });
+    let axisX = new AutoScaleAxis(Axis.axisUnits.x, data.normalized.series, chartRect, options.axisX);
+    let axisY = new AutoScaleAxis(Axis.axisUnits.y, data.normalized.series, chartRect, options.axisY);
+
+    // Axes with the autoFit option may need larger offsets for their labels, which changes the layout of the chart
+    let fittedOptions = this.fitAxes(options, [axisX, axisY]);
+    if (fittedOptions) {
+      return this.createChart(fittedOptions);
+    }
+
+    axisX.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+    axisY.createGridAndLabels(gridGroup, labelGroup, this.supportsForeignObject, options, this.eventEmitter, this.reconciler);
+
+    if (options.showGridBackground) {
+      Chartist.createGridBackground(gridGroup, chartRect, options.classNames.gridBackground, this.eventEmitter, this.reconciler);
+    }
+
+    // Draw the series
+    data.raw.series.forEach((series, seriesIndex) => {
+      if (this.legend.isHidden(series, seriesIndex)) {
+        return;
+      }
+
+      let seriesKey = Reconciler.seriesKey(series, seriesIndex, this.data.series);
+      // Write attributes to series group element. If series name or meta is undefined the attributes will not be written
+      // Use series class from series data or if not set generate one
+      let seriesElement = this.reconciler.elem(seriesGroup, seriesKey, 'g', {
+        'ct:series-name': series.name,
+        'ct:meta': Chartist.serialize(series.meta)
+      }, [
+        options.classNames.series,
+        (series.className || options.classNames.series + '-' + Chartist.alphaNumerate(seriesIndex))
+      ].join(' '));
+      this.transitionElement(seriesElement, seriesKey);
+
+      values[seriesIndex].forEach((value, valueIndex) => {
+        if (!isDrawn(value)) {
+          return;
+        }
+
+        let meta = Chartist.getMetaData(series, valueIndex);
+        let x = chartRect.x1 + axisX.projectValue(value);
+        let y = chartRect.y1 - axisY.projectValue(value);
+        let r = radius(value);
+        let fill = color(value, meta);
+        let bubbleKey = seriesKey + ':bubble:' + valueIndex;
+
+        let bubble = this.reconciler.elem(seriesElement, bubbleKey, 'circle', {
+          cx: x,
+          cy: y,
+          r: r,
+          style: fill ? 'fill: ' + fill + '; stroke: ' + fill : undefined,
+          'ct:value': [value.x, value.y, value.r].filter(Chartist.isNumeric).join(','),
+          'ct:meta': Chartist.serialize(meta)
+        }, options.classNames.bubble);
+
+        // The circles are emitted as points, so that they work with tooltips and keyboard navigation
+        this.eventEmitter.emit('draw', {
+          type: 'point',
+          value: value,
+          index: valueIndex,
+          meta: meta,
+          series: series,
+          seriesIndex: seriesIndex,
+          axisX: axisX,
+          axisY: axisY,
+          group: seriesElement,
+          element: bubble,
+          x: x,
+          y: y,
+          radius: r,
+          color: fill
+        });
+
+        // New circles grow out of their center
+        this.transitionElement(bubble, bubbleKey, {
+          r: 0
+        });
+      });
+    });
+
+    this.legend.draw(data.raw.series, options, chartRect);
+
+    // Remove all elements that have not been drawn again
+    this.reconciler.end();
+
+    this.eventEmitter.emit('created', {
+      bounds: axisY.bounds,
+      chartRect: chartRect,
+      axisX: axisX,
+      axisY: axisY,
+      svg: this.svg,
+      options: options
+    });
+  }
+
+  /**
+   * Creates the function that projects the r property of a value to the radius of its circle. Values without an r property get the point radius.
+   *
+   * @memberof Chartist.Scatter
+   * @param {Array} values All values of the visible series
+   * @param {Object} options The options of the chart
+   * @return {Function} A function that returns the radius in pixel of a value
+   */
+  radiusScale(values, options) {
+    let scale = options.radiusScale;
+    let rs = values.map((value) => value.r).filter(Chartist.isNumeric);
+    let low = Chartist.isNumeric(scale.low) ? +scale.low : Math.min.apply(null, rs);
+    let high = Chartist.isNumeric(scale.high) ? +scale.high : Math.max.apply(null, rs);
+
+    return (value) => {
+      if (value.r === undefined) {
+        return options.pointRadius;
+      }
+
+      let radius;
+      if (scale.type === 'linear') {
+        radius = high > low ? scale.min + (scale.max - scale.min) * (value.r - low) / (high - low) : scale.max;
+      } else {
+        // The area of a circle grows with the square of its radius
+        radius = high > 0 ? scale.max * Math.sqrt(Math.max(value.r, 0) / high) : scale.min;
+      }
+
+      return Math.min(Math.max(radius, scale.min), scale.max);
+    };
+  }
+
+  /**
+   * Creates the function that maps a value to its color with the colorBy option. Without the colorBy option the circles are colored by the CSS of their series.
+   *
+   * @memberof Chartist.Scatter
+   * @param {Array} values All values of the visible series
+   * @param {Array} metas The meta data of the values
+   * @param {Object} options The options of the chart
+   * @return {Function} A function that returns the color of a value or undefined
+   */
+  colorScale(values, metas, options) {
+    if (options.colorBy === undefined || options.colorBy === null) {
+      return () => undefined;
+    }
+
+    let scale = options.colorScale;
+    let number = typeof options.colorBy === 'function' ?
+      (value, meta) => Chartist.getNumberOrUndefined(options.colorBy(value, meta)) :
+      (value) => value[options.colorBy];
+    let numbers = values.map((value, index) => number(value, metas[index])).filter(Chartist.isNumeric);
+    let low = Chartist.isNumeric(scale.low) ? +scale.low : Math.min.apply(null, numbers);
+    let high = Chartist.isNumeric(scale.high) ? +scale.high : Math.max.apply(null, numbers);
+
+    return (value, meta) => {
+      let n = number(value, meta);
+      if (!Chartist.isNumeric(n)) {
+        return undefined;
+      }
+
+      return Chartist.interpolateColor(scale.colors, high > low ? (n - low) / (high - low) : 0);
+    };
+  }
+
+  /**
+   * This method creates a new scatter chart.
+   *
+   * @memberof Chartist.Scatter
+   * @param {String|Node} query A selector query string or directly a DOM element
+   * @param {Object} data The data object that needs to consist of a series array with `{x, y, r, meta}` values. Labels are used for the names of unnamed series in the legend.
+   * @param {Object} [options] The options object with options that override the default options. Check the examples for a detailed list.
+   * @param {Array} [responsiveOptions] Specify an array of responsive option arrays which are a media query and options object pair => [[mediaQueryString, optionsObject],[more...]]
+   * @return {Object} An object which exposes the API for the created chart
+   *
+   * @example
+   * // Create a bubble chart where the area of the circles shows the population and the color the life expectancy
+   * new Chartist.Scatter('.ct-chart', {
+   *   series: [[
+   *     {x: 1.2, y: 64, r: 1400, meta: 'China'},
+   *     {x: 6.3, y: 79, r: 330, meta: 'United States'},
+   *     {x: 0.2, y: 55, r: 110, meta: 'Ethiopia'}
+   *   ]]
+   * }, {
+   *   colorBy: 'y',
+   *   radiusScale: {
+   *     max: 40
+   *   }
+   * });
+   *
+   */
+  constructor(query, data, options, responsiveOptions) {
+    super(query, data, Scatter.defaultOptions, Chartist.extend({}, Scatter.defaultOptions, options), responsiveOptions);
+  }
+}
+
+export default Scatter;
@@ -100,7 +100,7 @@ let quantity = (input) => {
  * @return {Node}
  */
 let querySelector = (query) => {
-  return query instanceof Node ? query : document.querySelector(query);
+  return typeof query === 'string' ? document.querySelector(query) : query;
 }
 
 /**
@@ -314,19 +314,15 @@ let createSvg = (container, width, height, className) => {
     container.removeChild(svg);
   });
 
-  // Create svg object with width and height or use 100% as default
-  svg = new Svg('svg').attr({
+  // Create svg object with width and height or use 100% as default and add it to our container
+  svg = new Svg('svg', {
     width: width,
     height: height
-  });
-  svg.addClass(className);
+  }, className, new Svg(container));
 
   svg._node.style.width = width;
   svg._node.style.height = height;
 
-  // Add the DOM node to our container
-  container.appendChild(svg._node);
-
   return svg;
 }
 
@@ -336,9 +332,10 @@ let createSvg = (container, width, height, className) => {
  * @param  {Object} data The data object that is passed as second argument to the charts
  * @param {Boolean} [reverse] If true the whole data is reversed by the getDataArray call. This will modify the data object passed as first parameter. The labels as well as the series order is reversed. The whole series data arrays are reversed too.
  * @param {Boolean} [multi] Create a multidimensional array from a series data array where a value object with `x` and `y` values will be created.
+ * @param {Object} [dates] The dimensions of multi values that are dates, see `Chartist.dateDimensions`
  * @return {Object} The normalized data object
  */
-let normalizeData = (data, reverse, multi) => {
+let normalizeData = (data, reverse, multi, dates) => {
   let labelCount;
   let output = {
     raw: data,
@@ -348,7 +345,7 @@ let normalizeData = (data, reverse, multi) => {
   // Check if we should generate some labels based on existing series data
   output.normalized.series = getDataArray({
     series: data.series || []
-  }, reverse, multi);
+  }, reverse, multi, dates);
 
   // If all elements of the normalized data array are arrays we're dealing with
   // multi series data, we need to find the largest series if they are un-even
@@ -430,9 +427,10 @@ let reverseData = (data) => {
  * @param {Object} data The series object that contains the data to be visualized in the chart
  * @param {Boolean} [reverse] If true the whole data is reversed by the getDataArray call. This will modify the data object passed as first parameter. The labels as well as the series order is reversed. The whole series data arrays are reversed too.
  * @param {Boolean} [multi] Create a multidimensional array from a series data array where a value object with `x` and `y` values will be created.
+ * @param {Object} [dates] The dimensions of multi values that are dates, where Date objects and ISO 8601 date strings are converted to timestamps, like `{x: true}`
  * @return {Array} A plain array that contains the data to be visualized in the chart
  */
-let getDataArray = (data, reverse, multi) => {
+let getDataArray = (data, reverse, multi, dates) => {
   // Recursively walks through nested arrays and convert string values to number and objects with value properties
   // to values. Check the tests in data core -> data normalization for a detailed specification of expected values
   let recursiveConvert = (value) => {
@@ -463,8 +461,10 @@ let getDataArray = (data, reverse, multi) => {
           multiValue.y = getNumberOrUndefined(value);
         }
 
-        multiValue.x = value.hasOwnProperty('x') ? getNumberOrUndefined(value.x) : multiValue.x;
-        multiValue.y = value.hasOwnProperty('y') ? getNumberOrUndefined(value.y) : multiValue.y;
+        // Dates and ISO date strings are converted to timestamps in the dimensions that are projected on time axes
+        let convert = (dimension) => dates && dates[dimension] ? dateToTimestamp(value[dimension]) : value[dimension];
+        multiValue.x = value.hasOwnProperty('x') ? getNumberOrUndefined(convert('x')) : multiValue.x;
+        multiValue.y = value.hasOwnProperty('y') ? getNumberOrUndefined(convert('y')) : multiValue.y;
 
         return multiValue;
       } else {
@@ -652,6 +652,42 @@ let getNumberOrUndefined = (value) => {
   return isNumeric(value) ? +value : undefined;
 }
 
+// Matches ISO 8601 dates like 2017-05-23, 2017-05-23T12:30 or 2017-05-23T12:30:00.000Z
+let isoDatePattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Converts Date objects and ISO 8601 date strings into timestamps in milliseconds, so they can be used as values on time axes. All other values are returned unchanged.
+ *
+ * @memberof Core
+ * @param value
+ * @returns {*} The timestamp or the unchanged value
+ */
+let dateToTimestamp = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  } else if (typeof value === 'string' && isoDatePattern.test(value)) {
+    return Date.parse(value);
+  }
+
+  return value;
+}
+
+/**
+ * Returns the dimensions of multi values that are projected on axes which accept dates, like `Chartist.TimeAxis`. Only the values in these dimensions are converted from dates to timestamps when the data is normalized.
+ *
+ * @memberof Core
+ * @param {Object} options The chart options with the axis options in axisX, axisY and axisY2
+ * @returns {Object} An object where the dimensions x and y are true if their values are dates
+ */
+let dateDimensions = (options) => {
+  let acceptsDates = (axisOptions) => !!(axisOptions && axisOptions.type && axisOptions.type.acceptsDates);
+
+  return {
+    x: acceptsDates(options.axisX),
+    y: acceptsDates(options.axisY) || acceptsDates(options.axisY2)
+  };
+}
+
 /**
  * Checks if provided value object is multi value (contains x or y properties)
  *
@@ -833,6 +869,52 @@ let polarToCartesian = (centerX, centerY, radius, angleInDegrees) => {
   };
 }
 
+/**
+ * Converts a hex color like `#f05b4f` or `#f54` into its red, green and blue components.
+ *
+ * @memberof Core
+ * @param {String} color The hex color
+ * @return {Array} The red, green and blue components from 0 to 255
+ */
+let parseColor = (color) => {
+  let hex = color.replace('#', '');
+  if (hex.length === 3) {
+    hex = hex.split('').map((digit) => digit + digit).join('');
+  }
+
+  return [0, 2, 4].map((offset) => parseInt(hex.substr(offset, 2), 16));
+}
+
+/**
+ * Interpolates linearly between the colors of a color scale.
+ *
+ * @memberof Core
+ * @param {Array} colors The hex colors of the scale from the lowest to the highest value
+ * @param {Number} ratio The position on the scale from 0 to 1
+ * @return {String} The interpolated color as a CSS rgb() color
+ */
+let interpolateColor = (colors, ratio) => {
+  let position = Math.min(Math.max(ratio, 0), 1) * (colors.length - 1);
+  let index = Math.min(Math.floor(position), colors.length - 2);
+  let from = parseColor(colors[Math.max(index, 0)]);
+  let to = parseColor(colors[Math.max(index + 1, 0)] || colors[0]);
+
+  return 'rgb(' + from.map((component, i) => {
+    return Math.round(component + (to[i] - component) * (position - index));
+  }).join(', ') + ')';
+}
+
+/**
+ * Returns the side of the chart area where the legend is drawn. Legends with an unknown position are drawn at the top.
+ *
+ * @memberof Core
+ * @param {Object} legendOptions The legend options of the chart
+ * @return {String} Either top, bottom, left or right
+ */
+let legendPosition = (legendOptions) => {
+  return ['top', 'bottom', 'left', 'right'].indexOf(legendOptions.position) !== -1 ? legendOptions.position : 'top';
+}
+
 /**
  * Initialize chart drawing rectangle (area where chart is drawn) x1,y1 = bottom left / x2,y2 = top right
  *
@@ -840,19 +922,45 @@ let polarToCartesian = (centerX, centerY, radius, angleInDegrees) => {
  * @param {Object} svg The svg element for the chart
  * @param {Object} options The Object that contains all the optional values for the chart
  * @param {Number} [fallbackPadding] The fallback padding if partial padding objects are used
+ * @param {Boolean} [secondaryAxis] If true, space is also reserved for the secondary Y axis of the `axisY2` options
+ * @param {Function} [legendRows] A function that returns the number of rows of a legend at the top or bottom for the start and end of the chart area. The space of every row after the first one is reserved in addition to the offset of the legend.
  * @return {Object} The chart rectangles coordinates inside the svg element plus the rectangles measurements
  */
-let createChartRect = (svg, options, fallbackPadding) => {
+let createChartRect = (svg, options, fallbackPadding, secondaryAxis, legendRows) => {
   let hasAxis = !!(options.axisX || options.axisY);
-  let yAxisOffset = hasAxis ? options.axisY.offset : 0;
+  let yAxes = hasAxis ? [options.axisY].concat(secondaryAxis && options.axisY2 ? [options.axisY2] : []) : [];
+  // The offsets of the Y axes at the start (left) and the end (right) of the chart
+  let yAxisOffsets = {
+    start: 0,
+    end: 0
+  };
+  yAxes.forEach((axisOptions) => {
+    yAxisOffsets[axisOptions.position === 'start' ? 'start' : 'end'] += axisOptions.offset;
+  });
   let xAxisOffset = hasAxis ? options.axisX.offset : 0;
   // If width or height results in invalid value (including 0) it will be fallback to the unitless settings or even 0
   let width = svg.width() || quantity(options.width).value || 0;
   let height = svg.height() || quantity(options.height).value || 0;
   let normalizedPadding = normalizePadding(options.chartPadding, fallbackPadding);
 
+  let legend = options.legend && options.legend.showLegend ? options.legend : undefined;
+  let legendSide = legend && legendPosition(legend);
+
+  // The space of the legend is reserved between the padding and the axes, so it's added to the padding of its side
+  if (legendSide) {
+    normalizedPadding[legendSide] += legend.offset;
+  }
+
   // If settings were too small to cope with offset (legacy) and padding, we'll adjust
-  width = Math.max(width, yAxisOffset + normalizedPadding.left + normalizedPadding.right);
+  width = Math.max(width, yAxisOffsets.start + yAxisOffsets.end + normalizedPadding.left + normalizedPadding.right);
+
+  // The width of the chart area doesn't depend on the space at the top or bottom, so the rows of a legend there are known from it
+  if (legendRows && (legendSide === 'top' || legendSide === 'bottom')) {
+    let x1 = normalizedPadding.left + yAxisOffsets.start;
+    let x2 = Math.max(width - normalizedPadding.right - yAxisOffsets.end, x1 + 1);
+    normalizedPadding[legendSide] += (legendRows(x1, x2) - 1) * legend.swatchSize * 2;
+  }
+
   height = Math.max(height, xAxisOffset + normalizedPadding.top + normalizedPadding.bottom);
 
   let chartRect = {
@@ -876,13 +984,8 @@ let createChartRect = (svg, options, fallbackPadding) => {
       chartRect.y1 = Math.max(height - normalizedPadding.bottom - xAxisOffset, chartRect.y2 + 1);
     }
 
-    if (options.axisY.position === 'start') {
-      chartRect.x1 = normalizedPadding.left + yAxisOffset;
-      chartRect.x2 = Math.max(width - normalizedPadding.right, chartRect.x1 + 1);
-    } else {
-      chartRect.x1 = normalizedPadding.left;
-      chartRect.x2 = Math.max(width - normalizedPadding.right - yAxisOffset, chartRect.x1 + 1);
-    }
+    chartRect.x1 = normalizedPadding.left + yAxisOffsets.start;
+    chartRect.x2 = Math.max(width - normalizedPadding.right - yAxisOffsets.end, chartRect.x1 + 1);
   } else {
     chartRect.x1 = normalizedPadding.left;
     chartRect.x2 = Math.max(width - normalizedPadding.right, chartRect.x1 + 1);
@@ -905,15 +1008,18 @@ let createChartRect = (svg, options, fallbackPadding) => {
  * @param group
  * @param classes
  * @param eventEmitter
+ * @param [reconciler] If specified, the grid line is created or re-used with the reconciler
  */
-let createGrid = (position, index, axis, offset, length, group, classes, eventEmitter) => {
+let createGrid = (position, index, axis, offset, length, group, classes, eventEmitter, reconciler) => {
   let positionalData = {};
   positionalData[axis.units.pos + '1'] = position;
   positionalData[axis.units.pos + '2'] = position;
   positionalData[axis.counterUnits.pos + '1'] = offset;
   positionalData[axis.counterUnits.pos + '2'] = offset + length;
 
-  let gridElement = group.elem('line', positionalData, classes.join(' '));
+  let gridElement = reconciler ?
+    reconciler.elem(group, 'grid:' + (axis.id || axis.units.pos) + ':' + index, 'line', positionalData, classes.join(' ')) :
+    group.elem('line', positionalData, classes.join(' '));
 
   // Event for grid draw
   eventEmitter.emit('draw',
@@ -935,14 +1041,18 @@ let createGrid = (position, index, axis, offset, length, group, classes, eventEm
  * @param chartRect
  * @param className
  * @param eventEmitter
+ * @param [reconciler] If specified, the background is created or re-used with the reconciler
  */
-let createGridBackground = (gridGroup, chartRect, className, eventEmitter) => {
-  let gridBackground = gridGroup.elem('rect', {
+let createGridBackground = (gridGroup, chartRect, className, eventEmitter, reconciler) => {
+  let attributes = {
     x: chartRect.x1,
     y: chartRect.y2,
     width: chartRect.width(),
     height: chartRect.height(),
-  }, className, true);
+  };
+  let gridBackground = reconciler ?
+    reconciler.elem(gridGroup, 'grid-background', 'rect', attributes, className, true) :
+    gridGroup.elem('rect', attributes, className, true);
 
   // Event for grid background draw
   eventEmitter.emit('draw', {
@@ -967,8 +1077,11 @@ let createGridBackground = (gridGroup, chartRect, className, eventEmitter) => {
  * @param classes
  * @param useForeignObject
  * @param eventEmitter
+ * @param [reconciler] If specified, the label is created or re-used with the reconciler
+ * @return {Svg} The label element
  */
-let createLabel = (position, length, index, labels, axis, axisOffset, labelOffset, group, classes, useForeignObject, eventEmitter) => {
+let createLabel = (position, length, index, labels, axis, axisOffset, labelOffset, group, classes, useForeignObject, eventEmitter, reconciler) => {
+  let key = 'label:' + (axis.id || axis.units.pos) + ':' + index;
   let labelElement;
   let positionalData = {};
 
@@ -983,13 +1096,18 @@ let createLabel = (position, length, index, labels, axis, axisOffset, labelOffse
     let content = document.createElement('span');
     content.className = classes.join(' ');
     content.setAttribute('xmlns', namespaces.xhtml);
-    content.innerText = labels[index];
+    content.textContent = labels[index];
     content.style[axis.units.len] = Math.round(positionalData[axis.units.len]) + 'px';
     content.style[axis.counterUnits.len] = Math.round(positionalData[axis.counterUnits.len]) + 'px';
 
-    labelElement = group.foreignObject(content, extend({
+    let attributes = extend({
       style: 'overflow: visible;'
-    }, positionalData));
+    }, positionalData);
+    labelElement = reconciler ?
+      reconciler.foreignObject(group, key, content, attributes) :
+      group.foreignObject(content, attributes);
+  } else if (reconciler) {
+    labelElement = reconciler.text(reconciler.elem(group, key, 'text', positionalData, classes.join(' ')), labels[index]);
   } else {
     labelElement = group.elem('text', positionalData, classes.join(' ')).text(labels[index]);
   }
@@ -1002,6 +1120,8 @@ let createLabel = (position, length, index, labels, axis, axisOffset, labelOffse
     element: labelElement,
     text: labels[index]
   }, positionalData));
+
+  return labelElement;
 }
 
 /**
@@ -1022,6 +1142,17 @@ let getSeriesOption = (series, options, key) => {
   }
 }
 
+/**
+ * Returns the id of the Y axis a series is projected on. Series are projected on the secondary Y axis if their `axis` property is 'y2' and on the Y axis otherwise.
+ *
+ * @memberof Core
+ * @param {Object|Array} series The series of the chart data
+ * @returns {String} The id of the axis, which is 'y' or 'y2'
+ */
+let getSeriesAxis = (series) => {
+  return series && series.axis === 'y2' ? 'y2' : 'y';
+}
+
 /**
  * Provides options handling functionality with callback for options changes triggered by responsive options and media query matches
  *
@@ -1065,7 +1196,7 @@ let optionsProvider = (options, responsiveOptions, eventEmitter) => {
     });
   }
 
-  if (!window.matchMedia) {
+  if (responsiveOptions && (typeof window === 'undefined' || !window.matchMedia)) {
     throw 'window.matchMedia not found! Make sure you\'re using a polyfill.';
   } else if (responsiveOptions) {
 
@@ -1192,16 +1323,22 @@ export default {
   isNumeric,
   isFalseyButZero,
   getNumberOrUndefined,
+  dateToTimestamp,
+  dateDimensions,
   isMultiValue,
   getMultiValue,
   rho,
   getBounds,
   polarToCartesian,
+  parseColor,
+  interpolateColor,
+  legendPosition,
   createChartRect,
   createGrid,
   createGridBackground,
   createLabel,
   getSeriesOption,
+  getSeriesAxis,
   optionsProvider,
   splitIntoSegments,
 }
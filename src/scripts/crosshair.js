@@ -0,0 +1,316 @@
+/**
+ * The crosshair of the Line charts. A vertical guide line follows the pointer within the chart area and the point nearest to it is highlighted in every series. Charts can join a named sync group, so hovering one of them shows the crosshair at the same X value in all charts of the group, like for charts that are stacked on top of each other with a shared time axis.
+ *
+ * @module Crosshair
+ */
+import Chartist from './core';
+import StepAxis from './axes/step-axis';
+
+// The charts of every sync group by the name of the group
+let syncGroups = {};
+
+/**
+ * Projects a value of the X axis, which is the index of the label for step axes, to a position relative to the start of the axis.
+ *
+ * @memberof Crosshair
+ * @param {Axis} axis The X axis
+ * @param {Number} value The value
+ * @return {Number} The position of the value
+ */
+let project = (axis, value) => {
+  return axis instanceof StepAxis ? axis.projectValue(undefined, value) : axis.projectValue(value);
+};
+
+class Crosshair {
+
+  /**
+   * Default options of the crosshair. The crosshair option of a chart can be set to true to use these defaults or to an object that overrides some of them.
+   *
+   * @memberof Crosshair
+   */
+  static defaultOptions = {
+    // The name of a sync group. Hovering a chart shows the crosshair at the same X value in all charts of its group.
+    sync: undefined,
+    // If true, the point nearest to the crosshair is highlighted in every series
+    highlight: true
+  };
+
+  chart;
+  options;
+  classNames;
+  syncGroup;
+  entries = [];
+  pendingEntries = [];
+  chartRect;
+  axisX;
+  group;
+  listeners = {};
+
+  /**
+   * Creates the crosshair of a chart. The crosshair stays inactive until the chart is drawn with the crosshair option enabled.
+   *
+   * @memberof Crosshair
+   * @param {Object} chart The chart the crosshair belongs to
+   * @constructor
+   */
+  constructor(chart) {
+    this.chart = chart;
+
+    chart.internalEmitter.addEventHandler('draw', (data) => {
+      this.collect(data);
+    });
+    chart.internalEmitter.addEventHandler('created', (data) => {
+      this.update(data);
+    });
+  }
+
+  /**
+   * Collects the position of a drawn point, or of the values of a drawn line.
+   *
+   * @memberof Crosshair
+   * @param {Object} data The draw event data
+   */
+  collect(data) {
+    if (data.state === 'removed') {
+      return;
+    }
+
+    if (data.type === 'point') {
+      this.pendingEntries.push({
+        value: data.value,
+        series: data.series,
+        seriesIndex: data.seriesIndex,
+        index: data.index,
+        x: data.x,
+        y: data.y
+      });
+    } else if (data.type === 'line') {
+      // Lines provide the positions of all values, so the crosshair also works for lines without points
+      data.path.pathElements.filter((pathElement) => pathElement.data).forEach((pathElement) => {
+        this.pendingEntries.push({
+          value: pathElement.data.value,
+          series: data.series,
+          seriesIndex: data.seriesIndex,
+          index: pathElement.data.valueIndex,
+          x: pathElement.x,
+          y: pathElement.y
+        });
+      });
+    }
+  }
+
+  /**
+   * Activates, updates or deactivates the crosshair after the chart has been drawn.
+   *
+   * @memberof Crosshair
+   * @param {Object} data The created event data
+   */
+  update(data) {
+    // Points and lines describe the same values, so every value is only kept once
+    let seen = {};
+    this.entries = this.pendingEntries.filter((entry) => {
+      let key = entry.seriesIndex + ':' + entry.index;
+      return seen[key] ? false : (seen[key] = true);
+    });
+    this.pendingEntries = [];
+    this.chartRect = data.chartRect;
+    this.axisX = data.axisX;
+    // A crosshair that is shown while the chart is updated would be at an outdated position
+    this.removeGroup();
+
+    if (!data.options.crosshair || this.chart.headless || !this.chart.container) {
+      this.destroy();
+      return;
+    }
+
+    this.options = Chartist.extend({}, Crosshair.defaultOptions, data.options.crosshair === true ? {} : data.options.crosshair);
+    this.classNames = data.options.classNames;
+    this.join(this.options.sync);
+    this.attach();
+  }
+
+  /**
+   * Adds the chart to a sync group and removes it from the group it has been in before.
+   *
+   * @memberof Crosshair
+   * @param {String} [name] The name of the sync group
+   */
+  join(name) {
+    if (this.syncGroup === name) {
+      return;
+    }
+
+    this.leave();
+    if (name !== undefined) {
+      syncGroups[name] = (syncGroups[name] || []).concat(this);
+      this.syncGroup = name;
+    }
+  }
+
+  leave() {
+    if (this.syncGroup !== undefined) {
+      syncGroups[this.syncGroup] = syncGroups[this.syncGroup].filter((member) => member !== this);
+      if (!syncGroups[this.syncGroup].length) {
+        delete syncGroups[this.syncGroup];
+      }
+    }
+    this.syncGroup = undefined;
+  }
+
+  /**
+   * Returns the crosshairs that show the same X value as this one, which are the members of its sync group or only itself.
+   *
+   * @memberof Crosshair
+   * @return {Array} The crosshairs
+   */
+  members() {
+    return this.syncGroup !== undefined ? syncGroups[this.syncGroup] : [this];
+  }
+
+  attach() {
+    let moveTo = (clientX, clientY) => {
+      let svgRect = this.chart.svg.getNode().getBoundingClientRect();
+      let x = clientX - svgRect.left;
+      let y = clientY - svgRect.top;
+
+      if (x < this.chartRect.x1 || x > this.chartRect.x2 || y < this.chartRect.y2 || y > this.chartRect.y1) {
+        this.members().forEach((member) => member.hide());
+        return;
+      }
+
+      let value = this.axisX.invertValue(x - this.chartRect.x1);
+      this.members().forEach((member) => member.show(value));
+    };
+
+    let listeners = {
+      mousemove: (event) => {
+        moveTo(event.clientX, event.clientY);
+      },
+      mouseleave: () => {
+        this.members().forEach((member) => member.hide());
+      },
+      touchstart: (event) => {
+        moveTo(event.touches[0].clientX, event.touches[0].clientY);
+      },
+      touchend: () => {
+        this.members().forEach((member) => member.hide());
+      }
+    };
+    listeners.touchmove = listeners.touchstart;
+
+    this.removeListeners();
+    Object.keys(listeners).forEach((event) => {
+      this.chart.container.addEventListener(event, listeners[event]);
+    });
+    this.listeners = listeners;
+  }
+
+  removeListeners() {
+    Object.keys(this.listeners).forEach((event) => {
+      this.chart.container.removeEventListener(event, this.listeners[event]);
+    });
+    this.listeners = {};
+  }
+
+  /**
+   * Shows the crosshair at a value of the X axis. The guide line is drawn at the position of the value and the point nearest to it is highlighted in every series. A `crosshair` event is emitted with the value and the highlighted points.
+   *
+   * @memberof Crosshair
+   * @param {Number} value The value of the X axis, which is the index of the label for step axes
+   */
+  show(value) {
+    if (!this.options || !this.chartRect) {
+      return;
+    }
+
+    let x = this.chartRect.x1 + project(this.axisX, value);
+    if (!(x >= this.chartRect.x1 && x <= this.chartRect.x2)) {
+      this.hide();
+      return;
+    }
+
+    let nearest = {};
+    this.entries.forEach((entry) => {
+      let other = nearest[entry.seriesIndex];
+      if (!other || Math.abs(entry.x - x) < Math.abs(other.x - x)) {
+        nearest[entry.seriesIndex] = entry;
+      }
+    });
+    let points = Object.keys(nearest).map((seriesIndex) => nearest[seriesIndex]);
+
+    let group = this.createGroup();
+    group.empty();
+    group.elem('line', {
+      x1: x,
+      y1: this.chartRect.y2,
+      x2: x,
+      y2: this.chartRect.y1
+    }, this.classNames.crosshairLine);
+
+    if (this.options.highlight) {
+      points.forEach((point) => {
+        // Highlights are wrapped in a group with the series class, so they get the color of their series
+        group.elem('g', null, point.series && point.series.className ||
+          this.classNames.series + '-' + Chartist.alphaNumerate(point.seriesIndex))
+          .elem('line', {
+            x1: point.x,
+            y1: point.y,
+            x2: point.x + 0.01,
+            y2: point.y
+          }, [this.classNames.point, this.classNames.crosshairPoint].join(' '));
+      });
+    }
+
+    this.chart.eventEmitter.emit('crosshair', {
+      visible: true,
+      value: value,
+      x: x,
+      points: points
+    });
+  }
+
+  /**
+   * Hides the crosshair.
+   *
+   * @memberof Crosshair
+   */
+  hide() {
+    if (this.group && this.group._node.firstChild) {
+      this.group.empty();
+      this.chart.eventEmitter.emit('crosshair', {
+        visible: false
+      });
+    }
+  }
+
+  createGroup() {
+    let svg = this.chart.svg;
+    if (!this.group || this.group._node.parentNode !== svg._node) {
+      this.group = svg.elem('g', null, this.classNames.crosshair);
+    } else if (this.group._node !== svg._node.lastChild) {
+      // The crosshair stays on top of elements that have been added after it
+      svg._node.appendChild(this.group._node);
+    }
+    return this.group;
+  }
+
+  removeGroup() {
+    if (this.group && this.group._node.parentNode) {
+      this.group.remove();
+    }
+    this.group = undefined;
+  }
+
+  /**
+   * Removes the crosshair, its listeners and the chart from its sync group.
+   *
+   * @memberof Crosshair
+   */
+  destroy() {
+    this.removeListeners();
+    this.leave();
+    this.removeGroup();
+  }
+}
+
+export default Crosshair;
@@ -0,0 +1,192 @@
+/**
+ * Chartist downsampling functions, which reduce series with more values than the chart area has pixels to the values that shape their line. The line chart only projects and draws the values that are kept, while the kept values still have the index they have in the data, so draw events, tooltips and value labels refer to the original values.
+ *
+ * @module Downsampling
+ */
+
+import Chartist from './core';
+
+/**
+ * Splits the values of a series into the runs of values between holes. The first hole of every gap is kept as a run of its own, so the line is still interrupted at the gap.
+ *
+ * @param {Array} values The normalized values of the series
+ * @return {Array} The runs with the index, x and y of their values
+ */
+let splitAtHoles = (values) => {
+  let runs = [];
+  let run;
+
+  values.forEach((value, index) => {
+    let y = Chartist.getMultiValue(value);
+    if (y === undefined) {
+      if (run !== null) {
+        runs.push([{index: index}]);
+      }
+      run = null;
+      return;
+    }
+
+    if (!run) {
+      run = [];
+      runs.push(run);
+    }
+    // Values without an x value, like the values on a step axis, are placed at their index
+    let x = Chartist.getMultiValue(value, 'x');
+    run.push({
+      index: index,
+      x: x === undefined ? index : x,
+      y: y
+    });
+  });
+
+  return runs;
+};
+
+// noinspection JSUnusedGlobalSymbols
+class Downsampling {
+
+  /**
+   * Largest-Triangle-Three-Buckets downsampling keeps the first and the last value and, from every bucket of values in between, the value that forms the largest triangle with the value kept from the previous bucket and the average of the next bucket. This preserves the visual shape of the line with as many values as the chart area has pixels.
+   *
+   * @example
+   * let chart = new Chartist.Line('.ct-chart', data, {
+   *   downsample: Chartist.Downsampling.lttb({
+   *     resolution: 0.5
+   *   })
+   * });
+   *
+   * @memberof Downsampling
+   * @param {Object} [options] The options of the downsampling, which is the number of values that are kept per pixel of the chart area as `resolution`
+   * @return {Function} A function that returns the indices of the kept values of a series for the normalized values and the width of the chart area
+   */
+  static lttb(options) {
+    let defaultOptions = {
+      resolution: 1
+    };
+    options = Chartist.extend({}, defaultOptions, options);
+
+    return function lttb(values, width) {
+      let threshold = Math.max(Math.floor(width * options.resolution), 3);
+      if (values.length <= threshold) {
+        return values.map((value, index) => index);
+      }
+
+      let indices = [];
+      splitAtHoles(values).forEach((run) => {
+        // Every run between holes gets its share of the values that are kept
+        let runThreshold = Math.max(Math.round(threshold * run.length / values.length), 2);
+        if (run.length <= runThreshold || runThreshold < 3) {
+          indices.push.apply(indices, run.length <= runThreshold ? run.map((point) => point.index) :
+            [run[0].index, run[run.length - 1].index]);
+          return;
+        }
+
+        let every = (run.length - 2) / (runThreshold - 2);
+        let previous = run[0];
+        indices.push(previous.index);
+
+        for (let bucket = 0; bucket < runThreshold - 2; bucket++) {
+          let averageStart = Math.floor((bucket + 1) * every) + 1;
+          let averageEnd = Math.min(Math.floor((bucket + 2) * every) + 1, run.length);
+          let average = {x: 0, y: 0};
+          for (let i = averageStart; i < averageEnd; i++) {
+            average.x += run[i].x / (averageEnd - averageStart);
+            average.y += run[i].y / (averageEnd - averageStart);
+          }
+
+          let largestArea = -1;
+          let selected;
+          for (let i = Math.floor(bucket * every) + 1; i < Math.floor((bucket + 1) * every) + 1; i++) {
+            let area = Math.abs((previous.x - average.x) * (run[i].y - previous.y) - (previous.x - run[i].x) * (average.y - previous.y));
+            if (area > largestArea) {
+              largestArea = area;
+              selected = run[i];
+            }
+          }
+
+          indices.push(selected.index);
+          previous = selected;
+        }
+
+        indices.push(run[run.length - 1].index);
+      });
+
+      return indices;
+    };
+  }
+
+  /**
+   * Min-max downsampling divides the chart area into buckets of one pixel and keeps the lowest and the highest value of every bucket in the order they appear in the series. Unlike the Largest-Triangle-Three-Buckets downsampling, every peak of the data is kept, which makes it a good fit for overview charts and data with outliers.
+   *
+   * @example
+   * let chart = new Chartist.Line('.ct-chart', data, {
+   *   downsample: Chartist.Downsampling.minMax()
+   * });
+   *
+   * @memberof Downsampling
+   * @param {Object} [options] The options of the downsampling, which is the number of buckets per pixel of the chart area as `resolution`
+   * @return {Function} A function that returns the indices of the kept values of a series for the normalized values and the width of the chart area
+   */
+  static minMax(options) {
+    let defaultOptions = {
+      resolution: 1
+    };
+    options = Chartist.extend({}, defaultOptions, options);
+
+    return function minMax(values, width) {
+      let buckets = Math.max(Math.floor(width * options.resolution), 1);
+      if (values.length <= buckets * 2) {
+        return values.map((value, index) => index);
+      }
+
+      let runs = splitAtHoles(values);
+      let xs = [];
+      runs.forEach((run) => run.forEach((point) => point.y !== undefined && xs.push(point.x)));
+      let low = Math.min.apply(null, xs);
+      let high = Math.max.apply(null, xs);
+
+      let indices = [];
+      runs.forEach((run) => {
+        let bucket;
+        let flush = () => {
+          if (bucket) {
+            indices.push.apply(indices, bucket.min === bucket.max ? [bucket.min.index] :
+              [bucket.min, bucket.max].sort((a, b) => a.index - b.index).map((point) => point.index));
+          }
+          bucket = undefined;
+        };
+
+        run.forEach((point) => {
+          if (point.y === undefined) {
+            indices.push(point.index);
+            return;
+          }
+
+          let position = high > low ? Math.min(Math.floor((point.x - low) / (high - low) * buckets), buckets - 1) : 0;
+          if (bucket && bucket.position !== position) {
+            flush();
+          }
+          if (!bucket) {
+            bucket = {
+              position: position,
+              min: point,
+              max: point
+            };
+          }
+
+          if (point.y < bucket.min.y) {
+            bucket.min = point;
+          }
+          if (point.y > bucket.max.y) {
+            bucket.max = point;
+          }
+        });
+        flush();
+      });
+
+      return indices;
+    };
+  }
+}
+
+export default Downsampling;
@@ -0,0 +1,149 @@
+/**
+ * Collects the positions of the values a chart has drawn from its draw events. Every point, bar, slice and cell of the last drawing is described by an entry with its value, meta data, series, index, element and the position it is anchored at. Lines also provide the positions of values without a drawn point. The tooltip shows its entries, and `Chartist.Base.valueAt` uses them to find the value nearest to a pointer position.
+ *
+ * @module DrawnValues
+ */
+import Chartist from './core';
+
+class DrawnValues {
+
+  chart;
+  entries = [];
+  pendingEntries = [];
+
+  /**
+   * Creates the collection of drawn values of a chart. It needs to be created before the modules that use it, so its entries are up to date when their `created` handlers are called.
+   *
+   * @memberof DrawnValues
+   * @param {Object} chart The chart the values are collected from
+   * @constructor
+   */
+  constructor(chart) {
+    this.chart = chart;
+
+    chart.internalEmitter.addEventHandler('draw', (data) => {
+      this.collect(data);
+    });
+    chart.internalEmitter.addEventHandler('created', () => {
+      this.update();
+    });
+  }
+
+  /**
+   * Collects the data of a drawn point, line, bar, slice or cell.
+   *
+   * @memberof DrawnValues
+   * @param {Object} data The draw event data
+   */
+  collect(data) {
+    if (data.state === 'removed') {
+      return;
+    }
+
+    let entry = {
+      type: data.type,
+      element: data.element,
+      value: data.value,
+      meta: data.meta,
+      series: data.series,
+      seriesIndex: data.seriesIndex,
+      index: data.index
+    };
+
+    if (data.type === 'point') {
+      entry.x = data.x;
+      entry.y = data.y;
+    } else if (data.type === 'line') {
+      // Lines provide the positions of all values, so the tooltip also works for lines without points
+      data.path.pathElements.filter((pathElement) => pathElement.data).forEach((pathElement) => {
+        this.pendingEntries.push({
+          type: 'point',
+          value: pathElement.data.value,
+          meta: pathElement.data.meta,
+          series: data.series,
+          seriesIndex: data.seriesIndex,
+          index: pathElement.data.valueIndex,
+          x: pathElement.x,
+          y: pathElement.y
+        });
+      });
+      return;
+    } else if (data.type === 'bar') {
+      // Vertical bars are anchored at their top and horizontal bars at their right end
+      entry.x = data.x1 === data.x2 ? data.x1 : Math.max(data.x1, data.x2);
+      entry.y = data.x1 === data.x2 ? Math.min(data.y1, data.y2) : data.y1;
+    } else if (data.type === 'slice') {
+      let anchor = Chartist.polarToCartesian(data.center.x, data.center.y,
+        data.path.close ? data.radius * 0.75 : data.radius, data.startAngle + (data.endAngle - data.startAngle) / 2);
+      entry.seriesIndex = data.index;
+      entry.x = anchor.x;
+      entry.y = anchor.y;
+    } else if (data.type === 'cell') {
+      // Heatmap cells are anchored at the center of their top edge
+      entry.x = data.x + data.width / 2;
+      entry.y = data.y;
+    } else {
+      return;
+    }
+
+    this.pendingEntries.push(entry);
+  }
+
+  /**
+   * Replaces the entries with the values collected since the last drawing. Positions collected from lines are only used for values without a drawn point.
+   *
+   * @memberof DrawnValues
+   */
+  update() {
+    let drawnPoints = {};
+    this.pendingEntries.forEach((entry) => {
+      if (entry.type === 'point' && entry.element) {
+        drawnPoints[entry.seriesIndex + ':' + entry.index] = true;
+      }
+    });
+    this.entries = this.pendingEntries.filter((entry) => {
+      return entry.type !== 'point' || !!entry.element || !drawnPoints[entry.seriesIndex + ':' + entry.index];
+    });
+    this.pendingEntries = [];
+  }
+
+  /**
+   * Finds the entry of a drawn element.
+   *
+   * @memberof DrawnValues
+   * @param {Node} node The DOM node of the element
+   * @return {Object|undefined} The entry or undefined if the node is not the element of a drawn value
+   */
+  entryOf(node) {
+    return this.entries.find((entry) => entry.element && entry.element._node === node);
+  }
+
+  /**
+   * Finds the entry nearest to a position within the chart.
+   *
+   * @memberof DrawnValues
+   * @param {Number} x The horizontal position in the SVG element of the chart
+   * @param {Number} y The vertical position in the SVG element of the chart
+   * @param {Object} [options] Only entries of the given `type` are considered and with `horizontal` only the horizontal distance counts
+   * @return {Object|undefined} The nearest entry or undefined if there are no entries
+   */
+  nearest(x, y, options) {
+    options = options || {};
+    let nearest;
+    let nearestDistance = Infinity;
+    this.entries.filter((entry) => !options.type || entry.type === options.type).forEach((entry) => {
+      let distance = options.horizontal ?
+        Math.abs(entry.x - x) :
+        Math.sqrt(Math.pow(entry.x - x, 2) + Math.pow(entry.y - y, 2));
+
+      if (distance < nearestDistance) {
+        nearest = entry;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+}
+
+export default DrawnValues;
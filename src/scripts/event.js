@@ -6,7 +6,14 @@
 
 class Event {
 
-  static EventEmitter() {
+  /**
+   * Creates a new event emitter.
+   *
+   * @memberof Event
+   * @param {Object} [internal] An optional event emitter that receives every event before the handlers of the new emitter. Charts use it for the handlers of their own modules, so these can't be removed together with the handlers of the user.
+   * @return {Object} The event emitter
+   */
+  static EventEmitter(internal) {
     let handlers = [];
 
     /**
@@ -52,6 +59,10 @@ class Event {
      * @param {*} data Arbitrary data that will be passed to the event handler callback functions
      */
     function emit(event, data) {
+      if (internal) {
+        internal.emit(event, data);
+      }
+
       // Only do something if there are event handlers with this name existing
       if (handlers[event]) {
         handlers[event].forEach(function (handler) {
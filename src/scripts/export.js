@@ -0,0 +1,272 @@
+/**
+ * Export of rendered charts into standalone SVG documents and raster images. The SVG of a chart in the page depends on the Chartist style sheet and on foreignObject labels which are only rendered by browsers. The exported SVG can inline the computed styles of all Chartist elements and replaces the foreignObject labels with text elements, so it looks the same outside the page.
+ *
+ * @module Export
+ */
+import Chartist from './core';
+
+/**
+ * Default options of the exports.
+ *
+ * @memberof Export
+ */
+let defaultOptions = {
+  // If true, the computed styles of all elements with a Chartist class (ct-*) are inlined into their style attribute. Styles can only be computed for charts in a browser document.
+  inlineStyles: true,
+  // The type of the exported image, either `png`, `jpeg` or a MIME type like `image/png`
+  type: 'png',
+  // The factor the image is scaled with, which allows to export images for high resolution screens or print
+  scale: 1,
+  // The quality of lossy image types between 0 and 1. If undefined the browser default is used.
+  quality: undefined,
+  // A CSS color the image is filled with before the chart is drawn. JPEG images don't support transparency, so they get a white background by default.
+  background: undefined
+};
+
+// The presentation properties that are inlined, which are the ones the Chartist style sheet makes use of
+let inlinedProperties = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-dasharray',
+  'stroke-linecap',
+  'opacity',
+  'visibility',
+  'font-family',
+  'font-size',
+  'font-style',
+  'font-weight',
+  'text-anchor',
+  'dominant-baseline'
+];
+
+// The properties of a foreignObject label that are transferred to the replacing text element
+let labelProperties = [
+  'font-family',
+  'font-size',
+  'font-style',
+  'font-weight'
+];
+
+let computedStyleOf = (node) => {
+  let view = node.ownerDocument.defaultView;
+  return view && view.getComputedStyle ? view.getComputedStyle(node) : undefined;
+};
+
+let hasChartistClass = (node) => {
+  return (node.getAttribute('class') || '').split(/\s+/).some((className) => className.indexOf('ct-') === 0);
+};
+
+let appendStyle = (node, declarations) => {
+  let existing = node.getAttribute('style');
+  // Existing inline styles come last, so they keep precedence over the inlined ones
+  node.setAttribute('style', declarations.concat(existing ? [existing] : []).join(' '));
+};
+
+let inlineStyle = (sourceNode, targetNode) => {
+  let style = computedStyleOf(sourceNode);
+  if (!style) {
+    return;
+  }
+
+  appendStyle(targetNode, inlinedProperties.filter((property) => {
+    return style.getPropertyValue(property) !== '';
+  }).map((property) => {
+    return property + ': ' + style.getPropertyValue(property) + ';';
+  }));
+};
+
+/**
+ * Determines how the text of a foreignObject label is aligned within its box. The alignment is read from the flex box properties the Chartist style sheet sets on the label. If they are not available, the defaults of the style sheet are derived from the label classes.
+ *
+ * @param {Node} content The HTML content of the foreignObject
+ * @param {Object} [style] The computed style of the content
+ * @return {Object} An object with the horizontal (justify) and vertical (align) alignment
+ */
+let labelAlignment = (content, style) => {
+  let classes = (content.getAttribute('class') || '').split(/\s+/);
+  let horizontal = classes.indexOf('ct-horizontal') !== -1;
+  let start = classes.indexOf('ct-start') !== -1;
+  let alignment = {
+    justify: !horizontal && start ? 'flex-end' : 'flex-start',
+    align: horizontal && !start ? 'flex-start' : 'flex-end'
+  };
+
+  if (style && style.display.indexOf('flex') !== -1) {
+    alignment.justify = style.justifyContent || alignment.justify;
+    alignment.align = style.alignItems || alignment.align;
+  }
+
+  return alignment;
+};
+
+let foreignObjectToText = (sourceNode, targetNode, inlineStyles) => {
+  let content = sourceNode.firstChild;
+  let style = content.nodeType === 1 ? computedStyleOf(content) : undefined;
+  let alignment = content.nodeType === 1 ? labelAlignment(content, style) : {};
+  let box = ['x', 'y', 'width', 'height'].reduce((box, attribute) => {
+    box[attribute] = +sourceNode.getAttribute(attribute) || 0;
+    return box;
+  }, {});
+
+  let text = targetNode.ownerDocument.createElementNS(Chartist.namespaces.svg, 'text');
+  let attributes = {};
+
+  if (alignment.justify === 'center') {
+    attributes.x = box.x + box.width / 2;
+    attributes['text-anchor'] = 'middle';
+  } else if (['flex-end', 'end', 'right'].indexOf(alignment.justify) !== -1) {
+    attributes.x = box.x + box.width;
+    attributes['text-anchor'] = 'end';
+  } else {
+    attributes.x = box.x;
+    attributes['text-anchor'] = 'start';
+  }
+
+  if (alignment.align === 'center') {
+    attributes.y = box.y + box.height / 2;
+    attributes['dominant-baseline'] = 'central';
+  } else if (['flex-end', 'end'].indexOf(alignment.align) !== -1) {
+    attributes.y = box.y + box.height;
+    attributes['dominant-baseline'] = 'text-after-edge';
+  } else {
+    attributes.y = box.y;
+    attributes['dominant-baseline'] = 'text-before-edge';
+  }
+
+  if (content.nodeType === 1 && content.getAttribute('class')) {
+    attributes.class = content.getAttribute('class');
+  }
+
+  Object.keys(attributes).forEach((attribute) => {
+    text.setAttribute(attribute, attributes[attribute]);
+  });
+  text.textContent = sourceNode.textContent;
+
+  if (inlineStyles && style) {
+    // HTML text is colored with the color property while SVG text is filled
+    appendStyle(text, ['fill: ' + style.getPropertyValue('color') + ';'].concat(labelProperties.filter((property) => {
+      return style.getPropertyValue(property) !== '';
+    }).map((property) => {
+      return property + ': ' + style.getPropertyValue(property) + ';';
+    })));
+  }
+
+  return text;
+};
+
+let prepareNode = (sourceNode, targetNode, inlineStyles) => {
+  if (sourceNode.nodeType !== 1) {
+    return;
+  }
+
+  if (sourceNode.nodeName === 'foreignObject') {
+    targetNode.parentNode.replaceChild(foreignObjectToText(sourceNode, targetNode, inlineStyles), targetNode);
+    return;
+  }
+
+  if (inlineStyles && hasChartistClass(sourceNode)) {
+    inlineStyle(sourceNode, targetNode);
+  }
+
+  // The target is a deep clone of the source, so the child nodes correspond to each other
+  let sourceChildren = Array.prototype.slice.call(sourceNode.childNodes);
+  let targetChildren = Array.prototype.slice.call(targetNode.childNodes);
+  sourceChildren.forEach((sourceChild, index) => {
+    prepareNode(sourceChild, targetChildren[index], inlineStyles);
+  });
+};
+
+let getSize = (chart) => {
+  return {
+    width: chart.svg.width() || Chartist.quantity(chart.options.width).value || 0,
+    height: chart.svg.height() || Chartist.quantity(chart.options.height).value || 0
+  };
+};
+
+/**
+ * Exports a chart into a standalone SVG document. The document has the pixel size of the rendered chart, foreignObject labels are converted into text elements and the computed styles of the chart elements can be inlined.
+ *
+ * @memberof Export
+ * @param {Object} chart The chart that should be exported
+ * @param {Object} [options] The export options, see the default options of this module
+ * @return {String} The SVG document
+ */
+let exportSvg = (chart, options) => {
+  options = Chartist.extend({}, defaultOptions, options);
+
+  if (!chart.svg) {
+    throw new Error('The chart needs to be drawn before it can be exported!');
+  }
+
+  let source = chart.svg.getNode();
+  let target = source.cloneNode(true);
+  let size = getSize(chart);
+
+  prepareNode(source, target, options.inlineStyles);
+
+  target.setAttributeNS(Chartist.namespaces.xmlns, 'xmlns', Chartist.namespaces.svg);
+  target.setAttribute('width', size.width);
+  target.setAttribute('height', size.height);
+  target.style.width = size.width + 'px';
+  target.style.height = size.height + 'px';
+
+  let view = source.ownerDocument.defaultView;
+  return view && view.XMLSerializer ? new view.XMLSerializer().serializeToString(target) : target.outerHTML;
+};
+
+/**
+ * Exports a chart into a raster image. The chart is exported into a standalone SVG document with inlined styles first, which is then drawn onto a canvas. This is only possible in a browser.
+ *
+ * @memberof Export
+ * @param {Object} chart The chart that should be exported
+ * @param {Object} [options] The export options, see the default options of this module
+ * @return {Promise} A promise that resolves with the data URL of the image
+ */
+let exportImage = (chart, options) => {
+  options = Chartist.extend({}, defaultOptions, options);
+
+  return new Promise((resolve, reject) => {
+    let view = chart.svg && chart.svg.getNode().ownerDocument.defaultView;
+    if (!view) {
+      reject(new Error('Charts can only be exported to images in a browser!'));
+      return;
+    }
+
+    let type = options.type.indexOf('/') === -1 ? 'image/' + options.type : options.type;
+    let background = options.background || (type === 'image/jpeg' ? 'white' : undefined);
+    let size = getSize(chart);
+    let svg = exportSvg(chart, Chartist.extend({}, options, {
+      inlineStyles: true
+    }));
+    let image = new view.Image();
+
+    image.onload = () => {
+      let canvas = view.document.createElement('canvas');
+      canvas.width = Math.round(size.width * options.scale);
+      canvas.height = Math.round(size.height * options.scale);
+
+      let context = canvas.getContext('2d');
+      if (background) {
+        context.fillStyle = background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+      }
+      context.scale(options.scale, options.scale);
+      context.drawImage(image, 0, 0, size.width, size.height);
+
+      resolve(canvas.toDataURL(type, options.quality));
+    };
+    image.onerror = () => {
+      reject(new Error('The exported SVG could not be rasterized!'));
+    };
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+  });
+};
+
+export {
+  defaultOptions,
+  exportSvg,
+  exportImage
+}
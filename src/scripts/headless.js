@@ -0,0 +1,66 @@
+/**
+ * Headless rendering of charts into SVG markup. Charts are drawn into a virtual document instead of the browser DOM, so they can be rendered in environments without a window, like Node.js, for example to generate reports or images on a server.
+ *
+ * @module Headless
+ */
+import Chartist from './core';
+import Line from './charts/line';
+import Bar from './charts/bar';
+import Pie from './charts/pie';
+import {VirtualDocument} from './virtual-dom';
+
+// The chart types that can be referenced by name
+let chartTypes = {
+  Line,
+  Bar,
+  Pie
+};
+
+let isPixelSize = (size) => {
+  return /^\d+(\.\d+)?(px)?$/.test('' + size);
+};
+
+/**
+ * Renders a chart synchronously into a string with the complete SVG markup. As there is nothing to measure in a headless environment, the width and height of the chart need to be specified in the options as numbers or pixel values. Resize and media query listeners are not registered, so responsive options are not supported. Plugins are applied like on regular charts, which allows to hook into the draw events.
+ *
+ * @memberof Headless
+ * @param {String|Function} type The name of the chart type (like `Line` or `line`) or the chart class itself
+ * @param {Object} data The data object of the chart
+ * @param {Object} options The options of the chart, including the required `width` and `height`
+ * @return {String} The SVG markup of the chart
+ *
+ * @example
+ * let svg = Chartist.renderToString('Line', {
+ *   labels: ['Mon', 'Tue', 'Wed'],
+ *   series: [[1, 5, 3]]
+ * }, {
+ *   width: 600,
+ *   height: 400
+ * });
+ */
+let renderToString = (type, data, options) => {
+  let ChartType = typeof type === 'string' ? chartTypes[type.charAt(0).toUpperCase() + type.slice(1)] : type;
+  if (!ChartType) {
+    throw new Error('Unknown chart type ' + type + '!');
+  }
+
+  options = options || {};
+  if (!isPixelSize(options.width) || !isPixelSize(options.height)) {
+    throw new Error('Headless charts need a width and height in pixels!');
+  }
+
+  let container = new VirtualDocument().createElement('div');
+  let chart = new ChartType(container, data, options);
+  chart.initialize();
+
+  // Standalone SVG documents need to declare the SVG namespace
+  chart.svg.attr({
+    xmlns: Chartist.namespaces.svg
+  });
+
+  return chart.svg.getNode().outerHTML;
+};
+
+export {
+  renderToString
+}
@@ -4,30 +4,98 @@
 
 import Core from './core';
 import Interpolation from "./interpolation";
+import Downsampling from "./downsampling";
 import Svg from "./svg";
 import Bar from "./charts/bar";
 import Line from "./charts/line";
 import Pie from "./charts/pie";
+import Combo from "./charts/combo";
+import Scatter from "./charts/scatter";
+import Navigator from "./charts/navigator";
+import Heatmap from "./charts/heatmap";
 import Event from "./event";
+import Transition from "./transition";
+import CanvasRenderer from "./canvas-renderer";
+import DrawnValues from "./drawn-values";
+import Tooltip from "./tooltip";
+import Accessibility from "./accessibility";
+import Legend from "./legend";
+import ValueLabels from "./value-labels";
+import Zoom from "./zoom";
+import Crosshair from "./crosshair";
+import Brush from "./brush";
+import Axis from "./axes/axis";
+import AutoScaleAxis from "./axes/auto-scale-axis";
+import FixedScaleAxis from "./axes/fixed-scale-axis";
+import StepAxis from "./axes/step-axis";
+import TimeAxis from "./axes/time-axis";
+import LogScaleAxis from "./axes/log-scale-axis";
+import BandAxis from "./axes/band-axis";
+import {renderToString} from "./headless";
 
 let Chartist = {
   ...Core,
   Interpolation,
+  Downsampling,
   Svg,
   Bar,
   Line,
   Pie,
-  Event
-
+  Combo,
+  Scatter,
+  Navigator,
+  Heatmap,
+  Event,
+  Transition,
+  CanvasRenderer,
+  DrawnValues,
+  Tooltip,
+  Accessibility,
+  Legend,
+  ValueLabels,
+  Zoom,
+  Crosshair,
+  Brush,
+  Axis,
+  AutoScaleAxis,
+  FixedScaleAxis,
+  StepAxis,
+  TimeAxis,
+  LogScaleAxis,
+  BandAxis,
+  renderToString
 }
 
 export {
   Interpolation,
+  Downsampling,
   Svg,
   Bar,
   Line,
   Pie,
-  Event
+  Combo,
+  Scatter,
+  Navigator,
+  Heatmap,
+  Event,
+  Transition,
+  CanvasRenderer,
+  DrawnValues,
+  Tooltip,
+  Accessibility,
+  Legend,
+  ValueLabels,
+  Zoom,
+  Crosshair,
+  Brush,
+  Axis,
+  AutoScaleAxis,
+  FixedScaleAxis,
+  StepAxis,
+  TimeAxis,
+  LogScaleAxis,
+  BandAxis,
+  renderToString
 }
 
 export { Chartist as default }
@@ -0,0 +1,241 @@
+/**
+ * The legend of the Line, Bar and Pie charts. It lists the names of the series with a color swatch in the space that is reserved for it next to the chart area. Entries at the top or bottom are wrapped onto further rows if they don't fit into the width of the chart area and the space of every further row is reserved in addition to the `offset` of the legend options. Entries at the left or right are stacked without wrapping, so a long list of series may need a larger chart height. Clicking an entry, or pressing Enter or Space while it is focused, hides or shows the series. Hidden series are neither drawn nor taken into account for the axis bounds, while the data of the chart stays untouched.
+ *
+ * @module Legend
+ */
+import Chartist from './core';
+import Reconciler from './reconciler';
+
+// Legend texts can't be measured in environments without layout, so their width is estimated from the number of characters
+let estimatedCharacterWidth = 6;
+
+class Legend {
+
+  chart;
+  items = [];
+  hidden = {};
+  listeners = {};
+
+  /**
+   * Creates the legend of a chart. The legend is drawn by the charts if the `showLegend` option of the legend options is enabled.
+   *
+   * @memberof Legend
+   * @param {Object} chart The chart the legend belongs to
+   * @constructor
+   */
+  constructor(chart) {
+    this.chart = chart;
+  }
+
+  /**
+   * Checks if a series has been hidden with the legend.
+   *
+   * @memberof Legend
+   * @param {Object} series The series of the chart data
+   * @param {Number} seriesIndex The index of the series
+   * @return {Boolean} True if the series is hidden
+   */
+  isHidden(series, seriesIndex) {
+    return !!this.hidden[Reconciler.seriesKey(series, seriesIndex, this.chart.data.series)];
+  }
+
+  /**
+   * Hides or shows a series and updates the chart. The `legendToggle` event is emitted with the series, its index and whether it is hidden now.
+   *
+   * @memberof Legend
+   * @param {Number} seriesIndex The index of the series
+   * @param {Boolean} [hidden] If specified the series is hidden or shown, otherwise its visibility is toggled
+   */
+  toggle(seriesIndex, hidden) {
+    let series = this.chart.data.series[seriesIndex];
+    let key = Reconciler.seriesKey(series, seriesIndex, this.chart.data.series);
+    this.hidden[key] = hidden === undefined ? !this.hidden[key] : !!hidden;
+
+    this.chart.eventEmitter.emit('legendToggle', {
+      index: seriesIndex,
+      series: series,
+      hidden: this.hidden[key]
+    });
+
+    this.chart.update();
+  }
+
+  /**
+   * Arranges the entries of the legend. Entries at the top or bottom are wrapped onto further rows if they don't fit into the width of the chart area, while every entry at the left or right gets a row of its own. The labels are measured in the SVG element of the chart, so the entries can be arranged before the legend is drawn.
+   *
+   * @memberof Legend
+   * @param {Array} series The raw series of the chart data
+   * @param {Object} options The options of the chart
+   * @param {Number} x1 The start of the chart area
+   * @param {Number} x2 The end of the chart area
+   * @param {Array} [labels] Labels that are used for unnamed series, like the slice labels of pie charts
+   * @return {Object} The number of rows and the entries with their name, their horizontal offset within their row and the index of their row
+   */
+  arrange(series, options, x1, x2, labels) {
+    let legendOptions = options.legend;
+    let vertical = ['left', 'right'].indexOf(Chartist.legendPosition(legendOptions)) !== -1;
+    let probe = this.chart.svg.elem('g', null, options.classNames.legend);
+    let row = 0;
+    let offset = 0;
+
+    let entries = series.map((item, index) => {
+      let name = item && item.name !== undefined ? item.name :
+        (labels && labels[index] !== undefined ? labels[index] : 'Series ' + (index + 1));
+      let text = probe.elem('text', null, options.classNames.legendLabel).text(name);
+      let width = legendOptions.swatchSize * 1.5 + (text.width() || ('' + name).length * estimatedCharacterWidth);
+
+      if (vertical ? index > 0 : offset > 0 && x1 + offset + width > x2) {
+        row += 1;
+        offset = 0;
+      }
+
+      let entry = {
+        name: name,
+        offset: offset,
+        row: row
+      };
+      offset = vertical ? 0 : offset + width + legendOptions.spacing;
+      return entry;
+    });
+    probe.remove();
+
+    return {
+      rows: row + 1,
+      entries: entries
+    };
+  }
+
+  /**
+   * Draws the legend into the space that has been reserved for it by `Chartist.createChartRect`.
+   *
+   * @memberof Legend
+   * @param {Array} series The raw series of the chart data
+   * @param {Object} options The options of the chart
+   * @param {Object} chartRect The chart rectangle
+   * @param {Array} [labels] Labels that are used for unnamed series, like the slice labels of pie charts
+   */
+  draw(series, options, chartRect, labels) {
+    let legendOptions = options.legend;
+    this.items = [];
+
+    if (!legendOptions || !legendOptions.showLegend) {
+      this.removeListeners();
+      return;
+    }
+
+    let svg = this.chart.svg;
+    let reconciler = this.chart.reconciler;
+    let arranged = this.arrange(series, options, chartRect.x1, chartRect.x2, labels);
+    let group = reconciler.elem(svg, 'legend', 'g', null, options.classNames.legend);
+    let swatchSize = legendOptions.swatchSize;
+    let rowHeight = swatchSize * 2;
+    let width = svg.width() || Chartist.quantity(options.width).value || 0;
+    let height = svg.height() || Chartist.quantity(options.height).value || 0;
+    // The padding of the chart rectangle includes the reserved space, so the legend is drawn at its outer edge and the rows at the top or bottom are centered in it
+    let rowsHeight = (arranged.rows - 1) * rowHeight;
+    let position = {
+      top: {x: chartRect.x1, y: chartRect.padding.top - legendOptions.offset / 2 - rowsHeight},
+      bottom: {x: chartRect.x1, y: height - chartRect.padding.bottom + legendOptions.offset / 2},
+      left: {x: chartRect.padding.left - legendOptions.offset, y: chartRect.y2 + swatchSize / 2},
+      right: {x: width - chartRect.padding.right, y: chartRect.y2 + swatchSize / 2}
+    }[Chartist.legendPosition(legendOptions)];
+
+    series.forEach((item, index) => {
+      let key = 'legend:' + Reconciler.seriesKey(item, index, series);
+      let hidden = this.isHidden(item, index);
+      let name = arranged.entries[index].name;
+      let x = position.x + arranged.entries[index].offset;
+      let y = position.y + arranged.entries[index].row * rowHeight;
+
+      let element = reconciler.elem(group, key, 'g', {
+        role: 'button',
+        tabindex: 0,
+        'aria-pressed': !hidden
+      }, [
+        options.classNames.legendItem,
+        item && item.className || options.classNames.series + '-' + Chartist.alphaNumerate(index),
+        hidden ? options.classNames.legendInactive : ''
+      ].join(' ').trim());
+
+      reconciler.elem(element, key + ':swatch', 'rect', {
+        x: x,
+        y: y - swatchSize / 2,
+        width: swatchSize,
+        height: swatchSize
+      }, options.classNames.legendSwatch);
+
+      reconciler.text(reconciler.elem(element, key + ':text', 'text', {
+        x: x + swatchSize * 1.5,
+        y: y,
+        'dominant-baseline': 'central'
+      }, options.classNames.legendLabel), name);
+
+      this.chart.eventEmitter.emit('draw', {
+        type: 'legend',
+        index: index,
+        series: item,
+        text: name,
+        hidden: hidden,
+        group: group,
+        element: element,
+        x: x,
+        y: y
+      });
+
+      this.items.push({
+        index: index,
+        element: element
+      });
+    });
+
+    if (!this.chart.headless && this.chart.container) {
+      this.attach();
+    }
+  }
+
+  attach() {
+    let itemOf = (target) => {
+      return this.items.find((item) => item.element._node === target || item.element._node.contains(target));
+    };
+
+    let listeners = {
+      click: (event) => {
+        let item = itemOf(this.chart.eventTarget(event));
+        if (item) {
+          this.toggle(item.index);
+        }
+      },
+      keydown: (event) => {
+        let item = itemOf(event.target);
+        if (item && (event.key === 'Enter' || event.key === ' ' || event.key === 'Spacebar')) {
+          event.preventDefault();
+          this.toggle(item.index);
+        }
+      }
+    };
+
+    this.removeListeners();
+    Object.keys(listeners).forEach((event) => {
+      this.chart.container.addEventListener(event, listeners[event]);
+    });
+    this.listeners = listeners;
+  }
+
+  removeListeners() {
+    Object.keys(this.listeners).forEach((event) => {
+      this.chart.container.removeEventListener(event, this.listeners[event]);
+    });
+    this.listeners = {};
+  }
+
+  /**
+   * Removes all listeners of the legend.
+   *
+   * @memberof Legend
+   */
+  destroy() {
+    this.removeListeners();
+  }
+}
+
+export default Legend;
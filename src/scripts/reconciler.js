@@ -0,0 +1,360 @@
+/**
+ * The reconciler keeps track of the SVG elements a chart has drawn, so they can be re-used when the chart is updated. Elements are identified by a key that is derived from what they represent (series, value index, axis tick etc.) rather than from their position in the DOM. When an element with the same key is drawn again, the existing `Chartist.Svg` wrapper is returned and only the attributes that changed are patched. Elements that were not drawn again are removed after the update.
+ *
+ * The reconciler also annotates the `draw` events of the chart with a `state` property that is either `created`, `updated` or `removed`.
+ *
+ * @module Reconciler
+ */
+import Chartist from './core';
+
+class Reconciler {
+
+  entries;
+  nodes;
+  visited;
+  eventEmitter;
+  exit;
+  reuse;
+
+  /**
+   * Creates a new reconciler that annotates the draw events of the given event emitter.
+   *
+   * @memberof Reconciler
+   * @param {Object} eventEmitter The event emitter of the chart, which is used to emit the draw events of removed elements
+   * @param {Object} internalEmitter The internal event emitter of the chart. The reconciler needs to be constructed before any other draw event handler is registered, so the state is available to all of them.
+   * @constructor
+   */
+  constructor(eventEmitter, internalEmitter) {
+    this.entries = {};
+    this.nodes = new Map();
+    this.visited = {};
+    this.reuse = true;
+    this.eventEmitter = eventEmitter;
+
+    // Remember the last draw event of every element we know about, so we can replay it on removal
+    internalEmitter.addEventHandler('draw', (data) => {
+      let entry = data.element && this.nodes.get(data.element._node);
+      if (entry) {
+        data.state = entry.state;
+        entry.event = data;
+      }
+    });
+  }
+
+  /**
+   * Forgets about all elements drawn so far. This needs to be called whenever the SVG element of the chart has been re-created from scratch.
+   *
+   * @memberof Reconciler
+   */
+  reset() {
+    this.entries = {};
+    this.nodes.clear();
+  }
+
+  /**
+   * Marks the beginning of a drawing cycle. All elements that are not drawn again until `end` is called will be removed.
+   *
+   * @memberof Reconciler
+   * @param {Function} [exit] An optional function that is called with the element and a remove callback for every element that is removed at the end of the cycle. This allows to animate elements before they are taken out of the DOM.
+   * @param {Boolean} [reuse] If false, every element is created anew, even if an element with the same key has already been drawn. Defaults to true.
+   */
+  begin(exit, reuse) {
+    this.visited = {};
+    this.exit = exit;
+    this.reuse = reuse !== false;
+  }
+
+  /**
+   * Creates a new element or re-uses the existing element with the same key. The parameters are the same as the ones of `Chartist.Svg.elem`.
+   *
+   * @memberof Reconciler
+   * @param {Svg} parent The parent wrapper where the element should be created in
+   * @param {String} key A key that uniquely identifies the element within the chart
+   * @param {String} name The name of the SVG element
+   * @param {Object} [attributes] Attributes of the element. Attributes with undefined values will not be added, or removed if they have been added by a previous drawing cycle.
+   * @param {String} [className] This class or class list will be added to the element. Classes that were added by a previous drawing cycle but are not part of the list anymore are removed, while classes added by anyone else are left untouched.
+   * @param {Boolean} [insertFirst] If true the element will be inserted as first child of the parent when it's created
+   * @return {Svg} The wrapper of the created or re-used element
+   */
+  elem(parent, key, name, attributes, className, insertFirst) {
+    let entry = this.reusable(key);
+    this.visited[key] = true;
+
+    if (entry && entry.element._node.parentNode === parent._node && entry.name === name) {
+      entry.state = 'updated';
+      entry.changes = {};
+      this.patch(entry, attributes, className);
+      return entry.element;
+    }
+
+    if (entry) {
+      this.forget(key);
+    }
+
+    let element = parent.elem(name, attributes, className, insertFirst);
+    entry = {
+      key: key,
+      name: name,
+      element: element,
+      state: 'created',
+      changes: {},
+      attributes: this.definedKeys(attributes),
+      className: className
+    };
+    this.entries[key] = entry;
+    this.nodes.set(element._node, entry);
+
+    return element;
+  }
+
+  /**
+   * Keeps the existing element with the given key as it is, like an element that has been drawn again with the same attributes.
+   *
+   * @memberof Reconciler
+   * @param {Svg} parent The parent wrapper the element needs to be in
+   * @param {String} key The element key
+   * @return {Svg|undefined} The wrapper of the kept element or undefined if there is no element with this key in the parent, which then needs to be drawn with `elem`
+   */
+  retain(parent, key) {
+    let entry = this.reusable(key);
+    if (!entry || entry.element._node.parentNode !== parent._node) {
+      return undefined;
+    }
+
+    this.visited[key] = true;
+    entry.state = 'updated';
+    entry.changes = {};
+    return entry.element;
+  }
+
+  /**
+   * Creates a new foreignObject or re-uses the existing one with the same key. The content of a re-used foreignObject is only replaced if it differs from the given content.
+   *
+   * @memberof Reconciler
+   * @param {Svg} parent The parent wrapper where the element should be created in
+   * @param {String} key A key that uniquely identifies the element within the chart
+   * @param {Node} content The DOM node that should be placed into the foreignObject
+   * @param {Object} [attributes] Attributes of the foreignObject element
+   * @param {String} [className] This class or class list will be added to the element
+   * @return {Svg} The wrapper of the created or re-used foreignObject
+   */
+  foreignObject(parent, key, content, attributes, className) {
+    let entry = this.reusable(key);
+
+    if (entry && entry.name === 'foreignObject' && entry.element._node.parentNode === parent._node) {
+      let element = this.elem(parent, key, 'foreignObject', attributes, className);
+      // The content needs the same namespace as the existing content, otherwise it would never be considered equal
+      content.setAttribute('xmlns', Chartist.namespaces.xmlns);
+      if (!element._node.firstChild.isEqualNode(content)) {
+        element._node.replaceChild(content, element._node.firstChild);
+      }
+      return element;
+    }
+
+    if (entry) {
+      this.forget(key);
+    }
+
+    this.visited[key] = true;
+    let element = parent.foreignObject(content, attributes, className);
+    entry = {
+      key: key,
+      name: 'foreignObject',
+      element: element,
+      state: 'created',
+      changes: {},
+      attributes: this.definedKeys(attributes),
+      className: className
+    };
+    this.entries[key] = entry;
+    this.nodes.set(element._node, entry);
+
+    return element;
+  }
+
+  /**
+   * Sets the text content of an element if it differs from its current text content.
+   *
+   * @memberof Reconciler
+   * @param {Svg} element The element where the text should be set
+   * @param {String} text The text content
+   * @return {Svg} The element wrapper
+   */
+  text(element, text) {
+    if (element._node.textContent !== '' + text) {
+      element.empty().text(text);
+    }
+    return element;
+  }
+
+  /**
+   * Returns the state of the element with the given key in the current drawing cycle.
+   *
+   * @memberof Reconciler
+   * @param {String} key The element key
+   * @return {String} Either `created` or `updated`
+   */
+  state(key) {
+    return this.entries[key] ? this.entries[key].state : 'created';
+  }
+
+  /**
+   * Returns the state of the given element in the current drawing cycle.
+   *
+   * @memberof Reconciler
+   * @param {Svg} element The element wrapper
+   * @return {String|undefined} Either `created` or `updated`, or undefined if the element is not managed by the reconciler
+   */
+  stateOf(element) {
+    let entry = element && this.nodes.get(element._node);
+    return entry ? entry.state : undefined;
+  }
+
+  /**
+   * Returns the attributes of the element with the given key that have been changed in the current drawing cycle. Every changed attribute is described by an object with the value before (`from`) and after (`to`) the change.
+   *
+   * @memberof Reconciler
+   * @param {String} key The element key
+   * @return {Object} An object with the changed attribute names as keys
+   */
+  changes(key) {
+    return this.entries[key] ? this.entries[key].changes : {};
+  }
+
+  /**
+   * Returns the data of the last draw event that was emitted for the element with the given key. This is useful to obtain the previous state of an element before it is updated.
+   *
+   * @memberof Reconciler
+   * @param {String} key The element key
+   * @return {Object|undefined} The draw event data or undefined if no draw event has been emitted for this element
+   */
+  previous(key) {
+    return this.entries[key] ? this.entries[key].event : undefined;
+  }
+
+  /**
+   * Marks the end of a drawing cycle. All elements that were not drawn during the cycle are removed and a draw event with the state `removed` is emitted for each of them.
+   *
+   * @memberof Reconciler
+   */
+  end() {
+    let removed = Object.keys(this.entries).filter((key) => {
+      return !this.visited[key];
+    }).map((key) => {
+      return this.entries[key];
+    });
+    let removedNodes = removed.map((entry) => {
+      return entry.element._node;
+    });
+
+    removed.forEach((entry) => {
+      // Elements within a removed parent are taken out of the DOM together with their parent
+      let detach = removedNodes.indexOf(entry.element._node.parentNode) === -1;
+      this.forget(entry.key, !detach || !!this.exit);
+
+      if (entry.event) {
+        this.eventEmitter.emit('draw', Object.assign({}, entry.event, {
+          state: 'removed'
+        }));
+      }
+
+      if (detach && this.exit) {
+        this.exit(entry.element, () => {
+          this.detach(entry.element);
+        });
+      }
+    });
+  }
+
+  // An element that has already been drawn in this cycle under the same key is left alone, so it's not taken over by a second element
+  reusable(key) {
+    return this.reuse && !this.visited[key] ? this.entries[key] : undefined;
+  }
+
+  forget(key, keepNode) {
+    let entry = this.entries[key];
+    delete this.entries[key];
+    this.nodes.delete(entry.element._node);
+
+    if (!keepNode) {
+      this.detach(entry.element);
+    }
+  }
+
+  detach(element) {
+    if (element._node.parentNode) {
+      element._node.parentNode.removeChild(element._node);
+    }
+  }
+
+  patch(entry, attributes, className) {
+    let node = entry.element._node;
+    let keys = this.definedKeys(attributes);
+
+    keys.forEach((key) => {
+      if (node.getAttribute(key) !== '' + attributes[key]) {
+        entry.changes[key] = {
+          from: node.getAttribute(key),
+          to: attributes[key]
+        };
+        let changed = {};
+        changed[key] = attributes[key];
+        entry.element.attr(changed);
+      }
+    });
+
+    entry.attributes.filter((key) => {
+      return keys.indexOf(key) === -1;
+    }).forEach((key) => {
+      entry.changes[key] = {
+        from: node.getAttribute(key),
+        to: undefined
+      };
+      node.removeAttribute(key);
+    });
+    entry.attributes = keys;
+
+    if (entry.className !== className) {
+      let classes = className ? className.trim().split(/\s+/) : [];
+      let removedClasses = (entry.className ? entry.className.trim().split(/\s+/) : []).filter((name) => {
+        return classes.indexOf(name) === -1;
+      });
+
+      if (removedClasses.length) {
+        entry.element.removeClass(removedClasses.join(' '));
+      }
+      if (classes.length) {
+        entry.element.addClass(classes.join(' '));
+      }
+      entry.className = className;
+    }
+  }
+
+  definedKeys(attributes) {
+    return Object.keys(attributes || {}).filter((key) => {
+      return attributes[key] !== undefined;
+    });
+  }
+
+  /**
+   * Creates the key for a series. Series with a name are identified by their name and all other series by their index. Series that share their name with a series before them are told apart by the number of these series.
+   *
+   * @memberof Reconciler
+   * @param {Object|Array} series The raw series data
+   * @param {Number} seriesIndex The index of the series
+   * @param {Array} allSeries All raw series of the chart, which are needed to tell apart series with the same name
+   * @return {String} The series key
+   */
+  static seriesKey(series, seriesIndex, allSeries) {
+    if (!series || series.name === undefined) {
+      return 'series:' + seriesIndex;
+    }
+
+    let occurrence = (allSeries || []).slice(0, seriesIndex).filter((other) => {
+      return other && other.name === series.name;
+    }).length;
+    return 'series-name:' + series.name + (occurrence ? '#' + occurrence : '');
+  }
+}
+
+export default Reconciler;
@@ -195,7 +195,7 @@ class Path {
    */
   parse(path) {
     // Parsing the SVG path string into an array of arrays [['M', '10', '10'], ['L', '100', '100']]
-    let chunks = path.replace(/([A-Za-z])([0-9])/g, '$1 $2')
+    let chunks = path.replace(/([A-Za-z])([0-9.\-])/g, '$1 $2')
       .replace(/([0-9])([A-Za-z])/g, '$1 $2')
       .split(/[\s,]+/)
       .reduce(function (result, element) {
@@ -348,6 +348,47 @@ class Path {
     return split;
   }
 
+  /**
+   * Reverses the direction of a path with absolute elements, so that it starts at its last point and ends at its first point. Lines, curves and arcs are drawn backwards and keep their shape, and the data of the elements moves with their target points.
+   *
+   * @memberof Path
+   * @return {Path} A new path object with the reversed path elements
+   */
+  reverse() {
+    let reversed = new Path(this.close, this.options);
+    let elements = this.pathElements;
+    let last = elements[elements.length - 1];
+
+    if (!last) {
+      return reversed;
+    }
+
+    reversed.move(last.x, last.y, false, last.data);
+
+    for (let i = elements.length - 1; i > 0; i--) {
+      let pathElement = elements[i];
+      let previous = elements[i - 1];
+
+      switch (pathElement.command.toUpperCase()) {
+        case 'C':
+          // The control points are swapped, so that the curve keeps its shape
+          reversed.curve(pathElement.x2, pathElement.y2, pathElement.x1, pathElement.y1, previous.x, previous.y, false, previous.data);
+          break;
+        case 'A':
+          // The sweep flag is flipped, so that the arc keeps its shape
+          reversed.arc(pathElement.rx, pathElement.ry, pathElement.xAr, pathElement.lAf, pathElement.sf ? 0 : 1, previous.x, previous.y, false, previous.data);
+          break;
+        case 'M':
+          reversed.move(previous.x, previous.y, false, previous.data);
+          break;
+        default:
+          reversed.line(previous.x, previous.y, false, previous.data);
+      }
+    }
+
+    return reversed;
+  }
+
   /**
    * This static function on `Chartist.Svg.Path` is joining multiple paths together into one path.
    *
@@ -369,6 +410,83 @@ class Path {
     return joinedPath;
   }
 
+  /**
+   * Creates an interpolation function that morphs one path into another. Path elements are matched by their position in the path. If one path has fewer elements than the other, its last element is repeated, so the additional elements grow out of or collapse into the end of the path. Line and curve elements are converted into each other where necessary. If the two paths can't be matched (i.e. they contain moves at different positions), the interpolation function returns the source path until the end of the interpolation.
+   *
+   * @memberof Path
+   * @param {Path} from The path at the beginning of the interpolation
+   * @param {Path} to The path at the end of the interpolation
+   * @return {Function} A function that accepts a progress value between 0 and 1 and returns the interpolated path
+   */
+  static interpolate(from, to) {
+    let length = Math.max(from.pathElements.length, to.pathElements.length);
+
+    if (from.pathElements.length === 0 || to.pathElements.length === 0) {
+      return (progress) => {
+        return progress < 1 ? from.clone() : to.clone();
+      };
+    }
+
+    // Pads the element list to the common length and converts all elements to absolute curves where possible. Lines
+    // are curves with control points at their start and end point.
+    let normalize = (path) => {
+      let previous = {x: 0, y: 0};
+      return Chartist.times(length).map((value, index) => {
+        let pathElement = path.pathElements[Math.min(index, path.pathElements.length - 1)];
+        let command = pathElement.command.toUpperCase();
+        let normalized;
+
+        if (command === 'L') {
+          normalized = {
+            command: 'C',
+            x1: previous.x,
+            y1: previous.y,
+            x2: pathElement.x,
+            y2: pathElement.y,
+            x: pathElement.x,
+            y: pathElement.y
+          };
+        } else {
+          normalized = Chartist.extend({}, pathElement, {command: command});
+        }
+
+        previous = pathElement;
+        return normalized;
+      });
+    };
+
+    let fromElements = normalize(from);
+    let toElements = normalize(to);
+    let matching = fromElements.every((fromElement, index) => {
+      return fromElement.command === toElements[index].command;
+    });
+
+    if (!matching) {
+      return (progress) => {
+        return progress < 1 ? from.clone() : to.clone();
+      };
+    }
+
+    return (progress) => {
+      let path = new Path(to.close, to.options);
+      path.pathElements = toElements.map((toElement, index) => {
+        let fromElement = fromElements[index];
+        let pathElement = Chartist.extend({}, toElement);
+
+        path.elementDescriptions[toElement.command.toLowerCase()].filter((paramName) => {
+          // Arc flags can't be interpolated
+          return paramName !== 'lAf' && paramName !== 'sf';
+        }).forEach((paramName) => {
+          pathElement[paramName] = fromElement[paramName] + (toElement[paramName] - fromElement[paramName]) * progress;
+        });
+
+        return pathElement;
+      });
+      path.pos = path.pathElements.length;
+      return path;
+    };
+  }
+
 //   Path = Chartist.Class.extend({
 //     constructor: SvgPath,
 //     position: position,
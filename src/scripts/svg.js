@@ -51,15 +51,16 @@ class Svg {
    * @param {String|Element} name The name of the SVG element to create or an SVG dom element which should be wrapped into Chartist.Svg
    * @param {Object} attributes An object with properties that will be added as attributes to the SVG element that is created. Attributes with undefined values will not be added.
    * @param {String} className This class or class list will be added to the SVG element
-   * @param {Object} parent The parent SVG wrapper object where this newly created wrapper, and it's element will be attached to as child
+   * @param {Object} parent The parent SVG wrapper object where this newly created wrapper, and it's element will be attached to as child. The element is created with the document of the parent, which allows to draw into a virtual document.
    * @param {Boolean} insertFirst If this param is set to true in conjunction with a parent element the newly created element will be added as first child element in the parent element
    */
   constructor(name, attributes = undefined, className= undefined, parent= undefined, insertFirst= undefined) {
     // If Svg is getting called with an SVG element we just return the wrapper
-    if (name instanceof Element) {
+    if (typeof name !== 'string') {
       this._node = name;
     } else {
-      this._node = document.createElementNS(Chartist.namespaces.svg, name);
+      let ownerDocument = parent ? parent._node.ownerDocument : document;
+      this._node = ownerDocument.createElementNS(Chartist.namespaces.svg, name);
 
       // If this is an SVG element created then custom namespace
       if (name === 'svg') {
@@ -141,7 +142,8 @@ class Svg {
    * @return {Svg} Returns a Chartist.Svg wrapper around the parent node of the current node. If the parent node is not existing, or it's not an SVG node then this function will return null.
    */
   parent() {
-    return this._node.parentNode instanceof SVGElement ? new Svg(this._node.parentNode) : null;
+    let parentNode = this._node.parentNode;
+    return parentNode && parentNode.namespaceURI === Chartist.namespaces.svg ? new Svg(parentNode) : null;
   }
 
   /**
@@ -206,7 +208,7 @@ class Svg {
     // If content is string then we convert it to DOM
     // TODO: Handle case where content is not a string nor a DOM Node
     if (typeof content === 'string') {
-      let container = document.createElement('div');
+      let container = this._node.ownerDocument.createElement('div');
       container.innerHTML = content;
       content = container.firstChild;
     }
@@ -234,7 +236,7 @@ class Svg {
    * @return {Svg} The same wrapper object that was used to add the newly created element
    */
   text(t) {
-    this._node.appendChild(document.createTextNode(t));
+    this._node.appendChild(this._node.ownerDocument.createTextNode(t));
     return this;
   }
 
@@ -567,7 +569,7 @@ class Svg {
    *
    * @memberof Chartist.Svg
    */
-  easingCubicBeziers = {
+  static Easing = {
     easeInSine: [0.47, 0, 0.745, 0.715],
     easeOutSine: [0.39, 0.575, 0.565, 1],
     easeInOutSine: [0.445, 0.05, 0.55, 0.95],
@@ -594,6 +596,13 @@ class Svg {
     easeInOutBack: [0.68, -0.55, 0.265, 1.55]
   };
 
+  /**
+   * The easing curves of `Chartist.Svg.Easing`, which are also available on every `Chartist.Svg` instance for compatibility.
+   *
+   * @memberof Chartist.Svg
+   */
+  easingCubicBeziers = Svg.Easing;
+
   Easing = this.easingCubicBeziers;
 
   /**
@@ -0,0 +1,312 @@
+/**
+ * The built-in tooltip of the Line, Bar, Pie and Heatmap charts. It shows the values of the points, bars, slices and cells the chart has drawn, as collected by Chartist.DrawnValues, in an HTML element within the chart container when they are hovered, touched or focused. Line charts can snap the tooltip to the nearest point and show the values of all series at the same index.
+ *
+ * @module Tooltip
+ */
+import Chartist from './core';
+
+let escapeHtml = (text) => {
+  return ('' + text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * The default template of the tooltip that shows the meta data, if it is a string or number, and the series name with the value.
+ *
+ * @memberof Tooltip
+ * @param {Object} context The tooltip context with value, meta, seriesName, label and index
+ * @return {String} The HTML content of the tooltip
+ */
+let defaultTemplate = (context) => {
+  let value = Chartist.isMultiValue(context.value) ? [context.value.x, context.value.y].join(', ') : context.value;
+  let meta = typeof context.meta === 'string' || typeof context.meta === 'number' ? context.meta : undefined;
+
+  return (meta !== undefined ? '<span class="ct-tooltip-meta">' + escapeHtml(meta) + '</span><br>' : '') +
+    '<span class="ct-tooltip-value">' +
+    escapeHtml((context.seriesName !== undefined ? context.seriesName + ': ' : '') + value) +
+    '</span>';
+};
+
+class Tooltip {
+
+  /**
+   * Default options of the tooltip. The tooltip option of a chart can be set to true to use these defaults or to an object that overrides some of them.
+   *
+   * @memberof Tooltip
+   */
+  static defaultOptions = {
+    // The interactions that show the tooltip. `hover` includes touch interactions and `focus` shows the tooltip for focused chart elements.
+    trigger: ['hover', 'focus'],
+    // A function that receives a context object with `value`, `meta`, `seriesName`, `label`, `index` and `seriesIndex` and returns the HTML content of the tooltip
+    template: defaultTemplate,
+    // Line charts only: if true, the tooltip snaps to the point nearest to the pointer anywhere in the chart area, otherwise only hovered points show a tooltip
+    snap: true,
+    // Line charts only: if true, the tooltip shows the values of all series at the index nearest to the pointer
+    shared: false,
+    // The distance in pixels between the tooltip and the element it belongs to
+    offset: 10
+  };
+
+  chart;
+  options;
+  className;
+  element;
+  chartRect;
+  listeners = {};
+
+  /**
+   * Creates the tooltip of a chart. The tooltip stays inactive until the chart is drawn with the tooltip option enabled.
+   *
+   * @memberof Tooltip
+   * @param {Object} chart The chart the tooltip belongs to
+   * @constructor
+   */
+  constructor(chart) {
+    this.chart = chart;
+
+    chart.internalEmitter.addEventHandler('created', (data) => {
+      this.update(data);
+    });
+  }
+
+  /**
+   * Activates, updates or deactivates the tooltip after the chart has been drawn.
+   *
+   * @memberof Tooltip
+   * @param {Object} data The created event data
+   */
+  update(data) {
+    this.chartRect = data.chartRect;
+
+    if (!data.options.tooltip || this.chart.headless || !this.chart.container) {
+      this.destroy();
+      return;
+    }
+
+    this.options = Chartist.extend({}, Tooltip.defaultOptions, data.options.tooltip === true ? {} : data.options.tooltip);
+    this.className = data.options.classNames.tooltip;
+    this.attach();
+    this.hide();
+  }
+
+  attach() {
+    let triggers = [].concat(this.options.trigger);
+    let listeners = {};
+
+    if (triggers.indexOf('hover') !== -1) {
+      listeners.mousemove = (event) => {
+        this.showAt(this.chart.eventTarget(event), event.clientX, event.clientY);
+      };
+      listeners.mouseleave = () => {
+        this.hide();
+      };
+      listeners.touchstart = listeners.touchmove = (event) => {
+        let touch = event.touches[0];
+        let ownerDocument = this.chart.container.ownerDocument;
+        let target = ownerDocument.elementFromPoint && !this.chart.renderer ?
+          ownerDocument.elementFromPoint(touch.clientX, touch.clientY) : this.chart.eventTarget(event);
+        this.showAt(target, touch.clientX, touch.clientY);
+      };
+    }
+
+    if (triggers.indexOf('focus') !== -1) {
+      listeners.focusin = (event) => {
+        let entry = this.entryOf(event.target);
+        if (entry) {
+          this.show(entry);
+        }
+      };
+      listeners.focusout = () => {
+        this.hide();
+      };
+    }
+
+    this.removeListeners();
+    Object.keys(listeners).forEach((event) => {
+      this.chart.container.addEventListener(event, listeners[event]);
+    });
+    this.listeners = listeners;
+  }
+
+  removeListeners() {
+    Object.keys(this.listeners).forEach((event) => {
+      this.chart.container.removeEventListener(event, this.listeners[event]);
+    });
+    this.listeners = {};
+  }
+
+  /**
+   * Removes the tooltip element and all listeners of the tooltip.
+   *
+   * @memberof Tooltip
+   */
+  destroy() {
+    this.removeListeners();
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = undefined;
+  }
+
+  entryOf(node) {
+    return this.chart.drawnValues.entryOf(node);
+  }
+
+  /**
+   * Finds the entry for a pointer position. Hovered elements are used directly, while points of line charts are snapped to if the pointer is within the chart area.
+   *
+   * @memberof Tooltip
+   * @param {Node} target The element below the pointer
+   * @param {Number} clientX The horizontal pointer position in the viewport
+   * @param {Number} clientY The vertical pointer position in the viewport
+   * @return {Object|undefined} The entry or undefined if there is nothing to show
+   */
+  findEntry(target, clientX, clientY) {
+    let entry = this.entryOf(target);
+    if (entry || !this.options.snap) {
+      return entry;
+    }
+
+    let svgRect = this.chart.svg.getNode().getBoundingClientRect();
+    let x = clientX - svgRect.left;
+    let y = clientY - svgRect.top;
+
+    if (!this.chartRect || x < this.chartRect.x1 || x > this.chartRect.x2 || y < this.chartRect.y2 || y > this.chartRect.y1) {
+      return undefined;
+    }
+
+    // Shared tooltips describe a whole index, so only the horizontal distance counts
+    return this.chart.drawnValues.nearest(x, y, {
+      type: 'point',
+      horizontal: this.options.shared
+    });
+  }
+
+  showAt(target, clientX, clientY) {
+    let entry = this.findEntry(target, clientX, clientY);
+    if (entry) {
+      this.show(entry);
+    } else {
+      this.hide();
+    }
+  }
+
+  /**
+   * Creates the context that is passed to the template function.
+   *
+   * @memberof Tooltip
+   * @param {Object} entry The entry of a point, bar or slice
+   * @return {Object} The template context
+   */
+  context(entry) {
+    let value = entry.value;
+    // Single values of multi value data are passed as plain numbers
+    if (Chartist.isMultiValue(value) && (value.x === undefined || value.y === undefined)) {
+      value = value.x === undefined ? value.y : value.x;
+    }
+
+    return {
+      value: value,
+      meta: entry.meta,
+      seriesName: entry.series && entry.series.name,
+      // Heatmaps have the labels of their columns in labels.x
+      label: entry.type === 'cell' ? (this.chart.data.labels.x || [])[entry.index] :
+        this.chart.data.labels[entry.type === 'slice' ? entry.seriesIndex : entry.index],
+      index: entry.index,
+      seriesIndex: entry.seriesIndex
+    };
+  }
+
+  /**
+   * Shows the tooltip for an entry. Shared tooltips show all points with the same index.
+   *
+   * @memberof Tooltip
+   * @param {Object} entry The entry of a point, bar or slice
+   */
+  show(entry) {
+    let group = [entry];
+    if (this.options.shared && entry.type === 'point') {
+      group = this.chart.drawnValues.entries.filter((other) => {
+        return other.type === 'point' && other.index === entry.index;
+      }).sort((a, b) => a.seriesIndex - b.seriesIndex);
+    }
+
+    let element = this.createElement();
+    element.innerHTML = group.length === 1 ? this.options.template(this.context(entry)) : group.map((other) => {
+      return '<div class="' + this.className + '-item ct-series-' + Chartist.alphaNumerate(other.seriesIndex) + '">' +
+        this.options.template(this.context(other)) + '</div>';
+    }).join('');
+    element.classList.add(this.className + '-show');
+    element.setAttribute('aria-hidden', 'false');
+
+    this.position(element, {
+      x: entry.x,
+      y: Math.min.apply(null, group.map((other) => other.y))
+    });
+  }
+
+  /**
+   * Hides the tooltip.
+   *
+   * @memberof Tooltip
+   */
+  hide() {
+    if (this.element) {
+      this.element.classList.remove(this.className + '-show');
+      this.element.setAttribute('aria-hidden', 'true');
+    }
+  }
+
+  createElement() {
+    let container = this.chart.container;
+
+    if (!this.element || this.element.parentNode !== container) {
+      let view = container.ownerDocument.defaultView;
+      // The tooltip is positioned relative to the container
+      if (view.getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+      }
+
+      this.element = container.ownerDocument.createElement('div');
+      this.element.setAttribute('role', 'tooltip');
+      this.element.style.position = 'absolute';
+      this.element.style.pointerEvents = 'none';
+      container.appendChild(this.element);
+    }
+    this.element.className = this.className;
+
+    return this.element;
+  }
+
+  /**
+   * Positions the tooltip above an anchor point in the chart, or below it if there is not enough space above. The tooltip is kept inside the container.
+   *
+   * @memberof Tooltip
+   * @param {Node} element The tooltip element
+   * @param {Object} anchor The anchor point in the coordinates of the chart
+   */
+  position(element, anchor) {
+    let container = this.chart.container;
+    let containerRect = container.getBoundingClientRect();
+    let svgRect = this.chart.svg.getNode().getBoundingClientRect();
+    let x = svgRect.left - containerRect.left + anchor.x;
+    let y = svgRect.top - containerRect.top + anchor.y;
+    let width = element.offsetWidth;
+    let height = element.offsetHeight;
+
+    let left = Math.max(0, Math.min(x - width / 2, container.clientWidth - width));
+    let top = y - height - this.options.offset;
+    if (top < 0) {
+      top = y + this.options.offset;
+    }
+    top = Math.max(0, Math.min(top, container.clientHeight - height));
+
+    element.style.left = Math.round(left) + 'px';
+    element.style.top = Math.round(top) + 'px';
+  }
+}
+
+export default Tooltip;
@@ -0,0 +1,197 @@
+/**
+ * Transitions animate chart elements from their previous to their new state when a chart is updated. In contrast to the SMIL animations of `Chartist.Svg.animate`, transitions are driven by animation frames, so they can interpolate values that SMIL can't (like the angles of pie slices) and a running transition can be interrupted by the next update at any time.
+ *
+ * @module Transition
+ */
+import Chartist from './core';
+import Svg from './svg';
+import Path from './svg-path';
+
+class Transition {
+
+  /**
+   * The default options of a transition. The easing can be the name of one of the easing curves in `Chartist.Svg.Easing`, an array with the four control point values of a cubic Bézier curve or a function that maps the linear progress to the eased progress.
+   *
+   * @memberof Transition
+   */
+  static defaultOptions = {
+    duration: 500,
+    easing: 'easeOutQuad'
+  };
+
+  // The transitions that are currently running, keyed by the DOM node they animate
+  static running = new Map();
+
+  /**
+   * Resolves the transition option of a chart into a transition options object.
+   *
+   * @memberof Transition
+   * @param {Boolean|Object} transition The transition option. `true` uses the default options, while an object can override the duration and easing.
+   * @return {Object|undefined} The transition options or undefined if transitions are disabled
+   */
+  static resolveOptions(transition) {
+    if (!transition) {
+      return undefined;
+    }
+
+    return Chartist.extend({}, Transition.defaultOptions, transition === true ? {} : transition);
+  }
+
+  /**
+   * Creates an easing function from the control points of a cubic Bézier curve with the fixed end points (0, 0) and (1, 1), like the ones used by CSS and SMIL.
+   *
+   * @memberof Transition
+   * @param {Number} x1 The x coordinate of the first control point
+   * @param {Number} y1 The y coordinate of the first control point
+   * @param {Number} x2 The x coordinate of the second control point
+   * @param {Number} y2 The y coordinate of the second control point
+   * @return {Function} A function that maps the linear progress to the eased progress
+   */
+  static cubicBezier(x1, y1, x2, y2) {
+    let bezier = (t, p1, p2) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+
+    return (progress) => {
+      // The x coordinate is monotonic for control points within [0, 1], so we can find the curve parameter by bisection
+      let lower = 0;
+      let upper = 1;
+      let t = progress;
+
+      for (let i = 0; i < 30; i++) {
+        t = (lower + upper) / 2;
+        if (bezier(t, x1, x2) < progress) {
+          lower = t;
+        } else {
+          upper = t;
+        }
+      }
+
+      return bezier(t, y1, y2);
+    };
+  }
+
+  /**
+   * Resolves an easing option into an easing function.
+   *
+   * @memberof Transition
+   * @param {String|Array|Function} easing The name of an easing curve in `Chartist.Svg.Easing`, an array of Bézier control points or an easing function
+   * @return {Function} The easing function. Unknown easing names result in a linear easing.
+   */
+  static easing(easing) {
+    if (typeof easing === 'function') {
+      return easing;
+    }
+
+    let curve = easing instanceof Array ? easing : Svg.Easing[easing];
+    return curve ? Transition.cubicBezier(...curve) : Chartist.noop;
+  }
+
+  static requestFrame(callback) {
+    if (typeof window !== 'undefined' && window.requestAnimationFrame) {
+      window.requestAnimationFrame(callback);
+    } else {
+      setTimeout(callback, 16);
+    }
+  }
+
+  /**
+   * Runs a transition on an element. A transition that is still running on the same element is cancelled first. The step function is called synchronously with a progress of 0, so the element never shows its target state before the transition starts, and then once per animation frame with the eased progress until the transition is done. The events `animationBegin` and `animationEnd` are emitted on the given event emitter.
+   *
+   * @memberof Transition
+   * @param {Svg} element The element that is animated
+   * @param {Object} options The transition options with duration and easing
+   * @param {Function} step A function that is called with the eased progress and updates the element
+   * @param {Object} eventEmitter The event emitter of the chart
+   * @param {Object} [params] Additional data that will be passed to the animation events
+   * @param {Function} [done] A function that is called after the transition has ended or has been cancelled
+   */
+  static run(element, options, step, eventEmitter, params, done) {
+    Transition.cancel(element);
+
+    let easing = Transition.easing(options.easing);
+    let start = Date.now();
+    let handle = {
+      done: done || Chartist.noop
+    };
+    Transition.running.set(element._node, handle);
+
+    step(0);
+    eventEmitter.emit('animationBegin', {
+      element: element,
+      params: params
+    });
+
+    let frame = () => {
+      if (Transition.running.get(element._node) !== handle) {
+        return;
+      }
+
+      let progress = options.duration > 0 ? Math.min(1, (Date.now() - start) / options.duration) : 1;
+      step(progress < 1 ? easing(progress) : 1);
+
+      if (progress < 1) {
+        Transition.requestFrame(frame);
+      } else {
+        Transition.running.delete(element._node);
+        handle.done();
+        eventEmitter.emit('animationEnd', {
+          element: element,
+          params: params
+        });
+      }
+    };
+
+    Transition.requestFrame(frame);
+  }
+
+  /**
+   * Cancels the transition that is running on an element. The element keeps the state of the last animation frame.
+   *
+   * @memberof Transition
+   * @param {Svg} element The element with a running transition
+   */
+  static cancel(element) {
+    let handle = Transition.running.get(element._node);
+    if (handle) {
+      Transition.running.delete(element._node);
+      handle.done();
+    }
+  }
+
+  /**
+   * Animates attributes of an element from one set of values to another. Numeric attributes are interpolated linearly and path descriptions in the `d` attribute are morphed using `Chartist.Svg.Path.interpolate`. At the end of the transition the attributes are set to their exact target values.
+   *
+   * @memberof Transition
+   * @param {Svg} element The element that is animated
+   * @param {Object} from The attribute values at the start of the transition
+   * @param {Object} to The attribute values at the end of the transition
+   * @param {Object} options The transition options with duration and easing
+   * @param {Object} eventEmitter The event emitter of the chart
+   * @param {Object} [params] Additional data that will be passed to the animation events
+   * @param {Function} [done] A function that is called after the transition has ended or has been cancelled
+   */
+  static attributes(element, from, to, options, eventEmitter, params, done) {
+    let interpolators = Object.keys(to).map((attribute) => {
+      if (attribute === 'd') {
+        let interpolate = Path.interpolate(Transition.parsePath(from.d), Transition.parsePath(to.d));
+        return (progress) => interpolate(progress).stringify();
+      }
+
+      let fromValue = parseFloat(from[attribute]);
+      let toValue = parseFloat(to[attribute]);
+      return (progress) => fromValue + (toValue - fromValue) * progress;
+    });
+
+    Transition.run(element, options, (progress) => {
+      element.attr(Object.keys(to).reduce((attributes, attribute, index) => {
+        attributes[attribute] = progress < 1 ? interpolators[index](progress) : to[attribute];
+        return attributes;
+      }, {}));
+    }, eventEmitter, params, done);
+  }
+
+  static parsePath(d) {
+    return new Path(/z\s*$/i.test(d)).parse(d);
+  }
+}
+
+export default Transition;
@@ -0,0 +1,222 @@
+/**
+ * The value labels of the Line and Bar charts. They are collected from the draw events of the points and bars and drawn next to them when the chart is drawn with the `valueLabels` option. Labels are placed one after another in drawing order, where a label that overlaps a label that has already been placed is hidden or nudged out of the way.
+ *
+ * @module ValueLabels
+ */
+import Chartist from './core';
+
+// Label texts can't be measured in environments without layout, so their size is estimated from the number of characters
+let estimatedCharacterWidth = 6;
+let estimatedLineHeight = 14;
+
+/**
+ * The default formatter of the value labels that shows the value which is projected on the value axis.
+ *
+ * @memberof ValueLabels
+ * @param {Number|Object} value The value of the point or bar
+ * @return {String|Number} The text of the label
+ */
+let defaultFormatter = (value) => {
+  if (Chartist.isMultiValue(value)) {
+    return value.y !== undefined ? value.y : value.x;
+  }
+
+  return value;
+};
+
+/**
+ * Checks if two label boxes overlap.
+ *
+ * @param {Object} a A box with x1, y1, x2 and y2 coordinates
+ * @param {Object} b A box with x1, y1, x2 and y2 coordinates
+ * @return {Boolean} True if the boxes overlap
+ */
+let overlaps = (a, b) => {
+  return a.x1 < b.x2 && b.x1 < a.x2 && a.y1 < b.y2 && b.y1 < a.y2;
+};
+
+class ValueLabels {
+
+  /**
+   * Default options of the value labels. The valueLabels option of a chart can be set to true to use these defaults or to an object that overrides some of them.
+   *
+   * @memberof ValueLabels
+   */
+  static defaultOptions = {
+    // The position of the labels relative to their bar or point, which can be 'outside-end', 'inside-end' or 'center'. Bars end at their value, so 'outside-end' is beyond the end of a bar and 'inside-end' is within the bar at its end. Labels of points are placed above the point with 'outside-end' and below it with 'inside-end'.
+    position: 'outside-end',
+    // A function that receives the value and the draw event data of the point or bar and returns the text of the label. Labels with empty texts are not drawn.
+    formatter: defaultFormatter,
+    // The distance in pixels between a label and the end of its bar or its point
+    offset: 4,
+    // How overlapping labels are handled. With 'hide' a label that overlaps a label placed before it is not drawn, with 'nudge' it is moved away from its bar or point until it doesn't overlap any more, up to maxNudge pixels, and with false all labels are drawn.
+    collision: 'hide',
+    // The largest distance in pixels a label is nudged before it is hidden
+    maxNudge: 20
+  };
+
+  chart;
+  entries = [];
+
+  /**
+   * Creates the value labels of a chart. The labels are drawn by the charts if the `valueLabels` option is enabled.
+   *
+   * @memberof ValueLabels
+   * @param {Object} chart The chart the value labels belong to
+   * @constructor
+   */
+  constructor(chart) {
+    this.chart = chart;
+
+    chart.internalEmitter.addEventHandler('draw', (data) => {
+      if ((data.type === 'point' || data.type === 'bar') && data.state !== 'removed') {
+        this.entries.push(data);
+      }
+    });
+    chart.internalEmitter.addEventHandler('created', () => {
+      this.entries = [];
+    });
+  }
+
+  /**
+   * Draws the labels of the points and bars that have been drawn so far.
+   *
+   * @memberof ValueLabels
+   * @param {Object} options The options of the chart
+   */
+  draw(options) {
+    let entries = this.entries;
+    this.entries = [];
+
+    if (!options.valueLabels) {
+      return;
+    }
+
+    let labelOptions = Chartist.extend({}, ValueLabels.defaultOptions, options.valueLabels === true ? {} : options.valueLabels);
+    let reconciler = this.chart.reconciler;
+    let group = reconciler.elem(this.chart.svg, 'value-labels', 'g', null, options.classNames.valueLabels);
+    let placed = [];
+
+    entries.forEach((entry) => {
+      let text = labelOptions.formatter(entry.value, entry);
+      if (text === undefined || text === null || text === '') {
+        return;
+      }
+
+      text = '' + text;
+      let width = text.length * estimatedCharacterWidth;
+      let height = estimatedLineHeight;
+      let anchor = this.anchor(entry, labelOptions, width, height, options.horizontalBars);
+      let box = {
+        x1: anchor.x - width / 2,
+        y1: anchor.y - height / 2,
+        x2: anchor.x + width / 2,
+        y2: anchor.y + height / 2
+      };
+
+      if (labelOptions.collision) {
+        let nudged = 0;
+        let blocking = placed.find((other) => overlaps(box, other));
+
+        while (blocking && labelOptions.collision === 'nudge' && nudged <= labelOptions.maxNudge) {
+          // The label is moved just beyond the label it overlaps, away from its bar or point
+          let shift = anchor.horizontal ?
+            (anchor.direction > 0 ? blocking.x2 - box.x1 : blocking.x1 - box.x2) :
+            (anchor.direction > 0 ? blocking.y2 - box.y1 : blocking.y1 - box.y2);
+          let axis = anchor.horizontal ? 'x' : 'y';
+          box[axis + '1'] += shift;
+          box[axis + '2'] += shift;
+          nudged += Math.abs(shift);
+          blocking = placed.find((other) => overlaps(box, other));
+        }
+
+        if (blocking || nudged > labelOptions.maxNudge) {
+          return;
+        }
+      }
+
+      placed.push(box);
+
+      let x = (box.x1 + box.x2) / 2;
+      let y = (box.y1 + box.y2) / 2;
+      let key = 'value-label:' + entry.seriesIndex + ':' + entry.index;
+      let element = reconciler.text(reconciler.elem(group, key, 'text', {
+        x: x,
+        y: y,
+        'text-anchor': 'middle',
+        'dominant-baseline': 'central'
+      }, [
+        options.classNames.valueLabel,
+        entry.series && entry.series.className || options.classNames.series + '-' + Chartist.alphaNumerate(entry.seriesIndex)
+      ].join(' ')), text);
+
+      this.chart.eventEmitter.emit('draw', {
+        type: 'valueLabel',
+        value: entry.value,
+        index: entry.index,
+        meta: entry.meta,
+        series: entry.series,
+        seriesIndex: entry.seriesIndex,
+        text: text,
+        group: group,
+        element: element,
+        x: x,
+        y: y
+      });
+      this.chart.transitionElement(element, key);
+    });
+  }
+
+  /**
+   * Calculates the center of the label of a point or bar before collisions are resolved.
+   *
+   * @memberof ValueLabels
+   * @param {Object} entry The draw event data of the point or bar
+   * @param {Object} labelOptions The value label options
+   * @param {Number} width The width of the label
+   * @param {Number} height The height of the label
+   * @param {Boolean} horizontalBars True if the bars are horizontal
+   * @return {Object} The center of the label as x and y, whether it is moved horizontally when nudged and the direction from its bar or point as 1 or -1
+   */
+  anchor(entry, labelOptions, width, height, horizontalBars) {
+    let position = labelOptions.position;
+    let offset = labelOptions.offset;
+
+    if (entry.type === 'point') {
+      let direction = position === 'inside-end' ? 1 : -1;
+      return {
+        x: entry.x,
+        y: position === 'center' ? entry.y : entry.y + direction * (offset + height / 2),
+        horizontal: false,
+        direction: direction
+      };
+    }
+
+    // Bars go from their base at x1 and y1 to their end at x2 and y2
+    let horizontal = !!horizontalBars;
+    let axis = horizontal ? 'x' : 'y';
+    let base = entry[axis + '1'];
+    let end = entry[axis + '2'];
+    // Bars without a length point up or to the right
+    let direction = end !== base ? (end > base ? 1 : -1) : (horizontal ? 1 : -1);
+    let halfSize = (horizontal ? width : height) / 2;
+    let center = {
+      x: entry.x1,
+      y: entry.y1,
+      horizontal: horizontal,
+      direction: position === 'inside-end' ? -direction : direction
+    };
+
+    if (position === 'center') {
+      center[axis] = (base + end) / 2;
+    } else if (position === 'inside-end') {
+      center[axis] = end - direction * (offset + halfSize);
+    } else {
+      center[axis] = end + direction * (offset + halfSize);
+    }
+
+    return center;
+  }
+}
+
+export default ValueLabels;
@@ -0,0 +1,362 @@
+/**
+ * A lightweight implementation of the subset of the DOM that Chartist needs to draw charts. It allows to render charts in environments without a DOM, like Node.js, and to serialize them into SVG markup. Virtual elements can't be measured, so charts that are drawn into a virtual document need an explicit width and height.
+ *
+ * @module VirtualDom
+ */
+
+let escapeText = (text) => {
+  return ('' + text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+};
+
+let escapeAttribute = (value) => {
+  return escapeText(value).replace(/"/g, '&quot;');
+};
+
+/**
+ * A text node of a virtual document.
+ *
+ * @memberof VirtualDom
+ */
+class VirtualText {
+
+  nodeType = 3;
+  nodeName = '#text';
+  ownerDocument;
+  parentNode = null;
+  textContent;
+
+  constructor(ownerDocument, text) {
+    this.ownerDocument = ownerDocument;
+    this.textContent = '' + text;
+  }
+
+  get outerHTML() {
+    return escapeText(this.textContent);
+  }
+
+  cloneNode() {
+    return new VirtualText(this.ownerDocument, this.textContent);
+  }
+
+  isEqualNode(node) {
+    return !!node && node.nodeType === this.nodeType && node.textContent === this.textContent;
+  }
+}
+
+/**
+ * An element of a virtual document. Attributes are stored with their namespace, so namespaced attributes like `ct:value` can be read and written like on regular DOM elements. Inline styles set on the `style` object are serialized into the style attribute.
+ *
+ * @memberof VirtualDom
+ */
+class VirtualElement {
+
+  nodeType = 1;
+  nodeName;
+  namespaceURI;
+  ownerDocument;
+  parentNode = null;
+  childNodes = [];
+  attributes = [];
+  style = {};
+  layoutNode = null;
+
+  constructor(ownerDocument, namespaceURI, name) {
+    this.ownerDocument = ownerDocument;
+    this.namespaceURI = namespaceURI;
+    // Like in the DOM, names of HTML elements are upper case while the names of other elements are kept as they are
+    this.nodeName = namespaceURI === VirtualDocument.xhtml ? name.toUpperCase() : name;
+  }
+
+  get tagName() {
+    return this.nodeName;
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get nextSibling() {
+    return this.parentNode ? this.parentNode.childNodes[this.parentNode.childNodes.indexOf(this) + 1] || null : null;
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join('');
+  }
+
+  set textContent(text) {
+    this.childNodes.slice().forEach((node) => this.removeChild(node));
+    if (text !== '') {
+      this.appendChild(this.ownerDocument.createTextNode(text));
+    }
+  }
+
+  setAttribute(name, value) {
+    this.setAttributeNS(null, name, value);
+  }
+
+  setAttributeNS(namespaceURI, qualifiedName, value) {
+    let attribute = this.attributes.find((attribute) => attribute.name === qualifiedName);
+    if (attribute) {
+      attribute.value = '' + value;
+    } else {
+      this.attributes.push({
+        namespaceURI: namespaceURI,
+        name: qualifiedName,
+        localName: qualifiedName.split(':').pop(),
+        value: '' + value
+      });
+    }
+    this.ownerDocument.changed();
+  }
+
+  getAttribute(name) {
+    let attribute = this.attributes.find((attribute) => attribute.name === name);
+    return attribute ? attribute.value : null;
+  }
+
+  getAttributeNS(namespaceURI, localName) {
+    let attribute = this.attributes.find((attribute) => {
+      return attribute.namespaceURI === namespaceURI && attribute.localName === localName;
+    });
+    return attribute ? attribute.value : null;
+  }
+
+  hasAttribute(name) {
+    return this.getAttribute(name) !== null;
+  }
+
+  removeAttribute(name) {
+    this.attributes = this.attributes.filter((attribute) => attribute.name !== name);
+    this.ownerDocument.changed();
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  insertBefore(node, referenceNode) {
+    if (node.parentNode) {
+      node.parentNode.removeChild(node);
+    }
+
+    let index = referenceNode ? this.childNodes.indexOf(referenceNode) : -1;
+    if (index === -1) {
+      this.childNodes.push(node);
+    } else {
+      this.childNodes.splice(index, 0, node);
+    }
+    node.parentNode = this;
+    this.ownerDocument.changed();
+
+    return node;
+  }
+
+  removeChild(node) {
+    let index = this.childNodes.indexOf(node);
+    if (index === -1) {
+      throw new Error('The node to be removed is not a child of this node.');
+    }
+
+    this.childNodes.splice(index, 1);
+    node.parentNode = null;
+    this.ownerDocument.changed();
+
+    return node;
+  }
+
+  replaceChild(node, oldNode) {
+    this.insertBefore(node, oldNode);
+    return this.removeChild(oldNode);
+  }
+
+  cloneNode(deep) {
+    let clone = new VirtualElement(this.ownerDocument, this.namespaceURI, this.nodeName);
+    clone.attributes = this.attributes.map((attribute) => Object.assign({}, attribute));
+    clone.style = Object.assign({}, this.style);
+
+    if (deep) {
+      this.childNodes.forEach((node) => clone.appendChild(node.cloneNode(true)));
+    }
+
+    return clone;
+  }
+
+  isEqualNode(node) {
+    return !!node && node.nodeType === this.nodeType && node.outerHTML === this.outerHTML;
+  }
+
+  contains(node) {
+    while (node && node !== this) {
+      node = node.parentNode;
+    }
+    return node === this;
+  }
+
+  /**
+   * Returns all descendant elements that match a selector. Only type, class and id selectors, compounds of them (like `line.ct-bar`), descendant combinators and selector lists are supported.
+   *
+   * @memberof VirtualDom
+   * @param {String} selectors The selector list
+   * @return {Array<VirtualElement>} The matching elements in document order
+   */
+  querySelectorAll(selectors) {
+    let selectorList = selectors.split(',').map((selector) => {
+      return selector.trim().split(/\s+/).map(VirtualElement.parseSelector);
+    });
+    let found = [];
+
+    let walk = (element) => {
+      element.childNodes.forEach((node) => {
+        if (node.nodeType !== 1) {
+          return;
+        }
+
+        if (selectorList.some((selector) => node.matchesSelector(selector, this))) {
+          found.push(node);
+        }
+        walk(node);
+      });
+    };
+    walk(this);
+
+    return found;
+  }
+
+  querySelector(selectors) {
+    return this.querySelectorAll(selectors)[0] || null;
+  }
+
+  matchesSelector(selector, scope) {
+    let compounds = selector.slice();
+    if (!this.matchesCompound(compounds.pop())) {
+      return false;
+    }
+
+    // Every remaining compound needs to match an ancestor within the scope, from the innermost to the outermost
+    let ancestor = this.parentNode;
+    while (compounds.length && ancestor && ancestor !== scope) {
+      if (ancestor.matchesCompound(compounds[compounds.length - 1])) {
+        compounds.pop();
+      }
+      ancestor = ancestor.parentNode;
+    }
+
+    return compounds.length === 0;
+  }
+
+  matchesCompound(compound) {
+    let classes = (this.getAttribute('class') || '').trim().split(/\s+/);
+
+    return (!compound.name || compound.name === '*' || compound.name.toLowerCase() === this.nodeName.toLowerCase()) &&
+      (!compound.id || compound.id === this.getAttribute('id')) &&
+      compound.classes.every((className) => classes.indexOf(className) !== -1);
+  }
+
+  static parseSelector(compound) {
+    let parts = compound.match(/[.#]?[^.#]+/g) || [];
+    return {
+      name: parts.filter((part) => part[0] !== '.' && part[0] !== '#')[0],
+      id: parts.filter((part) => part[0] === '#').map((part) => part.substring(1))[0],
+      classes: parts.filter((part) => part[0] === '.').map((part) => part.substring(1))
+    };
+  }
+
+  /**
+   * Virtual elements are not laid out, so their size is only known if it is set in pixels with the width and height attributes. Elements that are shown by a real element of the page, like a chart that is painted on a canvas, are placed at the position of their `layoutNode`.
+   *
+   * @memberof VirtualDom
+   * @return {Object} A rectangle with the size of the element
+   */
+  getBoundingClientRect() {
+    let size = (name) => {
+      let value = this.style[name] || this.getAttribute(name);
+      return /^\d+(\.\d+)?(px)?$/.test(value) ? parseFloat(value) : 0;
+    };
+    let position = this.layoutNode ? this.layoutNode.getBoundingClientRect() : {top: 0, left: 0};
+
+    return {
+      top: position.top,
+      left: position.left,
+      width: size('width'),
+      height: size('height'),
+      right: position.left + size('width'),
+      bottom: position.top + size('height')
+    };
+  }
+
+  addEventListener() {
+  }
+
+  removeEventListener() {
+  }
+
+  get outerHTML() {
+    let attributes = this.attributes.slice();
+    let style = Object.keys(this.style).filter((property) => {
+      return this.style[property] !== undefined && this.style[property] !== '';
+    }).map((property) => {
+      return property.replace(/[A-Z]/g, (letter) => '-' + letter.toLowerCase()) + ': ' + this.style[property] + ';';
+    }).join(' ');
+
+    if (style) {
+      // Styles that have been set with the style attribute are combined with the ones set on the style object
+      let styleAttribute = this.getAttribute('style');
+      attributes = attributes.filter((attribute) => attribute.name !== 'style').concat({
+        name: 'style',
+        value: styleAttribute ? styleAttribute + ' ' + style : style
+      });
+    }
+
+    let name = this.namespaceURI === VirtualDocument.xhtml ? this.nodeName.toLowerCase() : this.nodeName;
+    return '<' + name + attributes.map((attribute) => {
+      return ' ' + attribute.name + '="' + escapeAttribute(attribute.value) + '"';
+    }).join('') + '>' + this.childNodes.map((node) => node.outerHTML).join('') + '</' + name + '>';
+  }
+}
+
+/**
+ * A virtual document that creates virtual elements. It has no `defaultView`, which is how charts detect that they are rendered without a browser window. If an `onChange` callback is set, it is called whenever an attribute or a child of one of its elements changes.
+ *
+ * @memberof VirtualDom
+ */
+class VirtualDocument {
+
+  static xhtml = 'http://www.w3.org/1999/xhtml';
+
+  defaultView = null;
+  onChange = null;
+  implementation = {
+    hasFeature: () => false
+  };
+
+  changed() {
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  createElementNS(namespaceURI, name) {
+    return new VirtualElement(this, namespaceURI, name);
+  }
+
+  createElement(name) {
+    return new VirtualElement(this, VirtualDocument.xhtml, name);
+  }
+
+  createTextNode(text) {
+    return new VirtualText(this, text);
+  }
+}
+
+export {
+  VirtualDocument,
+  VirtualElement,
+  VirtualText
+}
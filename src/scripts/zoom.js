@@ -0,0 +1,526 @@
+/**
+ * Zoom and pan of the Line charts. The visible range of the X and Y axis can be zoomed with the mouse wheel or a pinch gesture around the pointer and moved by dragging. Zoomed axes are created with their visible range, so their ticks are calculated for the range that is shown. Only axes with a continuous scale can be zoomed, which are the `AutoScaleAxis`, the `FixedScaleAxis` and the `TimeAxis`.
+ *
+ * @module Zoom
+ */
+import Chartist from './core';
+import AutoScaleAxis from './axes/auto-scale-axis';
+import FixedScaleAxis from './axes/fixed-scale-axis';
+import TimeAxis from './axes/time-axis';
+
+class Zoom {
+
+  /**
+   * Default options of the zoom. The zoom option of a chart can be set to true to use these defaults or to an object that overrides some of them.
+   *
+   * @memberof Zoom
+   */
+  static defaultOptions = {
+    // The axes that can be zoomed and panned, which can be 'x', 'y' or 'xy'
+    axes: 'x',
+    // If true, the mouse wheel zooms around the pointer
+    wheel: true,
+    // If true, a pinch gesture zooms around the center of the two touches
+    pinch: true,
+    // If true, dragging with the mouse or a single touch moves the visible range
+    pan: true,
+    // The share of the visible range that one step of the mouse wheel zooms in
+    wheelStep: 0.2,
+    // The smallest visible range of the axes as an object with x and y, like `{x: 60000}` for at least one minute on a time axis
+    minRange: {},
+    // The largest visible range of the axes as an object with x and y
+    maxRange: {},
+    // If true, the visible range can't be zoomed out or moved beyond the range the axis has without zoom
+    bounded: true,
+    // If true, a control that resets the zoom is shown in the corner of the chart area while the chart is zoomed
+    resetControl: true,
+    // The text of the reset control
+    resetLabel: 'Reset zoom'
+  };
+
+  chart;
+  options;
+  domain;
+  fullRange = {};
+  unzoomedOptions = {};
+  axes = {};
+  chartRect;
+  resetElement;
+  gesture;
+  listeners = {};
+  documentListeners = {};
+  pendingUpdate = false;
+
+  /**
+   * Creates the zoom of a chart. The zoom stays inactive until the chart is drawn with the zoom option enabled.
+   *
+   * @memberof Zoom
+   * @param {Object} chart The chart the zoom belongs to
+   * @constructor
+   */
+  constructor(chart) {
+    this.chart = chart;
+  }
+
+  /**
+   * Returns the options of an axis for its visible range. Axes of a zoomed chart are bounded to the visible range instead of the range of the data.
+   *
+   * @memberof Zoom
+   * @param {String} id The id of the axis, which is 'x' or 'y'
+   * @param {Object} axisOptions The options of the axis
+   * @param {Object} options The options of the chart
+   * @return {Object} The options the axis should be created with
+   */
+  axisOptions(id, axisOptions, options) {
+    this.unzoomedOptions[id] = axisOptions;
+    let range = options.zoom && this.domain && this.domain[id];
+    if (!range) {
+      return axisOptions;
+    }
+
+    return Chartist.extend({}, axisOptions, {
+      highLow: {
+        high: range.max,
+        low: range.min
+      },
+      strictBounds: true
+    });
+  }
+
+  /**
+   * Activates the zoom for the drawn chart. The reset control is drawn while the chart is zoomed.
+   *
+   * @memberof Zoom
+   * @param {Object} options The options of the chart
+   * @param {Object} chartRect The chart rectangle
+   * @param {Object} axes The axes of the chart with the ids 'x' and 'y' as keys
+   * @param {Object} data The normalized series that are projected on the axes with the ids 'x' and 'y' as keys
+   */
+  draw(options, chartRect, axes, data) {
+    if (!options.zoom) {
+      this.domain = undefined;
+      this.destroy();
+      return;
+    }
+
+    this.options = Chartist.extend({}, Zoom.defaultOptions, options.zoom === true ? {} : options.zoom);
+    this.chartRect = chartRect;
+    this.axes = {};
+    this.options.axes.split('').filter((id) => Zoom.isZoomable(axes[id])).forEach((id) => {
+      this.axes[id] = axes[id];
+      // The range without zoom bounds the visible range. It's computed from the data with every drawing, as the data can change while the chart is zoomed.
+      let full = this.domain && this.domain[id] ?
+        new axes[id].constructor(axes[id].units, data[id], chartRect, this.unzoomedOptions[id]) : axes[id];
+      this.fullRange[id] = {
+        min: full.range.min,
+        max: full.range.max
+      };
+    });
+
+    let reconciler = this.chart.reconciler;
+    this.resetElement = undefined;
+
+    if (this.domain && this.options.resetControl) {
+      this.resetElement = reconciler.elem(this.chart.svg, 'zoom-reset', 'g', {
+        role: 'button',
+        tabindex: 0
+      }, options.classNames.zoomReset);
+      reconciler.text(reconciler.elem(this.resetElement, 'zoom-reset:text', 'text', {
+        x: chartRect.x2 - 4,
+        y: chartRect.y2 + 4,
+        'text-anchor': 'end',
+        'dominant-baseline': 'hanging'
+      }), this.options.resetLabel);
+    }
+
+    if (!this.chart.headless && this.chart.container) {
+      this.attach();
+    }
+  }
+
+  /**
+   * Checks if an axis can be zoomed, which requires a continuous scale.
+   *
+   * @memberof Zoom
+   * @param {Axis} axis The axis
+   * @return {Boolean} True if the axis can be zoomed
+   */
+  static isZoomable(axis) {
+    return axis instanceof AutoScaleAxis || axis instanceof FixedScaleAxis || axis instanceof TimeAxis;
+  }
+
+  /**
+   * Returns the visible range of the zoomable axes.
+   *
+   * @memberof Zoom
+   * @return {Object} The visible range of the axes with min and max, where the ids of the axes are the keys
+   */
+  visibleDomain() {
+    let domain = {};
+    Object.keys(this.axes).forEach((id) => {
+      let range = this.domain && this.domain[id] || this.axes[id].range;
+      domain[id] = {
+        min: range.min,
+        max: range.max
+      };
+    });
+    return domain;
+  }
+
+  /**
+   * Zooms the chart to the given visible ranges, for example to synchronize it with the `zoom` event of another chart. Axes without a range are reset. Unlike the zoom by the user, this doesn't emit a `zoom` event.
+   *
+   * @memberof Zoom
+   * @param {Object} domain The visible ranges with min and max, like `{x: {min: 10, max: 20}}`
+   */
+  zoomTo(domain) {
+    let zoomed = {};
+    Object.keys(domain || {}).filter((id) => domain[id]).forEach((id) => {
+      zoomed[id] = {
+        min: domain[id].min,
+        max: domain[id].max
+      };
+    });
+
+    this.domain = Object.keys(zoomed).length ? zoomed : undefined;
+    this.chart.update();
+  }
+
+  /**
+   * Resets the zoom, so the whole range of the axes is shown again. Unlike the reset control, this doesn't emit a `zoom` event.
+   *
+   * @memberof Zoom
+   */
+  reset() {
+    this.zoomTo(undefined);
+  }
+
+  /**
+   * Applies a new visible range that has been chosen by the user. The chart is updated with the next animation frame, so it is drawn at most once per frame while the user zooms or pans.
+   *
+   * @memberof Zoom
+   * @param {Object} domain The visible ranges of the zoomed axes or undefined to reset the zoom
+   */
+  apply(domain) {
+    Object.keys(domain || {}).forEach((id) => {
+      domain[id] = this.limit(id, domain[id]);
+      if (!domain[id]) {
+        delete domain[id];
+      }
+    });
+    this.domain = domain && Object.keys(domain).length ? domain : undefined;
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Updates the chart with the next animation frame, unless an update is already pending.
+   *
+   * @memberof Zoom
+   */
+  scheduleUpdate() {
+    if (this.pendingUpdate) {
+      return;
+    }
+
+    this.pendingUpdate = true;
+    let view = this.chart.container && this.chart.container.ownerDocument.defaultView;
+    let callback = () => {
+      if (this.pendingUpdate) {
+        this.update();
+      }
+    };
+    if (view && view.requestAnimationFrame) {
+      view.requestAnimationFrame(callback);
+    } else {
+      setTimeout(callback, 16);
+    }
+  }
+
+  /**
+   * Updates the chart with the visible range. The `zoom` event is emitted with the visible range of all zoomable axes before the chart is updated.
+   *
+   * @memberof Zoom
+   */
+  update() {
+    this.pendingUpdate = false;
+    let visible = {};
+    Object.keys(this.axes).forEach((id) => {
+      visible[id] = this.domain && this.domain[id] || this.fullRange[id];
+    });
+
+    this.chart.eventEmitter.emit('zoom', {
+      x: visible.x,
+      y: visible.y,
+      zoomed: !!this.domain
+    });
+    this.chart.update();
+  }
+
+  /**
+   * Limits a visible range to the minimum and maximum range and, if the zoom is bounded, to the range of the axis without zoom.
+   *
+   * @memberof Zoom
+   * @param {String} id The id of the axis
+   * @param {Object} range The visible range with min and max
+   * @return {Object|undefined} The limited range or undefined if the whole range of the axis is visible
+   */
+  limit(id, range) {
+    let full = this.options.bounded ? this.fullRange[id] : undefined;
+    let span = range.max - range.min;
+    let center = range.min + span / 2;
+    let maxSpan = Math.min(
+      Chartist.isNumeric(this.options.maxRange[id]) ? this.options.maxRange[id] : Infinity,
+      full ? full.max - full.min : Infinity
+    );
+
+    span = Math.min(Math.max(span, this.options.minRange[id] || 0), maxSpan);
+    if (full && span >= full.max - full.min) {
+      return undefined;
+    }
+
+    let min = center - span / 2;
+    if (full) {
+      min = Math.min(Math.max(min, full.min), full.max - span);
+    }
+
+    return {
+      min: min,
+      max: min + span
+    };
+  }
+
+  /**
+   * Converts a position in the chart to a value of a zoomable axis with the given visible range.
+   *
+   * @memberof Zoom
+   * @param {String} id The id of the axis
+   * @param {Object} position The position in the chart with x and y
+   * @param {Object} range The visible range of the axis
+   * @return {Number} The value at the position
+   */
+  valueAt(id, position, range) {
+    let ratio = id === 'x' ?
+      (position.x - this.chartRect.x1) / this.chartRect.width() :
+      (this.chartRect.y1 - position.y) / this.chartRect.height();
+    return range.min + ratio * (range.max - range.min);
+  }
+
+  /**
+   * Scales the visible ranges of the zoomable axes around a position, which keeps the value at the position in place.
+   *
+   * @memberof Zoom
+   * @param {Object} domain The visible ranges to scale
+   * @param {Object} position The position in the chart with x and y
+   * @param {Number} factor The factor the visible ranges are scaled with, where factors below 1 zoom in
+   * @return {Object} The scaled ranges
+   */
+  scale(domain, position, factor) {
+    let scaled = {};
+    Object.keys(domain).forEach((id) => {
+      let range = domain[id];
+      let value = this.valueAt(id, position, range);
+      scaled[id] = {
+        min: value - (value - range.min) * factor,
+        max: value + (range.max - value) * factor
+      };
+    });
+    return scaled;
+  }
+
+  /**
+   * Moves the visible ranges of the zoomable axes by a distance in pixels.
+   *
+   * @memberof Zoom
+   * @param {Object} domain The visible ranges to move
+   * @param {Number} dx The horizontal distance in pixels
+   * @param {Number} dy The vertical distance in pixels
+   * @return {Object} The moved ranges
+   */
+  move(domain, dx, dy) {
+    let moved = {};
+    Object.keys(domain).forEach((id) => {
+      let range = domain[id];
+      let shift = id === 'x' ?
+        -dx / this.chartRect.width() * (range.max - range.min) :
+        dy / this.chartRect.height() * (range.max - range.min);
+      moved[id] = {
+        min: range.min + shift,
+        max: range.max + shift
+      };
+    });
+    return moved;
+  }
+
+  /**
+   * Returns the position of a pointer in the chart, or undefined if it is outside the chart area.
+   *
+   * @memberof Zoom
+   * @param {Number} clientX The horizontal pointer position in the viewport
+   * @param {Number} clientY The vertical pointer position in the viewport
+   * @return {Object|undefined} The position with x and y
+   */
+  positionOf(clientX, clientY) {
+    let svgRect = this.chart.svg.getNode().getBoundingClientRect();
+    let position = {
+      x: clientX - svgRect.left,
+      y: clientY - svgRect.top
+    };
+
+    if (position.x < this.chartRect.x1 || position.x > this.chartRect.x2 || position.y < this.chartRect.y2 || position.y > this.chartRect.y1) {
+      return undefined;
+    }
+    return position;
+  }
+
+  attach() {
+    let isReset = (target) => {
+      return this.resetElement && (this.resetElement._node === target || this.resetElement._node.contains(target));
+    };
+    // A gesture starts with the visible ranges at its beginning, so it doesn't accumulate rounding of the drawn axes
+    let start = (touches) => {
+      let points = Array.prototype.slice.call(touches, 0, 2).map((touch) => this.positionOf(touch.clientX, touch.clientY));
+      if (!points.length || points.some((point) => !point)) {
+        this.gesture = undefined;
+        return false;
+      }
+
+      this.gesture = {
+        domain: this.visibleDomain(),
+        points: points,
+        distance: points.length > 1 ? Math.sqrt(Math.pow(points[1].x - points[0].x, 2) + Math.pow(points[1].y - points[0].y, 2)) : 0
+      };
+      return true;
+    };
+    let track = (touches) => {
+      let points = Array.prototype.slice.call(touches, 0, 2).map((touch) => {
+        let svgRect = this.chart.svg.getNode().getBoundingClientRect();
+        return {
+          x: touch.clientX - svgRect.left,
+          y: touch.clientY - svgRect.top
+        };
+      });
+      let gesture = this.gesture;
+
+      if (points.length > 1 && gesture.points.length > 1 && gesture.distance > 0) {
+        let distance = Math.sqrt(Math.pow(points[1].x - points[0].x, 2) + Math.pow(points[1].y - points[0].y, 2));
+        let center = {
+          x: (gesture.points[0].x + gesture.points[1].x) / 2,
+          y: (gesture.points[0].y + gesture.points[1].y) / 2
+        };
+        this.apply(this.scale(gesture.domain, center, gesture.distance / Math.max(distance, 1)));
+      } else if (points.length === 1 && gesture.points.length === 1) {
+        this.apply(this.move(gesture.domain, points[0].x - gesture.points[0].x, points[0].y - gesture.points[0].y));
+      }
+    };
+
+    let listeners = {};
+
+    if (this.options.wheel) {
+      listeners.wheel = (event) => {
+        let position = this.positionOf(event.clientX, event.clientY);
+        if (!position || !event.deltaY) {
+          return;
+        }
+
+        event.preventDefault();
+        let factor = event.deltaY > 0 ? 1 / (1 - this.options.wheelStep) : 1 - this.options.wheelStep;
+        this.apply(this.scale(this.visibleDomain(), position, factor));
+      };
+    }
+
+    // Mouse gestures are tracked on the document, so they go on when the pointer leaves the chart until the button is released
+    let documentListeners = {
+      mousemove: (event) => {
+        if (this.gesture) {
+          track([event]);
+        }
+      },
+      mouseup: () => {
+        this.gesture = undefined;
+        this.removeDocumentListeners();
+      }
+    };
+
+    if (this.options.pan) {
+      listeners.mousedown = (event) => {
+        if (event.button === 0 && !isReset(this.chart.eventTarget(event)) && start([event])) {
+          event.preventDefault();
+          this.removeDocumentListeners();
+          Object.keys(documentListeners).forEach((type) => {
+            this.chart.container.ownerDocument.addEventListener(type, documentListeners[type]);
+          });
+          this.documentListeners = documentListeners;
+        }
+      };
+    }
+
+    if (this.options.pan || this.options.pinch) {
+      listeners.touchstart = (event) => {
+        if (event.touches.length > 1 && !this.options.pinch || event.touches.length === 1 && !this.options.pan) {
+          this.gesture = undefined;
+          return;
+        }
+        start(event.touches);
+      };
+      listeners.touchmove = (event) => {
+        if (this.gesture) {
+          event.preventDefault();
+          track(event.touches);
+        }
+      };
+      listeners.touchend = listeners.touchcancel = (event) => {
+        // The gesture continues with the remaining touch
+        if (!event.touches.length || !start(event.touches)) {
+          this.gesture = undefined;
+        }
+      };
+    }
+
+    listeners.click = (event) => {
+      if (isReset(this.chart.eventTarget(event))) {
+        this.apply(undefined);
+      }
+    };
+    listeners.keydown = (event) => {
+      if (isReset(event.target) && (event.key === 'Enter' || event.key === ' ' || event.key === 'Spacebar')) {
+        event.preventDefault();
+        this.apply(undefined);
+      }
+    };
+
+    this.removeListeners();
+    Object.keys(listeners).forEach((event) => {
+      // Wheel and touch listeners need to prevent scrolling of the page
+      this.chart.container.addEventListener(event, listeners[event], {passive: false});
+    });
+    this.listeners = listeners;
+  }
+
+  removeListeners() {
+    Object.keys(this.listeners).forEach((event) => {
+      this.chart.container.removeEventListener(event, this.listeners[event], {passive: false});
+    });
+    this.listeners = {};
+  }
+
+  removeDocumentListeners() {
+    Object.keys(this.documentListeners).forEach((event) => {
+      this.chart.container.ownerDocument.removeEventListener(event, this.documentListeners[event]);
+    });
+    this.documentListeners = {};
+  }
+
+  /**
+   * Removes all listeners of the zoom and drops a pending update of the chart.
+   *
+   * @memberof Zoom
+   */
+  destroy() {
+    this.removeListeners();
+    this.removeDocumentListeners();
+    this.gesture = undefined;
+    this.pendingUpdate = false;
+  }
+}
+
+export default Zoom;
@@ -15,18 +15,40 @@ module.exports = function (grunt) {
       src: [
         '<%= pkg.config.src %>/scripts/core.js',
         '<%= pkg.config.src %>/scripts/interpolation.js',
+        '<%= pkg.config.src %>/scripts/downsampling.js',
         '<%= pkg.config.src %>/scripts/event.js',
         '<%= pkg.config.src %>/scripts/class.js',
+        '<%= pkg.config.src %>/scripts/reconciler.js',
+        '<%= pkg.config.src %>/scripts/transition.js',
+        '<%= pkg.config.src %>/scripts/export.js',
+        '<%= pkg.config.src %>/scripts/drawn-values.js',
+        '<%= pkg.config.src %>/scripts/tooltip.js',
+        '<%= pkg.config.src %>/scripts/accessibility.js',
+        '<%= pkg.config.src %>/scripts/legend.js',
+        '<%= pkg.config.src %>/scripts/value-labels.js',
+        '<%= pkg.config.src %>/scripts/zoom.js',
+        '<%= pkg.config.src %>/scripts/crosshair.js',
+        '<%= pkg.config.src %>/scripts/brush.js',
+        '<%= pkg.config.src %>/scripts/canvas-renderer.js',
         '<%= pkg.config.src %>/scripts/base.js',
         '<%= pkg.config.src %>/scripts/svg.js',
         '<%= pkg.config.src %>/scripts/svg-path.js',
         '<%= pkg.config.src %>/scripts/axes/axis.js',
         '<%= pkg.config.src %>/scripts/axes/step-axis.js',
+        '<%= pkg.config.src %>/scripts/axes/time-axis.js',
+        '<%= pkg.config.src %>/scripts/axes/log-scale-axis.js',
+        '<%= pkg.config.src %>/scripts/axes/band-axis.js',
         '<%= pkg.config.src %>/scripts/axes/auto-scale-axis.js',
         '<%= pkg.config.src %>/scripts/axes/fixed-scale-axis.js',
         '<%= pkg.config.src %>/scripts/charts/line.js',
         '<%= pkg.config.src %>/scripts/charts/bar.js',
-        '<%= pkg.config.src %>/scripts/charts/pie.js'
+        '<%= pkg.config.src %>/scripts/charts/combo.js',
+        '<%= pkg.config.src %>/scripts/charts/scatter.js',
+        '<%= pkg.config.src %>/scripts/charts/navigator.js',
+        '<%= pkg.config.src %>/scripts/charts/heatmap.js',
+        '<%= pkg.config.src %>/scripts/charts/pie.js',
+        '<%= pkg.config.src %>/scripts/virtual-dom.js',
+        '<%= pkg.config.src %>/scripts/headless.js'
       ],
       options: {
         summary: true,
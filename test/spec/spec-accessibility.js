@@ -0,0 +1,193 @@
+describe('Accessibility', function () {
+  'use strict';
+
+  function createLineChart(options) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+    return new Chartist.Line('.ct-chart', {
+      labels: ['A', 'B', 'C'],
+      series: [
+        {name: 'First', data: [1, 2, 3]},
+        {name: 'Second', data: [4, 5]}
+      ]
+    }, Chartist.extend({
+      width: 400,
+      height: 300
+    }, options));
+  }
+
+  function keydown(target, key) {
+    var event = document.createEvent('Event');
+    event.initEvent('keydown', true, true);
+    event.key = key;
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  it('should not add ARIA attributes by default', function (done) {
+    var chart = createLineChart();
+
+    chart.on('created', function () {
+      expect(document.querySelector('.ct-chart svg title')).toBeNull();
+      expect(document.querySelector('.ct-point').getAttribute('role')).toBeNull();
+      expect(document.querySelector('.ct-point').getAttribute('tabindex')).toBeNull();
+      done();
+    });
+  });
+
+  it('should add roles, labels and a roving tab index', function (done) {
+    var chart = createLineChart({
+      accessibility: true
+    });
+
+    chart.on('created', function () {
+      var groups = document.querySelectorAll('.ct-series');
+      var points = document.querySelectorAll('.ct-point');
+
+      expect(groups[0].getAttribute('role')).toBe('group');
+      expect(groups[0].getAttribute('aria-label')).toBe('First');
+      expect(groups[0].getAttribute('tabindex')).toBe('-1');
+      expect(points[1].getAttribute('role')).toBe('img');
+      expect(points[1].getAttribute('aria-label')).toBe('First, B, 2');
+      expect(points[0].getAttribute('tabindex')).toBe('0');
+      expect(Array.prototype.slice.call(points, 1).every(function (point) {
+        return point.getAttribute('tabindex') === '-1';
+      })).toBe(true);
+      done();
+    });
+  });
+
+  it('should generate a title and description', function (done) {
+    var chart = createLineChart({
+      accessibility: {
+        title: 'Sales'
+      }
+    });
+
+    chart.on('created', function () {
+      var svg = document.querySelector('.ct-chart svg');
+      var title = svg.firstChild;
+      var desc = title.nextSibling;
+
+      expect(title.nodeName).toBe('title');
+      expect(title.textContent).toBe('Sales');
+      expect(desc.nodeName).toBe('desc');
+      expect(desc.textContent).toBe('2 series with 5 values, ranging from 1 to 5.');
+      expect(svg.getAttribute('aria-labelledby')).toBe(title.getAttribute('id'));
+      expect(svg.getAttribute('aria-describedby')).toBe(desc.getAttribute('id'));
+      done();
+    });
+  });
+
+  it('should navigate the values with the arrow keys, Home and End', function (done) {
+    var chart = createLineChart({
+      accessibility: true
+    });
+
+    chart.on('created', function () {
+      var first = document.querySelectorAll('.ct-series-a .ct-point');
+      var second = document.querySelectorAll('.ct-series-b .ct-point');
+
+      first[0].focus();
+      expect(keydown(first[0], 'ArrowRight').defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(first[1]);
+      expect(first[1].getAttribute('tabindex')).toBe('0');
+      expect(first[0].getAttribute('tabindex')).toBe('-1');
+
+      keydown(first[1], 'End');
+      expect(document.activeElement).toBe(first[2]);
+
+      // The second series has no value at the last index, so the nearest one is focused
+      keydown(first[2], 'ArrowDown');
+      expect(document.activeElement).toBe(second[1]);
+
+      keydown(second[1], 'Home');
+      expect(document.activeElement).toBe(second[0]);
+
+      keydown(second[0], 'ArrowUp');
+      expect(document.activeElement).toBe(first[0]);
+
+      expect(keydown(first[0], 'ArrowLeft').defaultPrevented).toBe(false);
+      done();
+    });
+  });
+
+  it('should emit a focus event with the draw event data', function (done) {
+    var chart = createLineChart({
+      accessibility: true
+    });
+    var drawn = [];
+
+    chart.on('draw', function (data) {
+      if (data.type === 'point') {
+        drawn.push(data);
+      }
+    });
+
+    chart.on('focus', function (data) {
+      expect(data).toBe(drawn[1]);
+      expect(data.type).toBe('point');
+      expect(data.value.y).toBe(2);
+      done();
+    });
+
+    chart.on('created', function () {
+      document.querySelectorAll('.ct-point')[1].focus();
+    });
+  });
+
+  it('should label bars and slices', function (done) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div><div class="ct-pie"></div>');
+
+    var bar = new Chartist.Bar('.ct-chart', {
+      labels: ['A', 'B'],
+      series: [[5, 10]]
+    }, {
+      width: 400,
+      height: 300,
+      accessibility: true
+    });
+
+    bar.on('created', function () {
+      expect(document.querySelectorAll('.ct-bar')[1].getAttribute('aria-label')).toBe('B, 10');
+      expect(document.querySelector('.ct-chart svg title').textContent).toBe('Bar chart');
+
+      var pie = new Chartist.Pie('.ct-pie', {
+        labels: ['X', 'Y'],
+        series: [1, 3]
+      }, {
+        width: 200,
+        height: 200,
+        accessibility: {
+          label: function (context) {
+            return context.label + ' is ' + context.value;
+          }
+        }
+      });
+
+      pie.on('created', function () {
+        var slices = document.querySelectorAll('.ct-slice-pie');
+        expect(slices[1].getAttribute('aria-label')).toBe('Y is 3');
+        expect(document.querySelector('.ct-pie svg desc').textContent).toBe('2 slices with a total of 4.');
+
+        slices[0].focus();
+        keydown(slices[0], 'ArrowRight');
+        expect(document.activeElement).toBe(slices[1]);
+        done();
+      });
+    });
+  });
+
+  it('should add the title and description to headless charts', function () {
+    var svg = Chartist.renderToString('Line', {
+      series: [[1, 2]]
+    }, {
+      width: 400,
+      height: 300,
+      accessibility: true
+    });
+
+    expect(svg).toContain('<title id="ct-title-');
+    expect(svg).toContain('role="img"');
+  });
+});
@@ -159,4 +159,362 @@ describe('Axes tests', function() {
       expect(labelGroup.querySelectorAll('.ct-label').svgElements.length).toBe(2);
     });
   });
+
+  describe('time axis', function () {
+    var axisUnit = {
+      'pos': 'x',
+      'len': 'width',
+      'dir': 'horizontal',
+      'rectStart': 'x1',
+      'rectEnd': 'x2',
+      'rectOffset': 'y2'
+    };
+
+    function createTimeAxis(data, length, options) {
+      return new Chartist.TimeAxis(axisUnit, [data], {
+        'x1': 0,
+        'x2': length,
+        'y1': 100,
+        'y2': 0
+      }, Chartist.extend({
+        timezone: 'utc',
+        scaleMinSpace: 40
+      }, options));
+    }
+
+    it('should align daily ticks to midnight', function () {
+      var axis = createTimeAxis([
+        {x: Date.UTC(2017, 0, 1, 13), y: 1},
+        {x: Date.UTC(2017, 0, 11, 8), y: 2}
+      ], 400);
+
+      expect(axis.interval).toEqual({unit: 'day', step: 1});
+      expect(axis.ticks[0]).toBe(Date.UTC(2017, 0, 2));
+      expect(axis.ticks[axis.ticks.length - 1]).toBe(Date.UTC(2017, 0, 11));
+      expect(axis.ticks.length).toBe(10);
+      expect(axis.format(axis.ticks[0])).toBe('Jan 2');
+    });
+
+    it('should pick larger calendar intervals for less space', function () {
+      var axis = createTimeAxis([
+        {x: Date.UTC(2017, 0, 15), y: 1},
+        {x: Date.UTC(2017, 11, 20), y: 2}
+      ], 300);
+
+      expect(axis.interval).toEqual({unit: 'quarter', step: 1});
+      expect(axis.ticks).toEqual([Date.UTC(2017, 3, 1), Date.UTC(2017, 6, 1), Date.UTC(2017, 9, 1)]);
+      expect(axis.format(axis.ticks[0])).toBe('Q2 2017');
+    });
+
+    it('should project the range linearly', function () {
+      var axis = createTimeAxis([
+        {x: Date.UTC(2017, 0, 1), y: 1},
+        {x: Date.UTC(2017, 0, 3), y: 2}
+      ], 200);
+
+      expect(axis.projectValue({x: Date.UTC(2017, 0, 2)})).toBe(100);
+    });
+
+    it('should use a fixed interval and custom label formats', function () {
+      var axis = createTimeAxis([
+        {x: Date.UTC(2017, 0, 1), y: 1},
+        {x: Date.UTC(2017, 0, 1, 12), y: 2}
+      ], 1000, {
+        interval: {unit: 'hour', step: 6},
+        labelFormats: {
+          hour: 'D.M. H[h]'
+        }
+      });
+
+      expect(axis.ticks.length).toBe(3);
+      expect(axis.format(axis.ticks[1])).toBe('1.1. 6h');
+    });
+
+    it('should accept dates and ISO strings in line charts', function (done) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      var chart = new Chartist.Line('.ct-chart', {
+        series: [[
+          {x: '2017-03-01T00:00:00Z', y: 1},
+          {x: new Date(Date.UTC(2017, 4, 15)), y: 2},
+          {x: '2017-08-01', y: 3}
+        ]]
+      }, {
+        width: 400,
+        height: 300,
+        axisX: {
+          type: Chartist.TimeAxis,
+          timezone: 'utc',
+          scaleMinSpace: 60
+        }
+      });
+
+      chart.on('created', function (context) {
+        var labels = Array.prototype.map.call(document.querySelectorAll('.ct-label.ct-horizontal'), function (label) {
+          return label.textContent;
+        });
+
+        expect(context.axisX.interval.unit).toBe('month');
+        expect(labels).toEqual(['Mar 2017', 'Apr 2017', 'May 2017', 'Jun 2017', 'Jul 2017', 'Aug 2017']);
+        expect(document.querySelectorAll('.ct-point').length).toBe(3);
+        done();
+      });
+    });
+  });
+
+  describe('log scale axis', function () {
+    var axisUnit = {
+      'pos': 'y',
+      'len': 'height',
+      'dir': 'vertical',
+      'rectStart': 'y2',
+      'rectEnd': 'y1',
+      'rectOffset': 'x1'
+    };
+
+    function createLogScaleAxis(data, length, options) {
+      return new Chartist.LogScaleAxis(axisUnit, [data.map(function (value, index) {
+        return {x: index, y: value};
+      })], {
+        'x1': 0,
+        'x2': 100,
+        'y1': length,
+        'y2': 0
+      }, options || {});
+    }
+
+    function labelsOf(selector) {
+      return Array.prototype.map.call(document.querySelectorAll(selector), function (label) {
+        return label.textContent;
+      });
+    }
+
+    it('should generate ticks at the powers of the base', function () {
+      var axis = createLogScaleAxis([3, 50, 2000], 300);
+
+      expect(axis.ticks).toEqual([1, 10, 100, 1000, 10000]);
+      expect(axis.range).toEqual({min: 1, max: 10000});
+      expect(axis.projectValue(100)).toBeCloseTo(150, 5);
+      expect(axis.projectValue(1000)).toBeCloseTo(225, 5);
+    });
+
+    it('should support other bases and thin out the powers if space is scarce', function () {
+      var axis = createLogScaleAxis([1, 1000], 300, {
+        base: 2
+      });
+
+      expect(axis.ticks[0]).toBe(1);
+      expect(axis.ticks[axis.ticks.length - 1]).toBe(1024);
+
+      axis = createLogScaleAxis([1, 1000000], 60, {
+        scaleMinSpace: 25
+      });
+
+      expect(axis.ticks).toEqual([1, 1000, 1000000]);
+    });
+
+    it('should add minor ticks with empty labels', function (done) {
+      var axis = createLogScaleAxis([1, 100], 300, {
+        minorTicks: true
+      });
+
+      expect(axis.ticks).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100]);
+
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      var chart = new Chartist.Line('.ct-chart', {
+        labels: ['A', 'B', 'C'],
+        series: [[1, 10, 100]]
+      }, {
+        width: 400,
+        height: 400,
+        axisY: {
+          type: Chartist.LogScaleAxis,
+          minorTicks: true
+        }
+      });
+
+      chart.on('created', function () {
+        var labels = labelsOf('.ct-label.ct-vertical');
+        expect(document.querySelectorAll('.ct-grid.ct-vertical').length).toBe(19);
+        expect(labels.filter(function (label) {
+          return label !== '';
+        })).toEqual(['1', '10', '100']);
+        done();
+      });
+    });
+
+    it('should drop zero and negative values in line charts', function (done) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      var chart = new Chartist.Line('.ct-chart', {
+        labels: ['A', 'B', 'C', 'D', 'E'],
+        series: [[10, 0, 100, -5, 1000]]
+      }, {
+        width: 400,
+        height: 300,
+        axisY: {
+          type: Chartist.LogScaleAxis
+        }
+      });
+
+      chart.on('created', function (context) {
+        expect(context.axisY.range).toEqual({min: 10, max: 1000});
+        expect(document.querySelectorAll('.ct-point').length).toBe(3);
+        expect(document.querySelector('.ct-line').getAttribute('d')).not.toContain('NaN');
+        done();
+      });
+    });
+
+    it('should project zero and negative values with a symlog scale', function () {
+      var axis = createLogScaleAxis([-50, 0, 2000], 300, {
+        nonPositive: 'symlog'
+      });
+
+      expect(axis.ticks).toEqual([-100, -10, -1, 0, 1, 10, 100, 1000, 10000]);
+      expect(axis.isProjectable(-50)).toBe(true);
+      expect(axis.projectValue(0)).toBeGreaterThan(axis.projectValue(-1));
+      expect(axis.projectValue(0)).toBeLessThan(axis.projectValue(1));
+      expect(axis.projectValue(-100)).toBe(0);
+      expect(axis.projectValue(10000)).toBeCloseTo(300, 5);
+    });
+
+    it('should draw bars from the start of the axis', function (done) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      var chart = new Chartist.Bar('.ct-chart', {
+        labels: ['A', 'B', 'C'],
+        series: [[5, 0, 1000]]
+      }, {
+        width: 400,
+        height: 300,
+        axisY: {
+          type: Chartist.LogScaleAxis
+        }
+      });
+
+      chart.on('created', function (context) {
+        var bars = document.querySelectorAll('.ct-bar');
+        expect(bars.length).toBe(2);
+        expect(+bars[0].getAttribute('y1')).toBeCloseTo(context.chartRect.y1, 5);
+        expect(+bars[1].getAttribute('y2')).toBeCloseTo(context.chartRect.y2, 5);
+        expect(labelsOf('.ct-label.ct-vertical')).toEqual(['1', '10', '100', '1000']);
+        done();
+      });
+    });
+
+    it('should clamp the area base to the axis range', function (done) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      var chart = new Chartist.Line('.ct-chart', {
+        labels: ['A', 'B', 'C'],
+        series: [[2, 20, 200]]
+      }, {
+        width: 400,
+        height: 300,
+        showArea: true,
+        areaBase: 0,
+        axisY: {
+          type: Chartist.LogScaleAxis
+        }
+      });
+
+      chart.on('created', function (context) {
+        var area = document.querySelector('.ct-area').getAttribute('d');
+        expect(area).not.toContain('NaN');
+        expect(area).toContain(',' + context.chartRect.y1);
+        done();
+      });
+    });
+  });
+
+  describe('band axis', function () {
+    var axisUnit = {
+      'pos': 'x',
+      'len': 'width',
+      'dir': 'horizontal',
+      'rectStart': 'x1',
+      'rectEnd': 'x2',
+      'rectOffset': 'y2'
+    };
+
+    it('should divide the axis into bands with inner and outer padding', function () {
+      var axis = new Chartist.BandAxis(axisUnit, [], {
+        'x1': 0,
+        'x2': 300,
+        'y1': 100,
+        'y2': 0
+      }, {
+        ticks: ['A', 'B', 'C'],
+        paddingInner: 0.4,
+        paddingOuter: 0.2
+      });
+
+      // The steps of 3 bands without the inner padding after the last one plus 2 outer paddings make up the axis
+      expect(axis.step).toBe(100);
+      expect(axis.bandWidth).toBe(60);
+      expect(axis.projectValue('A', 0)).toBe(20);
+      expect(axis.projectValue('C', 2)).toBe(220);
+      expect(axis.bandStart(2) + axis.bandWidth + axis.step * 0.2).toBe(300);
+    });
+  });
+
+  describe('inverse projection', function () {
+    var axisUnit = {
+      'pos': 'x',
+      'len': 'width',
+      'dir': 'horizontal',
+      'rectStart': 'x1',
+      'rectEnd': 'x2',
+      'rectOffset': 'y2'
+    };
+    var chartRect = {
+      'x1': 50,
+      'x2': 350,
+      'y1': 200,
+      'y2': 0
+    };
+    var data = [[{x: 0, y: 1}, {x: 100, y: 2}]];
+
+    it('should invert the projection of continuous axes', function () {
+      var axes = [
+        new Chartist.AutoScaleAxis(axisUnit, data, chartRect, {}),
+        new Chartist.FixedScaleAxis(axisUnit, data, chartRect, {divisor: 4}),
+        new Chartist.TimeAxis(axisUnit, [[{x: Date.UTC(2020, 0, 1), y: 1}, {x: Date.UTC(2020, 1, 1), y: 2}]], chartRect, {}),
+        new Chartist.LogScaleAxis(axisUnit, [[{x: 1, y: 1}, {x: 1000, y: 2}]], chartRect, {}),
+        new Chartist.LogScaleAxis(axisUnit, [[{x: -50, y: 1}, {x: 1000, y: 2}]], chartRect, {nonPositive: 'symlog'})
+      ];
+
+      axes.forEach(function (axis) {
+        [0, 75, 120, 300].forEach(function (pixel) {
+          var value = axis.invertValue(pixel);
+          expect(axis.projectValue(value)).toBeCloseTo(pixel, 5);
+        });
+      });
+      expect(axes[0].invertValue(150)).toBeCloseTo(50, 5);
+      expect(axes[3].invertValue(200)).toBeCloseTo(100, 5);
+    });
+
+    it('should return the nearest index on step and band axes', function () {
+      var stepAxis = new Chartist.StepAxis(axisUnit, [], chartRect, {
+        ticks: ['A', 'B', 'C', 'D']
+      });
+      var bandAxis = new Chartist.BandAxis(axisUnit, [], chartRect, {
+        ticks: ['A', 'B', 'C'],
+        paddingInner: 0.4,
+        paddingOuter: 0.2
+      });
+
+      expect(stepAxis.invertValue(0)).toBe(0);
+      expect(stepAxis.invertValue(stepAxis.stepLength * 1.4)).toBe(1);
+      expect(stepAxis.invertValue(stepAxis.stepLength * 2.6)).toBe(3);
+      expect(stepAxis.invertValue(1000)).toBe(3);
+      expect(stepAxis.invertValue(-10)).toBe(0);
+      // The bands start at 20, 120 and 220 and are 60 pixels wide
+      expect(bandAxis.invertValue(140)).toBe(1);
+      expect(bandAxis.invertValue(199)).toBe(1);
+      expect(bandAxis.invertValue(201)).toBe(2);
+      expect(bandAxis.invertValue(0)).toBe(0);
+    });
+  });
 });
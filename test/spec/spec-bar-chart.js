@@ -339,4 +339,234 @@ describe('Bar chart tests', function() {
       });
     });
   });
+
+  describe('Band axis tests', function () {
+    var events;
+
+    function createChart(data, options) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+      events = [];
+
+      var chart = new Chartist.Bar('.ct-chart', data, Chartist.extend({
+        width: 400,
+        height: 300
+      }, options));
+
+      chart.on('draw', function (event) {
+        if (event.type === 'bar') {
+          events.push(event);
+        }
+      });
+
+      return chart;
+    }
+
+    it('should size grouped bars to fill the band of their label', function (done) {
+      var chart = createChart({
+        labels: ['A', 'B'],
+        series: [[1, 2], [3, 4], [5, 6], [7, 8]]
+      }, {
+        axisX: {
+          type: Chartist.BandAxis,
+          paddingInner: 0.2,
+          paddingOuter: 0
+        }
+      });
+
+      chart.on('created', function (context) {
+        var band = context.axisX.bandWidth;
+        var first = events.filter(function (event) {
+          return event.index === 0;
+        });
+
+        expect(band).toBeCloseTo(context.axisX.axisLength / 1.8 * 0.8, 5);
+        first.forEach(function (event, seriesIndex) {
+          expect(event.barWidth).toBeCloseTo(band / 4, 5);
+          expect(event.x1).toBeCloseTo(context.chartRect.x1 + band / 4 * (seriesIndex + 0.5), 5);
+          expect(event.element.attr('style')).toBe('stroke-width: ' + event.barWidth + 'px');
+        });
+        // The last bar of a group ends where the band ends
+        expect(first[3].x1 + first[3].barWidth / 2).toBeCloseTo(context.chartRect.x1 + band, 5);
+        done();
+      });
+    });
+
+    it('should let stacked bars fill the whole band', function (done) {
+      var chart = createChart({
+        labels: ['A', 'B', 'C'],
+        series: [[1, 2, 3], [3, 4, 5]]
+      }, {
+        stackBars: true,
+        axisX: {
+          type: Chartist.BandAxis
+        }
+      });
+
+      chart.on('created', function (context) {
+        var axis = context.axisX;
+
+        expect(events.length).toBe(6);
+        events.forEach(function (event) {
+          expect(event.barWidth).toBeCloseTo(axis.bandWidth, 5);
+          expect(event.x1).toBeCloseTo(context.chartRect.x1 + axis.bandStart(event.index) + axis.bandWidth / 2, 5);
+        });
+        done();
+      });
+    });
+
+    it('should place horizontal bars in bands from the bottom', function (done) {
+      var chart = createChart({
+        labels: ['A', 'B'],
+        series: [[1, 2], [3, 4]]
+      }, {
+        horizontalBars: true,
+        axisY: {
+          type: Chartist.BandAxis,
+          paddingOuter: 0
+        }
+      });
+
+      chart.on('created', function (context) {
+        var band = context.axisY.bandWidth;
+
+        expect(events[0].barWidth).toBeCloseTo(band / 2, 5);
+        expect(events[0].y1).toBeCloseTo(context.chartRect.y1 - band / 4, 5);
+        expect(events[2].y1).toBeCloseTo(context.chartRect.y1 - band * 3 / 4, 5);
+        expect(document.querySelectorAll('.ct-label.ct-vertical')[1].textContent).toBe('B');
+        done();
+      });
+    });
+  });
+
+  describe('Secondary Y axis tests', function () {
+    it('should project series with axis y2 on the secondary axis and keep them grouped', function (done) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      var chart = new Chartist.Bar('.ct-chart', {
+        labels: ['A', 'B'],
+        series: [[100, 200], {axis: 'y2', data: [1, 2]}]
+      }, {
+        width: 400,
+        height: 300
+      });
+      var bars = [];
+
+      chart.on('draw', function (event) {
+        if (event.type === 'bar') {
+          bars.push(event);
+        }
+      });
+
+      chart.on('created', function (context) {
+        expect(context.chartRect.x2).toBe(400 - 15 - 40);
+        expect(context.axisY2.bounds.high).toBeLessThan(10);
+        expect(bars[2].axisY).toBe(context.axisY2);
+        // Both series have their highest value at the top of their own axis
+        expect(bars[1].y2).toBeCloseTo(context.chartRect.y1 - context.axisY.projectValue(200), 5);
+        expect(bars[3].y2).toBeCloseTo(context.chartRect.y1 - context.axisY2.projectValue(2), 5);
+        expect(bars[3].y1).toBeCloseTo(context.chartRect.y1 - context.axisY2.projectValue(0), 5);
+        expect(bars[2].x1).toBeGreaterThan(bars[0].x1);
+        done();
+      });
+    });
+  });
+
+  describe('Stack mode tests', function () {
+    var bars;
+
+    function createChart(data, options) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      var chart = new Chartist.Bar('.ct-chart', data, Chartist.extend({
+        width: 400,
+        height: 300,
+        stackBars: true
+      }, options));
+
+      bars = {};
+      chart.on('draw', function (event) {
+        if (event.type === 'bar') {
+          bars[event.seriesIndex + ':' + event.index] = event;
+        }
+      });
+
+      return chart;
+    }
+
+    it('should stack positive and negative values separately in diverging mode', function (done) {
+      var chart = createChart({
+        labels: ['A', 'B'],
+        series: [[3, -2], [2, -1], [-1, 4]]
+      }, {
+        stackMode: 'diverging'
+      });
+
+      chart.on('created', function (context) {
+        var project = function (value) {
+          return context.chartRect.y1 - context.axisY.projectValue(value);
+        };
+
+        expect(context.axisY.bounds.max).toBeGreaterThan(4.9);
+        expect(context.axisY.bounds.min).toBeLessThan(-2.9);
+        expect(bars['1:0'].y1).toBeCloseTo(project(3), 5);
+        expect(bars['1:0'].y2).toBeCloseTo(project(5), 5);
+        // The negative value starts at the zero line instead of the top of the positive stack
+        expect(bars['2:0'].y1).toBeCloseTo(project(0), 5);
+        expect(bars['2:0'].y2).toBeCloseTo(project(-1), 5);
+        expect(bars['1:1'].y1).toBeCloseTo(project(-2), 5);
+        expect(bars['1:1'].y2).toBeCloseTo(project(-3), 5);
+        expect(bars['2:1'].y1).toBeCloseTo(project(0), 5);
+        done();
+      });
+    });
+
+    it('should normalize every stack to 100% in percent mode', function (done) {
+      var chart = createChart({
+        labels: ['A', 'B'],
+        series: [[1, 6], [3, 2]]
+      }, {
+        stackMode: 'percent'
+      });
+
+      chart.on('created', function (context) {
+        var project = function (value) {
+          return context.chartRect.y1 - context.axisY.projectValue(value);
+        };
+
+        expect(context.axisY.bounds.max).toBe(100);
+        expect(bars['0:0'].y2).toBeCloseTo(project(25), 5);
+        expect(bars['1:0'].y2).toBeCloseTo(project(100), 5);
+        expect(bars['0:1'].y2).toBeCloseTo(project(75), 5);
+        expect(bars['1:1'].y2).toBeCloseTo(project(100), 5);
+        // The events and attributes keep the original values
+        expect(bars['0:1'].value.y).toBe(6);
+        expect(bars['0:1'].element.attr('ct:value')).toBe('6');
+        done();
+      });
+    });
+
+    it('should diverge percent stacks of horizontal bars', function (done) {
+      var chart = createChart({
+        labels: ['A'],
+        series: [[1], [-3]]
+      }, {
+        stackMode: 'percent',
+        horizontalBars: true
+      });
+
+      chart.on('created', function (context) {
+        var project = function (value) {
+          return context.chartRect.x1 + context.axisX.projectValue(value);
+        };
+
+        expect(context.axisX.bounds.min).toBeLessThan(-74);
+        expect(context.axisX.bounds.max).toBeGreaterThan(24);
+        expect(bars['0:0'].x1).toBeCloseTo(project(0), 5);
+        expect(bars['0:0'].x2).toBeCloseTo(project(25), 5);
+        expect(bars['1:0'].x1).toBeCloseTo(project(0), 5);
+        expect(bars['1:0'].x2).toBeCloseTo(project(-75), 5);
+        done();
+      });
+    });
+  });
 });
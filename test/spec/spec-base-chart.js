@@ -268,4 +268,359 @@ describe('Base chart tests', function() {
       done();
     });
   });
+
+  describe('reconcile', function() {
+    function createChart(options) {
+      jasmine.getFixtures().set('<div class="ct-chart ct-golden-section"></div>');
+
+      return new Chartist.Line('.ct-chart', {
+        labels: [1, 2, 3, 4],
+        series: [{
+          name: 'first',
+          data: [0, 1, 2, 3]
+        }, {
+          name: 'second',
+          data: [3, 2, 1, 0]
+        }]
+      }, options);
+    }
+
+    it('should re-use the existing elements on update', function(done) {
+      var chart = createChart({
+        reconcile: true
+      });
+      var firstPoint;
+      var createdCount = 0;
+
+      chart.on('created', function() {
+        createdCount++;
+
+        if (createdCount === 1) {
+          firstPoint = $('.ct-series-a .ct-point').get(0);
+          $(firstPoint).addClass('ct-hover');
+          setTimeout(function() {
+            chart.update({
+              labels: [1, 2, 3, 4],
+              series: [{
+                name: 'first',
+                data: [4, 1, 2, 3]
+              }, {
+                name: 'second',
+                data: [3, 2, 1, 0]
+              }]
+            });
+          });
+        } else {
+          expect($('.ct-series-a .ct-point').get(0)).toBe(firstPoint);
+          expect($(firstPoint).attr('ct:value')).toBe('4');
+          expect($(firstPoint).hasClass('ct-hover')).toBe(true);
+          expect($('svg.ct-chart-line').length).toBe(1);
+          done();
+        }
+      });
+    });
+
+    it('should emit the element state with draw events', function(done) {
+      var chart = createChart({
+        reconcile: true
+      });
+      var states = [];
+      var createdCount = 0;
+
+      chart.on('draw', function(data) {
+        if (data.type === 'point' && createdCount === 1) {
+          states.push(data.state + ':' + data.series.name + ':' + data.index);
+        }
+      });
+
+      chart.on('created', function() {
+        createdCount++;
+
+        if (createdCount === 1) {
+          setTimeout(function() {
+            chart.update({
+              labels: [1, 2, 3, 4],
+              series: [{
+                name: 'first',
+                data: [0, 1, 2]
+              }, {
+                name: 'third',
+                data: [1]
+              }]
+            });
+          });
+        } else {
+          expect(states).toContain('updated:first:0');
+          expect(states).toContain('created:third:0');
+          expect(states).toContain('removed:first:3');
+          expect(states).toContain('removed:second:0');
+          expect($('.ct-point').length).toBe(4);
+          done();
+        }
+      });
+    });
+
+    it('should re-create all elements if reconcile is disabled', function(done) {
+      var chart = createChart();
+      var firstPoint;
+      var createdCount = 0;
+
+      chart.on('created', function() {
+        createdCount++;
+
+        if (createdCount === 1) {
+          firstPoint = $('.ct-point').get(0);
+          setTimeout(function() {
+            chart.update();
+          });
+        } else {
+          expect($('.ct-point').get(0)).not.toBe(firstPoint);
+          expect($('svg.ct-chart-line').length).toBe(1);
+          done();
+        }
+      });
+    });
+
+    it('should draw series with the same name separately', function(done) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+      var series = [{
+        name: 'a',
+        data: [0, 1, 2]
+      }, {
+        name: 'a',
+        data: [2, 1, 0]
+      }];
+      var chart = new Chartist.Line('.ct-chart', {
+        series: series
+      }, {
+        width: 400,
+        height: 300
+      });
+      var createdCount = 0;
+
+      chart.on('created', function() {
+        createdCount++;
+
+        if (createdCount === 1) {
+          expect($('.ct-series').length).toBe(2);
+          expect($('.ct-line').length).toBe(2);
+          expect($('.ct-point').length).toBe(6);
+          setTimeout(function() {
+            chart.legend.toggle(1, true);
+          });
+        } else if (createdCount === 2) {
+          // Hiding the second series leaves the first series with the same name visible
+          expect(chart.legend.isHidden(series[0], 0)).toBe(false);
+          expect($('.ct-series-a .ct-point').length).toBe(3);
+          expect($('.ct-series-b').length).toBe(0);
+          setTimeout(function() {
+            chart.legend.toggle(1, false);
+            chart.update(null, {reconcile: true}, true);
+          });
+        } else if (createdCount === 4) {
+          expect($('.ct-series').length).toBe(2);
+          expect($('.ct-line').length).toBe(2);
+          expect($('.ct-point').length).toBe(6);
+          done();
+        }
+      });
+    });
+  });
+
+  describe('transition', function() {
+    it('should animate updated elements to their new attributes', function(done) {
+      jasmine.getFixtures().set('<div class="ct-chart ct-golden-section"></div>');
+      var chart = new Chartist.Bar('.ct-chart', {
+        labels: [1, 2],
+        series: [[1, 2]]
+      }, {
+        width: 400,
+        height: 300,
+        transition: {
+          duration: 50,
+          easing: 'easeInOutSine'
+        }
+      });
+      var bar;
+      var createdCount = 0;
+      var began = [];
+
+      chart.on('animationBegin', function(data) {
+        began.push(data.element._node);
+      });
+
+      chart.on('animationEnd', function(data) {
+        if (data.element._node === bar && createdCount === 2) {
+          expect($(bar).attr('y2')).toBe(String(chart.finalY2));
+          done();
+        }
+      });
+
+      chart.on('draw', function(data) {
+        if (data.type === 'bar' && data.index === 0) {
+          chart.finalY2 = data.y2;
+        }
+      });
+
+      chart.on('created', function() {
+        createdCount++;
+
+        if (createdCount === 1) {
+          bar = $('.ct-bar').get(0);
+          // There is no transition on the first drawing
+          expect(began.length).toBe(0);
+          setTimeout(function() {
+            chart.update({
+              labels: [1, 2],
+              series: [[2, 1]]
+            });
+          });
+        } else {
+          expect($('.ct-bar').get(0)).toBe(bar);
+          expect(began).toContain(bar);
+          // The bar starts the transition at its previous height
+          expect($(bar).attr('y2')).not.toBe(String(chart.finalY2));
+        }
+      });
+    });
+
+    it('should fade out removed elements before removing them', function(done) {
+      jasmine.getFixtures().set('<div class="ct-chart ct-golden-section"></div>');
+      var chart = new Chartist.Line('.ct-chart', {
+        labels: [1, 2],
+        series: [[1, 2], [2, 1]]
+      }, {
+        transition: {
+          duration: 50
+        }
+      });
+      var createdCount = 0;
+
+      chart.on('created', function() {
+        createdCount++;
+
+        if (createdCount === 1) {
+          setTimeout(function() {
+            chart.update({
+              labels: [1, 2],
+              series: [[1, 2]]
+            });
+          });
+        } else {
+          var removed = $('.ct-series-b').get(0);
+          expect(removed).toBeDefined();
+          expect($(removed).attr('opacity')).toBe('1');
+
+          chart.on('animationEnd', function(data) {
+            if (data.element._node === removed) {
+              expect(removed.parentNode).toBe(null);
+              done();
+            }
+          });
+        }
+      });
+    });
+  });
+
+  describe('valueAt', function () {
+    function createChart(type, data, options) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      return new Chartist[type]('.ct-chart', data, Chartist.extend({
+        width: 400,
+        height: 300
+      }, options));
+    }
+
+    it('should convert positions to values and find the nearest value', function (done) {
+      var chart = createChart('Line', {
+        labels: ['A', 'B', 'C'],
+        series: [[1, 2, 3], [4, 6, 8]]
+      }, {
+        low: 0,
+        high: 10
+      });
+
+      chart.on('created', function (context) {
+        var rect = context.chartRect;
+        var result = chart.valueAt(rect.x1 + context.axisX.stepLength * 1.2, rect.y1 - rect.height() * 0.55);
+
+        expect(result.x).toBe(1);
+        expect(result.y).toBeCloseTo(5.5, 5);
+        expect(result.seriesIndex).toBe(1);
+        expect(result.index).toBe(1);
+        expect(result.value).toEqual({x: undefined, y: 6});
+        expect(chart.valueAt(rect.x1 - 5, rect.y2 + 5)).toBeUndefined();
+        done();
+      });
+    });
+
+    it('should find the nearest value of lines without points', function (done) {
+      var chart = createChart('Line', {
+        labels: ['A', 'B', 'C'],
+        series: [[1, 2, 3]]
+      }, {
+        low: 0,
+        high: 10,
+        showPoint: false
+      });
+
+      chart.on('created', function (context) {
+        var rect = context.chartRect;
+        var result = chart.valueAt(rect.x1 + context.axisX.stepLength * 1.9, rect.y1 - rect.height() * 0.3);
+
+        // The positions of the values are collected from the lines for the whole chart
+        expect(chart.drawnValues.entries.length).toBe(3);
+        expect(result.seriesIndex).toBe(0);
+        expect(result.index).toBe(2);
+        expect(result.value).toEqual({x: undefined, y: 3});
+        done();
+      });
+    });
+
+    it('should return the indices of the original data with reversed data', function (done) {
+      var chart = createChart('Bar', {
+        labels: ['A', 'B', 'C'],
+        series: [[1, 2, 3]]
+      }, {
+        reverseData: true,
+        horizontalBars: true,
+        axisX: {
+          type: Chartist.FixedScaleAxis,
+          low: 0,
+          high: 4
+        }
+      });
+      var bars = [];
+
+      chart.on('draw', function (event) {
+        if (event.type === 'bar') {
+          bars.push(event);
+        }
+      });
+
+      chart.on('created', function (context) {
+        // The first drawn bar belongs to the last value of the data
+        var result = chart.valueAt(bars[0].x2 - 1, bars[0].y2);
+
+        expect(bars[0].value.x).toBe(3);
+        expect(result.x).toBeCloseTo((bars[0].x2 - 1 - context.chartRect.x1) / context.chartRect.width() * 4, 5);
+        expect(result.y).toBe(2);
+        expect(result.seriesIndex).toBe(0);
+        expect(result.index).toBe(2);
+        done();
+      });
+    });
+
+    it('should return undefined for charts without axes', function (done) {
+      var chart = createChart('Pie', {
+        series: [1, 2]
+      });
+
+      chart.on('created', function () {
+        expect(chart.valueAt(200, 150)).toBeUndefined();
+        done();
+      });
+    });
+  });
 });
@@ -0,0 +1,264 @@
+describe('Canvas renderer', function () {
+  'use strict';
+
+  var context;
+
+  // The canvas of the test environment can't paint, so the calls of the renderer are recorded instead
+  function createContext() {
+    var calls = [];
+    var fake = {
+      calls: calls
+    };
+
+    ['save', 'restore', 'setTransform', 'clearRect', 'beginPath', 'moveTo', 'lineTo', 'bezierCurveTo', 'ellipse',
+      'closePath', 'rect', 'clip', 'setLineDash'].forEach(function (name) {
+      fake[name] = function () {
+        calls.push({name: name, args: Array.prototype.slice.call(arguments)});
+      };
+    });
+    fake.fill = function () {
+      calls.push({name: 'fill', fillStyle: this.fillStyle, globalAlpha: this.globalAlpha});
+    };
+    fake.stroke = function () {
+      calls.push({name: 'stroke', strokeStyle: this.strokeStyle, lineWidth: this.lineWidth});
+    };
+    fake.fillText = function (text) {
+      calls.push({name: 'fillText', text: text, fillStyle: this.fillStyle, textAlign: this.textAlign});
+    };
+    fake.measureText = function (text) {
+      return {width: text.length * 6};
+    };
+    fake.createLinearGradient = function () {
+      var gradient = {
+        args: Array.prototype.slice.call(arguments),
+        stops: [],
+        addColorStop: function (offset, color) {
+          gradient.stops.push([offset, color]);
+        }
+      };
+      return gradient;
+    };
+
+    return fake;
+  }
+
+  function callsOf(name) {
+    return context.calls.filter(function (call) {
+      return call.name === name;
+    });
+  }
+
+  function dispatch(type, clientX, clientY) {
+    var event = document.createEvent('MouseEvents');
+    event.initMouseEvent(type, true, true, window, 0, 0, 0, clientX || 0, clientY || 0, false, false, false, false, 0, null);
+    document.querySelector('.ct-chart canvas').dispatchEvent(event);
+  }
+
+  beforeEach(function () {
+    context = createContext();
+    spyOn(HTMLCanvasElement.prototype, 'getContext').and.returnValue(context);
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+  });
+
+  it('should paint the chart onto a canvas and emit draw events', function (done) {
+    var chart = new Chartist.Line('.ct-chart', {
+      labels: ['A', 'B', 'C'],
+      series: [[1, 2, 3], [3, 2, 1]]
+    }, {
+      width: 400,
+      height: 300,
+      renderer: 'canvas'
+    });
+    var lines = 0;
+
+    chart.on('draw', function (data) {
+      if (data.type === 'line') {
+        lines++;
+      }
+    });
+
+    chart.on('created', function () {
+      // The chart is painted after all handlers of the created event
+      setTimeout(function () {
+        var canvas = document.querySelector('.ct-chart canvas');
+        var strokes = callsOf('stroke');
+
+        expect(canvas.width).toBe(400);
+        expect(canvas.height).toBe(300);
+        expect(document.querySelector('.ct-chart svg')).toBeNull();
+        expect(lines).toBe(2);
+        // The lines get the color of their series and the line width of the theme
+        expect(strokes.filter(function (call) {
+          return call.strokeStyle === '#d70206' && call.lineWidth === 4;
+        }).length).toBe(1);
+        expect(strokes.filter(function (call) {
+          return call.strokeStyle === '#f05b4f' && call.lineWidth === 10;
+        }).length).toBe(3);
+        expect(callsOf('fillText').map(function (call) {
+          return call.text;
+        })).toContain('B');
+        done();
+      });
+    });
+  });
+
+  it('should find the hovered bar and show its tooltip', function (done) {
+    var chart = new Chartist.Bar('.ct-chart', {
+      labels: ['A', 'B', 'C'],
+      series: [[1, 2, 3]]
+    }, {
+      width: 400,
+      height: 300,
+      renderer: 'canvas',
+      tooltip: true
+    });
+    var bars = [];
+
+    chart.on('draw', function (data) {
+      if (data.type === 'bar') {
+        bars.push(data);
+      }
+    });
+
+    chart.on('created', function () {
+      setTimeout(function () {
+        var bar = bars[1];
+        var y = (bar.y1 + bar.y2) / 2;
+
+        expect(chart.renderer.elementAt(bar.x1, y)).toBe(bar.element.getNode());
+        expect(chart.renderer.elementAt(bar.x1 + 6, y)).not.toBe(bar.element.getNode());
+        expect(chart.renderer.elementAt(0, 0)).toBeUndefined();
+
+        dispatch('mousemove', bar.x1, y);
+        var tooltip = document.querySelector('.ct-chart .ct-tooltip');
+        expect(tooltip).toHaveClass('ct-tooltip-show');
+        expect(tooltip.querySelector('.ct-tooltip-value').textContent).toBe('2');
+        done();
+      });
+    });
+  });
+
+  it('should toggle series with the legend on the canvas', function (done) {
+    var chart = new Chartist.Line('.ct-chart', {
+      series: [{name: 'First', data: [1, 2, 3]}, {name: 'Second', data: [3, 2, 1]}]
+    }, {
+      width: 400,
+      height: 300,
+      renderer: 'canvas',
+      legend: {
+        showLegend: true
+      }
+    });
+    var renders = 0;
+
+    chart.on('legendToggle', function (data) {
+      expect(data.index).toBe(1);
+      expect(data.hidden).toBe(true);
+    });
+
+    chart.on('created', function () {
+      if (++renders === 1) {
+        setTimeout(function () {
+          var swatch = chart.legend.items[1].element.getNode().querySelector('.ct-legend-swatch');
+          dispatch('click', +swatch.getAttribute('x') + 2, +swatch.getAttribute('y') + 2);
+        });
+      } else {
+        expect(chart.legend.isHidden(chart.data.series[1], 1)).toBe(true);
+        done();
+      }
+    });
+  });
+
+  it('should resolve the theme option and switch back to SVG', function (done) {
+    var chart = new Chartist.Pie('.ct-chart', {
+      series: [5, 3]
+    }, {
+      width: 400,
+      height: 300,
+      renderer: 'canvas',
+      theme: {
+        '.ct-series-a': {
+          color: '#123456'
+        }
+      }
+    });
+    var renders = 0;
+    var slices = [];
+
+    chart.on('draw', function (data) {
+      if (data.type === 'slice') {
+        slices.push(data.element.getNode());
+      }
+    });
+
+    chart.on('created', function () {
+      if (++renders === 1) {
+        setTimeout(function () {
+          var fills = callsOf('fill').map(function (call) {
+            return call.fillStyle;
+          });
+
+          expect(fills).toContain('#123456');
+          expect(fills).toContain('#f05b4f');
+          // Slices are painted with arcs, the first one clockwise from the top to 225 degrees
+          expect(callsOf('ellipse').length).toBeGreaterThan(1);
+          expect(chart.renderer.elementAt(250, 150)).toBe(slices[0]);
+          expect(chart.renderer.elementAt(150, 150)).toBe(slices[1]);
+          chart.update(null, {renderer: 'svg'}, true);
+        });
+      } else {
+        expect(document.querySelector('.ct-chart canvas')).toBeNull();
+        expect(document.querySelectorAll('.ct-chart svg .ct-slice-pie').length).toBe(2);
+        expect(chart.renderer).toBeUndefined();
+        done();
+      }
+    });
+  });
+
+  it('should paint the gradient of the heatmap color legend and find the hovered cell', function (done) {
+    var chart = new Chartist.Heatmap('.ct-chart', {
+      labels: {
+        x: ['A', 'B'],
+        y: ['One', 'Two']
+      },
+      series: [[1, 2], [3, 4]]
+    }, {
+      width: 400,
+      height: 300,
+      renderer: 'canvas',
+      tooltip: true,
+      colorScale: {
+        colors: ['#000000', '#ffffff']
+      }
+    });
+    var cells = [];
+    var legend;
+
+    chart.on('draw', function (data) {
+      if (data.type === 'cell') {
+        cells.push(data);
+      } else if (data.type === 'colorLegend') {
+        legend = data;
+      }
+    });
+
+    chart.on('created', function () {
+      setTimeout(function () {
+        var gradient = callsOf('fill').filter(function (call) {
+          return typeof call.fillStyle === 'object';
+        })[0].fillStyle;
+
+        // The gradient runs from the bottom to the top of the legend
+        expect(gradient.args).toEqual([legend.x, legend.y + legend.height, legend.x, legend.y]);
+        expect(gradient.stops).toEqual([[0, '#000000'], [1, '#ffffff']]);
+
+        var cell = cells[1];
+        dispatch('mousemove', cell.x + cell.width / 2, cell.y + cell.height / 2);
+        var tooltip = document.querySelector('.ct-chart .ct-tooltip');
+        expect(tooltip).toHaveClass('ct-tooltip-show');
+        expect(tooltip.querySelector('.ct-tooltip-value').textContent).toBe('2');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+describe('Combo chart tests', function () {
+  'use strict';
+
+  var data;
+
+  beforeEach(function () {
+    data = {
+      labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+      series: [
+        {name: 'revenue', type: 'bar', data: [5, 7, 6, 9]},
+        {name: 'costs', type: 'area', data: [3, 4, 4, 5]},
+        {name: 'target', type: 'line', data: [6, 6, 7, 8]},
+        {name: 'forecast', type: 'bar', data: [6, 8, 7, 10]}
+      ]
+    };
+  });
+
+  function createChart(options) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+    return new Chartist.Combo('.ct-chart', data, Chartist.extend({
+      width: 400,
+      height: 300,
+      lineSmooth: false
+    }, options));
+  }
+
+  it('should draw every series according to its type on one grid', function (done) {
+    var chart = createChart();
+
+    chart.on('created', function () {
+      expect(document.querySelectorAll('svg.ct-chart-combo').length).toBe(1);
+      expect(document.querySelectorAll('.ct-series-a .ct-bar').length).toBe(4);
+      expect(document.querySelectorAll('.ct-series-b .ct-area').length).toBe(1);
+      expect(document.querySelectorAll('.ct-series-b .ct-line').length).toBe(1);
+      expect(document.querySelectorAll('.ct-series-c .ct-line').length).toBe(1);
+      expect(document.querySelectorAll('.ct-series-c .ct-area').length).toBe(0);
+      expect(document.querySelectorAll('.ct-series-d .ct-bar').length).toBe(4);
+      // One set of grid lines for the labels and the values
+      expect(document.querySelectorAll('.ct-grid.ct-horizontal').length).toBe(4);
+      done();
+    });
+  });
+
+  it('should share the value axis and include zero for bars', function (done) {
+    var chart = createChart();
+    var events = [];
+
+    chart.on('draw', function (event) {
+      if (event.type === 'bar' || event.type === 'point') {
+        events.push(event);
+      }
+    });
+
+    chart.on('created', function (context) {
+      expect(context.axisY.bounds.min).toBe(0);
+      expect(context.axisY.bounds.max).toBeGreaterThan(9);
+      events.forEach(function (event) {
+        expect(event.axisY).toBe(context.axisY);
+      });
+      done();
+    });
+  });
+
+  it('should group bars with the series bar distance and centre points in the bands', function (done) {
+    var chart = createChart({
+      seriesBarDistance: 20
+    });
+    var bars = {};
+    var points = {};
+
+    chart.on('draw', function (event) {
+      if (event.type === 'bar') {
+        bars[event.series.name + ':' + event.index] = event;
+      } else if (event.type === 'point') {
+        points[event.series.name + ':' + event.index] = event;
+      }
+    });
+
+    chart.on('created', function (context) {
+      var stepLength = context.axisX.stepLength;
+      var centre = context.chartRect.x1 + stepLength * 1.5;
+
+      expect(bars['revenue:1'].x1).toBeCloseTo(centre - 10, 5);
+      expect(bars['forecast:1'].x1).toBeCloseTo(centre + 10, 5);
+      expect(points['target:1'].x).toBeCloseTo(centre, 5);
+      expect(points['costs:1'].x).toBeCloseTo(centre, 5);
+      done();
+    });
+  });
+
+  it('should draw series without a type as lines and rearrange bars when a series is hidden', function (done) {
+    data.series[2].type = undefined;
+    var chart = createChart({
+      legend: {
+        showLegend: true
+      }
+    });
+    var renders = 0;
+
+    chart.on('created', function (context) {
+      var bar = document.querySelectorAll('.ct-series-d .ct-bar')[0];
+      renders++;
+
+      expect(document.querySelectorAll('.ct-series-c .ct-line').length).toBe(1);
+
+      if (renders === 1) {
+        setTimeout(function () {
+          chart.legend.toggle(0);
+        });
+      } else {
+        expect(document.querySelectorAll('.ct-series-a .ct-bar').length).toBe(0);
+        expect(+bar.getAttribute('x1')).toBeCloseTo(context.chartRect.x1 + context.axisX.stepLength / 2, 5);
+        done();
+      }
+    });
+  });
+});
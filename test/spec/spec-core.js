@@ -234,6 +234,33 @@ describe('Chartist core', function() {
         [0, 1, 2, 3]
       );
     });
+
+    it('should only convert ISO date strings in the dimensions that are dates', function() {
+      var data = {
+        series: [[{x: '2017-01-01T00:00:00Z', y: '2017'}, {x: '2017-01-02', y: '2017-01-02'}]]
+      };
+
+      expect(Chartist.getDataArray(data, false, true, {x: true})).toEqual([[
+        {x: Date.UTC(2017, 0, 1), y: 2017},
+        {x: Date.UTC(2017, 0, 2), y: undefined}
+      ]]);
+      expect(Chartist.getDataArray(data, false, true)).toEqual([[
+        {x: undefined, y: 2017},
+        {x: undefined, y: undefined}
+      ]]);
+    });
+
+    it('should find the dimensions that are projected on time axes', function() {
+      expect(Chartist.dateDimensions({
+        axisX: {type: Chartist.TimeAxis},
+        axisY: {type: Chartist.AutoScaleAxis}
+      })).toEqual({x: true, y: false});
+      expect(Chartist.dateDimensions({
+        axisX: {},
+        axisY: {},
+        axisY2: {type: Chartist.TimeAxis}
+      })).toEqual({x: false, y: true});
+    });
   });
 
   describe('padding normalization tests', function () {
@@ -0,0 +1,141 @@
+describe('Crosshair', function () {
+  'use strict';
+
+  function createChart(selector, data, options) {
+    return new Chartist.Line(selector, data, Chartist.extend({
+      width: 400,
+      height: 300
+    }, options));
+  }
+
+  function move(selector, x, y) {
+    var event = new MouseEvent('mousemove', {bubbles: true, clientX: x, clientY: y});
+    document.querySelector(selector + ' svg').dispatchEvent(event);
+  }
+
+  it('should draw a guide line and highlight the nearest point of every series', function (done) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+    var chart = createChart('.ct-chart', {
+      labels: ['A', 'B', 'C', 'D', 'E'],
+      series: [[1, 2, 3, 4, 5], [5, 4, 3, 2, 1]]
+    }, {
+      crosshair: true
+    });
+    var crosshairEvent;
+
+    chart.on('crosshair', function (event) {
+      crosshairEvent = event;
+    });
+
+    chart.on('created', function (context) {
+      var stepLength = context.axisX.stepLength;
+      // Slightly right of the third label, which is still nearest to it
+      move('.ct-chart', context.chartRect.x1 + stepLength * 2.3, context.chartRect.y2 + 10);
+
+      var line = document.querySelector('.ct-crosshair .ct-crosshair-line');
+      var points = document.querySelectorAll('.ct-crosshair .ct-crosshair-point');
+
+      expect(crosshairEvent.visible).toBe(true);
+      expect(crosshairEvent.value).toBe(2);
+      expect(+line.getAttribute('x1')).toBeCloseTo(context.chartRect.x1 + stepLength * 2, 5);
+      expect(+line.getAttribute('y1')).toBe(context.chartRect.y2);
+      expect(+line.getAttribute('y2')).toBe(context.chartRect.y1);
+      expect(points.length).toBe(2);
+      expect(points[0].parentNode.getAttribute('class')).toBe('ct-series-a');
+      expect(points[1].parentNode.getAttribute('class')).toBe('ct-series-b');
+      expect(crosshairEvent.points.map(function (point) {
+        return point.index;
+      })).toEqual([2, 2]);
+      expect(+points[0].getAttribute('y1')).toBeCloseTo(crosshairEvent.points[0].y, 5);
+      done();
+    });
+  });
+
+  it('should hide the crosshair when the pointer leaves the chart area', function (done) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+    var chart = createChart('.ct-chart', {
+      labels: ['A', 'B', 'C'],
+      series: [[1, 2, 3]]
+    }, {
+      crosshair: true
+    });
+    var crosshairEvents = [];
+
+    chart.on('crosshair', function (event) {
+      crosshairEvents.push(event);
+    });
+
+    chart.on('created', function (context) {
+      move('.ct-chart', context.chartRect.x1 + 10, context.chartRect.y2 + 10);
+      expect(document.querySelectorAll('.ct-crosshair-line').length).toBe(1);
+
+      move('.ct-chart', context.chartRect.x1 + 10, context.chartRect.y1 + 10);
+      expect(document.querySelectorAll('.ct-crosshair-line').length).toBe(0);
+      expect(crosshairEvents.map(function (event) {
+        return event.visible;
+      })).toEqual([true, false]);
+      done();
+    });
+  });
+
+  it('should show the crosshair at the same value in all charts of a sync group', function (done) {
+    jasmine.getFixtures().set('<div class="ct-chart-a"></div><div class="ct-chart-b"></div><div class="ct-chart-c"></div>');
+
+    var options = {
+      axisX: {
+        type: Chartist.AutoScaleAxis
+      },
+      crosshair: {
+        sync: 'stacked'
+      }
+    };
+    var contexts = {};
+    var charts = {
+      a: createChart('.ct-chart-a', {
+        series: [[{x: 0, y: 1}, {x: 50, y: 3}, {x: 100, y: 2}]]
+      }, options),
+      b: createChart('.ct-chart-b', {
+        series: [[{x: 50, y: 1}, {x: 100, y: 3}, {x: 200, y: 2}]]
+      }, options),
+      c: createChart('.ct-chart-c', {
+        series: [[{x: 0, y: 1}, {x: 50, y: 3}]]
+      }, {
+        axisX: {
+          type: Chartist.AutoScaleAxis
+        },
+        crosshair: true
+      })
+    };
+
+    function check() {
+      var rect = contexts.a.chartRect;
+      move('.ct-chart-a', rect.x1 + contexts.a.axisX.projectValue(50), rect.y2 + 10);
+
+      var lineA = document.querySelector('.ct-chart-a .ct-crosshair-line');
+      var lineB = document.querySelector('.ct-chart-b .ct-crosshair-line');
+
+      expect(+lineA.getAttribute('x1')).toBeCloseTo(rect.x1 + contexts.a.axisX.projectValue(50), 5);
+      expect(+lineB.getAttribute('x1')).toBeCloseTo(contexts.b.chartRect.x1 + contexts.b.axisX.projectValue(50), 5);
+      expect(document.querySelector('.ct-chart-b .ct-crosshair-point').getAttribute('y1'))
+        .toBe(document.querySelector('.ct-chart-b .ct-point').getAttribute('y1'));
+      // Charts outside of the group are not affected
+      expect(document.querySelector('.ct-chart-c .ct-crosshair-line')).toBeNull();
+
+      Object.keys(charts).forEach(function (name) {
+        charts[name].detach();
+      });
+      done();
+    }
+
+    Object.keys(charts).forEach(function (name) {
+      charts[name].on('created', function (context) {
+        contexts[name] = context;
+        if (Object.keys(contexts).length === 3) {
+          check();
+        }
+      });
+    });
+  });
+});
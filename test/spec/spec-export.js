@@ -0,0 +1,118 @@
+describe('Export', function () {
+  'use strict';
+
+  function createChart(options) {
+    jasmine.getFixtures().set(
+      '<style>.ct-line { stroke: rgb(255, 0, 0); } .ct-label { color: rgb(0, 0, 255); }</style>' +
+      '<div class="ct-chart"></div>'
+    );
+
+    return new Chartist.Line('.ct-chart', {
+      labels: ['A', 'B', 'C'],
+      series: [[1, 2, 3]]
+    }, Chartist.extend({
+      width: 400,
+      height: 300
+    }, options));
+  }
+
+  function parse(svg) {
+    return new DOMParser().parseFromString(svg, 'image/svg+xml');
+  }
+
+  it('should export a standalone SVG document with the size of the chart', function (done) {
+    var chart = createChart();
+
+    chart.on('created', function () {
+      var exported = parse(chart.exportSvg());
+
+      expect(exported.documentElement.namespaceURI).toBe('http://www.w3.org/2000/svg');
+      expect(exported.documentElement.getAttribute('width')).toBe('400');
+      expect(exported.documentElement.getAttribute('height')).toBe('300');
+      expect(exported.querySelectorAll('.ct-point').length).toBe(3);
+      done();
+    });
+  });
+
+  it('should convert foreignObject labels to text elements', function (done) {
+    var chart = createChart();
+
+    chart.on('created', function () {
+      var exported = parse(chart.exportSvg());
+      var labels = exported.querySelectorAll('text.ct-label');
+
+      expect(exported.querySelectorAll('foreignObject').length).toBe(0);
+      expect(labels.length).toBe($('.ct-chart .ct-label').length);
+      expect(labels[0].textContent).toBe('A');
+      done();
+    });
+  });
+
+  it('should inline the computed styles of Chartist elements', function (done) {
+    var chart = createChart();
+
+    chart.on('created', function () {
+      var exported = parse(chart.exportSvg());
+
+      expect(exported.querySelector('.ct-line').getAttribute('style')).toContain('stroke: rgb(255, 0, 0);');
+      expect(exported.querySelector('text.ct-label').getAttribute('style')).toContain('fill: rgb(0, 0, 255);');
+      done();
+    });
+  });
+
+  it('should not inline styles if the option is disabled', function (done) {
+    var chart = createChart();
+
+    chart.on('created', function () {
+      var exported = parse(chart.exportSvg({
+        inlineStyles: false
+      }));
+
+      expect(exported.querySelector('.ct-line').getAttribute('style')).toBe(null);
+      // The chart in the page stays untouched
+      expect($('.ct-chart foreignObject').length).toBeGreaterThan(0);
+      done();
+    });
+  });
+
+  it('should rasterize the exported SVG into a data URL', function (done) {
+    var chart = createChart();
+    var OriginalImage = window.Image;
+    var canvas = {
+      getContext: function () {
+        return jasmine.createSpyObj('context', ['fillRect', 'scale', 'drawImage']);
+      },
+      toDataURL: jasmine.createSpy('toDataURL').and.returnValue('data:image/jpeg;base64,AAAA')
+    };
+    var createElement = document.createElement;
+    var source;
+
+    window.Image = function () {
+      var image = this;
+      Object.defineProperty(image, 'src', {
+        set: function (value) {
+          source = value;
+          setTimeout(image.onload);
+        }
+      });
+    };
+    spyOn(document, 'createElement').and.callFake(function (name) {
+      return name === 'canvas' ? canvas : createElement.apply(document, arguments);
+    });
+
+    chart.on('created', function () {
+      chart.exportImage({
+        type: 'jpeg',
+        scale: 2
+      }).then(function (url) {
+        window.Image = OriginalImage;
+        expect(source.indexOf('data:image/svg+xml')).toBe(0);
+        expect(canvas.width).toBe(800);
+        expect(canvas.height).toBe(600);
+        expect(canvas.toDataURL).toHaveBeenCalledWith('image/jpeg', undefined);
+        expect(url).toBe('data:image/jpeg;base64,AAAA');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+describe('Headless rendering', function () {
+  'use strict';
+
+  var data = {
+    labels: ['A', 'B', 'C'],
+    series: [[1, 2, 3]]
+  };
+
+  it('should render a line chart into SVG markup', function () {
+    var svg = Chartist.renderToString('Line', data, {
+      width: 400,
+      height: 300
+    });
+
+    expect(svg.indexOf('<svg')).toBe(0);
+    expect(svg).toContain('xmlns="http://www.w3.org/2000/svg"');
+    expect(svg).toContain('xmlns:ct="http://gionkunz.github.com/chartist-js/ct"');
+    expect(svg).toContain('class="ct-chart-line"');
+    expect(svg.match(/class="ct-point"/g).length).toBe(3);
+    expect(svg).toContain('<text');
+  });
+
+  it('should not touch the document of the page', function () {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+    Chartist.renderToString('bar', data, {
+      width: '400px',
+      height: '300px'
+    });
+
+    expect(document.querySelectorAll('svg.ct-chart-bar').length).toBe(0);
+  });
+
+  it('should use the explicit size for the layout', function () {
+    var svg = Chartist.renderToString(Chartist.Pie, {
+      series: [1, 1]
+    }, {
+      width: 200,
+      height: 200,
+      chartPadding: 0,
+      showLabel: false
+    });
+    var parsed = new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+    expect(parsed.documentElement.getAttribute('width')).toBe('200');
+    expect(parsed.querySelectorAll('.ct-slice-pie').length).toBe(2);
+    expect(parsed.querySelector('.ct-slice-pie').getAttribute('d')).toContain('A100,100');
+  });
+
+  it('should apply plugins that hook into the draw events', function () {
+    var plugin = function (chart) {
+      chart.on('draw', function (context) {
+        if (context.type === 'point') {
+          context.element.attr({
+            'data-x': context.x
+          });
+        }
+      });
+    };
+
+    var svg = Chartist.renderToString('Line', data, {
+      width: 400,
+      height: 300,
+      plugins: [plugin]
+    });
+
+    expect(svg.match(/data-x="/g).length).toBe(3);
+  });
+
+  it('should escape text and attribute values', function () {
+    var svg = Chartist.renderToString('Line', {
+      labels: ['<A & "B">'],
+      series: [[1]]
+    }, {
+      width: 400,
+      height: 300
+    });
+
+    expect(svg).toContain('&lt;A &amp; "B"&gt;');
+  });
+
+  it('should require an explicit width and height', function () {
+    expect(function () {
+      Chartist.renderToString('Line', data, {
+        width: '100%',
+        height: 300
+      });
+    }).toThrow();
+  });
+
+  it('should throw for unknown chart types', function () {
+    expect(function () {
+      Chartist.renderToString('Radar', data, {
+        width: 400,
+        height: 300
+      });
+    }).toThrow();
+  });
+});
@@ -0,0 +1,181 @@
+describe('Heatmap chart', function () {
+  'use strict';
+
+  var data;
+
+  beforeEach(function () {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+    data = {
+      labels: {
+        x: ['Morning', 'Noon', 'Evening'],
+        y: ['Mon', 'Tue']
+      },
+      series: [
+        [0, 5, {value: 10, meta: 'Peak'}],
+        [null, 2.5, 7.5]
+      ]
+    };
+  });
+
+  function cellsOf(chart) {
+    var cells = [];
+    chart.on('draw', function (event) {
+      if (event.type === 'cell') {
+        cells.push(event);
+      }
+    });
+    return cells;
+  }
+
+  it('should draw a cell with its row, column and meta for every value', function (done) {
+    var chart = new Chartist.Heatmap('.ct-chart', data, {
+      width: 400,
+      height: 300
+    });
+    var cells = cellsOf(chart);
+
+    chart.on('created', function (context) {
+      expect(document.querySelectorAll('.ct-chart rect.ct-cell').length).toBe(5);
+      expect(cells.map(function (cell) {
+        return cell.row + ':' + cell.column;
+      })).toEqual(['0:0', '0:1', '0:2', '1:1', '1:2']);
+
+      var peak = cells[2];
+      expect(peak.value).toBe(10);
+      expect(peak.meta).toBe('Peak');
+      expect(peak.element.attr('ct:meta')).toBe('Peak');
+      expect(peak.width).toBeCloseTo(context.axisX.bandWidth, 5);
+
+      // The first row is at the top and the cells of a row share the height of their band
+      expect(cells[0].y).toBeCloseTo(context.chartRect.y2, 5);
+      expect(cells[3].y + cells[3].height).toBeCloseTo(context.chartRect.y1, 5);
+      expect(cells[1].x).toBeCloseTo(context.chartRect.x1 + context.axisX.step, 5);
+
+      var labels = Array.prototype.map.call(document.querySelectorAll('.ct-chart .ct-label.ct-vertical'), function (label) {
+        return label.textContent;
+      });
+      expect(labels).toEqual(['Tue', 'Mon']);
+      done();
+    });
+  });
+
+  it('should interpolate the colors of a linear scale', function (done) {
+    var chart = new Chartist.Heatmap('.ct-chart', data, {
+      width: 400,
+      height: 300,
+      colorScale: {
+        colors: ['#000000', '#ffffff']
+      }
+    });
+    var cells = cellsOf(chart);
+
+    chart.on('created', function () {
+      expect(cells[0].color).toBe('rgb(0, 0, 0)');
+      expect(cells[1].color).toBe('rgb(128, 128, 128)');
+      expect(cells[2].color).toBe('rgb(255, 255, 255)');
+      expect(cells[2].element.attr('style')).toBe('fill: rgb(255, 255, 255)');
+      done();
+    });
+  });
+
+  it('should map the values to the classes of a quantized scale', function (done) {
+    var chart = new Chartist.Heatmap('.ct-chart', data, {
+      width: 400,
+      height: 300,
+      colorScale: {
+        type: 'quantize',
+        colors: ['#eeeeee', '#7bc96f', '#196127'],
+        high: 9
+      }
+    });
+    var cells = cellsOf(chart);
+
+    chart.on('created', function () {
+      expect(cells.map(function (cell) {
+        return cell.color;
+      })).toEqual(['#eeeeee', '#7bc96f', '#196127', '#eeeeee', '#196127']);
+      done();
+    });
+  });
+
+  it('should draw the color legend as a gradient with the lowest and highest value', function (done) {
+    var chart = new Chartist.Heatmap('.ct-chart', data, {
+      width: 400,
+      height: 300,
+      colorScale: {
+        type: 'quantize',
+        colors: ['#eeeeee', '#196127']
+      },
+      colorLegend: {
+        labelInterpolationFnc: function (value) {
+          return value + '°';
+        }
+      }
+    });
+    var legend;
+
+    chart.on('draw', function (event) {
+      if (event.type === 'colorLegend') {
+        legend = event;
+      }
+    });
+
+    chart.on('created', function (context) {
+      var gradient = document.querySelector('.ct-chart linearGradient');
+      var stops = gradient.querySelectorAll('stop');
+      var scale = document.querySelector('.ct-chart .ct-color-legend-scale');
+
+      // The space of the legend is reserved next to the chart area
+      expect(context.chartRect.x2).toBe(400 - 15 - 50);
+      expect(legend.x).toBe(context.chartRect.x2 + 10);
+      expect(scale.getAttribute('style')).toBe('fill: url(#' + gradient.getAttribute('id') + ')');
+      // The classes of a quantized scale have hard stops
+      expect(Array.prototype.map.call(stops, function (stop) {
+        return stop.getAttribute('offset') + ' ' + stop.getAttribute('stop-color');
+      })).toEqual(['0 #eeeeee', '0.5 #eeeeee', '0.5 #196127', '1 #196127']);
+      expect(Array.prototype.map.call(document.querySelectorAll('.ct-chart .ct-color-legend-label'), function (label) {
+        return label.textContent;
+      })).toEqual(['0°', '10°']);
+      done();
+    });
+  });
+
+  it('should leave rows without data empty', function (done) {
+    data.series = [[1, 2, 3], null];
+    var chart = new Chartist.Heatmap('.ct-chart', data, {
+      width: 400,
+      height: 300
+    });
+    var cells = cellsOf(chart);
+
+    chart.on('created', function () {
+      expect(cells.length).toBe(3);
+      expect(document.querySelectorAll('.ct-chart .ct-series').length).toBe(2);
+      done();
+    });
+  });
+
+  it('should fall back to a scale from 0 to 0 for an empty matrix', function (done) {
+    var chart = new Chartist.Heatmap('.ct-chart', {
+      labels: {
+        x: ['A', 'B'],
+        y: ['One']
+      },
+      series: [[null, null]]
+    }, {
+      width: 400,
+      height: 300
+    });
+    var cells = cellsOf(chart);
+
+    chart.on('created', function (context) {
+      expect(cells.length).toBe(0);
+      expect(context.colorScale.low).toBe(0);
+      expect(context.colorScale.high).toBe(0);
+      expect(Array.prototype.map.call(document.querySelectorAll('.ct-chart .ct-color-legend-label'), function (label) {
+        return label.textContent;
+      })).toEqual(['0', '0']);
+      done();
+    });
+  });
+});
@@ -0,0 +1,248 @@
+describe('Legend', function () {
+  'use strict';
+
+  var data;
+
+  beforeEach(function () {
+    data = {
+      labels: ['A', 'B', 'C'],
+      series: [
+        {name: 'Small', data: [1, 2, 3]},
+        {name: 'Large', data: [10, 20, 30]}
+      ]
+    };
+  });
+
+  function createChart(type, legend, chartData) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+    return new Chartist[type]('.ct-chart', chartData || data, {
+      width: 400,
+      height: 300,
+      legend: legend
+    });
+  }
+
+  function click(target) {
+    var event = document.createEvent('MouseEvents');
+    event.initMouseEvent('click', true, true, window, 0, 0, 0, 0, 0, false, false, false, false, 0, null);
+    target.dispatchEvent(event);
+  }
+
+  it('should not draw a legend by default', function (done) {
+    var chart = createChart('Line');
+
+    chart.on('created', function () {
+      expect(document.querySelector('.ct-legend')).toBeNull();
+      done();
+    });
+  });
+
+  it('should draw an entry with a swatch for every series', function (done) {
+    var chart = createChart('Line', {
+      showLegend: true
+    });
+
+    chart.on('created', function () {
+      var items = document.querySelectorAll('.ct-legend .ct-legend-item');
+
+      expect(items.length).toBe(2);
+      expect(items[0]).toHaveClass('ct-series-a');
+      expect(items[1]).toHaveClass('ct-series-b');
+      expect(items[0].querySelector('.ct-legend-swatch')).not.toBeNull();
+      expect(items[1].querySelector('.ct-legend-label').textContent).toBe('Large');
+      done();
+    });
+  });
+
+  it('should reserve space for the legend in the chart rectangle', function (done) {
+    var chartRects = {};
+
+    ['top', 'bottom', 'left', 'right'].forEach(function (position) {
+      var chartRect = Chartist.createChartRect({
+        width: function () {
+          return 400;
+        },
+        height: function () {
+          return 300;
+        }
+      }, {
+        chartPadding: 10,
+        legend: {
+          showLegend: true,
+          position: position,
+          offset: 30
+        }
+      });
+
+      chartRects[position] = chartRect;
+    });
+
+    expect(chartRects.top.y2).toBe(40);
+    expect(chartRects.bottom.y1).toBe(260);
+    expect(chartRects.left.x1).toBe(40);
+    expect(chartRects.right.x2).toBe(360);
+
+    var chart = createChart('Line', {
+      showLegend: true,
+      position: 'bottom'
+    });
+
+    chart.on('created', function (context) {
+      var swatch = document.querySelector('.ct-legend-swatch');
+      expect(+swatch.getAttribute('y')).toBeGreaterThan(context.chartRect.y1);
+      done();
+    });
+  });
+
+  it('should hide and show a series without changing the data', function (done) {
+    var chart = createChart('Line', {
+      showLegend: true
+    });
+    var toggles = [];
+    var bounds = [];
+
+    chart.on('legendToggle', function (event) {
+      toggles.push(event);
+    });
+
+    chart.on('created', function (context) {
+      bounds.push(context.axisY.bounds.high);
+
+      if (bounds.length === 1) {
+        setTimeout(function () {
+          click(document.querySelectorAll('.ct-legend-item')[1]);
+        });
+      } else if (bounds.length === 2) {
+        expect(toggles[0].index).toBe(1);
+        expect(toggles[0].series).toBe(data.series[1]);
+        expect(toggles[0].hidden).toBe(true);
+        expect(document.querySelectorAll('.ct-series-b .ct-point').length).toBe(0);
+        expect(document.querySelectorAll('.ct-legend-item')[1]).toHaveClass('ct-legend-inactive');
+        expect(bounds[1]).toBeLessThan(bounds[0]);
+        expect(data.series[1].data).toEqual([10, 20, 30]);
+
+        setTimeout(function () {
+          click(document.querySelectorAll('.ct-legend-item .ct-legend-label')[1]);
+        });
+      } else {
+        expect(toggles[1].hidden).toBe(false);
+        expect(document.querySelectorAll('.ct-series-b .ct-point').length).toBe(3);
+        expect(bounds[2]).toBe(bounds[0]);
+        done();
+      }
+    });
+  });
+
+  it('should arrange the remaining bars of a group when a series is hidden', function (done) {
+    var chart = createChart('Bar', {
+      showLegend: true
+    });
+    var grouped;
+
+    chart.on('created', function () {
+      var bar = document.querySelector('.ct-series-b .ct-bar');
+
+      if (grouped === undefined) {
+        grouped = +bar.getAttribute('x1');
+        setTimeout(function () {
+          chart.legend.toggle(0);
+        });
+      } else {
+        expect(document.querySelectorAll('.ct-series-a .ct-bar').length).toBe(0);
+        // The remaining series is not offset by half of the series bar distance anymore
+        expect(+bar.getAttribute('x1')).toBeCloseTo(grouped - chart.options.seriesBarDistance / 2, 5);
+        done();
+      }
+    });
+  });
+
+  it('should use the labels for unnamed pie series', function (done) {
+    var chart = createChart('Pie', {
+      showLegend: true,
+      position: 'right'
+    }, {
+      labels: ['Apples', 'Pears'],
+      series: [1, 3]
+    });
+
+    chart.on('created', function () {
+      var labels = document.querySelectorAll('.ct-legend-label');
+      expect(labels[0].textContent).toBe('Apples');
+      expect(labels[1].textContent).toBe('Pears');
+
+      if (document.querySelectorAll('.ct-slice-pie').length === 2) {
+        setTimeout(function () {
+          chart.legend.toggle(0);
+        });
+      } else {
+        expect(document.querySelectorAll('.ct-slice-pie').length).toBe(1);
+        done();
+      }
+    });
+  });
+
+  it('should name series without data by their index', function (done) {
+    var chart = createChart('Line', {
+      showLegend: true
+    });
+
+    chart.on('created', function (context) {
+      chart.reconciler.begin();
+      chart.legend.draw([null, {name: 'Large', data: [10, 20, 30]}], context.options, context.chartRect);
+      chart.reconciler.end();
+
+      expect(document.querySelectorAll('.ct-legend-item').length).toBe(2);
+      expect(document.querySelector('.ct-legend-item.ct-series-a .ct-legend-label').textContent).toBe('Series 1');
+      expect(document.querySelector('.ct-legend-item.ct-series-b .ct-legend-label').textContent).toBe('Large');
+      done();
+    });
+  });
+
+  it('should wrap entries that do not fit into the width of the chart area onto further rows', function (done) {
+    var chart = createChart('Line', {
+      showLegend: true
+    }, {
+      labels: ['A', 'B', 'C'],
+      series: Chartist.times(6).map(function (index) {
+        return {name: 'Series number ' + (index + 1), data: [1, 2, 3]};
+      })
+    });
+
+    chart.on('created', function (context) {
+      var swatches = Array.prototype.map.call(document.querySelectorAll('.ct-legend-swatch'), function (swatch) {
+        return {x: +swatch.getAttribute('x'), y: +swatch.getAttribute('y')};
+      });
+      var rows = swatches.map(function (swatch) {
+        return swatch.y;
+      }).filter(function (y, index, ys) {
+        return ys.indexOf(y) === index;
+      });
+
+      expect(rows.length).toBe(3);
+      expect(swatches[0].x).toBe(context.chartRect.x1);
+      expect(swatches[1].y).toBe(swatches[0].y);
+      // The space of the two further rows is reserved in addition to the offset
+      expect(context.chartRect.y2).toBe(context.options.chartPadding.top + 30 + 2 * 20);
+      swatches.forEach(function (swatch) {
+        expect(swatch.x).toBeLessThan(context.chartRect.x2);
+        expect(swatch.y).toBeGreaterThan(context.options.chartPadding.top);
+        expect(swatch.y + 10).toBeLessThan(context.chartRect.y2);
+      });
+      done();
+    });
+  });
+
+  it('should draw a legend with an unknown position at the top', function (done) {
+    var chart = createChart('Line', {
+      showLegend: true,
+      position: 'center'
+    });
+
+    chart.on('created', function (context) {
+      expect(context.chartRect.y2).toBe(context.options.chartPadding.top + 30);
+      expect(+document.querySelector('.ct-legend-swatch').getAttribute('y')).toBeLessThan(context.chartRect.y2);
+      done();
+    });
+  });
+});
@@ -596,4 +596,661 @@ describe('Line chart tests', function () {
       });
     });
   });
+
+  describe('Secondary Y axis tests', function () {
+    var data;
+
+    beforeEach(function () {
+      data = {
+        labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+        series: [{
+          name: 'revenue',
+          data: [1200000, 1800000, 1500000, 2400000]
+        }, {
+          name: 'conversion',
+          axis: 'y2',
+          data: [2.5, 3.1, 2.8, 3.6]
+        }]
+      };
+    });
+
+    function createChart(options) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      return new Chartist.Line('.ct-chart', data, Chartist.extend({
+        width: 400,
+        height: 300
+      }, options));
+    }
+
+    it('should reserve space for the secondary axis on the right', function (done) {
+      var chart = createChart();
+
+      chart.on('created', function (context) {
+        expect(context.chartRect.x1).toBe(50);
+        expect(context.chartRect.x2).toBe(400 - 15 - 40);
+        expect(context.axisY2.id).toBe('y2');
+        expect(document.querySelectorAll('.ct-label.ct-vertical.ct-end').length).toBe(context.axisY2.ticks.length);
+        done();
+      });
+    });
+
+    it('should compute the bounds of each axis from its own series', function (done) {
+      var chart = createChart({
+        axisY2: {
+          low: 0
+        }
+      });
+
+      chart.on('created', function (context) {
+        expect(context.axisY.bounds.high).toBeGreaterThan(1000000);
+        expect(context.axisY.bounds.low).toBeGreaterThan(1000);
+        expect(context.axisY2.bounds.low).toBe(0);
+        expect(context.axisY2.bounds.high).toBeLessThan(10);
+        done();
+      });
+    });
+
+    it('should report the axis each element was projected on', function (done) {
+      var chart = createChart();
+      var axes = {};
+
+      chart.on('draw', function (event) {
+        if (event.type === 'point' || event.type === 'line') {
+          axes[event.series.name + ':' + event.type] = event.axisY;
+        }
+      });
+
+      chart.on('created', function (context) {
+        expect(axes['revenue:point']).toBe(context.axisY);
+        expect(axes['revenue:line']).toBe(context.axisY);
+        expect(axes['conversion:point']).toBe(context.axisY2);
+        expect(axes['conversion:line'].id).toBe('y2');
+
+        // The highest value of each series is projected to the top of its own axis range
+        var points = document.querySelectorAll('.ct-series-b .ct-point');
+        expect(+points[3].getAttribute('y1')).toBeCloseTo(context.chartRect.y1 - context.axisY2.projectValue(3.6), 5);
+        done();
+      });
+    });
+
+    it('should not reserve space without series on the secondary axis', function (done) {
+      data.series[1].axis = undefined;
+      var chart = createChart();
+
+      chart.on('created', function (context) {
+        expect(context.axisY2).toBeUndefined();
+        expect(context.chartRect.x2).toBe(400 - 15);
+        done();
+      });
+    });
+  });
+
+  describe('Stacked series tests', function () {
+    var data;
+
+    beforeEach(function () {
+      data = {
+        labels: ['A', 'B', 'C'],
+        series: [
+          [1, 2, 3],
+          [2, 2, 2]
+        ]
+      };
+    });
+
+    function createChart(options) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      return new Chartist.Line('.ct-chart', data, Chartist.extend({
+        width: 400,
+        height: 300,
+        lineSmooth: false,
+        showArea: true,
+        stackSeries: true
+      }, options));
+    }
+
+    function collectPoints(chart) {
+      var points = [[], []];
+      chart.on('draw', function (event) {
+        if (event.type === 'point') {
+          points[event.seriesIndex][event.index] = event;
+        }
+      });
+      return points;
+    }
+
+    it('should draw the series at their cumulative values and keep the original values', function (done) {
+      var chart = createChart();
+      var points = collectPoints(chart);
+
+      chart.on('created', function (context) {
+        var project = function (value) {
+          return context.chartRect.y1 - context.axisY.projectValue(value);
+        };
+
+        expect(context.axisY.bounds.max).toBeGreaterThan(4.9);
+        expect(points[1].map(function (point) {
+          return point.y;
+        })).toEqual([project(3), project(4), project(5)]);
+        expect(points[1][2].value.y).toBe(2);
+        done();
+      });
+    });
+
+    it('should close the area of a stacked series along the line of the series below', function (done) {
+      var chart = createChart();
+      var points = collectPoints(chart);
+      var areas = [];
+
+      chart.on('draw', function (event) {
+        if (event.type === 'area') {
+          areas[event.seriesIndex] = event.path;
+        }
+      });
+
+      chart.on('created', function () {
+        var elements = areas[1].pathElements;
+
+        expect(elements.length).toBe(6);
+        [2, 1, 0].forEach(function (valueIndex, index) {
+          expect(elements[3 + index].command).toBe('L');
+          expect(elements[3 + index].x).toBeCloseTo(points[0][valueIndex].x, 5);
+          expect(elements[3 + index].y).toBeCloseTo(points[0][valueIndex].y, 5);
+        });
+        done();
+      });
+    });
+
+    it('should count holes as zero for the series above and keep them as holes in their own series', function (done) {
+      data.series[0] = [1, null, 3];
+      var chart = createChart();
+      var points = collectPoints(chart);
+
+      chart.on('created', function (context) {
+        expect(points[0][1]).toBeUndefined();
+        expect(points[1][1].y).toBeCloseTo(context.chartRect.y1 - context.axisY.projectValue(2), 5);
+        // The first series has no area, as both of its segments consist of a single point
+        expect(document.querySelectorAll('.ct-series-a .ct-area').length).toBe(0);
+        expect(document.querySelectorAll('.ct-series-b .ct-area').length).toBe(1);
+        done();
+      });
+    });
+
+    it('should show percent of the total in normalize mode', function (done) {
+      data.series = [
+        [1, 3],
+        [3, 1]
+      ];
+      var chart = createChart({
+        stackMode: 'normalize'
+      });
+      var points = collectPoints(chart);
+
+      chart.on('created', function (context) {
+        var project = function (value) {
+          return context.chartRect.y1 - context.axisY.projectValue(value);
+        };
+
+        expect(context.axisY.bounds.max).toBe(100);
+        expect(points[0][0].y).toBeCloseTo(project(25), 5);
+        expect(points[0][1].y).toBeCloseTo(project(75), 5);
+        expect(points[1][0].y).toBeCloseTo(project(100), 5);
+        expect(points[1][1].y).toBeCloseTo(project(100), 5);
+        done();
+      });
+    });
+  });
+
+  describe('Automatic label fitting tests', function () {
+    beforeEach(function () {
+      // Texts are measured with 6px per character, so the layout is the same with and without a rendering engine
+      var width = Chartist.Svg.prototype.width;
+      spyOn(Chartist.Svg.prototype, 'width').and.callFake(function () {
+        return this._node.nodeName.toLowerCase() === 'text' ? this._node.textContent.length * 6 : width.call(this);
+      });
+    });
+
+    function createChart(labels, axisXOptions) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      var chart = new Chartist.Line('.ct-chart', {
+        labels: labels,
+        series: [labels.map(function (label, index) {
+          return index;
+        })]
+      }, {
+        width: 400,
+        height: 300,
+        axisX: axisXOptions || {}
+      });
+
+      chart.labels = [];
+      chart.on('draw', function (event) {
+        if (event.type === 'label' && event.axis.units.pos === 'x') {
+          chart.labels.push(event);
+        }
+      });
+
+      return chart;
+    }
+
+    function categories(count, prefix) {
+      return Chartist.times(count).map(function (value, index) {
+        return prefix + (index + 1);
+      });
+    }
+
+    it('should not change overlapping labels without autoFit', function (done) {
+      var chart = createChart(categories(8, 'Category '));
+
+      chart.on('created', function (context) {
+        expect(chart.labels.length).toBe(8);
+        expect(context.options.axisX.offset).toBe(30);
+        expect(chart.labels[0].element.attr('transform')).toBeNull();
+        done();
+      });
+    });
+
+    it('should rotate overlapping labels and grow the offset of the axis', function (done) {
+      var chart = createChart(categories(8, 'Category '), {
+        autoFit: true
+      });
+
+      chart.on('created', function (context) {
+        var label = chart.labels[1];
+
+        expect(chart.labels.length).toBe(8);
+        expect(label.element._node.nodeName.toLowerCase()).toBe('text');
+        expect(label.element.attr('transform')).toBe('rotate(-45, ' + label.x + ', ' + label.y + ')');
+        expect(label.element.attr('style')).toContain('text-anchor: end');
+        // The measured width of 60px and estimated height of 14px of the labels rotated by 45 degrees and 10px of space
+        expect(context.options.axisX.offset).toBe(63);
+        expect(context.chartRect.y1).toBe(300 - 5 - 63);
+        done();
+      });
+    });
+
+    it('should only show every n-th label if even the steepest rotation overlaps', function (done) {
+      var chart = createChart(categories(40, 'C'), {
+        autoFit: {
+          rotations: [90]
+        }
+      });
+
+      chart.on('created', function () {
+        expect(document.querySelectorAll('.ct-grid.ct-horizontal').length).toBe(40);
+        expect(chart.labels.length).toBeLessThan(40);
+        expect(chart.labels[1].index).toBe(chart.labels[1].index - chart.labels[0].index);
+        expect(chart.labels[1].index).toBeGreaterThan(1);
+        expect(chart.labels[0].element.attr('transform')).toContain('rotate(-90, ');
+        done();
+      });
+    });
+
+    it('should truncate labels that do not fit into the maximum offset', function (done) {
+      var chart = createChart(['A very long category name number 1', 'Short'], {
+        autoFit: {
+          rotations: [90],
+          maxOffset: 80
+        }
+      });
+
+      chart.on('created', function (context) {
+        expect(context.options.axisX.offset).toBe(80);
+        expect(chart.labels[0].text).toBe('A very lon…');
+        expect(chart.labels[1].text).toBe('Short');
+        done();
+      });
+    });
+  });
+
+  describe('Downsampling tests', function () {
+    function createChart(series, options) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      var chart = new Chartist.Line('.ct-chart', {
+        series: series
+      }, Chartist.extend({
+        width: 400,
+        height: 300,
+        lineSmooth: false
+      }, options));
+
+      chart.points = [];
+      chart.on('draw', function (event) {
+        if (event.type === 'point') {
+          chart.points.push(event);
+        } else if (event.type === 'line') {
+          chart.line = event;
+        }
+      });
+
+      return chart;
+    }
+
+    function wave(count) {
+      return Chartist.times(count).map(function (value, index) {
+        return {
+          value: Math.round(Math.sin(index / 50) * 100),
+          meta: 'Value ' + index
+        };
+      });
+    }
+
+    it('should draw all values without the downsample option', function (done) {
+      var chart = createChart([wave(1000)]);
+
+      chart.on('created', function () {
+        expect(chart.points.length).toBe(1000);
+        done();
+      });
+    });
+
+    it('should keep about one value per pixel with their index and meta data', function (done) {
+      var values = wave(2000);
+      var chart = createChart([values], {
+        downsample: true
+      });
+
+      chart.on('created', function (context) {
+        var indices = chart.points.map(function (point) {
+          return point.index;
+        });
+
+        expect(chart.points.length).toBe(Math.floor(context.chartRect.width()));
+        expect(indices[0]).toBe(0);
+        expect(indices[indices.length - 1]).toBe(1999);
+        chart.points.forEach(function (point, position) {
+          expect(point.meta).toBe('Value ' + point.index);
+          expect(point.value.y).toBe(values[point.index].value);
+          // Values are projected at the position of their index on the step axis
+          expect(point.x).toBeCloseTo(context.chartRect.x1 + context.axisX.stepLength * point.index, 5);
+          if (position > 0) {
+            expect(point.index).toBeGreaterThan(indices[position - 1]);
+          }
+        });
+        done();
+      });
+    });
+
+    it('should keep the peaks of every pixel and the holes with the min-max downsampling', function (done) {
+      var values = Chartist.times(3000).map(function (value, index) {
+        return index === 1234 ? 500 : (index >= 2000 && index < 2100 ? null : index % 7);
+      });
+      var chart = createChart([values], {
+        downsample: Chartist.Downsampling.minMax()
+      });
+
+      chart.on('created', function (context) {
+        var peak = chart.points.filter(function (point) {
+          return point.value.y === 500;
+        });
+
+        expect(chart.points.length).toBeLessThan(context.chartRect.width() * 2 + 1);
+        expect(peak.length).toBe(1);
+        expect(peak[0].index).toBe(1234);
+        expect(chart.points.filter(function (point) {
+          return point.value.y === 0;
+        }).length).toBeGreaterThan(0);
+        // The line is still interrupted at the hole
+        expect(chart.line.path.pathElements.filter(function (pathElement) {
+          return pathElement.command === 'M';
+        }).length).toBe(2);
+        done();
+      });
+    });
+  });
+
+  describe('Streaming tests', function () {
+    function createChart(data, options) {
+      jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+      var chart = new Chartist.Line('.ct-chart', data, Chartist.extend({
+        width: 400,
+        height: 300,
+        lineSmooth: false
+      }, options));
+
+      chart.points = [];
+      chart.on('draw', function (event) {
+        if (event.type === 'point' && event.state !== 'removed') {
+          chart.points.push(event);
+        }
+      });
+
+      return chart;
+    }
+
+    it('should append values and remove the ones that leave a window of values', function (done) {
+      var chart = createChart({
+        labels: ['1', '2', '3'],
+        series: [[1, 2, 3], {name: 'Second', data: [3, 2, 1]}]
+      }, {
+        window: 3
+      });
+      var appended;
+      var renders = 0;
+      var line;
+
+      chart.on('dataAppended', function (event) {
+        appended = event;
+      });
+
+      chart.on('created', function () {
+        if (++renders === 1) {
+          line = document.querySelector('.ct-series-a .ct-line');
+          setTimeout(function () {
+            chart.points = [];
+            chart.append(0, [4, 5], ['4', '5']);
+          });
+        } else {
+          expect(appended.seriesIndex).toBe(0);
+          expect(appended.values).toEqual([4, 5]);
+          expect(appended.removed).toEqual([2, 2]);
+          expect(chart.data.series[0]).toEqual([3, 4, 5]);
+          expect(chart.data.series[1].data).toEqual([1]);
+          expect(chart.data.labels).toEqual(['3', '4', '5']);
+          expect(chart.points.length).toBe(4);
+          // The existing elements are re-used
+          expect(document.querySelector('.ct-series-a .ct-line')).toBe(line);
+          expect(chart.points[0].state).toBe('updated');
+          done();
+        }
+      });
+    });
+
+    it('should keep a time span of values and shift values', function (done) {
+      var chart = createChart({
+        series: [[{x: 0, y: 1}, {x: 1000, y: 2}, {x: 2000, y: 3}]]
+      }, {
+        axisX: {
+          type: Chartist.AutoScaleAxis
+        },
+        window: {
+          span: 2000
+        }
+      });
+      var renders = 0;
+
+      chart.on('created', function (context) {
+        if (++renders === 1) {
+          setTimeout(function () {
+            chart.append(0, {x: 3500, y: 4});
+          });
+        } else if (renders === 2) {
+          expect(chart.data.series[0].map(function (value) {
+            return value.x;
+          })).toEqual([2000, 3500]);
+          expect(context.axisX.range.min).toBe(2000);
+          setTimeout(function () {
+            chart.shift();
+          });
+        } else {
+          expect(chart.data.series[0]).toEqual([{x: 3500, y: 4}]);
+          done();
+        }
+      });
+    });
+
+    it('should translate the drawn path and only add the segments of new values', function (done) {
+      var chart = createChart({
+        labels: ['1', '2', '3'],
+        series: [[1, 3, 1]]
+      }, {
+        window: 3
+      });
+      var renders = 0;
+      var first;
+      var line;
+      var path;
+      var pointNodes;
+
+      chart.on('created', function () {
+        if (++renders === 1) {
+          first = chart.points;
+          line = document.querySelector('.ct-series-a .ct-line');
+          path = line.getAttribute('d');
+          pointNodes = document.querySelectorAll('.ct-series-a .ct-point');
+          setTimeout(function () {
+            chart.points = [];
+            chart.append(0, 3, '4');
+          });
+        } else {
+          var step = first[1].x - first[0].x;
+          var segments = path.slice(1).split('L');
+          var transform = document.querySelector('.ct-series-a').getAttribute('transform');
+
+          expect(+/translate\(([^,]+), 0\)/.exec(transform)[1]).toBeCloseTo(-step, 5);
+          // The segments of the values that are still drawn are kept as they are
+          expect(document.querySelector('.ct-series-a .ct-line')).toBe(line);
+          expect(line.getAttribute('d').indexOf('M' + segments[1] + 'L' + segments[2] + 'L')).toBe(0);
+          expect(line.getAttribute('d').split('L').length).toBe(3);
+          expect(pointNodes[0].parentNode).toBe(null);
+          expect(pointNodes[1].parentNode).not.toBe(null);
+          expect(pointNodes[1].getAttribute('x1')).toBe('' + first[1].x);
+          // Draw events are emitted with the positions within the chart
+          expect(chart.points.map(function (point) {
+            return point.element._node;
+          })).toEqual([pointNodes[1], pointNodes[2], chart.points[2].element._node]);
+          expect(chart.points[0].x).toBeCloseTo(first[0].x, 5);
+          expect(chart.points[2].x).toBeCloseTo(first[2].x, 5);
+          expect(chart.points[2].state).toBe('created');
+          done();
+        }
+      });
+    });
+
+    it('should keep the elements of the values that are still drawn after a shift', function (done) {
+      var chart = createChart({
+        labels: ['1', '2', '3'],
+        series: [[1, 2, 3]]
+      });
+      var renders = 0;
+      var pointNodes;
+
+      chart.on('created', function () {
+        if (++renders === 1) {
+          pointNodes = document.querySelectorAll('.ct-series-a .ct-point');
+          setTimeout(function () {
+            chart.points = [];
+            chart.shift();
+          });
+        } else {
+          expect(chart.points.map(function (point) {
+            return point.element._node;
+          })).toEqual([pointNodes[1], pointNodes[2]]);
+          expect(chart.points[0].index).toBe(0);
+          expect(chart.points[0].state).toBe('updated');
+          expect(pointNodes[0].parentNode).toBe(null);
+          done();
+        }
+      });
+    });
+
+    it('should scroll the series from their previous to their new translation', function (done) {
+      var chart = createChart({
+        labels: ['1', '2', '3'],
+        series: [[1, 3, 1]]
+      }, {
+        window: 3,
+        scroll: {
+          duration: 50
+        }
+      });
+      var renders = 0;
+      var series;
+      var step;
+
+      chart.on('animationBegin', function (event) {
+        if (event.element._node === series) {
+          expect(series.getAttribute('transform')).toBe('translate(0, 0)');
+        }
+      });
+
+      chart.on('animationEnd', function (event) {
+        if (event.element._node === series) {
+          var distance = +/translate\(([^,]+), 0\)/.exec(series.getAttribute('transform'))[1];
+          expect(distance).toBeCloseTo(-step, 5);
+          done();
+        }
+      });
+
+      chart.on('created', function () {
+        if (++renders === 1) {
+          series = document.querySelector('.ct-series-a');
+          step = chart.points[1].x - chart.points[0].x;
+          setTimeout(function () {
+            chart.append(0, 3, '4');
+          });
+        }
+      });
+    });
+
+    it('should keep a time span of values with dates as ISO strings', function (done) {
+      var chart = createChart({
+        series: [[
+          {x: '2017-01-01T00:00:00Z', y: 1},
+          {x: '2017-01-01T00:00:01Z', y: 2},
+          {x: '2017-01-01T00:00:02Z', y: 3}
+        ]]
+      }, {
+        axisX: {
+          type: Chartist.TimeAxis
+        },
+        window: {
+          span: 2000
+        }
+      });
+      var renders = 0;
+
+      chart.on('created', function () {
+        if (++renders === 1) {
+          setTimeout(function () {
+            chart.append(0, {x: '2017-01-01T00:00:03.500Z', y: 4});
+          });
+        } else {
+          expect(chart.data.series[0].map(function (value) {
+            return value.x;
+          })).toEqual(['2017-01-01T00:00:02Z', '2017-01-01T00:00:03.500Z']);
+          done();
+        }
+      });
+    });
+
+    it('should throw an error if values are appended to a series that does not exist', function (done) {
+      var chart = createChart({
+        series: [[1, 2, 3]]
+      });
+
+      chart.on('created', function () {
+        expect(function () {
+          chart.append(1, 4);
+        }).toThrowError('There is no series with the index 1 to append values to!');
+        expect(chart.data.series.length).toBe(1);
+        done();
+      });
+    });
+  });
 });
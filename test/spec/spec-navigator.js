@@ -0,0 +1,236 @@
+describe('Navigator chart', function () {
+  'use strict';
+
+  var data;
+  var created;
+
+  beforeEach(function () {
+    created = [];
+    data = {
+      series: [
+        [{x: 0, y: 1}, {x: 25, y: 4}, {x: 50, y: 2}, {x: 75, y: 8}, {x: 100, y: 5}]
+      ]
+    };
+  });
+
+  afterEach(function () {
+    // Detaching the charts drops the updates of detail charts that are still pending
+    created.forEach(function (chart) {
+      chart.detach();
+    });
+  });
+
+  function createCharts(brush) {
+    jasmine.getFixtures().set('<div class="ct-detail"></div><div class="ct-navigator"></div>');
+
+    var charts = {
+      detail: new Chartist.Line('.ct-detail', data, {
+        width: 400,
+        height: 300,
+        axisX: {
+          type: Chartist.AutoScaleAxis
+        }
+      }),
+      navigator: new Chartist.Navigator('.ct-navigator', data, {
+        width: 400,
+        height: 100,
+        brush: Chartist.extend({
+          detail: '.ct-detail'
+        }, brush)
+      })
+    };
+    created.push(charts.detail, charts.navigator);
+    return charts;
+  }
+
+  function dispatch(type, properties, target) {
+    var event = new MouseEvent(type, Chartist.extend({bubbles: true, cancelable: true}, properties));
+    (target || document.querySelector('.ct-navigator svg')).dispatchEvent(event);
+    return event;
+  }
+
+  it('should downsample large series to the lowest and highest value of every pixel', function (done) {
+    jasmine.getFixtures().set('<div class="ct-navigator"></div>');
+
+    var values = Chartist.times(5000).map(function (value, index) {
+      return index === 2500 ? 100 : index % 10;
+    });
+    var chart = new Chartist.Navigator('.ct-navigator', {
+      series: [values]
+    }, {
+      width: 400,
+      height: 100
+    });
+    created.push(chart);
+    var line;
+
+    chart.on('draw', function (event) {
+      if (event.type === 'line') {
+        line = event;
+      }
+    });
+
+    chart.on('created', function (context) {
+      var drawn = line.path.pathElements.map(function (pathElement) {
+        return pathElement.data;
+      });
+      var peak = drawn.filter(function (data) {
+        return data.value.y === 100;
+      })[0];
+
+      expect(drawn.length).toBeLessThan(context.chartRect.width() * 2 + 1);
+      expect(drawn.length).toBeGreaterThan(context.chartRect.width());
+      // Peaks are kept with their index and values without x are placed at their index
+      expect(peak.valueIndex).toBe(2500);
+      expect(peak.value.x).toBe(2500);
+      expect(context.axisX.range.max).toBeGreaterThan(4998);
+      expect(document.querySelectorAll('.ct-navigator .ct-point').length).toBe(0);
+      done();
+    });
+  });
+
+  it('should show the initial range in the detail chart', function (done) {
+    var charts = createCharts({
+      range: {min: 20, max: 60}
+    });
+
+    charts.navigator.on('created', function (context) {
+      var rect = document.querySelector('.ct-navigator .ct-brush-selection');
+
+      // The detail chart has been updated while the navigator was drawn
+      expect(charts.detail.layout.axisX.range).toEqual({min: 20, max: 60});
+      // The values outside of the selected range are clipped
+      expect(document.querySelectorAll('.ct-detail [clip-path]').length).toBe(1);
+      expect(charts.navigator.brush.selectedRange()).toEqual({min: 20, max: 60});
+      expect(+rect.getAttribute('x')).toBeCloseTo(context.chartRect.x1 + context.axisX.projectValue(20), 5);
+      expect(document.querySelectorAll('.ct-navigator .ct-brush-handle').length).toBe(2);
+      expect(document.querySelectorAll('.ct-navigator .ct-brush-mask').length).toBe(2);
+      done();
+    });
+  });
+
+  it('should select, move and resize the range by dragging', function (done) {
+    var charts = createCharts();
+    var rangeEvents = [];
+    var detailRenders = 0;
+
+    charts.navigator.on('rangeChange', function (event) {
+      rangeEvents.push(event);
+    });
+
+    charts.detail.on('created', function () {
+      detailRenders++;
+    });
+
+    charts.navigator.on('created', function (context) {
+      var rect = context.chartRect;
+      var position = function (value) {
+        return rect.x1 + context.axisX.projectValue(value);
+      };
+      var y = rect.y2 + 10;
+
+      // Selecting a new range from right to left
+      dispatch('mousedown', {button: 0, clientX: position(60), clientY: y});
+      dispatch('mousemove', {clientX: position(20), clientY: y});
+      dispatch('mouseup', {clientX: position(20), clientY: y});
+      expect(rangeEvents[0].min).toBeCloseTo(20, 5);
+      expect(rangeEvents[0].max).toBeCloseTo(60, 5);
+      expect(rangeEvents[0].selected).toBe(true);
+
+      // Moving the selection is limited to the range of the axis
+      dispatch('mousedown', {button: 0, clientX: position(40), clientY: y});
+      dispatch('mousemove', {clientX: position(-100), clientY: y});
+      dispatch('mouseup', {clientX: position(-100), clientY: y});
+      var moved = rangeEvents[rangeEvents.length - 1];
+      expect(moved.min).toBeCloseTo(0, 5);
+      expect(moved.max).toBeCloseTo(40, 5);
+
+      // Dragging the handle at the end resizes the selection
+      dispatch('mousedown', {button: 0, clientX: position(40), clientY: y});
+      dispatch('mousemove', {clientX: position(80), clientY: y});
+      dispatch('mouseup', {clientX: position(80), clientY: y});
+      expect(charts.navigator.brush.selectedRange().min).toBeCloseTo(0, 5);
+      expect(charts.navigator.brush.selectedRange().max).toBeCloseTo(80, 5);
+
+      // The changes of the range are shown in the detail chart with a single update
+      var rendersBefore = detailRenders;
+      setTimeout(function () {
+        expect(detailRenders).toBe(rendersBefore + 1);
+        expect(charts.detail.layout.axisX.range.min).toBeCloseTo(0, 5);
+        expect(charts.detail.layout.axisX.range.max).toBeCloseTo(80, 5);
+        done();
+      }, 100);
+    });
+  });
+
+  it('should keep dragging outside of the chart until the mouse button is released', function (done) {
+    var charts = createCharts();
+
+    charts.navigator.on('created', function (context) {
+      var rect = context.chartRect;
+      var position = function (value) {
+        return rect.x1 + context.axisX.projectValue(value);
+      };
+      var y = rect.y2 + 10;
+
+      dispatch('mousedown', {button: 0, clientX: position(20), clientY: y});
+      dispatch('mouseleave', {clientX: rect.x2 + 50, clientY: y}, document.querySelector('.ct-navigator'));
+      dispatch('mousemove', {clientX: rect.x2 + 50, clientY: y + 200}, document.body);
+      expect(charts.navigator.brush.selectedRange().min).toBeCloseTo(20, 5);
+      expect(charts.navigator.brush.selectedRange().max).toBeCloseTo(100, 5);
+
+      dispatch('mouseup', {clientX: rect.x2 + 50, clientY: y + 200}, document.body);
+      dispatch('mousemove', {clientX: position(50), clientY: y}, document.body);
+      expect(charts.navigator.brush.selectedRange().max).toBeCloseTo(100, 5);
+      done();
+    });
+  });
+
+  it('should select a range from code without emitting an event', function (done) {
+    var charts = createCharts({
+      minRange: 10
+    });
+    var rangeChanged = false;
+    var renders = 0;
+
+    charts.navigator.on('rangeChange', function () {
+      rangeChanged = true;
+    });
+
+    charts.detail.on('created', function (context) {
+      if (++renders === 1) {
+        setTimeout(function () {
+          // The selection grows around its center to the minimum range
+          charts.navigator.brush.select({min: 48, max: 50});
+        });
+      } else if (renders === 2) {
+        expect(context.axisX.range).toEqual({min: 44, max: 54});
+        setTimeout(function () {
+          charts.navigator.brush.select(undefined);
+        });
+      } else {
+        expect(context.axisX.range).toEqual({min: 0, max: 100});
+        expect(document.querySelectorAll('.ct-detail [clip-path]').length).toBe(0);
+        expect(document.querySelector('.ct-navigator .ct-brush-selection')).toBeNull();
+        expect(rangeChanged).toBe(false);
+        done();
+      }
+    });
+  });
+
+  it('should drop a pending update of the detail charts when the navigator has been removed', function (done) {
+    var charts = createCharts();
+
+    charts.navigator.on('created', function () {
+      charts.navigator.brush.apply({min: 20, max: 100});
+
+      // The fixture is replaced before the next frame, so the new detail chart must not show the selection of the old navigator
+      var replaced = createCharts();
+      setTimeout(function () {
+        expect(charts.navigator.brush.pendingDetails).toBe(false);
+        expect(replaced.detail.layout.axisX.range).toEqual({min: 0, max: 100});
+        done();
+      }, 100);
+    });
+  });
+});
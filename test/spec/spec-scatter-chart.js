@@ -0,0 +1,128 @@
+describe('Scatter chart tests', function () {
+  'use strict';
+
+  var data;
+
+  beforeEach(function () {
+    data = {
+      series: [
+        [
+          {x: 1, y: 2, r: 100, meta: 'a'},
+          {x: 2, y: 4, r: 25, meta: 'b'},
+          {x: 4, y: 3, r: 0, meta: 'c'}
+        ],
+        [
+          {x: 3, y: 1},
+          {x: 5, y: 5}
+        ]
+      ]
+    };
+  });
+
+  function createChart(options) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+    return new Chartist.Scatter('.ct-chart', data, Chartist.extend({
+      width: 400,
+      height: 300
+    }, options));
+  }
+
+  it('should draw circles for every value at its projected position', function (done) {
+    var chart = createChart();
+
+    chart.on('created', function (context) {
+      var circles = document.querySelectorAll('.ct-series-a circle.ct-bubble');
+
+      expect(document.querySelectorAll('svg.ct-chart-scatter').length).toBe(1);
+      expect(circles.length).toBe(3);
+      expect(document.querySelectorAll('.ct-series-b circle.ct-bubble').length).toBe(2);
+      expect(document.querySelectorAll('line.ct-point').length).toBe(0);
+      expect(+circles[1].getAttribute('cx')).toBeCloseTo(context.chartRect.x1 + context.axisX.projectValue({x: 2, y: 4}), 5);
+      expect(+circles[1].getAttribute('cy')).toBeCloseTo(context.chartRect.y1 - context.axisY.projectValue({x: 2, y: 4}), 5);
+      expect(circles[1].getAttribute('ct:value')).toBe('2,4,25');
+      expect(context.axisX instanceof Chartist.AutoScaleAxis).toBe(true);
+      expect(context.axisY instanceof Chartist.AutoScaleAxis).toBe(true);
+      done();
+    });
+  });
+
+  it('should project r to the radius with an area scale', function (done) {
+    var chart = createChart({
+      radiusScale: {
+        min: 2,
+        max: 20
+      }
+    });
+    var radii = {};
+
+    chart.on('draw', function (event) {
+      if (event.type === 'point') {
+        radii[event.seriesIndex + ':' + event.index] = event.radius;
+      }
+    });
+
+    chart.on('created', function () {
+      expect(radii['0:0']).toBe(20);
+      // A quarter of the highest r has half the radius and a quarter of the area
+      expect(radii['0:1']).toBe(10);
+      expect(radii['0:2']).toBe(2);
+      // Values without r get the point radius
+      expect(radii['1:0']).toBe(4);
+      expect(+document.querySelectorAll('.ct-series-a .ct-bubble')[1].getAttribute('r')).toBe(10);
+      done();
+    });
+  });
+
+  it('should support a linear radius scale with explicit bounds', function (done) {
+    var chart = createChart({
+      radiusScale: {
+        type: 'linear',
+        min: 0,
+        max: 10,
+        low: 0,
+        high: 200
+      }
+    });
+    var radii = [];
+
+    chart.on('draw', function (event) {
+      if (event.type === 'point' && event.seriesIndex === 0) {
+        radii.push(event.radius);
+      }
+    });
+
+    chart.on('created', function () {
+      expect(radii).toEqual([5, 1.25, 0]);
+      done();
+    });
+  });
+
+  it('should color circles by a value with the color scale', function (done) {
+    var chart = createChart({
+      colorBy: 'y',
+      colorScale: {
+        colors: ['#000000', '#ffffff']
+      }
+    });
+    var colors = [];
+
+    chart.on('draw', function (event) {
+      if (event.type === 'point') {
+        colors.push(event.color);
+      }
+    });
+
+    chart.on('created', function () {
+      expect(colors).toEqual([
+        'rgb(64, 64, 64)',
+        'rgb(191, 191, 191)',
+        'rgb(128, 128, 128)',
+        'rgb(0, 0, 0)',
+        'rgb(255, 255, 255)'
+      ]);
+      expect(document.querySelectorAll('.ct-series-b .ct-bubble')[1].getAttribute('style')).toBe('fill: rgb(255, 255, 255); stroke: rgb(255, 255, 255)');
+      done();
+    });
+  });
+});
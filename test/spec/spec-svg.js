@@ -179,6 +179,14 @@ describe('Chartist SVG', function () {
     expect(svg._node.firstChild.firstChild.firstChild.attributes.transform.textContent).toBe('rotate(10 10 10)');
   });
 
+  it('should provide the easing curves on the class and on its instances', function () {
+    var svg = new window.Chartist.Svg('svg');
+
+    expect(window.Chartist.Svg.Easing.easeOutQuad).toEqual([0.25, 0.46, 0.45, 0.94]);
+    expect(svg.Easing).toBe(window.Chartist.Svg.Easing);
+    expect(svg.easingCubicBeziers).toBe(window.Chartist.Svg.Easing);
+  });
+
   describe('path tests', function () {
     it('should handle position updates correctly', function () {
       var path = new Chartist.Svg.Path();
@@ -342,5 +350,51 @@ describe('Chartist SVG', function () {
       expect(paths[1].pathElements).toHaveLength(4);
       expect(paths[1].pathElements[0].command).toBe('M');
     });
+
+    it('should reverse lines and curves', function () {
+      var path = new Chartist.Svg.Path()
+        .move(0, 0, false, {valueIndex: 0})
+        .line(10, 10, false, {valueIndex: 1})
+        .curve(15, 10, 20, 20, 30, 20, false, {valueIndex: 2})
+        .reverse();
+
+      expect(path.stringify()).toEqual('M30,20C20,20,15,10,10,10L0,0');
+      expect(path.pathElements.map(function (pathElement) {
+        return pathElement.data.valueIndex;
+      })).toEqual([2, 1, 0]);
+    });
+
+    it('should parse negative coordinates directly after a command', function () {
+      var path = new Chartist.Svg.Path().parse('M-10,10L10,-100');
+      expect(path.stringify()).toEqual('M-10,10L10,-100');
+    });
+
+    it('should interpolate between paths', function () {
+      var from = new Chartist.Svg.Path().move(0, 0).line(10, 10);
+      var to = new Chartist.Svg.Path().move(10, 20).line(30, 40);
+      var interpolate = Chartist.Svg.Path.interpolate(from, to);
+
+      expect(interpolate(0).stringify()).toEqual('M0,0C0,0,10,10,10,10');
+      expect(interpolate(0.5).stringify()).toEqual('M5,10C5,10,20,25,20,25');
+      expect(interpolate(1).stringify()).toEqual('M10,20C10,20,30,40,30,40');
+    });
+
+    it('should interpolate between paths with different element counts', function () {
+      var from = new Chartist.Svg.Path().move(0, 0).line(10, 10);
+      var to = new Chartist.Svg.Path().move(0, 0).line(10, 10).line(20, 0);
+      var interpolate = Chartist.Svg.Path.interpolate(from, to);
+
+      expect(interpolate(0).pathElements).toHaveLength(3);
+      expect(interpolate(0.5).pathElements[2]).toEqual(jasmine.objectContaining({x: 15, y: 5}));
+    });
+
+    it('should not interpolate paths that can not be matched', function () {
+      var from = new Chartist.Svg.Path().move(0, 0).line(10, 10).move(20, 20);
+      var to = new Chartist.Svg.Path().move(0, 0).move(10, 10).line(20, 20);
+      var interpolate = Chartist.Svg.Path.interpolate(from, to);
+
+      expect(interpolate(0.5).stringify()).toEqual(from.stringify());
+      expect(interpolate(1).stringify()).toEqual(to.stringify());
+    });
   });
 });
@@ -0,0 +1,172 @@
+describe('Tooltip', function () {
+  'use strict';
+
+  function createLineChart(options) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+    return new Chartist.Line('.ct-chart', {
+      labels: ['A', 'B', 'C'],
+      series: [
+        {name: 'First', data: [1, {value: 2, meta: 'Second value'}, 3]},
+        {name: 'Second', data: [3, 2, 1]}
+      ]
+    }, Chartist.extend({
+      width: 400,
+      height: 300
+    }, options));
+  }
+
+  function dispatch(target, type, clientX, clientY) {
+    var event = document.createEvent('MouseEvents');
+    event.initMouseEvent(type, true, true, window, 0, 0, 0, clientX || 0, clientY || 0, false, false, false, false, 0, null);
+    target.dispatchEvent(event);
+  }
+
+  function tooltip() {
+    return document.querySelector('.ct-chart .ct-tooltip');
+  }
+
+  it('should not create a tooltip by default', function (done) {
+    var chart = createLineChart();
+
+    chart.on('created', function () {
+      dispatch(document.querySelector('.ct-point'), 'mousemove');
+      expect(tooltip()).toBeNull();
+      done();
+    });
+  });
+
+  it('should show the value of a hovered point', function (done) {
+    var chart = createLineChart({
+      tooltip: {
+        snap: false
+      }
+    });
+
+    chart.on('created', function () {
+      var point = document.querySelectorAll('.ct-series-a .ct-point')[1];
+      dispatch(point, 'mousemove');
+
+      expect(tooltip()).toHaveClass('ct-tooltip-show');
+      expect(tooltip().getAttribute('role')).toBe('tooltip');
+      expect(tooltip().querySelector('.ct-tooltip-meta').textContent).toBe('Second value');
+      expect(tooltip().querySelector('.ct-tooltip-value').textContent).toBe('First: 2');
+
+      dispatch(document.querySelector('.ct-chart'), 'mouseleave');
+      expect(tooltip()).not.toHaveClass('ct-tooltip-show');
+      done();
+    });
+  });
+
+  it('should pass the value context to a custom template', function (done) {
+    var context;
+    var chart = createLineChart({
+      tooltip: {
+        snap: false,
+        template: function (data) {
+          context = data;
+          return '<b>' + data.label + '</b>';
+        }
+      }
+    });
+
+    chart.on('created', function () {
+      dispatch(document.querySelectorAll('.ct-series-b .ct-point')[2], 'mousemove');
+
+      expect(context.value).toBe(1);
+      expect(context.seriesName).toBe('Second');
+      expect(context.label).toBe('C');
+      expect(context.index).toBe(2);
+      expect(context.seriesIndex).toBe(1);
+      expect(tooltip().innerHTML).toBe('<b>C</b>');
+      done();
+    });
+  });
+
+  it('should snap to the nearest point within the chart area', function (done) {
+    var chart = createLineChart({
+      tooltip: true
+    });
+
+    chart.on('draw', function (data) {
+      if (data.type === 'point' && data.seriesIndex === 0 && data.index === 2) {
+        chart.on('created', function () {
+          dispatch(document.querySelector('.ct-grids'), 'mousemove', data.x - 5, data.y + 5);
+          expect(tooltip().querySelector('.ct-tooltip-value').textContent).toBe('First: 3');
+          done();
+        });
+      }
+    });
+  });
+
+  it('should show the values of all series in a shared tooltip', function (done) {
+    var chart = createLineChart({
+      tooltip: {
+        shared: true
+      }
+    });
+
+    chart.on('created', function () {
+      dispatch(document.querySelector('.ct-point'), 'mousemove');
+
+      var items = tooltip().querySelectorAll('.ct-tooltip-item');
+      expect(items.length).toBe(2);
+      expect(items[0]).toHaveClass('ct-series-a');
+      expect(items[0].textContent).toBe('First: 1');
+      expect(items[1].textContent).toBe('Second: 3');
+      done();
+    });
+  });
+
+  it('should show the tooltip of focused elements', function (done) {
+    var chart = createLineChart({
+      tooltip: {
+        trigger: 'focus'
+      }
+    });
+
+    chart.on('created', function () {
+      var point = document.querySelector('.ct-point');
+      var event = document.createEvent('FocusEvent');
+      event.initEvent('focusin', true, false);
+      point.dispatchEvent(event);
+
+      expect(tooltip()).toHaveClass('ct-tooltip-show');
+      expect(tooltip().textContent).toBe('First: 1');
+      done();
+    });
+  });
+
+  it('should show the values of bars and slices', function (done) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div><div class="ct-pie"></div>');
+
+    var bar = new Chartist.Bar('.ct-chart', {
+      labels: ['A', 'B'],
+      series: [[5, 10]]
+    }, {
+      width: 400,
+      height: 300,
+      tooltip: true
+    });
+
+    bar.on('created', function () {
+      dispatch(document.querySelectorAll('.ct-bar')[1], 'mousemove');
+      expect(document.querySelector('.ct-chart .ct-tooltip').textContent).toBe('10');
+
+      var pie = new Chartist.Pie('.ct-pie', {
+        labels: ['X', 'Y'],
+        series: [{value: 1, name: 'Apples'}, {value: 3, name: 'Pears'}]
+      }, {
+        width: 200,
+        height: 200,
+        tooltip: true
+      });
+
+      pie.on('created', function () {
+        dispatch(document.querySelectorAll('.ct-slice-pie')[1], 'mousemove');
+        expect(document.querySelector('.ct-pie .ct-tooltip').textContent).toBe('Pears: 3');
+        done();
+      });
+    });
+  });
+});
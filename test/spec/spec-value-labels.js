@@ -0,0 +1,222 @@
+describe('Value labels', function () {
+  'use strict';
+
+  function createChart(type, data, options) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+    var chart = new Chartist[type]('.ct-chart', data, Chartist.extend({
+      width: 400,
+      height: 300
+    }, options));
+
+    chart.drawn = {};
+    chart.on('draw', function (event) {
+      chart.drawn[event.type] = chart.drawn[event.type] || [];
+      chart.drawn[event.type].push(event);
+    });
+
+    return chart;
+  }
+
+  it('should not draw value labels by default', function (done) {
+    var chart = createChart('Bar', {
+      labels: ['A', 'B'],
+      series: [[5, 10]]
+    });
+
+    chart.on('created', function () {
+      expect(document.querySelectorAll('.ct-value-label').length).toBe(0);
+      done();
+    });
+  });
+
+  it('should place labels beyond the end of vertical and horizontal bars', function (done) {
+    var chart = createChart('Bar', {
+      labels: ['A', 'B'],
+      series: [[5, -10]]
+    }, {
+      valueLabels: {
+        position: 'outside-end'
+      }
+    });
+
+    var renders = 0;
+
+    chart.on('created', function () {
+      var bars = chart.drawn.bar;
+      var labels = chart.drawn.valueLabel;
+
+      if (++renders === 2) {
+        // Half of the estimated width of the three characters to the right of the bar
+        expect(labels[0].x).toBeCloseTo(bars[0].x2 + 4 + 9, 5);
+        expect(labels[0].y).toBeCloseTo(bars[0].y2, 5);
+        expect(labels[0].text).toBe('5 €');
+        done();
+        return;
+      }
+
+      expect(labels.length).toBe(2);
+      expect(labels[0].text).toBe('5');
+      expect(labels[0].x).toBeCloseTo(bars[0].x2, 5);
+      // 4px offset and half of the label height above the positive bar
+      expect(labels[0].y).toBeCloseTo(bars[0].y2 - 11, 5);
+      // Below the negative bar
+      expect(labels[1].y).toBeCloseTo(bars[1].y2 + 11, 5);
+      expect(labels[0].element.classes()).toContain('ct-series-a');
+
+      setTimeout(function () {
+        chart.drawn = {};
+        chart.update(null, {
+          horizontalBars: true,
+          valueLabels: {
+            formatter: function (value) {
+              return value.x + ' €';
+            }
+          }
+        }, true);
+      });
+    });
+  });
+
+  it('should place labels inside the end and in the center of bars', function (done) {
+    var chart = createChart('Bar', {
+      labels: ['A'],
+      series: [[10], [10]]
+    }, {
+      stackBars: true,
+      valueLabels: {
+        position: 'inside-end'
+      }
+    });
+
+    var renders = 0;
+
+    chart.on('created', function () {
+      var bars = chart.drawn.bar;
+      var labels = chart.drawn.valueLabel;
+
+      if (++renders === 2) {
+        expect(labels[1].y).toBeCloseTo((bars[1].y1 + bars[1].y2) / 2, 5);
+        done();
+        return;
+      }
+
+      expect(labels[0].y).toBeCloseTo(bars[0].y2 + 11, 5);
+      expect(labels[1].y).toBeCloseTo(bars[1].y2 + 11, 5);
+
+      setTimeout(function () {
+        chart.drawn = {};
+        chart.update(null, {
+          valueLabels: {
+            position: 'center'
+          }
+        }, true);
+      });
+    });
+  });
+
+  it('should hide labels that overlap labels placed before them', function (done) {
+    var chart = createChart('Line', {
+      labels: ['A', 'B', 'C'],
+      series: [[1, 5, 3], [1, 5, 9]]
+    }, {
+      valueLabels: true
+    });
+
+    chart.on('created', function () {
+      var labels = chart.drawn.valueLabel;
+
+      expect(labels.length).toBe(4);
+      expect(labels.filter(function (label) {
+        return label.seriesIndex === 1;
+      }).map(function (label) {
+        return label.index;
+      })).toEqual([2]);
+      expect(document.querySelectorAll('.ct-value-labels .ct-value-label').length).toBe(4);
+      done();
+    });
+  });
+
+  it('should nudge overlapping labels away from their points', function (done) {
+    var chart = createChart('Line', {
+      labels: ['A', 'B'],
+      series: [[1, 5], [1, 5.1]]
+    }, {
+      valueLabels: {
+        collision: 'nudge'
+      }
+    });
+
+    chart.on('created', function () {
+      var labels = chart.drawn.valueLabel;
+
+      expect(labels.length).toBe(4);
+      // The label of the second series is moved just above the label at the same point
+      expect(labels[2].y).toBeCloseTo(labels[0].y - 14, 5);
+      done();
+    });
+  });
+
+  it('should connect outside pie labels with leader lines and move clustered labels apart', function (done) {
+    var chart = createChart('Pie', {
+      labels: ['Large', 'Tiny 1', 'Tiny 2', 'Tiny 3'],
+      series: [97, 1, 1, 1]
+    }, {
+      chartPadding: 60,
+      labelPosition: 'outside',
+      labelOffset: 10,
+      labelLeaderLines: true
+    });
+
+    chart.on('created', function () {
+      var labels = chart.drawn.label;
+      var leaders = chart.drawn.leaderLine;
+      var tiny = labels.filter(function (label) {
+        return label.index > 0;
+      }).sort(function (a, b) {
+        return a.y - b.y;
+      });
+
+      expect(leaders.length).toBe(4);
+      expect(document.querySelectorAll('.ct-label-leader').length).toBe(4);
+      expect(tiny.length).toBe(3);
+      expect(tiny[1].y - tiny[0].y).toBeGreaterThan(13.9);
+      expect(tiny[2].y - tiny[1].y).toBeGreaterThan(13.9);
+      // The labels of the small slices at the end of the pie are in the left column
+      tiny.forEach(function (label) {
+        expect(label.element.attr('text-anchor')).toBe('end');
+      });
+      // The leader lines end next to their labels
+      leaders.forEach(function (leader) {
+        var label = labels.filter(function (l) {
+          return l.index === leader.index;
+        })[0];
+        var end = leader.path.pathElements[2];
+        expect(end.y).toBeCloseTo(label.y, 5);
+      });
+      done();
+    });
+  });
+
+  it('should keep drawing labels when all handlers of the draw event have been removed', function (done) {
+    var chart = createChart('Line', {
+      labels: ['A', 'B', 'C'],
+      series: [[1, 2, 3]]
+    }, {
+      valueLabels: true
+    });
+
+    chart.on('created', function () {
+      setTimeout(function () {
+        // Removing the handlers of the user doesn't affect the handlers of the modules of the chart
+        chart.off('draw');
+        chart.off('created');
+        chart.update();
+
+        expect(document.querySelectorAll('.ct-value-label').length).toBe(3);
+        expect(chart.drawnValues.entries.length).toBe(3);
+        done();
+      });
+    });
+  });
+});
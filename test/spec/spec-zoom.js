@@ -0,0 +1,295 @@
+describe('Zoom', function () {
+  'use strict';
+
+  var data;
+
+  beforeEach(function () {
+    data = {
+      series: [
+        [{x: 0, y: 1}, {x: 25, y: 4}, {x: 50, y: 2}, {x: 75, y: 8}, {x: 100, y: 5}]
+      ]
+    };
+  });
+
+  function createChart(zoom) {
+    jasmine.getFixtures().set('<div class="ct-chart"></div>');
+
+    return new Chartist.Line('.ct-chart', data, {
+      width: 400,
+      height: 300,
+      axisX: {
+        type: Chartist.AutoScaleAxis
+      },
+      zoom: zoom
+    });
+  }
+
+  function dispatch(type, properties, target) {
+    var event = new MouseEvent(type, Chartist.extend({bubbles: true, cancelable: true}, properties));
+    // Wheel events are created as mouse events with a delta, as the WheelEvent constructor isn't available everywhere
+    if (properties.deltaY !== undefined) {
+      event.deltaY = properties.deltaY;
+    }
+    (target || document.querySelector('.ct-chart svg')).dispatchEvent(event);
+    return event;
+  }
+
+  it('should not zoom without the zoom option', function (done) {
+    var chart = createChart();
+    var zoomed = false;
+
+    chart.on('zoom', function () {
+      zoomed = true;
+    });
+
+    chart.on('created', function (context) {
+      var event = dispatch('wheel', {
+        deltaY: -100,
+        clientX: context.chartRect.x1 + 10,
+        clientY: context.chartRect.y1 - 10
+      });
+
+      expect(event.defaultPrevented).toBe(false);
+      expect(zoomed).toBe(false);
+      done();
+    });
+  });
+
+  it('should zoom around the pointer with the mouse wheel and re-tick the axis', function (done) {
+    var chart = createChart(true);
+    var zoomEvent;
+    var renders = 0;
+
+    chart.on('zoom', function (event) {
+      zoomEvent = event;
+    });
+
+    chart.on('created', function (context) {
+      if (++renders === 2) {
+        expect(zoomEvent.zoomed).toBe(true);
+        expect(zoomEvent.x.min).toBeCloseTo(20, 5);
+        expect(zoomEvent.x.max).toBeCloseTo(100, 5);
+        expect(context.axisX.range.min).toBeCloseTo(20, 5);
+        expect(context.axisX.range.max).toBeCloseTo(100, 5);
+        context.axisX.ticks.forEach(function (tick) {
+          expect(tick).not.toBeLessThan(20);
+        });
+        // The series are clipped to the chart area
+        var clipPath = document.querySelector('.ct-chart [clip-path]').getAttribute('clip-path');
+        expect(document.querySelectorAll('.ct-chart [clip-path]').length).toBe(1);
+        expect(document.getElementById(clipPath.slice(5, -1)).querySelector('rect').getAttribute('width')).toBe('' + context.chartRect.width());
+        expect(document.querySelector('.ct-zoom-reset').textContent).toBe('Reset zoom');
+        done();
+        return;
+      }
+
+      expect(context.axisX.range.min).toBe(0);
+      expect(context.axisX.range.max).toBe(100);
+      expect(document.querySelector('.ct-zoom-reset')).toBeNull();
+
+      setTimeout(function () {
+        // Zooming in at the right end of the chart area keeps the right end in place
+        var event = dispatch('wheel', {
+          deltaY: -100,
+          clientX: context.chartRect.x2,
+          clientY: context.chartRect.y1 - 10
+        });
+        expect(event.defaultPrevented).toBe(true);
+      });
+    });
+  });
+
+  it('should pan by dragging within the range of the axis without zoom', function (done) {
+    var chart = createChart(true);
+    var zoomEvents = [];
+    var renders = 0;
+
+    chart.on('zoom', function (event) {
+      zoomEvents.push(event);
+    });
+
+    chart.on('created', function (context) {
+      var rect = context.chartRect;
+
+      if (++renders === 1) {
+        // Visible ranges can only be bounded once the full range is known
+        setTimeout(function () {
+          chart.zoom.zoomTo({
+            x: {min: 40, max: 60}
+          });
+        });
+      } else if (renders === 2) {
+        expect(zoomEvents.length).toBe(0);
+        expect(context.axisX.range.min).toBe(40);
+
+        setTimeout(function () {
+          dispatch('mousedown', {button: 0, clientX: rect.x1 + 100, clientY: rect.y2 + 10});
+          // A quarter of the width moves the visible range by a quarter of its size
+          dispatch('mousemove', {clientX: rect.x1 + 100 - rect.width() / 4, clientY: rect.y2 + 10});
+        });
+      } else if (renders === 3) {
+        expect(zoomEvents[0].x.min).toBeCloseTo(45, 5);
+        expect(zoomEvents[0].x.max).toBeCloseTo(65, 5);
+        expect(context.axisX.range.min).toBeCloseTo(45, 5);
+
+        setTimeout(function () {
+          dispatch('mousemove', {clientX: rect.x1 + 100 + rect.width() * 10, clientY: rect.y2 + 10});
+        });
+      } else {
+        expect(zoomEvents[1].x.min).toBe(0);
+        expect(zoomEvents[1].x.max).toBe(20);
+        dispatch('mouseup', {clientX: 0, clientY: 0});
+        done();
+      }
+    });
+  });
+
+  it('should limit the visible range to the minimum range', function (done) {
+    var chart = createChart({
+      minRange: {
+        x: 50
+      }
+    });
+    var zoomEvent;
+
+    chart.on('zoom', function (event) {
+      zoomEvent = event;
+    });
+
+    chart.on('created', function () {
+      if (zoomEvent) {
+        expect(zoomEvent.x.max - zoomEvent.x.min).toBeCloseTo(50, 5);
+        done();
+        return;
+      }
+
+      setTimeout(function () {
+        chart.zoom.apply({
+          x: {min: 40, max: 50}
+        });
+      });
+    });
+  });
+
+  it('should reset the zoom with the reset control', function (done) {
+    var chart = createChart(true);
+    var zoomEvent;
+    var renders = 0;
+
+    chart.on('zoom', function (event) {
+      zoomEvent = event;
+    });
+
+    chart.on('created', function (context) {
+      if (++renders === 1) {
+        setTimeout(function () {
+          chart.zoom.zoomTo({
+            x: {min: 10, max: 20}
+          });
+        });
+      } else if (renders === 2) {
+        setTimeout(function () {
+          var event = document.createEvent('MouseEvents');
+          event.initMouseEvent('click', true, true, window, 0, 0, 0, 0, 0, false, false, false, false, 0, null);
+          document.querySelector('.ct-zoom-reset text').dispatchEvent(event);
+        });
+      } else {
+        expect(zoomEvent.zoomed).toBe(false);
+        expect(zoomEvent.x).toEqual({min: 0, max: 100});
+        expect(context.axisX.range.max).toBe(100);
+        expect(document.querySelector('.ct-zoom-reset')).toBeNull();
+        expect(document.querySelectorAll('.ct-chart [clip-path]').length).toBe(0);
+        done();
+      }
+    });
+  });
+
+  it('should bound the visible range by the range of the current data', function (done) {
+    var chart = createChart(true);
+    var zoomEvent;
+    var renders = 0;
+
+    chart.on('zoom', function (event) {
+      zoomEvent = event;
+    });
+
+    chart.on('created', function (context) {
+      if (++renders === 1) {
+        setTimeout(function () {
+          chart.zoom.zoomTo({
+            x: {min: 40, max: 60}
+          });
+        });
+      } else if (renders === 2) {
+        setTimeout(function () {
+          // Data that is updated while the chart is zoomed extends the range without zoom
+          chart.update({
+            series: [data.series[0].concat([{x: 200, y: 3}])]
+          });
+        });
+      } else if (renders === 3) {
+        expect(context.axisX.range).toEqual({min: 40, max: 60});
+        setTimeout(function () {
+          chart.zoom.apply({
+            x: {min: 150, max: 190}
+          });
+        });
+      } else if (renders === 4) {
+        expect(zoomEvent.x.min).toBeCloseTo(150, 5);
+        expect(zoomEvent.x.max).toBeCloseTo(190, 5);
+        setTimeout(function () {
+          // Resetting the zoom shows the whole range of the current data
+          chart.zoom.apply(undefined);
+        });
+      } else {
+        expect(zoomEvent.zoomed).toBe(false);
+        expect(zoomEvent.x).toEqual({min: 0, max: 200});
+        done();
+      }
+    });
+  });
+
+  it('should update the chart once per frame and keep panning outside of the chart until the mouse button is released', function (done) {
+    var chart = createChart(true);
+    var zoomEvents = [];
+    var renders = 0;
+
+    chart.on('zoom', function (event) {
+      zoomEvents.push(event);
+    });
+
+    chart.on('created', function (context) {
+      var rect = context.chartRect;
+
+      if (++renders === 1) {
+        setTimeout(function () {
+          chart.zoom.zoomTo({
+            x: {min: 40, max: 60}
+          });
+        });
+      } else if (renders === 2) {
+        setTimeout(function () {
+          dispatch('mousedown', {button: 0, clientX: rect.x1 + 100, clientY: rect.y2 + 10});
+          dispatch('mousemove', {clientX: rect.x1 + 90, clientY: rect.y2 + 10});
+          dispatch('mouseleave', {clientX: rect.x2 + 50, clientY: rect.y2 + 10}, document.querySelector('.ct-chart'));
+          dispatch('mousemove', {clientX: rect.x1 + 100 - rect.width() / 4, clientY: rect.y2 + 400}, document.body);
+          expect(zoomEvents.length).toBe(0);
+        });
+      } else {
+        // The moves within the same frame are drawn with a single update
+        expect(renders).toBe(3);
+        expect(zoomEvents.length).toBe(1);
+        expect(zoomEvents[0].x.min).toBeCloseTo(45, 5);
+        expect(context.axisX.range.min).toBeCloseTo(45, 5);
+
+        dispatch('mouseup', {clientX: 0, clientY: 0}, document.body);
+        dispatch('mousemove', {clientX: rect.x1, clientY: rect.y2 + 10}, document.body);
+        setTimeout(function () {
+          expect(renders).toBe(3);
+          expect(zoomEvents.length).toBe(1);
+          done();
+        }, 100);
+      }
+    });
+  });
+});